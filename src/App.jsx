@@ -1,10 +1,13 @@
 import React, { useState } from 'react';
-import { Activity, BookOpen, Stethoscope, FileText, Zap } from 'lucide-react';
+import { Activity, BookOpen, Stethoscope, FileText, Zap, Radio, Crosshair, Settings } from 'lucide-react';
 import Landing3D from './components/Landing3D';
 import EMGModule from './modules/learn/EMGModule';
 import NCVModule from './modules/learn/NCVModule';
+import RNSModule from './modules/learn/RNSModule';
+import SFEMGModule from './modules/learn/SFEMGModule';
 import CaseStudies from './modules/practice/CaseStudies';
 import ReportBuilder from './modules/tools/ReportBuilder';
+import LabNormals from './modules/tools/LabNormals';
 
 /**
  * Main Application Component
@@ -17,8 +20,11 @@ function App() {
     { id: 'home', label: 'Home', icon: Zap, color: 'primary' },
     { id: 'emg', label: 'EMG Patterns', icon: Activity, color: 'accent' },
     { id: 'ncv', label: 'Nerve Conduction', icon: Zap, color: 'accent' },
+    { id: 'rns', label: 'Repetitive Stimulation', icon: Radio, color: 'accent' },
+    { id: 'sfemg', label: 'Single-Fiber EMG', icon: Crosshair, color: 'accent' },
     { id: 'cases', label: 'Case Studies', icon: Stethoscope, color: 'success' },
     { id: 'reports', label: 'Report Builder', icon: FileText, color: 'primary' },
+    { id: 'normals', label: 'Lab Normals', icon: Settings, color: 'primary' },
   ];
 
   const renderContent = () => {
@@ -29,10 +35,16 @@ function App() {
         return <EMGModule />;
       case 'ncv':
         return <NCVModule />;
+      case 'rns':
+        return <RNSModule />;
+      case 'sfemg':
+        return <SFEMGModule />;
       case 'cases':
         return <CaseStudies />;
       case 'reports':
         return <ReportBuilder />;
+      case 'normals':
+        return <LabNormals />;
       default:
         return <Landing3D onGetStarted={() => setActiveTab('emg')} />;
     }
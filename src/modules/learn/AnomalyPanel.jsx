@@ -0,0 +1,184 @@
+import React, { useEffect, useRef, useMemo } from 'react';
+import { GitCompare } from 'lucide-react';
+import { simulateStudy, chooseSweepSpeed, chooseSensitivity } from '../../utils/nerveConduction';
+import { findLandmarks, measureMarkers } from '../../utils/measurement';
+
+const SAMPLE_RATE = 20; // Samples per ms
+const SIMULATION_WINDOW = 50; // ms - the distal two sites and the anomalous site
+const TRACE_COLORS = ['#0891b2', '#7c3aed', '#f59e0b'];
+
+/**
+ * Anomalous Innervation Panel - guided reading of an anastomosis
+ * The first two stimulation sites and the site that excites the anomalous
+ * fibers alone are superimposed, so the extra (or missing) response can be
+ * seen and added up: part + anomalous ≈ whole.
+ */
+function AnomalyPanel({ anomaly, sites, distalPosition, proximalPosition, distalLatency, velocity, amplitude, fiberFraction, lesion, simulated }) {
+  const canvasRef = useRef(null);
+
+  const stimulation = useMemo(() => [
+    { label: sites[0].name, position: distalPosition, site: {} },
+    { label: sites[1].name, position: proximalPosition, site: {} },
+    {
+      label: anomaly.stimulation.name,
+      position: anomaly.stimulation.at === 'distal' ? distalPosition : proximalPosition,
+      site: { anomalous: true },
+    },
+  ], [anomaly, sites, distalPosition, proximalPosition]);
+
+  const responses = useMemo(() => simulateStudy('motor', {
+    distalDistance: distalPosition,
+    distalLatency,
+    velocity,
+    positions: stimulation.map(s => s.position),
+    amplitude,
+    fiberFraction,
+    lesion,
+    anomaly: simulated,
+    sites: stimulation.map(s => s.site),
+  }, SIMULATION_WINDOW, SAMPLE_RATE).responses.map(({ trace, onset }, i) => {
+    const truth = findLandmarks(trace, SAMPLE_RATE, { endAt: 'phase', onset });
+    return { ...stimulation[i], trace, ...measureMarkers(trace, SAMPLE_RATE, truth) };
+  }), [stimulation, distalPosition, distalLatency, velocity, amplitude, fiberFraction, lesion, simulated]);
+
+  const [distal, proximal, anomalous] = responses;
+
+  // The part of the innervation a site misses, and the whole it should add up to
+  let part = distal;
+  let whole = proximal;
+  if (anomaly.present === 'distal') {
+    part = anomaly.junction === 'hand' ? distal : proximal;
+    whole = anomaly.junction === 'hand' ? null : distal;
+  }
+  const sum = part.amplitude + anomalous.amplitude;
+
+  const msPerDiv = chooseSweepSpeed(Math.max(...responses.map(r => r.onsetLatency + r.duration)) + 5);
+  const unitsPerDiv = chooseSensitivity(Math.max(...responses.map(r => r.amplitude)));
+
+  // Superimposed responses, negative up
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    ctx.scale(dpr, dpr);
+
+    const width = rect.width;
+    const height = rect.height;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+
+    const traceLeft = 20;
+    const traceWidth = width - traceLeft - 20;
+    const traceTop = 30;
+    const baseline = traceTop + (height - traceTop - 20) * 0.7;
+    const windowMs = msPerDiv * 10;
+    const pxPerMv = (height - traceTop - 20) / (5 * unitsPerDiv); // 5 divisions
+    const toX = timeMs => traceLeft + (timeMs / windowMs) * traceWidth;
+
+    ctx.strokeStyle = '#e2e8f0';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 10; i++) {
+      ctx.beginPath();
+      ctx.moveTo(toX(i * msPerDiv), traceTop);
+      ctx.lineTo(toX(i * msPerDiv), height - 20);
+      ctx.stroke();
+    }
+    ctx.strokeStyle = '#cbd5e1';
+    ctx.beginPath();
+    ctx.moveTo(traceLeft, baseline);
+    ctx.lineTo(traceLeft + traceWidth, baseline);
+    ctx.stroke();
+
+    responses.forEach((response, row) => {
+      ctx.strokeStyle = TRACE_COLORS[row];
+      ctx.lineWidth = 2;
+      ctx.setLineDash(row === 2 ? [6, 3] : []);
+      ctx.beginPath();
+      const samples = Math.min(response.trace.length, windowMs * SAMPLE_RATE + 1);
+      for (let i = 0; i < samples; i++) {
+        const y = baseline + response.trace[i] * pxPerMv;
+        if (i === 0) {
+          ctx.moveTo(toX(i / SAMPLE_RATE), y);
+        } else {
+          ctx.lineTo(toX(i / SAMPLE_RATE), y);
+        }
+      }
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      ctx.fillStyle = TRACE_COLORS[row];
+      ctx.font = '12px var(--font-display)';
+      ctx.textAlign = 'left';
+      ctx.fillText(response.label, traceLeft + row * (traceWidth / 3), 16);
+    });
+
+    ctx.fillStyle = '#475569';
+    ctx.font = '12px var(--font-mono)';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${msPerDiv} ms/div · ${unitsPerDiv} mV/div`, traceLeft + traceWidth, height - 4);
+  }, [responses, msPerDiv, unitsPerDiv]);
+
+  const headerCellStyle = { fontWeight: '600', color: 'var(--text-secondary)' };
+
+  return (
+    <div className="card" style={{ marginBottom: '2rem', borderLeft: '4px solid #f59e0b' }}>
+      <div className="card-header" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <GitCompare size={20} color="var(--primary-500)" />
+        Anomalous Innervation - Guided Reading
+      </div>
+
+      <ol style={{ fontSize: '0.875rem', lineHeight: '1.6', margin: '0 0 1rem 0', paddingLeft: '1.25rem' }}>
+        {anomaly.explanation.map(step => (
+          <li key={step}>{step}</li>
+        ))}
+      </ol>
+
+      <div className="canvas-container">
+        <canvas ref={canvasRef} style={{ width: '100%', height: '240px', display: 'block' }} />
+      </div>
+
+      <table style={{ fontSize: '0.875rem', marginTop: '1rem' }}>
+        <thead>
+          <tr>
+            <th style={{ textAlign: 'left' }}>Stimulation</th>
+            <th style={{ textAlign: 'left' }}>Onset</th>
+            <th style={{ textAlign: 'left' }}>Amplitude</th>
+            <th style={{ textAlign: 'left' }}>Duration</th>
+          </tr>
+        </thead>
+        <tbody>
+          {responses.map((response, row) => (
+            <tr key={response.label}>
+              <td style={{ ...headerCellStyle, color: TRACE_COLORS[row] }}>{response.label}</td>
+              <td><code>{response.amplitude > 0 ? `${response.onsetLatency.toFixed(1)} ms` : '—'}</code></td>
+              <td><code>{response.amplitude.toFixed(1)} mV</code></td>
+              <td><code>{response.amplitude > 0 ? `${response.duration.toFixed(1)} ms` : '—'}</code></td>
+            </tr>
+          ))}
+          <tr>
+            <td style={headerCellStyle}>{part.label} + {anomalous.label}</td>
+            <td />
+            <td><code>{sum.toFixed(1)} mV</code></td>
+            <td style={{ color: 'var(--text-tertiary)' }}>
+              {whole
+                ? `≈ ${whole.label} ${whole.amplitude.toFixed(1)} mV`
+                : `≈ the whole muscle, ${(amplitude * fiberFraction).toFixed(1)} mV`}
+            </td>
+          </tr>
+        </tbody>
+      </table>
+      <p style={{ fontSize: '0.75rem', color: 'var(--text-tertiary)', margin: '0.5rem 0 0 0' }}>
+        Amplitudes of superimposed responses add only approximately - their peaks do not coincide.
+      </p>
+    </div>
+  );
+}
+
+export default AnomalyPanel;
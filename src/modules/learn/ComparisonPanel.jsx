@@ -0,0 +1,314 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { ArrowLeftRight } from 'lucide-react';
+import { CTS_COMPARISON_STUDIES, COMBINED_SENSORY_INDEX } from '../../utils/constants';
+import { simulateStudy, chooseSweepSpeed, chooseSensitivity } from '../../utils/nerveConduction';
+import { findLandmarks, measureMarkers } from '../../utils/measurement';
+import { expectedComparison, assessComparison, combinedSensoryIndex } from '../../utils/comparisonStudies';
+
+const SAMPLE_RATE = 20; // Samples per ms
+const SIMULATION_WINDOW = 20; // ms
+const VELOCITY = 55; // m/s - a single site, so velocity only shapes the response
+const TRACE_COLORS = { median: '#0891b2', comparator: '#f59e0b' };
+const STUDY_KEYS = Object.keys(CTS_COMPARISON_STUDIES);
+
+const emptyEntries = () => Object.fromEntries(STUDY_KEYS.map(key => [key, { median: '', comparator: '' }]));
+
+/**
+ * Simulate and measure the median and comparator responses of one study
+ * Sensory and mixed studies are read at the peak, lumbrical-interossei at onset.
+ */
+function simulateComparison(studyKey, pattern) {
+  const study = CTS_COMPARISON_STUDIES[studyKey];
+  const expected = expectedComparison(studyKey, pattern);
+
+  const measure = nerve => {
+    const { trace, onset } = simulateStudy(study.nerveType, {
+      distalDistance: study.distance,
+      distalLatency: expected[nerve].latency,
+      velocity: VELOCITY,
+      positions: [study.distance],
+      amplitude: expected[nerve].amplitude,
+      fiberFraction: 1,
+    }, SIMULATION_WINDOW, SAMPLE_RATE).responses[0];
+    const markers = measureMarkers(trace, SAMPLE_RATE, findLandmarks(trace, SAMPLE_RATE, { endAt: 'phase', onset }));
+    return {
+      trace,
+      ...markers,
+      latency: study.nerveType === 'motor' ? markers.onsetLatency : markers.peakLatency,
+    };
+  };
+
+  const median = measure('median');
+  const comparator = measure('comparator');
+  return { median, comparator, ...assessComparison(studyKey, median.latency, comparator.latency) };
+}
+
+/**
+ * Comparison Studies Panel - median against ulnar and radial across the wrist
+ * The selected study's median and comparator responses are superimposed so the
+ * latency difference can be seen; every study and the Combined Sensory Index
+ * are tabulated for the pattern, and a calculator flags entered latencies.
+ */
+function ComparisonPanel({ pattern }) {
+  const [selectedStudy, setSelectedStudy] = useState('palmar');
+  const [entries, setEntries] = useState(emptyEntries);
+  const canvasRef = useRef(null);
+
+  const results = useMemo(() => Object.fromEntries(
+    STUDY_KEYS.map(key => [key, simulateComparison(key, pattern)])
+  ), [pattern]);
+
+  const study = CTS_COMPARISON_STUDIES[selectedStudy];
+  const result = results[selectedStudy];
+  const units = study.nerveType === 'motor' ? 'mV' : 'μV';
+  const simulatedIndex = combinedSensoryIndex(Object.fromEntries(STUDY_KEYS.map(key => [key, results[key].difference])));
+
+  const calculated = Object.fromEntries(STUDY_KEYS.map(key => [
+    key,
+    assessComparison(key, entries[key].median, entries[key].comparator),
+  ]));
+  const calculatedIndex = combinedSensoryIndex(Object.fromEntries(
+    STUDY_KEYS.map(key => [key, calculated[key] ? calculated[key].difference : null])
+  ));
+
+  const msPerDiv = chooseSweepSpeed(Math.max(result.median.onsetLatency + result.median.duration, result.comparator.onsetLatency + result.comparator.duration) + 2);
+  const unitsPerDiv = chooseSensitivity(Math.max(result.median.amplitude, result.comparator.amplitude));
+
+  // Superimposed median and comparator responses, negative up, with latency markers
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    ctx.scale(dpr, dpr);
+
+    const width = rect.width;
+    const height = rect.height;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+
+    const traceLeft = 20;
+    const traceWidth = width - traceLeft - 20;
+    const traceTop = 30;
+    const baseline = traceTop + (height - traceTop - 20) * 0.7;
+    const windowMs = msPerDiv * 10;
+    const pxPerUnit = (height - traceTop - 20) / (5 * unitsPerDiv); // 5 divisions
+    const toX = timeMs => traceLeft + (timeMs / windowMs) * traceWidth;
+
+    ctx.strokeStyle = '#e2e8f0';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 10; i++) {
+      ctx.beginPath();
+      ctx.moveTo(toX(i * msPerDiv), traceTop);
+      ctx.lineTo(toX(i * msPerDiv), height - 20);
+      ctx.stroke();
+    }
+    ctx.strokeStyle = '#cbd5e1';
+    ctx.beginPath();
+    ctx.moveTo(traceLeft, baseline);
+    ctx.lineTo(traceLeft + traceWidth, baseline);
+    ctx.stroke();
+
+    ['median', 'comparator'].forEach((nerve, row) => {
+      const response = result[nerve];
+      ctx.strokeStyle = TRACE_COLORS[nerve];
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      const samples = Math.min(response.trace.length, windowMs * SAMPLE_RATE + 1);
+      for (let i = 0; i < samples; i++) {
+        const y = baseline + response.trace[i] * pxPerUnit;
+        if (i === 0) {
+          ctx.moveTo(toX(i / SAMPLE_RATE), y);
+        } else {
+          ctx.lineTo(toX(i / SAMPLE_RATE), y);
+        }
+      }
+      ctx.stroke();
+
+      // Latency marker
+      ctx.setLineDash([4, 3]);
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(toX(response.latency), traceTop);
+      ctx.lineTo(toX(response.latency), height - 20);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      ctx.fillStyle = TRACE_COLORS[nerve];
+      ctx.font = '12px var(--font-display)';
+      ctx.textAlign = 'left';
+      const label = nerve === 'median' ? 'Median' : study.comparator;
+      ctx.fillText(`${label} ${response.latency.toFixed(1)} ms`, traceLeft + row * (traceWidth / 3), 16);
+    });
+
+    ctx.fillStyle = '#475569';
+    ctx.font = '12px var(--font-mono)';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${msPerDiv} ms/div · ${unitsPerDiv} ${units}/div`, traceLeft + traceWidth, height - 4);
+  }, [result, study, units, msPerDiv, unitsPerDiv]);
+
+  const headerCellStyle = { fontWeight: '600', color: 'var(--text-secondary)' };
+  const inputStyle = {
+    width: '4.5rem',
+    padding: '0.25rem',
+    border: '1px solid #cbd5e1',
+    borderRadius: 'var(--radius-md)',
+    fontFamily: 'var(--font-mono)',
+  };
+
+  const flag = assessment => {
+    if (!assessment) return <span style={{ color: 'var(--text-tertiary)' }}>—</span>;
+    return (
+      <span className={`badge ${assessment.abnormal ? 'badge-danger' : 'badge-success'}`}>
+        {assessment.abnormal ? 'Abnormal' : 'Normal'}
+      </span>
+    );
+  };
+
+  const updateEntry = (key, nerve, value) => {
+    setEntries(prev => ({ ...prev, [key]: { ...prev[key], [nerve]: value } }));
+  };
+
+  const useSimulated = () => {
+    setEntries(Object.fromEntries(STUDY_KEYS.map(key => [key, {
+      median: results[key].median.latency.toFixed(1),
+      comparator: results[key].comparator.latency.toFixed(1),
+    }])));
+  };
+
+  return (
+    <div className="card" style={{ marginBottom: '2rem', borderLeft: '4px solid #0891b2' }}>
+      <div className="card-header" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <ArrowLeftRight size={20} color="var(--primary-500)" />
+        Comparison Studies - Median vs Ulnar and Radial
+      </div>
+
+      <p style={{ fontSize: '0.875rem', lineHeight: '1.6', margin: '0 0 1rem 0' }}>
+        Both nerves are stimulated over the same distance and recorded at the same site, so age,
+        temperature and hand size cancel out. A median latency that is still within its absolute limit
+        can be abnormally late compared with its neighbour.
+      </p>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginBottom: '1rem' }}>
+        {STUDY_KEYS.map(key => (
+          <button
+            key={key}
+            className={`btn ${selectedStudy === key ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={() => setSelectedStudy(key)}
+          >
+            {CTS_COMPARISON_STUDIES[key].name}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ fontSize: '0.875rem', color: 'var(--text-secondary)', marginBottom: '0.5rem' }}>
+        Stimulate {study.stimulation} · record {study.recording} · {study.distance / 10} cm ·
+        {study.nerveType === 'motor' ? ' onset' : ' peak'} latencies
+      </div>
+
+      <div className="canvas-container">
+        <canvas ref={canvasRef} style={{ width: '100%', height: '220px', display: 'block' }} />
+      </div>
+
+      <table style={{ fontSize: '0.875rem', marginTop: '1rem' }}>
+        <thead>
+          <tr>
+            <th style={{ textAlign: 'left' }}>Study</th>
+            <th style={{ textAlign: 'left' }}>Median</th>
+            <th style={{ textAlign: 'left' }}>Comparator</th>
+            <th style={{ textAlign: 'left' }}>Difference</th>
+            <th style={{ textAlign: 'left' }}>Normal</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {STUDY_KEYS.map(key => (
+            <tr key={key} style={key === selectedStudy ? { background: 'var(--bg-tertiary)' } : undefined}>
+              <td style={headerCellStyle}>{CTS_COMPARISON_STUDIES[key].name}</td>
+              <td><code>{results[key].median.latency.toFixed(1)} ms</code></td>
+              <td><code>{results[key].comparator.latency.toFixed(1)} ms</code></td>
+              <td><code>{results[key].difference.toFixed(1)} ms</code></td>
+              <td><code>&lt; {CTS_COMPARISON_STUDIES[key].abnormalDifference} ms</code></td>
+              <td>{flag(results[key])}</td>
+            </tr>
+          ))}
+          <tr>
+            <td style={headerCellStyle}>Combined Sensory Index</td>
+            <td colSpan={2} style={{ color: 'var(--text-tertiary)' }}>Palmar + D4 + D1</td>
+            <td><code>{simulatedIndex.value.toFixed(1)} ms</code></td>
+            <td><code>&lt; {COMBINED_SENSORY_INDEX.abnormalSum} ms</code></td>
+            <td>{flag(simulatedIndex)}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      {/* Calculator */}
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', margin: '1.5rem 0 0.5rem 0' }}>
+        <div style={{ fontWeight: '600' }}>Calculator</div>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <button className="btn btn-secondary" onClick={useSimulated}>Use Simulated Values</button>
+          <button className="btn btn-secondary" onClick={() => setEntries(emptyEntries())}>Clear</button>
+        </div>
+      </div>
+      <table style={{ fontSize: '0.875rem' }}>
+        <thead>
+          <tr>
+            <th style={{ textAlign: 'left' }}>Study</th>
+            <th style={{ textAlign: 'left' }}>Median (ms)</th>
+            <th style={{ textAlign: 'left' }}>Comparator (ms)</th>
+            <th style={{ textAlign: 'left' }}>Difference</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {STUDY_KEYS.map(key => (
+            <tr key={key}>
+              <td style={headerCellStyle}>{CTS_COMPARISON_STUDIES[key].name}</td>
+              <td>
+                <input
+                  type="number"
+                  step="0.1"
+                  value={entries[key].median}
+                  onChange={(e) => updateEntry(key, 'median', e.target.value)}
+                  style={inputStyle}
+                />
+              </td>
+              <td>
+                <input
+                  type="number"
+                  step="0.1"
+                  value={entries[key].comparator}
+                  onChange={(e) => updateEntry(key, 'comparator', e.target.value)}
+                  style={inputStyle}
+                />
+              </td>
+              <td><code>{calculated[key] ? `${calculated[key].difference.toFixed(1)} ms` : '—'}</code></td>
+              <td>{flag(calculated[key])}</td>
+            </tr>
+          ))}
+          <tr>
+            <td style={headerCellStyle}>Combined Sensory Index</td>
+            <td colSpan={2} style={{ color: 'var(--text-tertiary)' }}>
+              {calculatedIndex ? 'Palmar + D4 + D1' : 'Needs palmar, D4 and D1'}
+            </td>
+            <td><code>{calculatedIndex ? `${calculatedIndex.value.toFixed(1)} ms` : '—'}</code></td>
+            <td>{flag(calculatedIndex)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <p style={{ fontSize: '0.75rem', color: 'var(--text-tertiary)', margin: '0.5rem 0 0 0' }}>
+        A difference at or above the normal limit is abnormal. The CSI is more sensitive and specific than
+        any single study; it is most useful when one study alone is borderline. Lumbrical-interossei
+        remains recordable when the median SNAPs are absent.
+      </p>
+    </div>
+  );
+}
+
+export default ComparisonPanel;
@@ -1,7 +1,61 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Play, Pause, Volume2, VolumeX, Info } from 'lucide-react';
-import { generateEMGPattern, getPatternMetadata } from '../../utils/waveformGen';
-import { playContinuousPattern, getAudioCharacteristics } from '../../utils/audioSynthesis';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Play, Pause, Volume2, VolumeX, Info, Shuffle, Waves } from 'lucide-react';
+import {
+  MUAP_MORPHOLOGIES,
+  generateEMGPattern,
+  generateMUAP,
+  getMUAPExtent,
+  varyMUAP,
+  getPatternMetadata,
+} from '../../utils/waveformGen';
+import { playContinuousPattern, playWaveform, getAudioCharacteristics } from '../../utils/audioSynthesis';
+import { createRandom, randomSeed } from '../../utils/random';
+import { RECRUITMENT_MODES, createMotorUnitPool, getRecruitmentSummary } from '../../utils/motorUnitPool';
+import { EMG_PATTERNS, SPONTANEOUS_ACTIVITY_GRADES } from '../../utils/constants';
+import { SWEEP_SPEEDS, SENSITIVITIES, DISPLAY_MODES, drawScope } from '../../utils/oscilloscope';
+import { findLandmarks } from '../../utils/measurement';
+import MUAPExplorer from './MUAPExplorer';
+import TriggerCapture from './TriggerCapture';
+import MeasurementTrace from './MeasurementTrace';
+
+const TRACE_DURATION = 2000; // ms of signal, looped by the display and speaker
+const SAMPLE_RATE = 10; // Samples per ms
+const MEASURE_SAMPLE_RATE = 20; // Samples per ms for the single-discharge measurement trace
+const MEASURE_SWEEP = 5; // ms/div
+const MEASURE_ONSET = 5; // ms - discharge placed one division in
+
+/**
+ * One discharge of a unit from the recruitment pool, with ground-truth landmarks
+ * Satellites are drawn but excluded from the landmarks - they do not count
+ * toward MUAP duration.
+ */
+function createMeasurementDischarge(recruitmentMode, poolSeed, dischargeSeed) {
+  const pool = createMotorUnitPool(recruitmentMode, { seed: poolSeed });
+  const random = createRandom(dischargeSeed);
+  const unit = pool.units[Math.floor(random() * pool.units.length)];
+  const muap = varyMUAP({
+    ...MUAP_MORPHOLOGIES[pool.morphology],
+    amplitude: unit.amplitude,
+    duration: unit.duration,
+  }, random);
+
+  const length = MEASURE_SWEEP * 10 * MEASURE_SAMPLE_RATE;
+  const sample = (params) => {
+    const data = new Float32Array(length);
+    const extent = getMUAPExtent(params);
+    for (let i = 0; i < length; i++) {
+      const t = i / MEASURE_SAMPLE_RATE - MEASURE_ONSET;
+      if (t >= 0 && t <= extent) data[i] = generateMUAP(t, params);
+    }
+    return data;
+  };
+
+  const samples = sample(muap);
+  const truth = findLandmarks(sample({ ...muap, satellite: null }), MEASURE_SAMPLE_RATE);
+  const peak = Math.abs(samples[Math.round(truth.peak * MEASURE_SAMPLE_RATE)]);
+  const unitsPerDiv = SENSITIVITIES.find(uv => uv * 3 >= peak) || SENSITIVITIES[SENSITIVITIES.length - 1];
+  return { samples, truth, unitsPerDiv };
+}
 
 /**
  * EMG Module - Interactive EMG Pattern Learning
@@ -11,19 +65,52 @@ function EMGModule() {
   const [selectedPattern, setSelectedPattern] = useState('normal');
   const [isPlaying, setIsPlaying] = useState(false);
   const [soundEnabled, setSoundEnabled] = useState(true);
+  const [traceSeed, setTraceSeed] = useState(1); // Trace # - same pattern + seed = same tracing
+  const [effort, setEffort] = useState(30); // Voluntary effort, % of maximum
+  const [recruitmentMode, setRecruitmentMode] = useState('normal');
+  const [grade, setGrade] = useState('2+'); // Fibrillation/PSW density
+  const [audioSource, setAudioSource] = useState('waveform'); // 'waveform' = hear the drawn trace, 'synthetic' = beeps
+  const [sweepSpeed, setSweepSpeed] = useState(100); // ms/div
+  const [sensitivity, setSensitivity] = useState(200); // μV/div - fixed gain, never autoscaled
+  const [displayMode, setDisplayMode] = useState('sweep');
+  const [dischargeSeed, setDischargeSeed] = useState(1); // Discharge shown for measurement
   const canvasRef = useRef(null);
+  const dataRef = useRef(null);
   const audioControlRef = useRef(null);
   const animationRef = useRef(null);
+  const clockStartRef = useRef(0);
 
   const patterns = [
-    { id: 'normal', name: 'Normal MUAP', color: '#10b981' },
+    { id: 'normal', name: 'Voluntary MUAPs', color: '#10b981' },
     { id: 'fibrillation', name: 'Fibrillation', color: '#ef4444' },
+    { id: 'psw', name: 'Positive Sharp Wave', color: '#f97316' },
+    { id: 'mixed', name: 'Fibs + PSWs (graded)', color: '#b91c1c' },
     { id: 'fasciculation', name: 'Fasciculation', color: '#f59e0b' },
     { id: 'myotonic', name: 'Myotonic Discharge', color: '#8b5cf6' },
     { id: 'crd', name: 'Complex Repetitive', color: '#ec4899' },
+    { id: 'myokymic', name: 'Myokymic Discharge', color: '#0891b2' },
+    { id: 'neuromyotonic', name: 'Neuromyotonic', color: '#6366f1' },
+    { id: 'cramp', name: 'Cramp Discharge', color: '#dc2626' },
+    { id: 'endPlateNoise', name: 'End-Plate Noise', color: '#64748b' },
+    { id: 'endPlateSpike', name: 'End-Plate Spike', color: '#14b8a6' },
+    { id: 'multiplet', name: 'Doublets / Multiplets', color: '#a855f7' },
+    { id: 'tremor', name: 'Tremor Bursts', color: '#84cc16' },
   ];
 
-  // Draw waveform to canvas
+  // Generate waveform data (kept for the speaker so audio matches the trace)
+  useEffect(() => {
+    dataRef.current = generateEMGPattern(selectedPattern, TRACE_DURATION, SAMPLE_RATE, {
+      seed: traceSeed,
+      effort,
+      recruitment: recruitmentMode,
+      grade,
+    });
+  }, [selectedPattern, traceSeed, effort, recruitmentMode, grade]);
+
+  // Synthetic audio is an idealized schedule, not the drawn trace - the sweep holds still rather than imply sync
+  const syntheticAudio = isPlaying && soundEnabled && audioSource === 'synthetic';
+
+  // Oscilloscope: static screen when stopped, live sweep on the audio clock while playing
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
@@ -37,117 +124,84 @@ function EMGModule() {
     canvas.height = rect.height * dpr;
     ctx.scale(dpr, dpr);
 
-    const width = rect.width;
-    const height = rect.height;
+    const pattern = patterns.find(p => p.id === selectedPattern);
+    const view = {
+      mode: displayMode,
+      msPerDiv: sweepSpeed,
+      uvPerDiv: sensitivity,
+      color: pattern?.color,
+    };
 
-    // Generate waveform data
-    const duration = 2000; // 2 seconds
-    const data = generateEMGPattern(selectedPattern, duration, 10);
+    // Audio clock when the speaker is on, wall clock otherwise
+    const getElapsedMs = () => {
+      const control = audioControlRef.current;
+      return control ? control.getElapsedMs() : performance.now() - clockStartRef.current;
+    };
 
-    // Find amplitude range for scaling
-    let maxAmp = 0;
-    for (let i = 0; i < data.length; i++) {
-      maxAmp = Math.max(maxAmp, Math.abs(data[i]));
-    }
+    const drawFrame = () => {
+      drawScope(ctx, rect.width, rect.height, dataRef.current, SAMPLE_RATE, { ...view, elapsedMs: getElapsedMs() });
+      animationRef.current = requestAnimationFrame(drawFrame);
+    };
 
-    // Clear canvas
-    ctx.fillStyle = '#ffffff';
-    ctx.fillRect(0, 0, width, height);
-
-    // Draw grid
-    ctx.strokeStyle = '#e2e8f0';
-    ctx.lineWidth = 1;
-
-    // Vertical grid lines (time)
-    for (let i = 0; i <= 10; i++) {
-      const x = (i / 10) * width;
-      ctx.beginPath();
-      ctx.moveTo(x, 0);
-      ctx.lineTo(x, height);
-      ctx.stroke();
+    if (isPlaying && !syntheticAudio) {
+      drawFrame();
+    } else {
+      drawScope(ctx, rect.width, rect.height, dataRef.current, SAMPLE_RATE, view);
     }
 
-    // Horizontal grid lines (amplitude)
-    for (let i = 0; i <= 6; i++) {
-      const y = (i / 6) * height;
-      ctx.beginPath();
-      ctx.moveTo(0, y);
-      ctx.lineTo(width, y);
-      ctx.stroke();
-    }
+    return () => cancelAnimationFrame(animationRef.current);
+  }, [selectedPattern, traceSeed, effort, recruitmentMode, grade, isPlaying, syntheticAudio, sweepSpeed, sensitivity, displayMode]);
 
-    // Draw baseline
-    ctx.strokeStyle = '#94a3b8';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.moveTo(0, height / 2);
-    ctx.lineTo(width, height / 2);
-    ctx.stroke();
+  const audioOptions = { seed: traceSeed, effort, recruitment: recruitmentMode, grade };
 
-    // Draw waveform
-    const pattern = patterns.find(p => p.id === selectedPattern);
-    ctx.strokeStyle = pattern?.color || '#0891b2';
-    ctx.lineWidth = 2.5;
-    ctx.beginPath();
-
-    for (let i = 0; i < data.length; i++) {
-      const x = (i / data.length) * width;
-      const y = height / 2 - (data[i] / maxAmp) * (height * 0.4);
-
-      if (i === 0) {
-        ctx.moveTo(x, y);
-      } else {
-        ctx.lineTo(x, y);
-      }
+  const stopAudio = () => {
+    if (audioControlRef.current) {
+      audioControlRef.current.stop();
+      audioControlRef.current = null;
     }
+  };
 
-    ctx.stroke();
-
-    // Draw time markers
-    ctx.fillStyle = '#475569';
-    ctx.font = '12px var(--font-mono)';
-    ctx.textAlign = 'center';
-    for (let i = 0; i <= 4; i++) {
-      const x = (i / 4) * width;
-      const time = (i / 4) * 2000;
-      ctx.fillText(`${time}ms`, x, height - 5);
-    }
-
-    // Draw amplitude markers
-    ctx.textAlign = 'right';
-    ctx.fillText(`+${Math.round(maxAmp)}μV`, width - 5, 15);
-    ctx.fillText('0μV', width - 5, height / 2 + 5);
-    ctx.fillText(`-${Math.round(maxAmp)}μV`, width - 5, height - 15);
-
-  }, [selectedPattern]);
+  const startAudio = () => {
+    if (!soundEnabled) return;
+    audioControlRef.current = audioSource === 'waveform'
+      ? playWaveform(dataRef.current, SAMPLE_RATE, { volume: 0.3 })
+      : playContinuousPattern(selectedPattern, 0, 0.3, audioOptions);
+  };
 
   // Handle play/pause
   const togglePlay = () => {
     if (isPlaying) {
-      // Stop
-      if (audioControlRef.current) {
-        audioControlRef.current.stop();
-        audioControlRef.current = null;
-      }
+      stopAudio();
       setIsPlaying(false);
     } else {
       // Start
-      if (soundEnabled) {
-        audioControlRef.current = playContinuousPattern(selectedPattern, 0, 0.3);
-      }
+      clockStartRef.current = performance.now();
+      startAudio();
       setIsPlaying(true);
 
       // Auto-stop after 10 seconds
       setTimeout(() => {
-        if (audioControlRef.current) {
-          audioControlRef.current.stop();
-          audioControlRef.current = null;
-        }
+        stopAudio();
         setIsPlaying(false);
       }, 10000);
     }
   };
 
+  // Restart audio when the trace or audio source changes mid-playback
+  useEffect(() => {
+    if (!isPlaying || !soundEnabled) return;
+    stopAudio();
+    clockStartRef.current = performance.now();
+    startAudio();
+  }, [selectedPattern, traceSeed, effort, recruitmentMode, grade, audioSource]);
+
+  // Change trace number (stops playback so audio restarts on the new schedule)
+  const changeTrace = (seed) => {
+    stopAudio();
+    setIsPlaying(false);
+    setTraceSeed(seed);
+  };
+
   // Cleanup on unmount
   useEffect(() => {
     return () => {
@@ -159,6 +213,15 @@ function EMGModule() {
 
   const metadata = getPatternMetadata(selectedPattern);
   const audioInfo = getAudioCharacteristics(selectedPattern);
+  const recruitment = getRecruitmentSummary(
+    createMotorUnitPool(recruitmentMode, { seed: traceSeed }),
+    effort
+  );
+  const recruitmentPattern = EMG_PATTERNS[RECRUITMENT_MODES[recruitmentMode].emgPattern];
+  const discharge = useMemo(
+    () => createMeasurementDischarge(recruitmentMode, traceSeed, dischargeSeed),
+    [recruitmentMode, traceSeed, dischargeSeed]
+  );
 
   return (
     <div className="container" style={{ padding: '3rem 2rem', maxWidth: '1400px' }}>
@@ -182,9 +245,7 @@ function EMGModule() {
             onClick={() => {
               setSelectedPattern(pattern.id);
               if (isPlaying) {
-                if (audioControlRef.current) {
-                  audioControlRef.current.stop();
-                }
+                stopAudio();
                 setIsPlaying(false);
               }
             }}
@@ -254,7 +315,41 @@ function EMGModule() {
           marginBottom: '1rem',
         }}>
           <h3 style={{ margin: 0 }}>Waveform Display</h3>
-          <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+            <label style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem',
+              fontSize: '0.875rem',
+              fontWeight: '600',
+              color: 'var(--text-secondary)',
+            }}>
+              Trace #
+              <input
+                type="number"
+                min="1"
+                value={traceSeed}
+                onChange={(e) => changeTrace(Math.max(1, parseInt(e.target.value) || 1))}
+                style={{ width: '90px', padding: '0.5rem' }}
+              />
+            </label>
+            <button
+              className="btn btn-secondary"
+              onClick={() => changeTrace(randomSeed())}
+              style={{ padding: '0.5rem 1rem' }}
+            >
+              <Shuffle size={18} />
+              <span>New Trace</span>
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => setAudioSource(audioSource === 'waveform' ? 'synthetic' : 'waveform')}
+              style={{ padding: '0.5rem 1rem' }}
+              title="Trace audio plays the drawn signal through the EMG speaker; synthetic plays idealized sounds"
+            >
+              <Waves size={18} />
+              <span>{audioSource === 'waveform' ? 'Trace Audio' : 'Synthetic Audio'}</span>
+            </button>
             <button
               className="btn btn-secondary"
               onClick={() => setSoundEnabled(!soundEnabled)}
@@ -284,8 +379,186 @@ function EMGModule() {
             }}
           />
         </div>
+        {syntheticAudio && (
+          <p style={{ fontSize: '0.75rem', color: 'var(--text-tertiary)', margin: '0.5rem 0 0 0' }}>
+            Sweep paused: synthetic audio plays idealized sounds that are not time-locked to this trace.
+            Switch to Trace Audio to hear exactly what is drawn.
+          </p>
+        )}
+
+        {/* Oscilloscope Settings */}
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))',
+          gap: '1rem',
+          marginTop: '1rem',
+        }}>
+          {[
+            { label: 'Sweep Speed', value: sweepSpeed, onChange: v => setSweepSpeed(parseInt(v)),
+              options: SWEEP_SPEEDS.map(ms => ({ value: ms, name: `${ms} ms/div` })) },
+            { label: 'Sensitivity', value: sensitivity, onChange: v => setSensitivity(parseInt(v)),
+              options: SENSITIVITIES.map(uv => ({ value: uv, name: uv >= 1000 ? `${uv / 1000} mV/div` : `${uv} μV/div` })) },
+            { label: 'Display', value: displayMode, onChange: setDisplayMode,
+              options: Object.entries(DISPLAY_MODES).map(([id, mode]) => ({ value: id, name: mode.name })) },
+          ].map(({ label, value, onChange, options }) => (
+            <div key={label}>
+              <label style={{
+                display: 'block',
+                fontSize: '0.875rem',
+                fontWeight: '600',
+                marginBottom: '0.5rem',
+                color: 'var(--text-secondary)',
+              }}>
+                {label}
+              </label>
+              <select value={value} onChange={(e) => onChange(e.target.value)}>
+                {options.map(option => (
+                  <option key={option.value} value={option.value}>{option.name}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+
+        {/* Voluntary Recruitment Controls */}
+        {selectedPattern === 'normal' && (
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))',
+            gap: '2rem',
+            marginTop: '1.5rem',
+          }}>
+            <div>
+              <label style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                fontSize: '0.875rem',
+                fontWeight: '600',
+                marginBottom: '0.5rem',
+                color: 'var(--text-secondary)',
+              }}>
+                <span>Voluntary Effort</span>
+                <span style={{ fontFamily: 'var(--font-mono)' }}>{effort}%</span>
+              </label>
+              <input
+                type="range"
+                min="0"
+                max="100"
+                value={effort}
+                onChange={(e) => setEffort(parseInt(e.target.value))}
+                style={{ width: '100%' }}
+              />
+            </div>
+
+            <div>
+              <label style={{
+                display: 'block',
+                fontSize: '0.875rem',
+                fontWeight: '600',
+                marginBottom: '0.5rem',
+                color: 'var(--text-secondary)',
+              }}>
+                Recruitment Pattern
+              </label>
+              <select
+                value={recruitmentMode}
+                onChange={(e) => setRecruitmentMode(e.target.value)}
+              >
+                {Object.entries(RECRUITMENT_MODES).map(([id, mode]) => (
+                  <option key={id} value={id}>{mode.name}</option>
+                ))}
+              </select>
+              <p style={{ fontSize: '0.75rem', color: 'var(--text-tertiary)', margin: '0.5rem 0 0 0' }}>
+                {recruitmentPattern.recruitment}
+              </p>
+            </div>
+
+            <table style={{ fontSize: '0.875rem' }}>
+              <tbody>
+                <tr>
+                  <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Active Units</td>
+                  <td><code>{recruitment.activeUnits} / {recruitment.totalUnits}</code></td>
+                </tr>
+                <tr>
+                  <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Fastest Firing</td>
+                  <td><code>{recruitment.fastestRate.toFixed(1)} Hz</code></td>
+                </tr>
+                <tr>
+                  <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Recruitment Ratio</td>
+                  <td><code>{recruitment.recruitmentRatio.toFixed(1)}</code></td>
+                </tr>
+                <tr>
+                  <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Recruitment Frequency</td>
+                  <td>
+                    <span className={recruitment.reducedRecruitment ? 'text-danger' : 'text-success'}>
+                      {recruitment.recruitmentFrequency.toFixed(1)} Hz
+                    </span>
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Spontaneous Activity Grade */}
+        {(selectedPattern === 'psw' || selectedPattern === 'mixed') && (
+          <div style={{ marginTop: '1.5rem' }}>
+            <label style={{
+              display: 'block',
+              fontSize: '0.875rem',
+              fontWeight: '600',
+              marginBottom: '0.5rem',
+              color: 'var(--text-secondary)',
+            }}>
+              Grade
+            </label>
+            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
+              {Object.keys(SPONTANEOUS_ACTIVITY_GRADES).map(g => (
+                <button
+                  key={g}
+                  className={`btn ${grade === g ? 'btn-primary' : 'btn-secondary'}`}
+                  onClick={() => setGrade(g)}
+                  style={{ padding: '0.5rem 1rem' }}
+                >
+                  {g}
+                </button>
+              ))}
+              <span style={{ fontSize: '0.875rem', color: 'var(--text-secondary)', marginLeft: '0.5rem' }}>
+                {SPONTANEOUS_ACTIVITY_GRADES[grade].description}
+              </span>
+            </div>
+          </div>
+        )}
       </div>
 
+      {/* Triggered capture of repeated discharges */}
+      <TriggerCapture
+        pattern={selectedPattern}
+        seed={traceSeed}
+        effort={effort}
+        recruitment={recruitmentMode}
+        grade={grade}
+        color={patterns.find(p => p.id === selectedPattern)?.color}
+      />
+
+      {/* Cursor measurement of a single discharge */}
+      <MeasurementTrace
+        title={`Measure a MUAP (${RECRUITMENT_MODES[recruitmentMode].name})`}
+        samples={discharge.samples}
+        sampleRate={MEASURE_SAMPLE_RATE}
+        msPerDiv={MEASURE_SWEEP}
+        unitsPerDiv={discharge.unitsPerDiv}
+        units="μV"
+        truth={discharge.truth}
+        tolerance={{ time: 0.5, baseline: discharge.unitsPerDiv * 0.1 }}
+        color="#10b981"
+        onModeChange={(mode) => { if (mode === 'exercise') setDischargeSeed(randomSeed()); }}
+        onNewExercise={() => setDischargeSeed(randomSeed())}
+      />
+
+      {/* Single MUAP Morphology */}
+      <MUAPExplorer />
+
       {/* Pattern Information */}
       <div style={{
         display: 'grid',
@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Waves } from 'lucide-react';
+import { referenceLimits } from '../../utils/referenceValues';
+import { simulateFWaves, chooseSweepSpeed } from '../../utils/nerveConduction';
+import { createRandom, randomSeed } from '../../utils/random';
+
+const SAMPLE_RATE = 20; // Samples per ms
+const SIMULATION_WINDOW = 100; // ms - room for slowed lower-limb F-waves
+const SENSITIVITIES = [0.1, 0.2, 0.5, 1]; // mV/div
+const REFERENCE_HEIGHT = 170; // cm - height the fWavePathLength normals are for
+
+/**
+ * F-Wave Panel - a train of supramaximal stimuli at the distal site
+ * Each trace shows the (clipped) M response followed by the F-wave from the
+ * few motor neurons that backfired. Minimum latency is compared with the
+ * limit adjusted for the patient's height (utils/referenceValues);
+ * persistence and chronodispersion with theirs.
+ */
+function FWavePanel({ nerve, normals, patient, distalDistance, distalLatency, velocity, fiberFraction, lesion }) {
+  const [stimuli, setStimuli] = useState(20);
+  const [sensitivity, setSensitivity] = useState(0.2); // mV/div
+  const [seed, setSeed] = useState(1);
+  const canvasRef = useRef(null);
+
+  const responses = useMemo(() => simulateFWaves({
+    distalDistance,
+    distalLatency,
+    velocity,
+    amplitude: normals.amplitude.typical,
+    fiberFraction,
+    lesion,
+  }, {
+    pathLength: normals.fWavePathLength * (patient.height / REFERENCE_HEIGHT),
+    stimuli,
+    random: createRandom(seed),
+  }, SIMULATION_WINDOW, SAMPLE_RATE), [normals, distalDistance, distalLatency, velocity, fiberFraction, lesion, patient.height, stimuli, seed]);
+
+  // Train statistics
+  const latencies = responses.filter(r => r.latency !== null).map(r => r.latency);
+  const persistence = (latencies.length / responses.length) * 100;
+  const minLatency = latencies.length > 0 ? Math.min(...latencies) : null;
+  const maxLatency = latencies.length > 0 ? Math.max(...latencies) : null;
+  const meanLatency = latencies.length > 0 ? latencies.reduce((sum, l) => sum + l, 0) / latencies.length : null;
+  const chronodispersion = latencies.length > 1 ? maxLatency - minLatency : null;
+  const meanAmplitude = latencies.length > 0
+    ? responses.filter(r => r.latency !== null).reduce((sum, r) => sum + r.amplitude, 0) / latencies.length
+    : null;
+  const latencyLimit = referenceLimits('motor', nerve, patient).fWaveLatency.max;
+
+  const abnormal = {
+    latency: minLatency === null || minLatency > latencyLimit,
+    persistence: persistence < normals.fWavePersistence.min,
+    chronodispersion: chronodispersion !== null && chronodispersion > normals.fWaveChronodispersion.max,
+  };
+
+  const msPerDiv = chooseSweepSpeed(Math.max(latencyLimit, maxLatency || 0) + 10);
+
+  // Raster of the train
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    ctx.scale(dpr, dpr);
+
+    const width = rect.width;
+    const canvasHeight = rect.height;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, canvasHeight);
+
+    const traceLeft = 40;
+    const traceWidth = width - traceLeft - 10;
+    const traceTop = 25;
+    const rowHeight = (canvasHeight - traceTop - 10) / responses.length;
+    const windowMs = msPerDiv * 10;
+    const pxPerMv = rowHeight / (2 * sensitivity); // 2 divisions per row
+    const toX = timeMs => traceLeft + (timeMs / windowMs) * traceWidth;
+
+    // Time grid
+    ctx.strokeStyle = '#e2e8f0';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 10; i++) {
+      const x = traceLeft + (i / 10) * traceWidth;
+      ctx.beginPath();
+      ctx.moveTo(x, traceTop);
+      ctx.lineTo(x, canvasHeight - 10);
+      ctx.stroke();
+    }
+
+    // Height-adjusted limit and minimum latency
+    const drawMarker = (timeMs, color, label) => {
+      ctx.strokeStyle = color;
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(toX(timeMs), traceTop);
+      ctx.lineTo(toX(timeMs), canvasHeight - 10);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = color;
+      ctx.font = '11px var(--font-mono)';
+      ctx.textAlign = 'center';
+      ctx.fillText(label, toX(timeMs), traceTop - 8);
+    };
+    drawMarker(latencyLimit, '#ef4444', `limit ${latencyLimit.toFixed(1)}`);
+    if (minLatency !== null) drawMarker(minLatency, '#10b981', `min ${minLatency.toFixed(1)}`);
+
+    responses.forEach((response, row) => {
+      const baseline = traceTop + (row + 0.5) * rowHeight;
+
+      // The M response runs far off scale - clip each trace to its row
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(traceLeft, baseline - rowHeight, traceWidth, rowHeight * 2);
+      ctx.clip();
+
+      ctx.strokeStyle = '#0891b2';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      const samples = Math.min(response.trace.length, windowMs * SAMPLE_RATE + 1);
+      for (let i = 0; i < samples; i++) {
+        const x = toX(i / SAMPLE_RATE);
+        const y = baseline + response.trace[i] * pxPerMv; // Negative up
+        if (i === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      }
+      ctx.stroke();
+      ctx.restore();
+
+      // F onset
+      if (response.latency !== null) {
+        ctx.fillStyle = '#ef4444';
+        ctx.fillRect(toX(response.latency) - 1, baseline + 2, 2, Math.min(8, rowHeight / 2));
+      }
+
+      ctx.fillStyle = '#94a3b8';
+      ctx.font = '10px var(--font-mono)';
+      ctx.textAlign = 'right';
+      ctx.fillText(`${row + 1}`, traceLeft - 6, baseline + 3);
+    });
+
+    ctx.fillStyle = '#475569';
+    ctx.font = '12px var(--font-mono)';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${msPerDiv} ms/div · ${sensitivity * 1000} μV/div`, traceLeft + traceWidth, 12);
+  }, [responses, msPerDiv, sensitivity, latencyLimit]);
+
+  const labelStyle = {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: '0.875rem',
+    fontWeight: '600',
+    marginBottom: '0.5rem',
+    color: 'var(--text-secondary)',
+  };
+
+  const flagged = (isAbnormal, text) => (
+    <span className={isAbnormal ? 'text-danger' : 'text-success'}>{text}</span>
+  );
+
+  return (
+    <div className="card" style={{ marginBottom: '2rem' }}>
+      <div className="card-header" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <Waves size={20} color="var(--primary-500)" />
+        F-Waves
+      </div>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+        gap: '1.5rem',
+        marginBottom: '1rem',
+        alignItems: 'end',
+      }}>
+        <div>
+          <label style={labelStyle}>
+            <span>Stimuli</span>
+            <span style={{ fontFamily: 'var(--font-mono)' }}>{stimuli}</span>
+          </label>
+          <input
+            type="range"
+            min="10"
+            max="20"
+            value={stimuli}
+            onChange={(e) => setStimuli(parseInt(e.target.value))}
+            style={{ width: '100%' }}
+          />
+        </div>
+        <div>
+          <label style={{ ...labelStyle, display: 'block' }}>Sensitivity</label>
+          <select value={sensitivity} onChange={(e) => setSensitivity(parseFloat(e.target.value))}>
+            {SENSITIVITIES.map(mv => (
+              <option key={mv} value={mv}>{mv * 1000} μV/div</option>
+            ))}
+          </select>
+        </div>
+        <button className="btn btn-primary" onClick={() => setSeed(randomSeed())}>
+          Fire Train
+        </button>
+      </div>
+
+      <div className="canvas-container">
+        <canvas
+          ref={canvasRef}
+          style={{
+            width: '100%',
+            height: '400px',
+            display: 'block',
+          }}
+        />
+      </div>
+
+      <table style={{ fontSize: '0.875rem', marginTop: '1rem' }}>
+        <tbody>
+          <tr>
+            <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Minimum Latency</td>
+            <td>{flagged(abnormal.latency, minLatency === null ? 'Absent' : `${minLatency.toFixed(1)} ms`)}</td>
+            <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Limit at {patient.height} cm</td>
+            <td><code>&lt; {latencyLimit.toFixed(1)} ms</code></td>
+          </tr>
+          <tr>
+            <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Mean Latency</td>
+            <td><code>{meanLatency === null ? '—' : `${meanLatency.toFixed(1)} ms`}</code></td>
+            <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Mean Amplitude</td>
+            <td><code>{meanAmplitude === null ? '—' : `${Math.round(meanAmplitude * 1000)} μV`}</code></td>
+          </tr>
+          <tr>
+            <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Persistence</td>
+            <td>{flagged(abnormal.persistence, `${Math.round(persistence)}% (${latencies.length}/${responses.length})`)}</td>
+            <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Normal</td>
+            <td><code>{normals.fWavePersistence.normal}</code></td>
+          </tr>
+          <tr>
+            <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Chronodispersion</td>
+            <td>{flagged(abnormal.chronodispersion, chronodispersion === null ? '—' : `${chronodispersion.toFixed(1)} ms`)}</td>
+            <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Normal</td>
+            <td><code>{normals.fWaveChronodispersion.normal}</code></td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default FWavePanel;
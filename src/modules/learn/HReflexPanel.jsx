@@ -0,0 +1,485 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Activity } from 'lucide-react';
+import {
+  MOTOR_NERVE_NORMALS,
+  H_REFLEX_NORMALS,
+  adjustForAge,
+  predictHReflexLatency,
+} from '../../utils/constants';
+import { simulateHReflex, chooseSweepSpeed } from '../../utils/nerveConduction';
+
+const SAMPLE_RATE = 20; // Samples per ms
+const SIMULATION_WINDOW = 60; // ms
+const SUPRAMAXIMAL_INTENSITY = 50; // mA - every motor axon fires
+const CURVE_STEP = 2; // mA between points of the recruitment curve
+const RAMP_INTERVAL = 150; // ms between 1 mA steps while ramping
+const SENSITIVITIES = [0.5, 1, 2, 5]; // mV/div
+const REFERENCE_HEIGHT = 170; // cm - height the pathLength normal is for
+const SIDES = ['left', 'right'];
+const SIDE_COLORS = { left: '#0891b2', right: '#8b5cf6' };
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * H-Reflex Panel - tibial nerve at the popliteal fossa, recording soleus
+ * Ramping the intensity shows the H wave appear before the M wave, peak, and
+ * then fade as antidromic collision takes over. Both legs are studied so the
+ * latency can be compared with the age/height-predicted limit and with the
+ * other side - the key measure for S1 radiculopathy.
+ */
+function HReflexPanel() {
+  const [intensity, setIntensity] = useState(15); // mA
+  const [ramping, setRamping] = useState(false);
+  const [side, setSide] = useState('left');
+  const [age, setAge] = useState(40);
+  const [height, setHeight] = useState(REFERENCE_HEIGHT); // cm
+  const [sensitivity, setSensitivity] = useState(2); // mV/div
+  const [affectedSide, setAffectedSide] = useState('none');
+  const [rootDelay, setRootDelay] = useState(2); // ms
+  const [rootBlock, setRootBlock] = useState(50); // % of the reflex volley lost
+  const traceCanvasRef = useRef(null);
+  const curveCanvasRef = useRef(null);
+
+  const normals = H_REFLEX_NORMALS.tibial;
+  const motorNormals = MOTOR_NERVE_NORMALS.tibial;
+  const { limit: latencyLimit } = predictHReflexLatency(age, height);
+
+  const studies = useMemo(() => Object.fromEntries(SIDES.map(s => [s, {
+    distalDistance: normals.distalDistance,
+    pathLength: normals.pathLength * (height / REFERENCE_HEIGHT),
+    velocity: adjustForAge(motorNormals.conductionVelocity.typical, age, 'cv'),
+    amplitude: adjustForAge(motorNormals.amplitude.typical, age, 'amplitude'),
+    rootBlock: s === affectedSide ? rootBlock / 100 : 0,
+    rootDelay: s === affectedSide ? rootDelay : 0,
+  }])), [normals, motorNormals, age, height, affectedSide, rootBlock, rootDelay]);
+
+  // Recruitment curve and summary for each side
+  const curves = useMemo(() => Object.fromEntries(SIDES.map(s => {
+    const points = [];
+    for (let mA = 0; mA <= SUPRAMAXIMAL_INTENSITY; mA += CURVE_STEP) {
+      const response = simulateHReflex(studies[s], mA / SUPRAMAXIMAL_INTENSITY, SIMULATION_WINDOW, SAMPLE_RATE);
+      points.push({ intensity: mA, ...response });
+    }
+    const hMax = points.reduce((best, p) => (p.hAmplitude > best.hAmplitude ? p : best), points[0]);
+    const mMax = Math.max(...points.map(p => p.mAmplitude));
+    return [s, {
+      points,
+      hMax: hMax.hLatency === null ? null : hMax,
+      mMax,
+      ratio: hMax.hLatency === null ? 0 : hMax.hAmplitude / mMax,
+    }];
+  })), [studies]);
+
+  const response = useMemo(
+    () => simulateHReflex(studies[side], intensity / SUPRAMAXIMAL_INTENSITY, SIMULATION_WINDOW, SAMPLE_RATE),
+    [studies, side, intensity]
+  );
+
+  // Ramp the intensity 1 mA at a time up to supramaximal
+  useEffect(() => {
+    if (!ramping) return;
+    const timer = setInterval(() => {
+      setIntensity(current => Math.min(SUPRAMAXIMAL_INTENSITY, current + 1));
+    }, RAMP_INTERVAL);
+    return () => clearInterval(timer);
+  }, [ramping]);
+
+  useEffect(() => {
+    if (intensity >= SUPRAMAXIMAL_INTENSITY) setRamping(false);
+  }, [intensity]);
+
+  // Side-to-side comparison
+  const { left, right } = curves;
+  const bothPresent = left.hMax && right.hMax;
+  const latencyDifference = bothPresent ? Math.abs(left.hMax.hLatency - right.hMax.hLatency) : null;
+  const amplitudeRatio = bothPresent
+    ? (Math.min(left.hMax.hAmplitude, right.hMax.hAmplitude) / Math.max(left.hMax.hAmplitude, right.hMax.hAmplitude)) * 100
+    : null;
+  const abnormal = {
+    latency: s => !curves[s].hMax || curves[s].hMax.hLatency > latencyLimit,
+    amplitude: s => amplitudeRatio !== null && amplitudeRatio < normals.amplitudeRatio.min &&
+      curves[s].hMax.hAmplitude < curves[s === 'left' ? 'right' : 'left'].hMax.hAmplitude,
+    ratio: s => curves[s].ratio > normals.hmRatio.max,
+    difference: latencyDifference !== null && latencyDifference > normals.sideDifference.max,
+    asymmetry: amplitudeRatio !== null && amplitudeRatio < normals.amplitudeRatio.min,
+  };
+
+  // The worse side: absent, later or smaller
+  const worseSide = (() => {
+    if (!left.hMax || !right.hMax) return !left.hMax && !right.hMax ? null : (left.hMax ? 'right' : 'left');
+    if (abnormal.difference) return left.hMax.hLatency > right.hMax.hLatency ? 'left' : 'right';
+    if (abnormal.asymmetry) return left.hMax.hAmplitude < right.hMax.hAmplitude ? 'left' : 'right';
+    return null;
+  })();
+
+  let interpretation;
+  if (!left.hMax && !right.hMax) {
+    interpretation = 'H-reflexes absent on both sides - nonspecific: seen with polyneuropathy, bilateral S1 radiculopathy and in some normal older adults.';
+  } else if (worseSide) {
+    interpretation = `Asymmetric H-reflex, ${worseSide} side ${!curves[worseSide].hMax ? 'absent' : abnormal.difference ? 'delayed' : 'reduced'} - supports a ${worseSide} S1 radiculopathy. The H-reflex cannot separate root from plexus or sciatic nerve lesions; correlate with needle EMG.`;
+  } else if (SIDES.some(s => abnormal.latency(s))) {
+    interpretation = 'Symmetric H-reflexes beyond the predicted limit - consider a polyneuropathy or check the age and height used for the prediction.';
+  } else {
+    interpretation = 'Symmetric H-reflexes within the age/height-predicted limit.';
+  }
+
+  const msPerDiv = chooseSweepSpeed(latencyLimit + 10);
+
+  // Current response
+  useEffect(() => {
+    const canvas = traceCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    ctx.scale(dpr, dpr);
+
+    const width = rect.width;
+    const canvasHeight = rect.height;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, canvasHeight);
+
+    const traceLeft = 20;
+    const traceWidth = width - traceLeft - 20;
+    const traceTop = 25;
+    const traceHeight = canvasHeight - traceTop - 10;
+    const baseline = traceTop + traceHeight / 2;
+    const windowMs = msPerDiv * 10;
+    const pxPerMv = traceHeight / (8 * sensitivity); // 8 vertical divisions
+    const toX = timeMs => traceLeft + (timeMs / windowMs) * traceWidth;
+
+    // Grid
+    ctx.strokeStyle = '#e2e8f0';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 10; i++) {
+      const x = traceLeft + (i / 10) * traceWidth;
+      ctx.beginPath();
+      ctx.moveTo(x, traceTop);
+      ctx.lineTo(x, traceTop + traceHeight);
+      ctx.stroke();
+    }
+    for (let i = 0; i <= 8; i++) {
+      const y = traceTop + (i / 8) * traceHeight;
+      ctx.beginPath();
+      ctx.moveTo(traceLeft, y);
+      ctx.lineTo(traceLeft + traceWidth, y);
+      ctx.stroke();
+    }
+
+    // Predicted latency limit
+    ctx.strokeStyle = '#ef4444';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(toX(latencyLimit), traceTop);
+    ctx.lineTo(toX(latencyLimit), traceTop + traceHeight);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#ef4444';
+    ctx.font = '11px var(--font-mono)';
+    ctx.textAlign = 'center';
+    ctx.fillText(`limit ${latencyLimit.toFixed(1)}`, toX(latencyLimit), traceTop - 8);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(traceLeft, traceTop, traceWidth, traceHeight);
+    ctx.clip();
+    ctx.strokeStyle = SIDE_COLORS[side];
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    const samples = Math.min(response.trace.length, windowMs * SAMPLE_RATE + 1);
+    for (let i = 0; i < samples; i++) {
+      const x = toX(i / SAMPLE_RATE);
+      const y = baseline + response.trace[i] * pxPerMv; // Negative up
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    }
+    ctx.stroke();
+    ctx.restore();
+
+    // Wave onsets
+    ctx.font = 'bold 12px var(--font-mono)';
+    [['M', response.mLatency], ['H', response.hLatency]].forEach(([wave, latency]) => {
+      if (latency === null) return;
+      ctx.fillStyle = '#475569';
+      ctx.fillRect(toX(latency) - 1, baseline + 4, 2, 10);
+      ctx.fillText(wave, toX(latency), baseline + 28);
+    });
+
+    ctx.fillStyle = '#475569';
+    ctx.font = '12px var(--font-mono)';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${msPerDiv} ms/div · ${sensitivity} mV/div`, traceLeft + traceWidth, 12);
+    ctx.textAlign = 'left';
+    ctx.fillText(`${capitalize(side)} · ${intensity} mA`, traceLeft, 12);
+  }, [response, side, intensity, msPerDiv, sensitivity, latencyLimit]);
+
+  // Recruitment curves
+  useEffect(() => {
+    const canvas = curveCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    ctx.scale(dpr, dpr);
+
+    const width = rect.width;
+    const canvasHeight = rect.height;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, canvasHeight);
+
+    const plotLeft = 45;
+    const plotWidth = width - plotLeft - 20;
+    const plotTop = 25;
+    const plotHeight = canvasHeight - plotTop - 35;
+    const yMax = Math.ceil(Math.max(...SIDES.map(s => curves[s].mMax)));
+    const toX = mA => plotLeft + (mA / SUPRAMAXIMAL_INTENSITY) * plotWidth;
+    const toY = mV => plotTop + plotHeight - (mV / yMax) * plotHeight;
+
+    // Axes
+    ctx.strokeStyle = '#e2e8f0';
+    ctx.lineWidth = 1;
+    ctx.fillStyle = '#94a3b8';
+    ctx.font = '10px var(--font-mono)';
+    for (let mA = 0; mA <= SUPRAMAXIMAL_INTENSITY; mA += 10) {
+      ctx.beginPath();
+      ctx.moveTo(toX(mA), plotTop);
+      ctx.lineTo(toX(mA), plotTop + plotHeight);
+      ctx.stroke();
+      ctx.textAlign = 'center';
+      ctx.fillText(`${mA}`, toX(mA), plotTop + plotHeight + 14);
+    }
+    for (let mV = 0; mV <= yMax; mV += 2) {
+      ctx.beginPath();
+      ctx.moveTo(plotLeft, toY(mV));
+      ctx.lineTo(plotLeft + plotWidth, toY(mV));
+      ctx.stroke();
+      ctx.textAlign = 'right';
+      ctx.fillText(`${mV}`, plotLeft - 6, toY(mV) + 3);
+    }
+    ctx.fillStyle = '#475569';
+    ctx.font = '11px var(--font-mono)';
+    ctx.textAlign = 'center';
+    ctx.fillText('Stimulus intensity (mA)', plotLeft + plotWidth / 2, canvasHeight - 4);
+    ctx.textAlign = 'left';
+    ctx.fillText('mV (peak-to-peak)', plotLeft, 12);
+
+    // The side on screen is solid; the other side is dashed for comparison
+    const drawCurve = (points, key, color, dashed) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = dashed ? 1.5 : 2.5;
+      ctx.setLineDash(dashed ? [5, 4] : []);
+      ctx.beginPath();
+      points.forEach((p, i) => {
+        if (i === 0) {
+          ctx.moveTo(toX(p.intensity), toY(p[key]));
+        } else {
+          ctx.lineTo(toX(p.intensity), toY(p[key]));
+        }
+      });
+      ctx.stroke();
+      ctx.setLineDash([]);
+    };
+    SIDES.filter(s => s !== side).concat(side).forEach(s => {
+      drawCurve(curves[s].points, 'mAmplitude', '#0891b2', s !== side);
+      drawCurve(curves[s].points, 'hAmplitude', '#ef4444', s !== side);
+    });
+
+    // Current intensity
+    ctx.strokeStyle = '#475569';
+    ctx.beginPath();
+    ctx.moveTo(toX(intensity), plotTop);
+    ctx.lineTo(toX(intensity), plotTop + plotHeight);
+    ctx.stroke();
+    [[response.mAmplitude, '#0891b2'], [response.hAmplitude, '#ef4444']].forEach(([mV, color]) => {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(toX(intensity), toY(mV), 4, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    // Legend
+    ctx.font = '11px var(--font-display)';
+    ctx.textAlign = 'right';
+    ctx.fillStyle = '#0891b2';
+    ctx.fillText('M wave', plotLeft + plotWidth, plotTop + 12);
+    ctx.fillStyle = '#ef4444';
+    ctx.fillText('H wave', plotLeft + plotWidth, plotTop + 26);
+    ctx.fillStyle = '#64748b';
+    ctx.fillText(`solid: ${side} · dashed: ${side === 'left' ? 'right' : 'left'}`, plotLeft + plotWidth, plotTop + 40);
+  }, [curves, side, intensity, response]);
+
+  const labelStyle = {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: '0.875rem',
+    fontWeight: '600',
+    marginBottom: '0.5rem',
+    color: 'var(--text-secondary)',
+  };
+  const headerCellStyle = { fontWeight: '600', color: 'var(--text-secondary)' };
+
+  const flagged = (isAbnormal, text) => (
+    <span className={isAbnormal ? 'text-danger' : 'text-success'}>{text}</span>
+  );
+
+  const slider = (label, value, display, min, max, onChange) => (
+    <div>
+      <label style={labelStyle}>
+        <span>{label}</span>
+        <span style={{ fontFamily: 'var(--font-mono)' }}>{display}</span>
+      </label>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        value={value}
+        onChange={(e) => onChange(parseInt(e.target.value))}
+        style={{ width: '100%' }}
+      />
+    </div>
+  );
+
+  return (
+    <div className="card" style={{ marginBottom: '2rem' }}>
+      <div className="card-header" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <Activity size={20} color="var(--primary-500)" />
+        {normals.name}
+      </div>
+      <p style={{ fontSize: '0.875rem', color: 'var(--text-secondary)', marginTop: 0 }}>
+        Stimulate at the {normals.stimulation.toLowerCase()} with the cathode proximal and record over
+        the {normals.recording.toLowerCase()}. Ramp the intensity: the H wave appears first, peaks, then
+        fades as the M wave grows.
+      </p>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+        gap: '1.5rem',
+        marginBottom: '1rem',
+        alignItems: 'end',
+      }}>
+        {slider('Stimulus Intensity', intensity, `${intensity} mA`, 0, SUPRAMAXIMAL_INTENSITY, value => {
+          setRamping(false);
+          setIntensity(value);
+        })}
+        <button
+          className="btn btn-primary"
+          onClick={() => {
+            if (!ramping) setIntensity(0);
+            setRamping(!ramping);
+          }}
+        >
+          {ramping ? 'Stop Ramp' : 'Ramp Intensity'}
+        </button>
+        <div>
+          <label style={{ ...labelStyle, display: 'block' }}>Side</label>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            {SIDES.map(s => (
+              <button
+                key={s}
+                className={`btn ${side === s ? 'btn-primary' : 'btn-secondary'}`}
+                onClick={() => setSide(s)}
+              >
+                {capitalize(s)}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div>
+          <label style={{ ...labelStyle, display: 'block' }}>Sensitivity</label>
+          <select value={sensitivity} onChange={(e) => setSensitivity(parseFloat(e.target.value))}>
+            {SENSITIVITIES.map(mv => (
+              <option key={mv} value={mv}>{mv} mV/div</option>
+            ))}
+          </select>
+        </div>
+        {slider('Patient Age', age, `${age} years`, 20, 80, setAge)}
+        {slider('Patient Height', height, `${height} cm`, 140, 200, setHeight)}
+        <div>
+          <label style={{ ...labelStyle, display: 'block' }}>S1 Radiculopathy</label>
+          <select value={affectedSide} onChange={(e) => setAffectedSide(e.target.value)}>
+            <option value="none">None</option>
+            <option value="left">Left</option>
+            <option value="right">Right</option>
+          </select>
+        </div>
+        {affectedSide !== 'none' && slider('Root Conduction Delay', rootDelay, `${rootDelay} ms`, 0, 5, setRootDelay)}
+        {affectedSide !== 'none' && slider('Reflex Volley Lost', rootBlock, `${rootBlock}%`, 0, 100, setRootBlock)}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(400px, 1fr))', gap: '1rem' }}>
+        <div className="canvas-container">
+          <canvas ref={traceCanvasRef} style={{ width: '100%', height: '280px', display: 'block' }} />
+        </div>
+        <div className="canvas-container">
+          <canvas ref={curveCanvasRef} style={{ width: '100%', height: '280px', display: 'block' }} />
+        </div>
+      </div>
+
+      <table style={{ fontSize: '0.875rem', marginTop: '1rem' }}>
+        <thead>
+          <tr>
+            <th style={{ textAlign: 'left' }}>Parameter</th>
+            <th style={{ textAlign: 'left' }}>Left</th>
+            <th style={{ textAlign: 'left' }}>Right</th>
+            <th style={{ textAlign: 'left' }}>Normal</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td style={headerCellStyle}>H Latency (at Hmax)</td>
+            {SIDES.map(s => (
+              <td key={s}>{flagged(abnormal.latency(s), curves[s].hMax ? `${curves[s].hMax.hLatency.toFixed(1)} ms` : 'Absent')}</td>
+            ))}
+            <td><code>&lt; {latencyLimit.toFixed(1)} ms (age {age}, {height} cm)</code></td>
+          </tr>
+          <tr>
+            <td style={headerCellStyle}>Hmax Amplitude</td>
+            {SIDES.map(s => (
+              <td key={s}>{flagged(abnormal.amplitude(s), curves[s].hMax ? `${curves[s].hMax.hAmplitude.toFixed(1)} mV at ${curves[s].hMax.intensity} mA` : '—')}</td>
+            ))}
+            <td><code>{normals.amplitudeRatio.normal}</code></td>
+          </tr>
+          <tr>
+            <td style={headerCellStyle}>Mmax Amplitude</td>
+            {SIDES.map(s => (
+              <td key={s}><code>{curves[s].mMax.toFixed(1)} mV</code></td>
+            ))}
+            <td><code>—</code></td>
+          </tr>
+          <tr>
+            <td style={headerCellStyle}>H/M Ratio</td>
+            {SIDES.map(s => (
+              <td key={s}>{flagged(abnormal.ratio(s), curves[s].ratio.toFixed(2))}</td>
+            ))}
+            <td><code>{normals.hmRatio.normal}</code></td>
+          </tr>
+          <tr>
+            <td style={headerCellStyle}>Side-to-Side Latency</td>
+            <td colSpan={2}>{flagged(abnormal.difference || !bothPresent, latencyDifference === null ? 'Cannot compare' : `${latencyDifference.toFixed(1)} ms`)}</td>
+            <td><code>{normals.sideDifference.normal}</code></td>
+          </tr>
+        </tbody>
+      </table>
+
+      <p style={{ fontSize: '0.875rem', margin: '1rem 0 0 0', lineHeight: '1.6' }}>
+        <strong>Interpretation:</strong> {interpretation}
+      </p>
+    </div>
+  );
+}
+
+export default HReflexPanel;
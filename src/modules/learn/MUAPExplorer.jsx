@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Layers } from 'lucide-react';
+import {
+  MUAP_MORPHOLOGIES,
+  generateMUAP,
+  getMUAPExtent,
+  varyMUAP,
+  measureMUAP,
+} from '../../utils/waveformGen';
+import { createRandom } from '../../utils/random';
+import { SENSITIVITIES } from '../../utils/oscilloscope';
+
+const WINDOW_MS = 40; // Display window
+const SAMPLE_RATE = 20; // Samples per ms
+const DIVISIONS_Y = 8; // Baseline in the middle - 4 divisions each way
+// Fixed gain so amplitude differences are visible, chosen so the largest preset peaks within 3 divisions
+const UV_PER_DIVISION = SENSITIVITIES.find(
+  uv => uv * 3 >= Math.max(...Object.values(MUAP_MORPHOLOGIES).map(m => m.amplitude))
+) || SENSITIVITIES[SENSITIVITIES.length - 1];
+const DISCHARGES = 5; // Consecutive discharges overlaid to show instability
+
+/**
+ * MUAP Explorer - parametric single motor unit morphology
+ * Shows how duration, amplitude, phases, turns, satellites and jiggle
+ * distinguish normal, reinnervated and myopathic units
+ */
+function MUAPExplorer() {
+  const [preset, setPreset] = useState('normal');
+  const [params, setParams] = useState(MUAP_MORPHOLOGIES.normal);
+  const canvasRef = useRef(null);
+
+  const selectPreset = (id) => {
+    setPreset(id);
+    setParams(MUAP_MORPHOLOGIES[id]);
+  };
+
+  const updateParam = (field, value) => {
+    setParams({ ...params, [field]: value });
+  };
+
+  // Measurements from the underlying (unvaried) unit, satellite excluded
+  const mainSamples = [];
+  for (let i = 0; i <= params.duration * SAMPLE_RATE; i++) {
+    mainSamples.push(generateMUAP(i / SAMPLE_RATE, { ...params, satellite: null }));
+  }
+  const measured = measureMUAP(mainSamples, SAMPLE_RATE);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    ctx.scale(dpr, dpr);
+
+    const width = rect.width;
+    const height = rect.height;
+    const pxPerUv = height / (DIVISIONS_Y * UV_PER_DIVISION);
+    const onsetMs = 5;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+
+    // Grid: 5 ms x UV_PER_DIVISION divisions
+    ctx.strokeStyle = '#e2e8f0';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= WINDOW_MS / 5; i++) {
+      const x = (i * 5 / WINDOW_MS) * width;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+    }
+    for (let i = 0; i <= DIVISIONS_Y; i++) {
+      const y = (i / DIVISIONS_Y) * height;
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+      ctx.stroke();
+    }
+
+    // Overlay consecutive discharges; stable units superimpose exactly
+    const random = createRandom(7);
+    for (let d = 0; d < DISCHARGES; d++) {
+      const muap = varyMUAP(params, random);
+      const extent = Math.min(WINDOW_MS - onsetMs, getMUAPExtent(muap));
+
+      ctx.strokeStyle = d === DISCHARGES - 1 ? '#10b981' : 'rgba(16, 185, 129, 0.35)';
+      ctx.lineWidth = d === DISCHARGES - 1 ? 2.5 : 1.5;
+      ctx.beginPath();
+      ctx.moveTo(0, height / 2);
+      for (let i = 0; i <= extent * SAMPLE_RATE; i++) {
+        const timeMs = onsetMs + i / SAMPLE_RATE;
+        const x = (timeMs / WINDOW_MS) * width;
+        const y = height / 2 - generateMUAP(i / SAMPLE_RATE, muap) * pxPerUv;
+        ctx.lineTo(x, y);
+      }
+      ctx.lineTo(width, height / 2);
+      ctx.stroke();
+    }
+
+    ctx.fillStyle = '#475569';
+    ctx.font = '12px var(--font-mono)';
+    ctx.textAlign = 'right';
+    ctx.fillText(`5 ms/div · ${UV_PER_DIVISION} μV/div`, width - 5, 15);
+  }, [params]);
+
+  const sliders = [
+    { field: 'duration', label: 'Duration (ms)', min: 3, max: 30, step: 0.5 },
+    { field: 'amplitude', label: 'Amplitude (μV)', min: 100, max: UV_PER_DIVISION * (DIVISIONS_Y / 2), step: 50 },
+    { field: 'phases', label: 'Phases', min: 2, max: 10, step: 1 },
+    { field: 'turns', label: 'Turns (serrations)', min: 0, max: 6, step: 1 },
+    { field: 'riseTime', label: 'Rise Time (ms)', min: 0.2, max: 5, step: 0.1 },
+    { field: 'jiggle', label: 'Jiggle (instability)', min: 0, max: 0.5, step: 0.05 },
+  ];
+
+  return (
+    <div className="card" style={{ marginBottom: '2rem' }}>
+      <div className="card-header" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <Layers size={20} color="var(--primary-500)" />
+        MUAP Morphology
+      </div>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(350px, 1fr))',
+        gap: '2rem',
+      }}>
+        <div>
+          <div className="canvas-container">
+            <canvas
+              ref={canvasRef}
+              style={{
+                width: '100%',
+                height: '300px',
+                display: 'block',
+              }}
+            />
+          </div>
+          <table style={{ fontSize: '0.875rem', marginTop: '1rem' }}>
+            <tbody>
+              <tr>
+                <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Measured Duration</td>
+                <td><code>{measured.duration.toFixed(1)} ms</code></td>
+                <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Amplitude (p-p)</td>
+                <td><code>{Math.round(measured.amplitude)} μV</code></td>
+              </tr>
+              <tr>
+                <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Phases</td>
+                <td>
+                  <span className={measured.phases > 4 ? 'text-danger' : 'text-success'}>
+                    {measured.phases}
+                  </span>
+                </td>
+                <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Turns</td>
+                <td><code>{measured.turns}</code></td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+          <div>
+            <label style={{
+              display: 'block',
+              fontSize: '0.875rem',
+              fontWeight: '600',
+              marginBottom: '0.5rem',
+              color: 'var(--text-secondary)',
+            }}>
+              Preset
+            </label>
+            <select value={preset} onChange={(e) => selectPreset(e.target.value)}>
+              {Object.entries(MUAP_MORPHOLOGIES).map(([id, morphology]) => (
+                <option key={id} value={id}>{morphology.name}</option>
+              ))}
+            </select>
+          </div>
+
+          {sliders.map(({ field, label, min, max, step }) => (
+            <div key={field}>
+              <label style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                fontSize: '0.875rem',
+                fontWeight: '600',
+                marginBottom: '0.25rem',
+                color: 'var(--text-secondary)',
+              }}>
+                <span>{label}</span>
+                <span style={{ fontFamily: 'var(--font-mono)' }}>{params[field]}</span>
+              </label>
+              <input
+                type="range"
+                min={min}
+                max={max}
+                step={step}
+                value={params[field]}
+                onChange={(e) => updateParam(field, parseFloat(e.target.value))}
+                style={{ width: '100%' }}
+              />
+            </div>
+          ))}
+
+          <label style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem',
+            fontSize: '0.875rem',
+            fontWeight: '600',
+            color: 'var(--text-secondary)',
+          }}>
+            <input
+              type="checkbox"
+              checked={!!params.satellite}
+              onChange={(e) => updateParam(
+                'satellite',
+                e.target.checked
+                  ? { delay: params.duration + 8, amplitude: params.amplitude * 0.15, duration: 2 }
+                  : null
+              )}
+              style={{ width: 'auto' }}
+            />
+            Late satellite potential
+          </label>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MUAPExplorer;
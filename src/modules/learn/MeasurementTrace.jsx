@@ -0,0 +1,357 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Ruler, CheckCircle, XCircle } from 'lucide-react';
+import { MARKERS, measureMarkers, scoreMarkers } from '../../utils/measurement';
+
+const DIVISIONS_X = 10;
+const DIVISIONS_Y = 8;
+const GRAB_DISTANCE = 8; // px - how close a pointer must be to pick up a marker
+
+/**
+ * Starting markers for an exercise - deliberately away from the answer
+ */
+function exerciseStart(windowMs, unitsPerDiv) {
+  return {
+    onset: windowMs * 0.1,
+    peak: windowMs * 0.2,
+    end: windowMs * 0.3,
+    baseline: unitsPerDiv,
+  };
+}
+
+/**
+ * Measurement Trace - a single waveform with draggable measurement cursors
+ * Measure mode starts the cursors on the generator's landmarks for the learner
+ * to inspect and adjust; exercise mode hides the values until the learner has
+ * placed every cursor, then grades them against the landmarks.
+ * onModeChange lets the parent swap in an unseen trace for the exercise.
+ */
+function MeasurementTrace({
+  title,
+  samples,
+  sampleRate,
+  msPerDiv,
+  unitsPerDiv,
+  units = 'μV',
+  truth,
+  tolerance,
+  negativeUp = false,
+  stimulusMs = 0,
+  color = '#0891b2',
+  onModeChange,
+  onNewExercise,
+}) {
+  const [mode, setMode] = useState('measure'); // 'measure' or 'exercise'
+  const [markers, setMarkers] = useState(truth);
+  const [dragging, setDragging] = useState(null);
+  const [checked, setChecked] = useState(false);
+  const canvasRef = useRef(null);
+
+  const windowMs = msPerDiv * DIVISIONS_X;
+
+  // New trace or mode: re-place the cursors
+  useEffect(() => {
+    setMarkers(mode === 'measure' ? truth : exerciseStart(windowMs, unitsPerDiv));
+    setChecked(false);
+  }, [samples, mode]);
+
+  // Screen mapping (negative-up flips the vertical axis)
+  const geometry = (rect) => {
+    const pxPerUnit = rect.height / (DIVISIONS_Y * unitsPerDiv);
+    const sign = negativeUp ? -1 : 1;
+    return {
+      toX: timeMs => (timeMs / windowMs) * rect.width,
+      toY: value => rect.height / 2 - sign * value * pxPerUnit,
+      toTime: x => Math.min(windowMs, Math.max(0, (x / rect.width) * windowMs)),
+      toValue: y => (rect.height / 2 - y) / (sign * pxPerUnit),
+    };
+  };
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    ctx.scale(dpr, dpr);
+
+    const width = rect.width;
+    const height = rect.height;
+    const { toX, toY } = geometry(rect);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+
+    // Grid
+    ctx.strokeStyle = '#e2e8f0';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= DIVISIONS_X; i++) {
+      const x = (i / DIVISIONS_X) * width;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+    }
+    for (let i = 0; i <= DIVISIONS_Y; i++) {
+      const y = (i / DIVISIONS_Y) * height;
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+      ctx.stroke();
+    }
+
+    // Waveform
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    const lastIndex = Math.min(samples.length, Math.floor(windowMs * sampleRate));
+    for (let i = 0; i < lastIndex; i++) {
+      const x = toX(i / sampleRate);
+      const y = Math.min(height, Math.max(0, toY(samples[i])));
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    }
+    ctx.stroke();
+
+    const drawMarkers = (positions, dashed) => {
+      ctx.setLineDash(dashed ? [4, 4] : []);
+      ctx.lineWidth = dashed ? 1.5 : 2;
+      ctx.font = '11px var(--font-mono)';
+      ctx.textAlign = 'center';
+      Object.entries(MARKERS).forEach(([id, marker]) => {
+        ctx.strokeStyle = dashed ? '#64748b' : marker.color;
+        ctx.beginPath();
+        if (id === 'baseline') {
+          const y = toY(positions.baseline);
+          ctx.moveTo(0, y);
+          ctx.lineTo(width, y);
+        } else {
+          const x = toX(positions[id]);
+          ctx.moveTo(x, 0);
+          ctx.lineTo(x, height);
+        }
+        ctx.stroke();
+
+        if (!dashed) {
+          ctx.fillStyle = marker.color;
+          if (id === 'baseline') {
+            ctx.textAlign = 'left';
+            ctx.fillText(marker.name, 5, toY(positions.baseline) - 4);
+            ctx.textAlign = 'center';
+          } else {
+            ctx.fillText(marker.name, toX(positions[id]), 12);
+          }
+        }
+      });
+      ctx.setLineDash([]);
+    };
+
+    if (checked) drawMarkers(truth, true);
+    drawMarkers(markers, false);
+
+    ctx.fillStyle = '#475569';
+    ctx.font = '12px var(--font-mono)';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${msPerDiv} ms/div · ${unitsPerDiv} ${units}/div`, width - 5, height - 5);
+  }, [samples, markers, checked, msPerDiv, unitsPerDiv, color]);
+
+  // Pointer position in canvas coordinates
+  const pointerPosition = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { rect, x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const handlePointerDown = (e) => {
+    if (checked) return;
+    const { rect, x, y } = pointerPosition(e);
+    const { toX, toY } = geometry(rect);
+
+    let nearest = null;
+    let nearestDistance = GRAB_DISTANCE;
+    Object.keys(MARKERS).forEach(id => {
+      const distance = id === 'baseline'
+        ? Math.abs(y - toY(markers.baseline))
+        : Math.abs(x - toX(markers[id]));
+      if (distance <= nearestDistance) {
+        nearest = id;
+        nearestDistance = distance;
+      }
+    });
+
+    if (nearest) {
+      e.currentTarget.setPointerCapture(e.pointerId);
+      setDragging(nearest);
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragging) return;
+    const { rect, x, y } = pointerPosition(e);
+    const { toTime, toValue } = geometry(rect);
+    setMarkers({
+      ...markers,
+      [dragging]: dragging === 'baseline' ? toValue(y) : toTime(x),
+    });
+  };
+
+  const measured = measureMarkers(samples, sampleRate, markers, stimulusMs);
+  const score = checked ? scoreMarkers(markers, truth, tolerance) : null;
+  const showValues = mode === 'measure' || checked;
+  const formatValue = value => (units === 'mV' ? value.toFixed(2) : value.toFixed(0));
+  const formatMarker = (id, value) => (id === 'baseline' ? `${formatValue(value)} ${units}` : `${value.toFixed(2)} ms`);
+
+  const readouts = [
+    { label: 'Onset Latency', value: `${measured.onsetLatency.toFixed(2)} ms` },
+    { label: 'Peak Latency', value: `${measured.peakLatency.toFixed(2)} ms` },
+    { label: 'Duration', value: `${measured.duration.toFixed(2)} ms` },
+    { label: 'Amplitude (baseline-peak)', value: `${formatValue(measured.amplitude)} ${units}` },
+    { label: 'Amplitude (peak-peak)', value: `${formatValue(measured.peakToPeak)} ${units}` },
+    { label: 'Area', value: `${measured.area.toFixed(units === 'mV' ? 1 : 0)} ${units}·ms` },
+  ];
+
+  return (
+    <div className="card" style={{ marginBottom: '2rem' }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: '1rem',
+      }}>
+        <h3 style={{ margin: 0, display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <Ruler size={20} color="var(--primary-500)" />
+          {title}
+        </h3>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          {['measure', 'exercise'].map(m => (
+            <button
+              key={m}
+              className={`btn ${mode === m ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={() => {
+                setMode(m);
+                if (onModeChange) onModeChange(m);
+              }}
+              style={{ padding: '0.5rem 1rem' }}
+            >
+              {m === 'measure' ? 'Measure' : 'Exercise'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <p style={{ fontSize: '0.875rem', color: 'var(--text-secondary)', margin: '0 0 1rem 0' }}>
+        {mode === 'measure'
+          ? 'Drag the onset, peak and end cursors horizontally and the baseline vertically.'
+          : 'Place all four cursors yourself, then check them against the answer.'}
+      </p>
+
+      <div className="canvas-container">
+        <canvas
+          ref={canvasRef}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={() => setDragging(null)}
+          style={{
+            width: '100%',
+            height: '300px',
+            display: 'block',
+            cursor: dragging ? 'grabbing' : 'crosshair',
+            touchAction: 'none',
+          }}
+        />
+      </div>
+
+      {showValues && (
+        <table style={{ fontSize: '0.875rem', marginTop: '1rem' }}>
+          <tbody>
+            {[0, 2, 4].map(i => (
+              <tr key={i}>
+                {readouts.slice(i, i + 2).map(({ label, value }) => (
+                  <React.Fragment key={label}>
+                    <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>{label}</td>
+                    <td><code>{value}</code></td>
+                  </React.Fragment>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {mode === 'exercise' && !checked && (
+        <button
+          className="btn btn-primary"
+          onClick={() => setChecked(true)}
+          style={{ marginTop: '1rem' }}
+        >
+          Check Markers
+        </button>
+      )}
+
+      {score && (
+        <div style={{
+          marginTop: '1rem',
+          padding: '1rem',
+          borderRadius: 'var(--radius-lg)',
+          background: score.score >= 75 ? '#d1fae5' : '#fee2e2',
+          border: `2px solid ${score.score >= 75 ? '#10b981' : '#ef4444'}`,
+        }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '1rem' }}>
+            {score.score >= 75 ? <CheckCircle size={28} color="#10b981" /> : <XCircle size={28} color="#ef4444" />}
+            <h3 style={{ margin: 0 }}>Score: {score.score}%</h3>
+          </div>
+          <table style={{ fontSize: '0.875rem' }}>
+            <thead>
+              <tr>
+                <th>Marker</th>
+                <th>Yours</th>
+                <th>Answer</th>
+                <th>Error</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(MARKERS).map(([id, marker]) => {
+                const { error, credit } = score.results[id];
+                return (
+                  <tr key={id}>
+                    <td style={{ fontWeight: '600', color: marker.color }}>{marker.name}</td>
+                    <td><code>{formatMarker(id, markers[id])}</code></td>
+                    <td><code>{formatMarker(id, truth[id])}</code></td>
+                    <td><code>{error >= 0 ? '+' : ''}{formatMarker(id, error)}</code></td>
+                    <td>
+                      <span className={`badge ${credit === 1 ? 'badge-success' : credit > 0 ? 'badge-warning' : 'badge-danger'}`}>
+                        {credit === 1 ? 'Correct' : credit > 0 ? 'Close' : 'Missed'}
+                      </span>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', margin: '0.75rem 0 0 0' }}>
+            Dashed lines show the answer. Tolerance: ±{tolerance.time} ms for time cursors,
+            ±{formatValue(tolerance.baseline)} {units} for the baseline.
+          </p>
+          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem' }}>
+            <button className="btn btn-secondary" onClick={() => setChecked(false)}>
+              Try Again
+            </button>
+            {onNewExercise && (
+              <button className="btn btn-primary" onClick={onNewExercise}>
+                New Exercise
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MeasurementTrace;
@@ -1,28 +1,125 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Zap, TrendingUp } from 'lucide-react';
-import { MOTOR_NERVE_NORMALS, SENSORY_NERVE_NORMALS, PATHOLOGY_PATTERNS } from '../../utils/constants';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Zap, TrendingUp, Ruler } from 'lucide-react';
+import {
+  MOTOR_NERVE_NORMALS,
+  SENSORY_NERVE_NORMALS,
+  PATHOLOGY_PATTERNS,
+  CONDUCTION_BLOCK_CRITERIA,
+  INCHING_CRITERIA,
+  expectedStudyValues,
+} from '../../utils/constants';
+import {
+  FIBER_POPULATIONS,
+  simulateStudy,
+  stimulusLevels,
+  assessConductionBlock,
+  chooseSweepSpeed,
+  chooseSensitivity,
+} from '../../utils/nerveConduction';
+import { findLandmarks, measureMarkers } from '../../utils/measurement';
+import { STANDARD_PATIENT, referenceLimits, formatLimit } from '../../utils/referenceValues';
+import { createRandom, randomSeed } from '../../utils/random';
+import MeasurementTrace from './MeasurementTrace';
+import FWavePanel from './FWavePanel';
+import HReflexPanel from './HReflexPanel';
+import AnomalyPanel from './AnomalyPanel';
+import ComparisonPanel from './ComparisonPanel';
+import SideComparisonPanel from './SideComparisonPanel';
+
+const SAMPLE_RATE = 20; // Samples per ms
+const SIMULATION_WINDOW = 100; // ms - long enough for Erb's point; the display window is chosen afterwards
+const LESION_LENGTH = 20; // mm - default focal lesion
+const INCHING_START = 30; // mm - closest inching point to the recording electrode
+const LESION_SITES = {
+  none: 'None',
+  focal: 'Focal',
+  diffuse: 'Diffuse (whole nerve)',
+};
+const DEFAULT_AGE = 40; // years
+const DEFAULT_TEMPERATURE = 33; // °C limb temperature
+const SINGLE_SITE_VELOCITY = 55; // m/s - nerves studied from one site have no segment to measure, but the simulation needs one
+const STIMULUS_DURATIONS = [0.05, 0.1, 0.2, 0.5, 1.0]; // ms
+const MAX_INTENSITY = 100; // mA - stimulator limit
+const STIMULUS_STATUS = {
+  submaximal: { label: 'Submaximal', badge: 'badge-danger' },
+  maximal: { label: 'Maximal', badge: 'badge-warning' },
+  supramaximal: { label: 'Supramaximal', badge: 'badge-success' },
+};
+const FINDING_BADGES = {
+  normal: 'badge-success',
+  block: 'badge-danger',
+  dispersion: 'badge-warning',
+  info: 'badge-info',
+};
+
+/**
+ * Positions of the stimulation sites, mm from the recording electrode
+ */
+const cumulative = distances => distances.reduce((positions, d) => [...positions, (positions[positions.length - 1] || 0) + d], []);
+
+/**
+ * Slider settings for a pattern's expected values - latency in 0.1 ms, velocity in whole m/s
+ */
+const sliderValues = (pattern, nerveType, nerve, age) => {
+  const expected = expectedStudyValues(pattern, nerveType, nerve, age);
+  return {
+    distalLatency: Math.round(expected.distalLatency * 10) / 10,
+    velocity: expected.velocity === null ? SINGLE_SITE_VELOCITY : Math.round(expected.velocity),
+  };
+};
+
+/**
+ * Segmental pathology a pattern starts with, placed on the current nerve
+ * The pattern's `segmental` site is 'segment' (midway between the first two sites),
+ * 'distal' (between the first site and the recording electrode) or 'diffuse'; blocked
+ * and slowed are fractions of fibers, slowing the velocity reduction of the slowed ones.
+ * @param {string} pattern - PATHOLOGY_PATTERNS key
+ * @param {number[]} positions - Stimulation sites, mm from the recording electrode
+ */
+const lesionFor = (pattern, positions) => {
+  const segmental = PATHOLOGY_PATTERNS[pattern].segmental;
+  const lesion = { site: 'none', position: positions[0] / 2, length: LESION_LENGTH, blocked: 0, slowed: 0, slowing: 0 };
+  if (!segmental) return lesion;
+
+  const { site, ...pathology } = segmental;
+  if (site === 'diffuse') return { ...lesion, ...pathology, site: 'diffuse' };
+  const position = site === 'segment' && positions.length > 1 ? (positions[0] + positions[1]) / 2 : positions[0] / 2;
+  return { ...lesion, ...pathology, site: 'focal', position };
+};
 
 /**
  * NCV Module - Interactive Nerve Conduction Studies
- * Features fixed scaling and proper waveform centering
+ * Responses are synthesized from a fiber population (utils/nerveConduction)
+ * and drawn on a true ms time base. Any number of stimulation sites can be
+ * compared segment by segment, or one segment inched in 1-2 cm steps.
  */
 function NCVModule() {
+  const [studyMode, setStudyMode] = useState('conduction'); // 'conduction' | 'hReflex'
   const [nerveType, setNerveType] = useState('motor');
   const [selectedNerve, setSelectedNerve] = useState('median');
   const [pattern, setPattern] = useState('normal');
-  const [distance, setDistance] = useState(200); // mm
-  const [distalLatency, setDistalLatency] = useState(3.5); // ms
-  const [proximalLatency, setProximalLatency] = useState(7.8); // ms
-  
+  const [distances, setDistances] = useState(MOTOR_NERVE_NORMALS.median.stimulationSites.map(s => s.distance)); // mm
+  const [age, setAge] = useState(DEFAULT_AGE); // years
+  const [height, setHeight] = useState(STANDARD_PATIENT.height); // cm
+  const [temperature, setTemperature] = useState(DEFAULT_TEMPERATURE); // °C
+  const [side, setSide] = useState(STANDARD_PATIENT.side);
+  const [distalLatency, setDistalLatency] = useState(() => sliderValues('normal', 'motor', 'median', DEFAULT_AGE).distalLatency); // ms
+  const [velocity, setVelocity] = useState(() => sliderValues('normal', 'motor', 'median', DEFAULT_AGE).velocity); // m/s
+  const [lesion, setLesion] = useState(lesionFor('normal', cumulative(distances)));
+  const [inchingSegment, setInchingSegment] = useState(-1); // Index of the segment being inched, -1 = off
+  const [inchingStep, setInchingStep] = useState(INCHING_CRITERIA.steps[0]); // mm
+  const [measureSite, setMeasureSite] = useState(0);
+  const [exerciseSeed, setExerciseSeed] = useState(null); // Set while measuring an unseen response
+  const [manualStimulus, setManualStimulus] = useState(false); // false = every site ideally supramaximal
+  const [intensity, setIntensity] = useState(20); // mA
+  const [duration, setDuration] = useState(0.2); // ms
+
   const canvasRef = useRef(null);
 
   const motorNerves = Object.keys(MOTOR_NERVE_NORMALS);
   const sensoryNerves = Object.keys(SENSORY_NERVE_NORMALS);
   const patternList = Object.keys(PATHOLOGY_PATTERNS);
 
-  // Calculate conduction velocity
-  const conductionVelocity = distance / (proximalLatency - distalLatency);
-
   // Get normal values
   const getNormals = () => {
     if (nerveType === 'motor') {
@@ -34,19 +131,213 @@ function NCVModule() {
 
   const normals = getNormals();
 
+  // Limits adjusted for this patient - the same service flags reports and cases
+  const patient = useMemo(() => ({ age, height, temperature, side }), [age, height, temperature, side]);
+  const limits = referenceLimits(nerveType, selectedNerve, patient);
+
   // Check if value is abnormal
   const isAbnormal = (value, type) => {
-    if (!normals) return false;
-    
+    if (!limits) return false;
+
     if (type === 'cv') {
-      return value < normals.conductionVelocity.min;
+      return limits.velocity !== null && value < limits.velocity.min;
     } else if (type === 'latency') {
-      const maxLatency = nerveType === 'motor' ? normals.distalLatency.max : normals.peakLatency.max;
-      return distalLatency > maxLatency;
+      return value > limits.latency.max;
+    } else if (type === 'amplitude') {
+      return value < limits.amplitude.min;
     }
     return false;
   };
 
+  // Pattern, nerve and age set the sliders to the expected values; the user may move them on
+  const applyExpected = (nextPattern, type, nerve, nextAge) => {
+    const values = sliderValues(nextPattern, type, nerve, nextAge);
+    setDistalLatency(values.distalLatency);
+    setVelocity(values.velocity);
+  };
+
+  // Switching nerves loads its stimulation sites and places the pattern's lesion on it
+  const selectNerve = (type, nerve) => {
+    const nerveNormals = (type === 'motor' ? MOTOR_NERVE_NORMALS : SENSORY_NERVE_NORMALS)[nerve];
+    const siteDistances = nerveNormals.stimulationSites.map(s => s.distance);
+    setNerveType(type);
+    setSelectedNerve(nerve);
+    setDistances(siteDistances);
+    applyExpected(pattern, type, nerve, age);
+    setLesion(lesionFor(pattern, cumulative(siteDistances)));
+    setInchingSegment(-1);
+    setMeasureSite(0);
+  };
+
+  const sites = normals.stimulationSites;
+  const sitePositions = cumulative(distances);
+  const nerveLength = sitePositions[sitePositions.length - 1];
+
+  // Stimulation points: the nerve's sites, or short steps across one segment
+  const stimulation = useMemo(() => {
+    if (inchingSegment < 0) {
+      return sites.map((site, i) => ({ label: site.name, position: sitePositions[i], site }));
+    }
+
+    const end = sitePositions[inchingSegment];
+    const start = inchingSegment > 0 ? sitePositions[inchingSegment - 1] : INCHING_START;
+    const points = [];
+    for (let position = start; position < end; position += inchingStep) points.push(position);
+    points.push(end);
+    return points.map(position => ({
+      label: position === end
+        ? sites[inchingSegment].name
+        : `${sites[inchingSegment].name} −${end - position} mm`,
+      position,
+      // Steps are superficial, like the site they lead to, but only the site itself spreads
+      site: position === end ? sites[inchingSegment] : { threshold: sites[inchingSegment].threshold },
+    }));
+  }, [selectedNerve, nerveType, distances, inchingSegment, inchingStep]);
+
+  // Responses synthesized from the fiber population
+  const population = FIBER_POPULATIONS[nerveType];
+  const patternData = PATHOLOGY_PATTERNS[pattern];
+  const expected = expectedStudyValues(pattern, nerveType, selectedNerve, age);
+  const fiberFraction = expected.fiberFraction;
+  const expectedSliders = sliderValues(pattern, nerveType, selectedNerve, age);
+  const offExpected = distalLatency !== expectedSliders.distalLatency || velocity !== expectedSliders.velocity;
+
+  // Anomalous innervation shows in the motor study of the nerve it involves
+  const anomalyData = nerveType === 'motor' && patternData.anomaly ? patternData.anomaly[selectedNerve] : null;
+  const anomaly = useMemo(() => {
+    if (!anomalyData) return null;
+    const route = anomalyData.route && MOTOR_NERVE_NORMALS[anomalyData.route];
+    return {
+      fraction: anomalyData.fraction,
+      present: anomalyData.present,
+      position: anomalyData.junction === 'hand' ? 0 : (sitePositions[0] + sitePositions[1]) / 2,
+      volumeConducted: anomalyData.volumeConducted,
+      distalLatency: route ? (route.distalLatency.min + route.distalLatency.max) / 2 : null,
+    };
+  }, [anomalyData, distances]);
+
+  const study = useMemo(() => simulateStudy(nerveType, {
+    distalDistance: sitePositions[0],
+    distalLatency,
+    velocity,
+    positions: stimulation.map(s => s.position),
+    amplitude: normals.amplitude.typical,
+    fiberFraction,
+    lesion: lesion.site === 'none' ? null : lesion,
+    stimulus: manualStimulus ? { intensity, duration } : null,
+    sites: stimulation.map(s => s.site),
+    anomaly,
+  }, SIMULATION_WINDOW, SAMPLE_RATE), [nerveType, selectedNerve, fiberFraction, lesion, stimulation, distalLatency, velocity, manualStimulus, intensity, duration, anomaly]);
+
+  // The distal two sites on this side and, for the side-to-side comparison, on an unaffected side
+  const sidePositions = useMemo(() => sitePositions.slice(0, 2), [distances]);
+  const sideStudy = useMemo(() => ({
+    distalLatency,
+    velocity,
+    amplitude: normals.amplitude.typical,
+    fiberFraction,
+    lesion: lesion.site === 'none' ? null : lesion,
+  }), [selectedNerve, nerveType, distalLatency, velocity, fiberFraction, lesion]);
+  const normalSideStudy = useMemo(() => ({
+    ...sliderValues('normal', nerveType, selectedNerve, age),
+    amplitude: normals.amplitude.typical,
+    fiberFraction: expectedStudyValues('normal', nerveType, selectedNerve, age).fiberFraction,
+    lesion: null,
+  }), [selectedNerve, nerveType, age]);
+
+  // Landmarks and measurements of each response; the artifact is shown but not measured
+  const responses = study.responses.map(({ trace, onset, artifact, recruited, spread }, i) => {
+    const truth = findLandmarks(trace, SAMPLE_RATE, { endAt: 'phase', onset });
+    const levels = stimulusLevels(stimulation[i].site.threshold, duration);
+    const status = recruited < 1 ? 'submaximal' : intensity < levels.supramaximal ? 'maximal' : 'supramaximal';
+    return {
+      ...stimulation[i],
+      trace: artifact ? trace.map((v, j) => v + artifact[j]) : trace,
+      truth,
+      recruited,
+      spread,
+      supramaximal: levels.supramaximal,
+      status: manualStimulus ? status : 'supramaximal',
+      ...measureMarkers(trace, SAMPLE_RATE, truth),
+    };
+  });
+  const msPerDiv = chooseSweepSpeed(Math.max(...responses.map(r => r.truth.end)) + population.unitDuration);
+  const unitsPerDiv = chooseSensitivity(Math.max(...responses.map(r => r.amplitude)));
+
+  // Segment by segment (or step by step when inching) between neighbouring sites
+  const segments = responses.slice(1).map((response, i) => {
+    const previous = responses[i];
+    const distance = response.position - previous.position;
+    const conducted = response.amplitude > 0 && previous.amplitude > 0;
+    const latencyDifference = conducted ? response.onsetLatency - previous.onsetLatency : null;
+    return {
+      name: `${previous.label} – ${response.label}`,
+      distance,
+      latencyDifference,
+      velocity: conducted ? distance / latencyDifference : null,
+      latencyPerCm: conducted ? latencyDifference / (distance / 10) : null,
+      ...assessConductionBlock(previous, response, nerveType),
+    };
+  });
+  const slowest = segments.reduce(
+    (worst, segment) => (segment.velocity !== null && (!worst || segment.velocity < worst.velocity) ? segment : worst),
+    null
+  );
+  const largestStep = segments.reduce(
+    (worst, segment) => (segment.latencyPerCm !== null && (!worst || segment.latencyPerCm > worst.latencyPerCm) ? segment : worst),
+    null
+  );
+
+  /**
+   * Step finding against the inching criteria
+   */
+  const inchingFinding = segment => {
+    if (segment.latencyPerCm === null || segment.amplitudeDrop > INCHING_CRITERIA.amplitudeDrop) {
+      return { label: 'Focal block', severity: 'block' };
+    }
+    if (segment.latencyPerCm > INCHING_CRITERIA.latencyPerCm) {
+      return { label: 'Focal slowing', severity: 'dispersion' };
+    }
+    return { label: 'Normal step', severity: 'normal' };
+  };
+
+  // Response for cursor measurement: the selected site, or an unseen one in exercise mode
+  const measureIndex = Math.min(measureSite, responses.length - 1);
+  const measurement = useMemo(() => {
+    if (exerciseSeed === null) {
+      const response = responses[measureIndex];
+      return {
+        samples: response.trace.slice(0, msPerDiv * 10 * SAMPLE_RATE),
+        msPerDiv,
+        unitsPerDiv,
+        truth: response.truth,
+      };
+    }
+
+    const random = createRandom(exerciseSeed);
+    const latency = 2 + random() * 6;
+    const exerciseMsPerDiv = chooseSweepSpeed(latency + population.unitDuration * 2);
+    const amplitude = normals.amplitude.typical * (0.2 + random());
+    const exercise = simulateStudy(nerveType, {
+      distalDistance: sitePositions[0],
+      distalLatency: latency,
+      velocity,
+      positions: [sitePositions[0]],
+      amplitude,
+    }, exerciseMsPerDiv * 10, SAMPLE_RATE).responses[0];
+
+    return {
+      samples: exercise.trace,
+      msPerDiv: exerciseMsPerDiv,
+      unitsPerDiv: chooseSensitivity(amplitude),
+      truth: findLandmarks(exercise.trace, SAMPLE_RATE, { endAt: 'phase', onset: exercise.onset }),
+    };
+  }, [study, measureIndex, msPerDiv, unitsPerDiv, exerciseSeed]);
+
+  // Trace rows shrink when inching produces many responses
+  const rowHeight = responses.length > 4 ? 45 : 110;
+  const canvasHeight = 240 + responses.length * rowHeight;
+
   // Draw NCV visualization
   useEffect(() => {
     const canvas = canvasRef.current;
@@ -68,30 +359,58 @@ function NCVModule() {
     ctx.fillStyle = '#ffffff';
     ctx.fillRect(0, 0, width, height);
 
-    // Calculate positions - FIXED CENTERING
+    // Calculate positions - traces on top, stimulation diagram below
     const margin = 80;
-    const usableWidth = width - 2 * margin;
-    const centerY = height / 2;
-    const nerveY = centerY;
+    const nerveY = height - 150;
 
-    // Distal and proximal stimulation points
-    const distalX = margin;
-    const proximalX = margin + (distance / 300) * usableWidth; // Scale based on distance
+    // Nerve drawn to scale from the recording electrode to the most proximal site
+    const recordingX = 40;
+    const nerveEndX = width - 40;
+    const toNerveX = position => recordingX + (position / nerveLength) * (nerveEndX - recordingX);
 
-    // Draw nerve (horizontal line)
     ctx.strokeStyle = '#475569';
     ctx.lineWidth = 4;
     ctx.beginPath();
-    ctx.moveTo(distalX, nerveY);
-    ctx.lineTo(proximalX, nerveY);
+    ctx.moveTo(recordingX, nerveY);
+    ctx.lineTo(nerveEndX, nerveY);
     ctx.stroke();
 
+    // Lesion: focal band or the whole nerve
+    if (lesion.site !== 'none') {
+      const lesionStart = lesion.site === 'focal' ? toNerveX(lesion.position - lesion.length / 2) : recordingX;
+      const lesionEnd = lesion.site === 'focal' ? toNerveX(lesion.position + lesion.length / 2) : nerveEndX;
+      ctx.fillStyle = 'rgba(239, 68, 68, 0.25)';
+      ctx.fillRect(lesionStart, nerveY - 12, Math.max(4, lesionEnd - lesionStart), 24);
+      ctx.fillStyle = '#ef4444';
+      ctx.font = '12px var(--font-display)';
+      ctx.textAlign = 'center';
+      ctx.fillText('Lesion', (lesionStart + lesionEnd) / 2, nerveY + 26);
+    }
+
+    // Anastomosis: where the anomalous fibers join or leave the nerve
+    if (anomaly && anomaly.position > 0) {
+      const x = toNerveX(anomaly.position);
+      ctx.strokeStyle = '#f59e0b';
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.moveTo(x, nerveY);
+      ctx.quadraticCurveTo(x - 20, nerveY + 10, x - 40, nerveY + 22);
+      ctx.stroke();
+      ctx.fillStyle = '#f59e0b';
+      ctx.font = '12px var(--font-display)';
+      ctx.textAlign = 'center';
+      ctx.fillText('Anastomosis', x, nerveY + 26);
+    }
+
     // Draw stimulation points
-    const drawStimPoint = (x, label) => {
+    const electrodeRadius = inchingSegment < 0 ? 8 : 4;
+    stimulation.forEach(({ position }) => {
+      const x = toNerveX(position);
+
       // Electrode
       ctx.fillStyle = '#ef4444';
       ctx.beginPath();
-      ctx.arc(x, nerveY - 30, 8, 0, Math.PI * 2);
+      ctx.arc(x, nerveY - 30, electrodeRadius, 0, Math.PI * 2);
       ctx.fill();
 
       // Connection line
@@ -103,156 +422,208 @@ function NCVModule() {
       ctx.lineTo(x, nerveY);
       ctx.stroke();
       ctx.setLineDash([]);
+    });
 
-      // Label
-      ctx.fillStyle = '#0f172a';
-      ctx.font = '14px var(--font-display)';
-      ctx.textAlign = 'center';
-      ctx.fillText(label, x, nerveY - 45);
-    };
-
-    drawStimPoint(distalX, 'Distal');
-    drawStimPoint(proximalX, 'Proximal');
+    // Site labels, staggered so neighbouring names do not collide
+    ctx.fillStyle = '#0f172a';
+    ctx.font = '13px var(--font-display)';
+    ctx.textAlign = 'center';
+    sites.forEach((site, i) => {
+      ctx.fillText(site.name, toNerveX(sitePositions[i]), nerveY - 45 - (i % 2) * 16);
+    });
 
     // Draw recording electrode
     ctx.fillStyle = '#10b981';
     ctx.beginPath();
-    ctx.arc(distalX - 40, nerveY, 10, 0, Math.PI * 2);
+    ctx.arc(recordingX, nerveY, 10, 0, Math.PI * 2);
     ctx.fill();
 
     ctx.fillStyle = '#0f172a';
-    ctx.font = '14px var(--font-display)';
-    ctx.textAlign = 'center';
-    ctx.fillText('Recording', distalX - 40, nerveY + 30);
+    ctx.font = '13px var(--font-display)';
+    ctx.textAlign = 'left';
+    ctx.fillText('Recording', recordingX - 30, nerveY - 45);
 
-    // Draw distance measurement
+    // Segment distances, with segmental CVs below
     ctx.strokeStyle = '#0891b2';
     ctx.lineWidth = 2;
-    ctx.setLineDash([]);
     ctx.beginPath();
-    ctx.moveTo(distalX, nerveY + 40);
-    ctx.lineTo(proximalX, nerveY + 40);
+    ctx.moveTo(recordingX, nerveY + 40);
+    ctx.lineTo(nerveEndX, nerveY + 40);
     ctx.stroke();
 
-    // Distance arrows
-    const drawArrow = (x, y, direction) => {
+    [0, ...sitePositions].forEach((position, i) => {
+      const x = toNerveX(position);
       ctx.beginPath();
-      ctx.moveTo(x, y);
-      ctx.lineTo(x + direction * 10, y - 5);
-      ctx.lineTo(x + direction * 10, y + 5);
-      ctx.closePath();
+      ctx.moveTo(x, nerveY + 34);
+      ctx.lineTo(x, nerveY + 46);
+      ctx.stroke();
+
+      if (i === 0) return;
+      const middle = (toNerveX(sitePositions[i - 2] || 0) + x) / 2;
       ctx.fillStyle = '#0891b2';
-      ctx.fill();
-    };
+      ctx.font = 'bold 12px var(--font-mono)';
+      ctx.textAlign = 'center';
+      ctx.fillText(`${distances[i - 1]}mm`, middle, nerveY + 60);
 
-    drawArrow(distalX, nerveY + 40, 1);
-    drawArrow(proximalX, nerveY + 40, -1);
+      const segment = inchingSegment < 0 && i > 1 ? segments[i - 2] : null;
+      if (segment && segment.velocity !== null) {
+        ctx.fillStyle = isAbnormal(segment.velocity, 'cv') ? '#ef4444' : '#10b981';
+        ctx.fillText(`${segment.velocity.toFixed(1)} m/s`, middle, nerveY + 76);
+      }
+    });
 
-    ctx.fillStyle = '#0891b2';
-    ctx.font = 'bold 14px var(--font-mono)';
-    ctx.textAlign = 'center';
-    ctx.fillText(`${distance}mm`, (distalX + proximalX) / 2, nerveY + 35);
-
-    // Draw waveforms
-    const waveformHeight = 80;
-    const waveformWidth = 150;
-
-    const drawWaveform = (x, y, latency, label) => {
-      // Get pattern modifiers
-      const patternData = PATHOLOGY_PATTERNS[pattern];
-      const amplitude = nerveType === 'motor'
-        ? patternData.motorAmplitude
-        : patternData.sensoryAmplitude;
-
-      // Background
-      ctx.fillStyle = '#f8fafc';
-      ctx.fillRect(x - waveformWidth / 2, y - waveformHeight / 2, waveformWidth, waveformHeight);
-      ctx.strokeStyle = '#e2e8f0';
-      ctx.lineWidth = 1;
-      ctx.strokeRect(x - waveformWidth / 2, y - waveformHeight / 2, waveformWidth, waveformHeight);
+    // Recorded responses on a shared ms time base (negative up)
+    const traceLeft = margin + 60;
+    const traceWidth = width - traceLeft - 20;
+    const traceTop = 10;
+    const windowMs = msPerDiv * 10;
+    const pxPerUnit = rowHeight / (4 * unitsPerDiv); // 4 divisions per trace
+    const toX = timeMs => traceLeft + (timeMs / windowMs) * traceWidth;
+
+    // Time grid
+    ctx.strokeStyle = '#e2e8f0';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 10; i++) {
+      const x = traceLeft + (i / 10) * traceWidth;
+      ctx.beginPath();
+      ctx.moveTo(x, traceTop);
+      ctx.lineTo(x, traceTop + responses.length * rowHeight);
+      ctx.stroke();
+    }
+
+    responses.forEach((response, row) => {
+      const data = response.trace;
+      const baseline = traceTop + row * rowHeight + rowHeight * 0.75;
 
-      // Baseline
       ctx.strokeStyle = '#cbd5e1';
+      ctx.lineWidth = 1;
       ctx.beginPath();
-      ctx.moveTo(x - waveformWidth / 2, y);
-      ctx.lineTo(x + waveformWidth / 2, y);
+      ctx.moveTo(traceLeft, baseline);
+      ctx.lineTo(traceLeft + traceWidth, baseline);
       ctx.stroke();
 
-      // Stimulus artifact
+      // Stimulus artifact at 0 ms
       ctx.strokeStyle = '#94a3b8';
       ctx.lineWidth = 2;
       ctx.beginPath();
-      ctx.moveTo(x - waveformWidth / 2 + 20, y - 10);
-      ctx.lineTo(x - waveformWidth / 2 + 20, y + 10);
+      ctx.moveTo(traceLeft, baseline - 10);
+      ctx.lineTo(traceLeft, baseline + 10);
       ctx.stroke();
 
-      // Action potential
-      const startX = x - waveformWidth / 2 + 20 + (latency / 10) * 80;
+      // Strong artifacts run off scale - clip each trace to its row
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(traceLeft, traceTop + row * rowHeight, traceWidth, rowHeight);
+      ctx.clip();
       ctx.strokeStyle = '#0891b2';
-      ctx.lineWidth = 2.5;
+      ctx.lineWidth = 2;
       ctx.beginPath();
-      
-      // Triphasic waveform scaled by amplitude
-      const points = [
-        [0, 0],
-        [5, -15 * amplitude],
-        [10, -30 * amplitude],
-        [15, -20 * amplitude],
-        [20, 10 * amplitude],
-        [25, 5 * amplitude],
-        [30, 0],
-      ];
-
-      points.forEach((point, i) => {
-        const px = startX + point[0];
-        const py = y + point[1];
+      const samples = Math.min(data.length, windowMs * SAMPLE_RATE + 1);
+      for (let i = 0; i < samples; i++) {
+        const x = toX(i / SAMPLE_RATE);
+        const y = baseline + data[i] * pxPerUnit;
         if (i === 0) {
-          ctx.moveTo(px, py);
+          ctx.moveTo(x, y);
         } else {
-          ctx.lineTo(px, py);
+          ctx.lineTo(x, y);
         }
-      });
-
+      }
       ctx.stroke();
+      ctx.restore();
 
-      // Latency marker
-      ctx.fillStyle = '#0891b2';
-      ctx.font = '11px var(--font-mono)';
-      ctx.textAlign = 'center';
-      ctx.fillText(`${latency.toFixed(1)}ms`, startX + 15, y - waveformHeight / 2 - 5);
+      // Latency marker: onset for motor, peak for sensory (none when every fiber is blocked)
+      const latency = nerveType === 'motor' ? response.onsetLatency : response.peakLatency;
+      if (response.amplitude > 0) {
+        ctx.fillStyle = '#0891b2';
+        ctx.beginPath();
+        ctx.moveTo(toX(latency), baseline + 4);
+        ctx.lineTo(toX(latency) - 5, baseline + 12);
+        ctx.lineTo(toX(latency) + 5, baseline + 12);
+        ctx.closePath();
+        ctx.fill();
+        if (rowHeight > 60) {
+          ctx.font = '11px var(--font-mono)';
+          ctx.textAlign = 'center';
+          ctx.fillText(`${latency.toFixed(1)}ms`, toX(latency), baseline + 24);
+        }
+      }
 
       // Label
       ctx.fillStyle = '#475569';
-      ctx.font = '13px var(--font-display)';
-      ctx.fillText(label, x, y + waveformHeight / 2 + 20);
-    };
-
-    drawWaveform(distalX, centerY - 120, distalLatency, 'Distal Response');
-    drawWaveform(proximalX, centerY - 120, proximalLatency, 'Proximal Response');
+      ctx.font = '12px var(--font-display)';
+      ctx.textAlign = 'right';
+      ctx.fillText(response.label, traceLeft - 10, baseline + 4);
+    });
 
-    // Calculate and display CV
-    const cvX = width / 2;
-    const cvY = height - 40;
+    // Scale
+    ctx.fillStyle = '#475569';
+    ctx.font = '12px var(--font-mono)';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${msPerDiv} ms/div · ${unitsPerDiv} ${population.units}/div`, traceLeft + traceWidth, traceTop + 12);
 
-    ctx.fillStyle = isAbnormal(conductionVelocity, 'cv') ? '#ef4444' : '#10b981';
-    ctx.font = 'bold 24px var(--font-display)';
+    // Headline: slowest segment, or the largest inching step
+    const summaryX = width / 2;
+    const summaryY = height - 30;
+    ctx.font = 'bold 20px var(--font-display)';
     ctx.textAlign = 'center';
-    ctx.fillText(`${conductionVelocity.toFixed(1)} m/s`, cvX, cvY);
+    if (inchingSegment >= 0 && largestStep) {
+      ctx.fillStyle = largestStep.latencyPerCm > INCHING_CRITERIA.latencyPerCm ? '#ef4444' : '#10b981';
+      ctx.fillText(`${largestStep.latencyPerCm.toFixed(2)} ms/cm`, summaryX, summaryY);
+      ctx.fillStyle = '#64748b';
+      ctx.font = '13px var(--font-display)';
+      ctx.fillText(`Largest step: ${largestStep.name}`, summaryX, summaryY + 18);
+    } else if (inchingSegment < 0 && slowest) {
+      ctx.fillStyle = isAbnormal(slowest.velocity, 'cv') ? '#ef4444' : '#10b981';
+      ctx.fillText(`${slowest.velocity.toFixed(1)} m/s`, summaryX, summaryY);
+      ctx.fillStyle = '#64748b';
+      ctx.font = '13px var(--font-display)';
+      ctx.fillText(`Slowest segment: ${slowest.name}`, summaryX, summaryY + 18);
+    }
 
-    ctx.fillStyle = '#64748b';
-    ctx.font = '14px var(--font-display)';
-    ctx.fillText('Conduction Velocity', cvX, cvY + 20);
+  }, [study, lesion, anomaly, msPerDiv, unitsPerDiv, canvasHeight, studyMode, patient]);
 
-  }, [distance, distalLatency, proximalLatency, selectedNerve, nerveType, pattern]);
+  const labelStyle = {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: '0.875rem',
+    fontWeight: '600',
+    marginBottom: '0.5rem',
+    color: 'var(--text-secondary)',
+  };
+  const selectLabelStyle = { ...labelStyle, display: 'block' };
+
+  const header = (
+    <div style={{ marginBottom: '2rem' }}>
+      <h2 style={{ marginBottom: '0.5rem' }}>Nerve Conduction Studies</h2>
+      <p style={{ color: 'var(--text-secondary)' }}>
+        Interactive NCV visualization with proper scaling and normal value references
+      </p>
+      <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem' }}>
+        {[['conduction', 'Conduction Studies'], ['hReflex', 'H-Reflex']].map(([mode, label]) => (
+          <button
+            key={mode}
+            className={`btn ${studyMode === mode ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={() => setStudyMode(mode)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+
+  if (studyMode === 'hReflex') {
+    return (
+      <div className="container" style={{ padding: '3rem 2rem', maxWidth: '1400px' }}>
+        {header}
+        <HReflexPanel />
+      </div>
+    );
+  }
 
   return (
     <div className="container" style={{ padding: '3rem 2rem', maxWidth: '1400px' }}>
-      <div style={{ marginBottom: '2rem' }}>
-        <h2 style={{ marginBottom: '0.5rem' }}>Nerve Conduction Studies</h2>
-        <p style={{ color: 'var(--text-secondary)' }}>
-          Interactive NCV visualization with proper scaling and normal value references
-        </p>
-      </div>
+      {header}
 
       {/* Controls */}
       <div className="card" style={{ marginBottom: '2rem' }}>
@@ -263,21 +634,10 @@ function NCVModule() {
         }}>
           {/* Nerve Type */}
           <div>
-            <label style={{
-              display: 'block',
-              fontSize: '0.875rem',
-              fontWeight: '600',
-              marginBottom: '0.5rem',
-              color: 'var(--text-secondary)',
-            }}>
-              Nerve Type
-            </label>
+            <label style={selectLabelStyle}>Nerve Type</label>
             <select
               value={nerveType}
-              onChange={(e) => {
-                setNerveType(e.target.value);
-                setSelectedNerve(e.target.value === 'motor' ? 'median' : 'median');
-              }}
+              onChange={(e) => selectNerve(e.target.value, 'median')}
             >
               <option value="motor">Motor</option>
               <option value="sensory">Sensory</option>
@@ -286,22 +646,14 @@ function NCVModule() {
 
           {/* Selected Nerve */}
           <div>
-            <label style={{
-              display: 'block',
-              fontSize: '0.875rem',
-              fontWeight: '600',
-              marginBottom: '0.5rem',
-              color: 'var(--text-secondary)',
-            }}>
-              Nerve
-            </label>
+            <label style={selectLabelStyle}>Nerve</label>
             <select
               value={selectedNerve}
-              onChange={(e) => setSelectedNerve(e.target.value)}
+              onChange={(e) => selectNerve(nerveType, e.target.value)}
             >
               {(nerveType === 'motor' ? motorNerves : sensoryNerves).map(nerve => (
                 <option key={nerve} value={nerve}>
-                  {nerve.charAt(0).toUpperCase() + nerve.slice(1)}
+                  {(nerveType === 'motor' ? MOTOR_NERVE_NORMALS : SENSORY_NERVE_NORMALS)[nerve].name}
                 </option>
               ))}
             </select>
@@ -309,18 +661,14 @@ function NCVModule() {
 
           {/* Pattern */}
           <div>
-            <label style={{
-              display: 'block',
-              fontSize: '0.875rem',
-              fontWeight: '600',
-              marginBottom: '0.5rem',
-              color: 'var(--text-secondary)',
-            }}>
-              Pattern
-            </label>
+            <label style={selectLabelStyle}>Pattern</label>
             <select
               value={pattern}
-              onChange={(e) => setPattern(e.target.value)}
+              onChange={(e) => {
+                setPattern(e.target.value);
+                setLesion(lesionFor(e.target.value, sitePositions));
+                applyExpected(e.target.value, nerveType, selectedNerve, age);
+              }}
             >
               {patternList.map(p => (
                 <option key={p} value={p}>
@@ -329,6 +677,47 @@ function NCVModule() {
               ))}
             </select>
           </div>
+
+          {/* Inching */}
+          <div>
+            <label style={selectLabelStyle}>Inching</label>
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              <select
+                value={inchingSegment}
+                onChange={(e) => setInchingSegment(parseInt(e.target.value))}
+              >
+                <option value={-1}>Off</option>
+                {sites.map((site, i) => (
+                  <option key={site.name} value={i}>
+                    {i === 0 ? `Recording – ${site.name}` : `${sites[i - 1].name} – ${site.name}`}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={inchingStep}
+                disabled={inchingSegment < 0}
+                onChange={(e) => setInchingStep(parseInt(e.target.value))}
+                style={{ width: '90px' }}
+              >
+                {INCHING_CRITERIA.steps.map(step => (
+                  <option key={step} value={step}>{step / 10} cm</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Measured Response */}
+          <div>
+            <label style={selectLabelStyle}>Measured Response</label>
+            <select
+              value={measureIndex}
+              onChange={(e) => setMeasureSite(parseInt(e.target.value))}
+            >
+              {responses.map((response, i) => (
+                <option key={response.position} value={i}>{response.label}</option>
+              ))}
+            </select>
+          </div>
         </div>
       </div>
 
@@ -340,36 +729,7 @@ function NCVModule() {
           gap: '2rem',
         }}>
           <div>
-            <label style={{
-              display: 'flex',
-              justifyContent: 'space-between',
-              fontSize: '0.875rem',
-              fontWeight: '600',
-              marginBottom: '0.5rem',
-              color: 'var(--text-secondary)',
-            }}>
-              <span>Distance (mm)</span>
-              <span style={{ fontFamily: 'var(--font-mono)' }}>{distance}</span>
-            </label>
-            <input
-              type="range"
-              min="100"
-              max="300"
-              value={distance}
-              onChange={(e) => setDistance(parseInt(e.target.value))}
-              style={{ width: '100%' }}
-            />
-          </div>
-
-          <div>
-            <label style={{
-              display: 'flex',
-              justifyContent: 'space-between',
-              fontSize: '0.875rem',
-              fontWeight: '600',
-              marginBottom: '0.5rem',
-              color: 'var(--text-secondary)',
-            }}>
+            <label style={labelStyle}>
               <span>Distal Latency (ms)</span>
               <span style={{
                 fontFamily: 'var(--font-mono)',
@@ -389,29 +749,315 @@ function NCVModule() {
             />
           </div>
 
+          {sites.length > 1 && (
+            <div>
+              <label style={labelStyle}>
+                <span>Proximal Conduction Velocity (m/s)</span>
+                <span style={{
+                  fontFamily: 'var(--font-mono)',
+                  color: isAbnormal(velocity, 'cv') ? 'var(--danger)' : 'inherit',
+                }}>
+                  {velocity}
+                </span>
+              </label>
+              <input
+                type="range"
+                min="15"
+                max="80"
+                value={velocity}
+                onChange={(e) => setVelocity(parseInt(e.target.value))}
+                style={{ width: '100%' }}
+              />
+            </div>
+          )}
+
           <div>
-            <label style={{
-              display: 'flex',
-              justifyContent: 'space-between',
-              fontSize: '0.875rem',
-              fontWeight: '600',
-              marginBottom: '0.5rem',
-              color: 'var(--text-secondary)',
-            }}>
-              <span>Proximal Latency (ms)</span>
-              <span style={{ fontFamily: 'var(--font-mono)' }}>{proximalLatency.toFixed(1)}</span>
+            <label style={labelStyle}>
+              <span>Patient Age</span>
+              <span style={{ fontFamily: 'var(--font-mono)' }}>{age} y</span>
             </label>
             <input
               type="range"
-              min="5.0"
-              max="20.0"
-              step="0.1"
-              value={proximalLatency}
-              onChange={(e) => setProximalLatency(parseFloat(e.target.value))}
+              min="20"
+              max="90"
+              value={age}
+              onChange={(e) => {
+                setAge(parseInt(e.target.value));
+                applyExpected(pattern, nerveType, selectedNerve, parseInt(e.target.value));
+              }}
+              style={{ width: '100%' }}
+            />
+          </div>
+
+          <div>
+            <label style={labelStyle}>
+              <span>Patient Height</span>
+              <span style={{ fontFamily: 'var(--font-mono)' }}>{height} cm</span>
+            </label>
+            <input
+              type="range"
+              min="140"
+              max="200"
+              value={height}
+              onChange={(e) => setHeight(parseInt(e.target.value))}
+              style={{ width: '100%' }}
+            />
+          </div>
+
+          <div>
+            <label style={labelStyle}>
+              <span>Limb Temperature</span>
+              <span style={{
+                fontFamily: 'var(--font-mono)',
+                color: limits.warnings.length > 0 ? 'var(--danger)' : 'inherit',
+              }}>
+                {temperature.toFixed(1)}°C
+              </span>
+            </label>
+            <input
+              type="range"
+              min="26"
+              max="36"
+              step="0.5"
+              value={temperature}
+              onChange={(e) => setTemperature(parseFloat(e.target.value))}
+              style={{ width: '100%' }}
+            />
+          </div>
+
+          <div>
+            <label style={selectLabelStyle}>Side</label>
+            <select value={side} onChange={(e) => setSide(e.target.value)} style={{ width: '100%' }}>
+              <option value="right">Right</option>
+              <option value="left">Left</option>
+            </select>
+          </div>
+        </div>
+        {offExpected && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', marginTop: '1rem', fontSize: '0.875rem' }}>
+            <span style={{ color: 'var(--text-secondary)' }}>
+              Sliders moved from the expected {PATHOLOGY_PATTERNS[pattern].name.toLowerCase()} values
+              ({expectedSliders.distalLatency.toFixed(1)} ms{sites.length > 1 ? `, ${expectedSliders.velocity} m/s` : ''})
+            </span>
+            <button className="btn btn-secondary" onClick={() => applyExpected(pattern, nerveType, selectedNerve, age)}>
+              Reset to Expected
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Segmental Pathology */}
+      <div className="card" style={{ marginBottom: '2rem' }}>
+        <div className="card-header">Segmental Pathology</div>
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+          gap: '2rem',
+        }}>
+          <div>
+            <label style={selectLabelStyle}>Lesion</label>
+            <select
+              value={lesion.site}
+              onChange={(e) => setLesion({ ...lesion, site: e.target.value })}
+            >
+              {Object.entries(LESION_SITES).map(([site, label]) => (
+                <option key={site} value={site}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label style={labelStyle}>
+              <span>Position (from recording)</span>
+              <span style={{ fontFamily: 'var(--font-mono)' }}>{lesion.position} mm</span>
+            </label>
+            <input
+              type="range"
+              min="0"
+              max={nerveLength}
+              step="5"
+              value={lesion.position}
+              disabled={lesion.site !== 'focal'}
+              onChange={(e) => setLesion({ ...lesion, position: parseInt(e.target.value) })}
+              style={{ width: '100%' }}
+            />
+          </div>
+
+          <div>
+            <label style={labelStyle}>
+              <span>Length</span>
+              <span style={{ fontFamily: 'var(--font-mono)' }}>{lesion.length} mm</span>
+            </label>
+            <input
+              type="range"
+              min="5"
+              max="50"
+              step="5"
+              value={lesion.length}
+              disabled={lesion.site !== 'focal'}
+              onChange={(e) => setLesion({ ...lesion, length: parseInt(e.target.value) })}
+              style={{ width: '100%' }}
+            />
+          </div>
+
+          <div>
+            <label style={labelStyle}>
+              <span>Fibers Blocked</span>
+              <span style={{ fontFamily: 'var(--font-mono)' }}>{Math.round(lesion.blocked * 100)}%</span>
+            </label>
+            <input
+              type="range"
+              min="0"
+              max="100"
+              step="5"
+              value={Math.round(lesion.blocked * 100)}
+              disabled={lesion.site === 'none'}
+              onChange={(e) => setLesion({ ...lesion, blocked: parseInt(e.target.value) / 100 })}
+              style={{ width: '100%' }}
+            />
+          </div>
+
+          <div>
+            <label style={labelStyle}>
+              <span>Fibers Slowed</span>
+              <span style={{ fontFamily: 'var(--font-mono)' }}>{Math.round(lesion.slowed * 100)}%</span>
+            </label>
+            <input
+              type="range"
+              min="0"
+              max="100"
+              step="5"
+              value={Math.round(lesion.slowed * 100)}
+              disabled={lesion.site === 'none'}
+              onChange={(e) => setLesion({ ...lesion, slowed: parseInt(e.target.value) / 100 })}
+              style={{ width: '100%' }}
+            />
+          </div>
+
+          <div>
+            <label style={labelStyle}>
+              <span>Maximum Slowing</span>
+              <span style={{ fontFamily: 'var(--font-mono)' }}>{Math.round(lesion.slowing * 100)}%</span>
+            </label>
+            <input
+              type="range"
+              min="0"
+              max="90"
+              step="5"
+              value={Math.round(lesion.slowing * 100)}
+              disabled={lesion.site === 'none'}
+              onChange={(e) => setLesion({ ...lesion, slowing: parseInt(e.target.value) / 100 })}
+              style={{ width: '100%' }}
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Stimulus */}
+      <div className="card" style={{ marginBottom: '2rem' }}>
+        <div className="card-header" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <Zap size={20} color="var(--primary-500)" />
+          Stimulus
+        </div>
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+          gap: '2rem',
+          marginBottom: '1rem',
+        }}>
+          <div>
+            <label style={selectLabelStyle}>Intensity Setting</label>
+            <select
+              value={manualStimulus ? 'manual' : 'ideal'}
+              onChange={(e) => setManualStimulus(e.target.value === 'manual')}
+            >
+              <option value="ideal">Ideal (every site supramaximal)</option>
+              <option value="manual">Manual</option>
+            </select>
+          </div>
+
+          <div>
+            <label style={labelStyle}>
+              <span>Intensity</span>
+              <span style={{ fontFamily: 'var(--font-mono)' }}>{intensity} mA</span>
+            </label>
+            <input
+              type="range"
+              min="0"
+              max={MAX_INTENSITY}
+              value={intensity}
+              disabled={!manualStimulus}
+              onChange={(e) => setIntensity(parseInt(e.target.value))}
               style={{ width: '100%' }}
             />
           </div>
+
+          <div>
+            <label style={selectLabelStyle}>Duration</label>
+            <select
+              value={duration}
+              disabled={!manualStimulus}
+              onChange={(e) => setDuration(parseFloat(e.target.value))}
+            >
+              {STIMULUS_DURATIONS.map(d => (
+                <option key={d} value={d}>{d} ms</option>
+              ))}
+            </select>
+          </div>
         </div>
+
+        {manualStimulus && (
+          <>
+            <table style={{ fontSize: '0.875rem' }}>
+              <thead>
+                <tr>
+                  <th>Site</th>
+                  <th>Supramaximal at</th>
+                  <th>Axons Recruited</th>
+                  <th>Status</th>
+                  <th>Spread</th>
+                </tr>
+              </thead>
+              <tbody>
+                {responses.map(response => (
+                  <tr key={response.position}>
+                    <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>{response.label}</td>
+                    <td><code>{response.supramaximal.toFixed(0)} mA</code></td>
+                    <td><code>{Math.round(response.recruited * 100)}%</code></td>
+                    <td>
+                      <span className={`badge ${STIMULUS_STATUS[response.status].badge}`}>
+                        {STIMULUS_STATUS[response.status].label}
+                      </span>
+                    </td>
+                    <td>
+                      {response.spread > 0 ? (
+                        <span className="text-danger">
+                          {response.site.coStimulation.nerve} co-stimulated ({Math.round(response.spread * 100)}%)
+                        </span>
+                      ) : (
+                        <code>—</code>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {segments.map((segment, i) => (
+              segment.finding.severity === 'block' && responses[i + 1].status === 'submaximal' && (
+                <p key={segment.name} className="text-danger" style={{ fontSize: '0.875rem', margin: '0.5rem 0 0 0' }}>
+                  {segment.name}: the drop looks like conduction block, but {responses[i + 1].label} is
+                  stimulated submaximally - raise the intensity before calling it a block.
+                </p>
+              )
+            ))}
+            <p style={{ fontSize: '0.75rem', color: 'var(--text-tertiary)', margin: '0.5rem 0 0 0' }}>
+              Increase the current until the response stops growing, then add 20%. Deep sites need
+              more current; longer pulses need less. Too much current spreads to neighbouring nerves
+              (their volume-conducted response is positive first and inflates the amplitude) and the
+              artifact tail grows with the stimulus charge until it hides the onset.
+            </p>
+          </>
+        )}
       </div>
 
       {/* Canvas Display */}
@@ -421,13 +1067,237 @@ function NCVModule() {
             ref={canvasRef}
             style={{
               width: '100%',
-              height: '500px',
+              height: `${canvasHeight}px`,
               display: 'block',
             }}
           />
         </div>
       </div>
 
+      {/* Stimulation sites and segments */}
+      <div className="card" style={{ marginBottom: '2rem' }}>
+        <div className="card-header" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <Ruler size={20} color="var(--primary-500)" />
+          {inchingSegment < 0 ? 'Stimulation Sites' : `Inching in ${inchingStep / 10} cm Steps`}
+        </div>
+        <table style={{ fontSize: '0.875rem' }}>
+          <thead>
+            <tr>
+              <th>Site</th>
+              <th>{inchingSegment < 0 ? 'Distance from Previous' : 'From Recording'}</th>
+              <th>{nerveType === 'motor' ? 'Onset Latency' : 'Peak Latency'}</th>
+              <th>Amplitude</th>
+              <th>Duration</th>
+              <th>Area</th>
+            </tr>
+          </thead>
+          <tbody>
+            {responses.map((response, i) => (
+              <tr key={response.position}>
+                <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>{response.label}</td>
+                <td>
+                  {inchingSegment < 0 ? (
+                    <input
+                      type="number"
+                      min="10"
+                      max="500"
+                      step="10"
+                      value={distances[i]}
+                      onChange={(e) => setDistances(distances.map((d, j) => (j === i ? Math.max(10, parseInt(e.target.value) || 10) : d)))}
+                      style={{ width: '90px', padding: '0.25rem 0.5rem' }}
+                    />
+                  ) : (
+                    <code>{response.position} mm</code>
+                  )}
+                </td>
+                <td>
+                  <code>
+                    {response.amplitude > 0
+                      ? `${(nerveType === 'motor' ? response.onsetLatency : response.peakLatency).toFixed(2)} ms`
+                      : 'No response'}
+                  </code>
+                </td>
+                <td><code>{response.amplitude.toFixed(nerveType === 'motor' ? 1 : 0)} {population.units}</code></td>
+                <td><code>{response.duration.toFixed(2)} ms</code></td>
+                <td><code>{response.area.toFixed(1)} {population.units}·ms</code></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {segments.length > 0 && (inchingSegment < 0 ? (
+          <>
+            <table style={{ fontSize: '0.875rem', marginTop: '1rem' }}>
+              <thead>
+                <tr>
+                  <th>Segment</th>
+                  <th>Distance</th>
+                  <th>Latency Difference</th>
+                  <th>Conduction Velocity</th>
+                  <th>Amplitude Drop</th>
+                  <th>Area Drop</th>
+                  <th>Duration Increase</th>
+                  <th>Finding</th>
+                </tr>
+              </thead>
+              <tbody>
+                {segments.map(segment => (
+                  <tr key={segment.name}>
+                    <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>{segment.name}</td>
+                    <td><code>{segment.distance} mm</code></td>
+                    <td><code>{segment.latencyDifference === null ? '—' : `${segment.latencyDifference.toFixed(2)} ms`}</code></td>
+                    <td>
+                      {segment.velocity === null ? (
+                        <code>—</code>
+                      ) : (
+                        <span className={isAbnormal(segment.velocity, 'cv') ? 'text-danger' : 'text-success'}>
+                          {segment.velocity.toFixed(1)} m/s
+                        </span>
+                      )}
+                    </td>
+                    <td>
+                      <span className={segment.amplitudeDrop > CONDUCTION_BLOCK_CRITERIA.amplitudeDrop ? 'text-danger' : 'text-success'}>
+                        {segment.amplitudeDrop.toFixed(0)}%
+                      </span>
+                    </td>
+                    <td>
+                      <span className={segment.areaDrop > CONDUCTION_BLOCK_CRITERIA.amplitudeDrop ? 'text-danger' : 'text-success'}>
+                        {segment.areaDrop.toFixed(0)}%
+                      </span>
+                    </td>
+                    <td>
+                      {segment.durationIncrease === null ? (
+                        <code>No response</code>
+                      ) : (
+                        <span className={segment.durationIncrease > CONDUCTION_BLOCK_CRITERIA.durationIncrease ? 'text-danger' : 'text-success'}>
+                          {segment.durationIncrease.toFixed(0)}%
+                        </span>
+                      )}
+                    </td>
+                    <td>
+                      <span className={`badge ${FINDING_BADGES[segment.finding.severity]}`}>
+                        {segment.finding.label}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p style={{ fontSize: '0.75rem', color: 'var(--text-tertiary)', margin: '0.5rem 0 0 0' }}>
+              Block: amplitude or area drop &gt;{CONDUCTION_BLOCK_CRITERIA.amplitudeDrop}% with duration
+              increase ≤{CONDUCTION_BLOCK_CRITERIA.durationIncrease}%. Larger duration increases mean temporal
+              dispersion, which can lower amplitude by phase cancellation alone.
+            </p>
+          </>
+        ) : (
+          <>
+            <table style={{ fontSize: '0.875rem', marginTop: '1rem' }}>
+              <thead>
+                <tr>
+                  <th>Step</th>
+                  <th>Latency Difference</th>
+                  <th>Latency per cm</th>
+                  <th>Amplitude Drop</th>
+                  <th>Finding</th>
+                </tr>
+              </thead>
+              <tbody>
+                {segments.map(segment => {
+                  const finding = inchingFinding(segment);
+                  return (
+                    <tr key={segment.name}>
+                      <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>{segment.name}</td>
+                      <td><code>{segment.latencyDifference === null ? '—' : `${segment.latencyDifference.toFixed(2)} ms`}</code></td>
+                      <td>
+                        {segment.latencyPerCm === null ? (
+                          <code>—</code>
+                        ) : (
+                          <span className={segment.latencyPerCm > INCHING_CRITERIA.latencyPerCm ? 'text-danger' : 'text-success'}>
+                            {segment.latencyPerCm.toFixed(2)} ms/cm
+                          </span>
+                        )}
+                      </td>
+                      <td>
+                        <span className={segment.amplitudeDrop > INCHING_CRITERIA.amplitudeDrop ? 'text-danger' : 'text-success'}>
+                          {segment.amplitudeDrop.toFixed(0)}%
+                        </span>
+                      </td>
+                      <td>
+                        <span className={`badge ${FINDING_BADGES[finding.severity]}`}>{finding.label}</span>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <p style={{ fontSize: '0.75rem', color: 'var(--text-tertiary)', margin: '0.5rem 0 0 0' }}>
+              Normal steps take 0.16–0.21 ms/cm. A step slower than {INCHING_CRITERIA.latencyPerCm} ms/cm
+              or an amplitude drop over {INCHING_CRITERIA.amplitudeDrop}% localizes the lesion to that step.
+            </p>
+          </>
+        ))}
+      </div>
+
+      {/* Anomalous innervation (patterns with an anastomosis on this nerve) */}
+      {anomalyData && (
+        <AnomalyPanel
+          anomaly={anomalyData}
+          sites={sites}
+          distalPosition={sitePositions[0]}
+          proximalPosition={sitePositions[1]}
+          distalLatency={distalLatency}
+          velocity={velocity}
+          amplitude={normals.amplitude.typical}
+          fiberFraction={fiberFraction}
+          lesion={lesion.site === 'none' ? null : lesion}
+          simulated={anomaly}
+        />
+      )}
+
+      {/* Median comparison studies for carpal tunnel syndrome */}
+      {selectedNerve === 'median' && <ComparisonPanel pattern={pattern} />}
+
+      {/* The same nerve on the other side */}
+      <SideComparisonPanel
+        nerveType={nerveType}
+        nerveName={normals.name}
+        side={side}
+        positions={sidePositions}
+        study={sideStudy}
+        normalStudy={normalSideStudy}
+      />
+
+      {/* F-waves (motor nerves with F-wave normals only) */}
+      {nerveType === 'motor' && normals.fWaveLatency && (
+        <FWavePanel
+          nerve={selectedNerve}
+          normals={normals}
+          patient={patient}
+          distalDistance={sitePositions[0]}
+          distalLatency={distalLatency}
+          velocity={velocity}
+          fiberFraction={fiberFraction}
+          lesion={lesion.site === 'none' ? null : lesion}
+        />
+      )}
+
+      {/* Cursor Measurement */}
+      <MeasurementTrace
+        title={exerciseSeed !== null
+          ? `Measure an Unknown ${nerveType === 'motor' ? 'CMAP' : 'SNAP'}`
+          : `Measure the ${responses[measureIndex].label} ${nerveType === 'motor' ? 'CMAP' : 'SNAP'}`}
+        samples={measurement.samples}
+        sampleRate={SAMPLE_RATE}
+        msPerDiv={measurement.msPerDiv}
+        unitsPerDiv={measurement.unitsPerDiv}
+        units={population.units}
+        truth={measurement.truth}
+        tolerance={{ time: nerveType === 'motor' ? 0.2 : 0.1, baseline: measurement.unitsPerDiv * 0.1 }}
+        negativeUp
+        onModeChange={(mode) => setExerciseSeed(mode === 'exercise' ? randomSeed() : null)}
+        onNewExercise={() => setExerciseSeed(randomSeed())}
+      />
+
       {/* Results */}
       <div style={{
         display: 'grid',
@@ -442,14 +1312,6 @@ function NCVModule() {
           </div>
           <table style={{ fontSize: '0.875rem' }}>
             <tbody>
-              <tr>
-                <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Conduction Velocity</td>
-                <td>
-                  <span className={isAbnormal(conductionVelocity, 'cv') ? 'text-danger' : 'text-success'}>
-                    {conductionVelocity.toFixed(1)} m/s
-                  </span>
-                </td>
-              </tr>
               <tr>
                 <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Distal Latency</td>
                 <td>
@@ -459,43 +1321,64 @@ function NCVModule() {
                 </td>
               </tr>
               <tr>
-                <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Latency Difference</td>
-                <td><code>{(proximalLatency - distalLatency).toFixed(1)} ms</code></td>
+                <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Distal Amplitude</td>
+                <td>
+                  <span className={isAbnormal(responses[0].amplitude, 'amplitude') ? 'text-danger' : 'text-success'}>
+                    {responses[0].amplitude.toFixed(nerveType === 'motor' ? 1 : 0)} {population.units}
+                  </span>
+                </td>
               </tr>
+              {slowest && (
+                <tr>
+                  <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Slowest Segment</td>
+                  <td>
+                    <span className={isAbnormal(slowest.velocity, 'cv') ? 'text-danger' : 'text-success'}>
+                      {slowest.velocity.toFixed(1)} m/s
+                    </span>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-tertiary)' }}>{slowest.name}</div>
+                  </td>
+                </tr>
+              )}
             </tbody>
           </table>
         </div>
 
-        {/* Normal Values */}
-        {normals && (
+        {/* Normal Values, adjusted for the patient */}
+        {limits && (
           <div className="card" style={{ background: '#dbeafe' }}>
             <div className="card-header" style={{ borderColor: '#3b82f6' }}>
-              Normal Reference Values
+              Reference Values - {side === 'right' ? 'Right' : 'Left'} {normals.name}
             </div>
             <table style={{ fontSize: '0.875rem' }}>
               <tbody>
-                <tr>
-                  <td style={{ fontWeight: '600' }}>Conduction Velocity</td>
-                  <td><code>{normals.conductionVelocity.normal}</code></td>
-                </tr>
-                <tr>
-                  <td style={{ fontWeight: '600' }}>
-                    {nerveType === 'motor' ? 'Distal Latency' : 'Peak Latency'}
-                  </td>
-                  <td>
-                    <code>
-                      {nerveType === 'motor'
-                        ? normals.distalLatency.normal
-                        : normals.peakLatency.normal}
-                    </code>
-                  </td>
-                </tr>
-                <tr>
-                  <td style={{ fontWeight: '600' }}>Amplitude</td>
-                  <td><code>{normals.amplitude.normal}</code></td>
-                </tr>
+                {[
+                  ...(limits.velocity ? [{ label: 'Conduction Velocity', limit: limits.velocity }] : []),
+                  { label: nerveType === 'motor' ? 'Distal Latency' : 'Peak Latency', limit: limits.latency },
+                  { label: 'Amplitude', limit: limits.amplitude },
+                  ...(limits.fWaveLatency ? [{ label: 'F-Wave Latency', limit: limits.fWaveLatency }] : []),
+                ].map(({ label, limit }) => (
+                  <tr key={label}>
+                    <td style={{ fontWeight: '600' }}>{label}</td>
+                    <td>
+                      <code>{formatLimit(limit)}</code>
+                      {limit.adjustments.map(adjustment => (
+                        <div key={adjustment.source} style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+                          {adjustment.text}
+                        </div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
               </tbody>
             </table>
+            <p style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', margin: '0.5rem 0 0 0' }}>
+              Lab profile: {limits.profile.name}
+            </p>
+            {limits.warnings.map(warning => (
+              <p key={warning} style={{ fontSize: '0.75rem', color: 'var(--danger)', margin: '0.5rem 0 0 0' }}>
+                {warning}
+              </p>
+            ))}
           </div>
         )}
 
@@ -507,6 +1390,26 @@ function NCVModule() {
           <p style={{ fontSize: '0.875rem', margin: 0, lineHeight: '1.6' }}>
             {PATHOLOGY_PATTERNS[pattern].description}
           </p>
+          <div style={{ fontSize: '0.875rem', fontWeight: '600', margin: '1rem 0 0.5rem 0' }}>
+            Expected in this {normals.name} study, age {age}
+          </div>
+          {expected.changes.length === 0 ? (
+            <p style={{ fontSize: '0.875rem', margin: 0 }}>
+              {pattern === 'normal'
+                ? 'Every parameter at its normal value.'
+                : 'No change expected in this nerve - compare it with the affected one.'}
+            </p>
+          ) : (
+            <ul style={{ fontSize: '0.875rem', margin: 0, paddingLeft: '1.25rem', lineHeight: '1.6' }}>
+              {expected.changes.map(change => (
+                <li key={change.label}>
+                  <strong>{change.label}:</strong>{' '}
+                  <code>{change.normal.toFixed(1)} → {change.expected.toFixed(1)} {change.units}</code>
+                  <div style={{ color: 'var(--text-secondary)' }}>{change.reason}</div>
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,548 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Radio, Timer } from 'lucide-react';
+import {
+  MOTOR_NERVE_NORMALS,
+  PATHOLOGY_PATTERNS,
+  CLINICAL_DIAGNOSES,
+  RNS_CRITERIA,
+} from '../../utils/constants';
+import { chooseSensitivity } from '../../utils/nerveConduction';
+import { NORMAL_JUNCTION, simulateTrain } from '../../utils/neuromuscularJunction';
+import { referenceLimits, formatLimit } from '../../utils/referenceValues';
+
+const SAMPLE_RATE = 20; // Samples per ms
+const RESPONSE_WINDOW = 30; // ms simulated per response
+const DISPLAY_WINDOW = 20; // ms of each response shown side by side
+const SIDE_BY_SIDE_MAX = 10; // Longer trains are shown as an amplitude plot
+const FREQUENCIES = [2, 3, 5, 10, 20, 30, 50]; // Hz
+const EXERCISE_DURATIONS = [10, 30, 60]; // s
+const PROTOCOL_STIMULI = 5; // Stimuli per post-exercise train - enough for the decrement
+const SINGLE_SITE_VELOCITY = 55; // m/s - nerves studied from one site (facial, axillary) have no velocity normals
+const CONDITIONS = Object.keys(PATHOLOGY_PATTERNS).filter(key => PATHOLOGY_PATTERNS[key].rns);
+
+/**
+ * RNS Module - Repetitive Nerve Stimulation for neuromuscular junction disorders
+ * Trains of supramaximal stimuli are synthesized response by response
+ * (utils/neuromuscularJunction): the 3 Hz decrement of myasthenia gravis, the
+ * increment of Lambert-Eaton after brief exercise or 20-50 Hz stimulation, and
+ * the post-exercise facilitation and exhaustion timeline.
+ */
+function RNSModule() {
+  const [condition, setCondition] = useState('myastheniaGravis');
+  const [junction, setJunction] = useState(PATHOLOGY_PATTERNS.myastheniaGravis.rns);
+  const [selectedNerve, setSelectedNerve] = useState('ulnar');
+  const [frequency, setFrequency] = useState(3); // Hz
+  const [stimuli, setStimuli] = useState(10);
+  const [exerciseDuration, setExerciseDuration] = useState(60); // s
+
+  const trainCanvasRef = useRef(null);
+  const timelineCanvasRef = useRef(null);
+
+  const normals = MOTOR_NERVE_NORMALS[selectedNerve];
+  const amplitudeLimit = referenceLimits('motor', selectedNerve).amplitude; // Active lab profile
+  const study = useMemo(() => ({
+    distalDistance: normals.stimulationSites[0].distance,
+    distalLatency: (normals.distalLatency.min + normals.distalLatency.max) / 2,
+    velocity: normals.conductionVelocity ? normals.conductionVelocity.typical : SINGLE_SITE_VELOCITY,
+    amplitude: normals.amplitude.typical,
+  }), [normals]);
+
+  const train = useMemo(
+    () => simulateTrain(junction, { frequency, stimuli }, study, RESPONSE_WINDOW, SAMPLE_RATE),
+    [junction, frequency, stimuli, study]
+  );
+
+  // Post-exercise protocol: rested 3 Hz train, then trains at intervals after exercise
+  const protocol = useMemo(() => {
+    const rested = simulateTrain(junction, { frequency: 3, stimuli: PROTOCOL_STIMULI }, study, RESPONSE_WINDOW, SAMPLE_RATE);
+    const restedAmplitude = rested.responses[0].amplitude;
+    const points = [{ label: 'Rest', delay: null, train: rested }].concat(RNS_CRITERIA.postExerciseTimes.map(delay => ({
+      label: delay === 0 ? '0 s' : `${delay / 60} min`,
+      delay,
+      train: simulateTrain(junction, {
+        frequency: 3,
+        stimuli: PROTOCOL_STIMULI,
+        exercise: exerciseDuration,
+        delay,
+      }, study, RESPONSE_WINDOW, SAMPLE_RATE),
+    })));
+    return points.map(point => ({
+      ...point,
+      decrement: point.train.decrement,
+      amplitude: point.train.responses[0].amplitude,
+      change: restedAmplitude > 0 ? ((point.train.responses[0].amplitude - restedAmplitude) / restedAmplitude) * 100 : 0,
+    }));
+  }, [junction, study, exerciseDuration]);
+
+  const amplitudes = train.responses.map(r => r.amplitude);
+  const firstAmplitude = amplitudes[0];
+  const highFrequency = frequency >= 20;
+  const rested = protocol[0];
+  const immediate = protocol[1];
+  const exhaustion = protocol.slice(2).reduce((worst, p) => (p.decrement > worst.decrement ? p : worst), protocol[2]);
+
+  const abnormal = {
+    amplitude: firstAmplitude < amplitudeLimit.min,
+    decrement: !highFrequency && train.decrement > RNS_CRITERIA.decrement,
+    increment: train.increment >= RNS_CRITERIA.incrementSuggestive,
+    postExercise: immediate.change >= RNS_CRITERIA.incrementSuggestive,
+    exhaustion: exhaustion.decrement > RNS_CRITERIA.decrement && exhaustion.decrement > rested.decrement,
+  };
+
+  const findings = [];
+  if (abnormal.amplitude) findings.push(`Low resting CMAP (${firstAmplitude.toFixed(1)} mV)`);
+  if (rested.decrement > RNS_CRITERIA.decrement) findings.push(`${rested.decrement.toFixed(0)}% decrement at 3 Hz`);
+  if (immediate.change >= RNS_CRITERIA.increment) {
+    findings.push(`${immediate.change.toFixed(0)}% increment after exercise - diagnostic of a presynaptic disorder`);
+  } else if (immediate.change >= RNS_CRITERIA.incrementSuggestive) {
+    findings.push(`${immediate.change.toFixed(0)}% increment after exercise - suggestive of a presynaptic disorder`);
+  }
+  if (highFrequency && train.increment >= RNS_CRITERIA.incrementSuggestive) {
+    findings.push(`${train.increment.toFixed(0)}% increment at ${frequency} Hz`);
+  }
+  if (rested.decrement > RNS_CRITERIA.decrement && immediate.decrement < rested.decrement) {
+    findings.push('Post-exercise facilitation repairs the decrement');
+  }
+  if (abnormal.exhaustion) {
+    findings.push(`Post-activation exhaustion: ${exhaustion.decrement.toFixed(0)}% decrement at ${exhaustion.label}`);
+  }
+
+  // Train: side-by-side responses, or the amplitude of each response for long trains
+  useEffect(() => {
+    const canvas = trainCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    ctx.scale(dpr, dpr);
+
+    const width = rect.width;
+    const height = rect.height;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+
+    const left = 50;
+    const plotWidth = width - left - 20;
+    const top = 30;
+    const plotHeight = height - top - 40;
+
+    ctx.fillStyle = '#475569';
+    ctx.font = '12px var(--font-mono)';
+    ctx.textAlign = 'left';
+    ctx.fillText(`${frequency} Hz × ${stimuli}`, left, 16);
+
+    if (train.responses.length <= SIDE_BY_SIDE_MAX) {
+      const unitsPerDiv = chooseSensitivity(Math.max(...amplitudes));
+      const slotWidth = plotWidth / train.responses.length;
+      const baseline = top + plotHeight * 0.7;
+      const pxPerMv = plotHeight / (4 * unitsPerDiv); // 4 divisions
+      const samples = DISPLAY_WINDOW * SAMPLE_RATE;
+
+      train.responses.forEach((response, n) => {
+        const slotLeft = left + n * slotWidth;
+        ctx.strokeStyle = '#e2e8f0';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(slotLeft, top, slotWidth, plotHeight);
+
+        ctx.strokeStyle = '#0891b2';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        for (let i = 0; i < samples; i++) {
+          const x = slotLeft + (i / samples) * slotWidth;
+          const y = baseline + response.trace[i] * pxPerMv; // Negative up
+          if (i === 0) {
+            ctx.moveTo(x, y);
+          } else {
+            ctx.lineTo(x, y);
+          }
+        }
+        ctx.stroke();
+
+        const percent = firstAmplitude > 0 ? (response.amplitude / firstAmplitude) * 100 : 0;
+        ctx.fillStyle = percent < 100 - RNS_CRITERIA.decrement ? '#ef4444' : '#475569';
+        ctx.font = '11px var(--font-mono)';
+        ctx.textAlign = 'center';
+        ctx.fillText(`${Math.round(percent)}%`, slotLeft + slotWidth / 2, top + plotHeight + 16);
+        ctx.fillStyle = '#94a3b8';
+        ctx.fillText(`${n + 1}`, slotLeft + slotWidth / 2, top + plotHeight + 30);
+      });
+
+      ctx.fillStyle = '#475569';
+      ctx.font = '12px var(--font-mono)';
+      ctx.textAlign = 'right';
+      ctx.fillText(`${DISPLAY_WINDOW} ms per response · ${unitsPerDiv} mV/div`, left + plotWidth, 16);
+    } else {
+      const yMax = Math.max(normals.amplitude.typical, ...amplitudes) * 1.1;
+      const toX = n => left + (n / (train.responses.length - 1)) * plotWidth;
+      const toY = mV => top + plotHeight - (mV / yMax) * plotHeight;
+
+      ctx.strokeStyle = '#e2e8f0';
+      ctx.lineWidth = 1;
+      ctx.fillStyle = '#94a3b8';
+      ctx.font = '10px var(--font-mono)';
+      ctx.textAlign = 'right';
+      for (let mV = 0; mV <= yMax; mV += 2) {
+        ctx.beginPath();
+        ctx.moveTo(left, toY(mV));
+        ctx.lineTo(left + plotWidth, toY(mV));
+        ctx.stroke();
+        ctx.fillText(`${mV}`, left - 6, toY(mV) + 3);
+      }
+
+      ctx.fillStyle = '#0891b2';
+      const barWidth = Math.max(1, plotWidth / train.responses.length - 1);
+      amplitudes.forEach((mV, n) => {
+        ctx.fillRect(toX(n) - barWidth / 2, toY(mV), barWidth, toY(0) - toY(mV));
+      });
+
+      ctx.fillStyle = '#475569';
+      ctx.font = '11px var(--font-mono)';
+      ctx.textAlign = 'center';
+      ctx.fillText('Stimulus number', left + plotWidth / 2, height - 8);
+      ctx.textAlign = 'right';
+      ctx.fillText('CMAP amplitude (mV)', left + plotWidth, 16);
+    }
+  }, [train, frequency, stimuli, normals]);
+
+  // Post-exercise timeline: decrement bars and first-response amplitude change
+  useEffect(() => {
+    const canvas = timelineCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    ctx.scale(dpr, dpr);
+
+    const width = rect.width;
+    const height = rect.height;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+
+    const left = 50;
+    const plotWidth = width - left - 50;
+    const top = 30;
+    const plotHeight = height - top - 40;
+    const slotWidth = plotWidth / protocol.length;
+    const decrementMax = Math.max(40, ...protocol.map(p => p.decrement)) * 1.1;
+    const changeMax = Math.max(100, ...protocol.map(p => Math.abs(p.change))) * 1.1;
+    const toDecrementY = d => top + plotHeight - (d / decrementMax) * plotHeight;
+    const toChangeY = c => top + plotHeight / 2 - (c / changeMax) * (plotHeight / 2);
+
+    // Decrement limit
+    ctx.strokeStyle = '#ef4444';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(left, toDecrementY(RNS_CRITERIA.decrement));
+    ctx.lineTo(left + plotWidth, toDecrementY(RNS_CRITERIA.decrement));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    protocol.forEach((point, i) => {
+      const x = left + (i + 0.5) * slotWidth;
+      ctx.fillStyle = point.decrement > RNS_CRITERIA.decrement ? 'rgba(239, 68, 68, 0.7)' : 'rgba(16, 185, 129, 0.7)';
+      ctx.fillRect(x - slotWidth * 0.2, toDecrementY(point.decrement), slotWidth * 0.4, toDecrementY(0) - toDecrementY(point.decrement));
+
+      ctx.fillStyle = '#0f172a';
+      ctx.font = '11px var(--font-mono)';
+      ctx.textAlign = 'center';
+      ctx.fillText(`${point.decrement.toFixed(0)}%`, x, toDecrementY(point.decrement) - 6);
+      ctx.fillStyle = '#475569';
+      ctx.fillText(point.label, x, top + plotHeight + 16);
+    });
+
+    // Amplitude change of the first response against rest
+    ctx.strokeStyle = '#0891b2';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    protocol.forEach((point, i) => {
+      const x = left + (i + 0.5) * slotWidth;
+      if (i === 0) {
+        ctx.moveTo(x, toChangeY(point.change));
+      } else {
+        ctx.lineTo(x, toChangeY(point.change));
+      }
+    });
+    ctx.stroke();
+    ctx.fillStyle = '#0891b2';
+    protocol.forEach((point, i) => {
+      ctx.beginPath();
+      ctx.arc(left + (i + 0.5) * slotWidth, toChangeY(point.change), 4, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    ctx.font = '11px var(--font-display)';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#ef4444';
+    ctx.fillText('Decrement (bars)', left, 16);
+    ctx.fillStyle = '#0891b2';
+    ctx.fillText('First CMAP vs rest (line)', left + 130, 16);
+    ctx.fillStyle = '#475569';
+    ctx.textAlign = 'center';
+    ctx.fillText(`After ${exerciseDuration} s of exercise`, left + plotWidth / 2, height - 6);
+  }, [protocol, exerciseDuration]);
+
+  const labelStyle = {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: '0.875rem',
+    fontWeight: '600',
+    marginBottom: '0.5rem',
+    color: 'var(--text-secondary)',
+  };
+  const selectLabelStyle = { ...labelStyle, display: 'block' };
+  const headerCellStyle = { fontWeight: '600', color: 'var(--text-secondary)' };
+
+  const flagged = (isAbnormal, text) => (
+    <span className={isAbnormal ? 'text-danger' : 'text-success'}>{text}</span>
+  );
+
+  const diagnosis = CLINICAL_DIAGNOSES[condition];
+
+  return (
+    <div className="container" style={{ padding: '3rem 2rem', maxWidth: '1400px' }}>
+      <div style={{ marginBottom: '2rem' }}>
+        <h2 style={{ marginBottom: '0.5rem' }}>Repetitive Nerve Stimulation</h2>
+        <p style={{ color: 'var(--text-secondary)' }}>
+          Neuromuscular junction testing: decrement, increment and the post-exercise timeline
+        </p>
+      </div>
+
+      {/* Controls */}
+      <div className="card" style={{ marginBottom: '2rem' }}>
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+          gap: '1.5rem',
+        }}>
+          <div>
+            <label style={selectLabelStyle}>Condition</label>
+            <select
+              value={condition}
+              onChange={(e) => {
+                setCondition(e.target.value);
+                setJunction(PATHOLOGY_PATTERNS[e.target.value].rns);
+              }}
+            >
+              {CONDITIONS.map(key => (
+                <option key={key} value={key}>{PATHOLOGY_PATTERNS[key].name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label style={selectLabelStyle}>Nerve</label>
+            <select value={selectedNerve} onChange={(e) => setSelectedNerve(e.target.value)}>
+              {Object.entries(MOTOR_NERVE_NORMALS).map(([key, nerve]) => (
+                <option key={key} value={key}>{nerve.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label style={selectLabelStyle}>Frequency</label>
+            <select value={frequency} onChange={(e) => setFrequency(parseInt(e.target.value))}>
+              {FREQUENCIES.map(hz => (
+                <option key={hz} value={hz}>{hz} Hz</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label style={labelStyle}>
+              <span>Stimuli</span>
+              <span style={{ fontFamily: 'var(--font-mono)' }}>{stimuli}</span>
+            </label>
+            <input
+              type="range"
+              min="5"
+              max="100"
+              step="5"
+              value={stimuli}
+              onChange={(e) => setStimuli(parseInt(e.target.value))}
+              style={{ width: '100%' }}
+            />
+          </div>
+
+          <div>
+            <label style={labelStyle}>
+              <span>Safety Factor</span>
+              <span style={{ fontFamily: 'var(--font-mono)' }}>{junction.safetyFactor.toFixed(1)}</span>
+            </label>
+            <input
+              type="range"
+              min="1.0"
+              max={NORMAL_JUNCTION.safetyFactor}
+              step="0.1"
+              value={junction.safetyFactor}
+              onChange={(e) => setJunction({ ...junction, safetyFactor: parseFloat(e.target.value) })}
+              style={{ width: '100%' }}
+            />
+          </div>
+
+          <div>
+            <label style={labelStyle}>
+              <span>Transmitter Release</span>
+              <span style={{ fontFamily: 'var(--font-mono)' }}>{Math.round(junction.release * 100)}%</span>
+            </label>
+            <input
+              type="range"
+              min="10"
+              max="100"
+              step="5"
+              value={Math.round(junction.release * 100)}
+              onChange={(e) => setJunction({ ...junction, release: parseInt(e.target.value) / 100 })}
+              style={{ width: '100%' }}
+            />
+          </div>
+        </div>
+        <p style={{ fontSize: '0.75rem', color: 'var(--text-tertiary)', margin: '1rem 0 0 0' }}>
+          Lower the safety factor for a postsynaptic (myasthenic) junction; lower the release for a
+          presynaptic (Lambert-Eaton) one. Slow trains (2-5 Hz) show a decrement; 20-50 Hz trains are
+          painful and used only to look for an increment.
+        </p>
+      </div>
+
+      {/* Train */}
+      <div className="card" style={{ marginBottom: '2rem' }}>
+        <div className="card-header" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <Radio size={20} color="var(--primary-500)" />
+          Stimulus Train - {normals.name}
+        </div>
+        <div className="canvas-container">
+          <canvas ref={trainCanvasRef} style={{ width: '100%', height: '260px', display: 'block' }} />
+        </div>
+        <table style={{ fontSize: '0.875rem', marginTop: '1rem' }}>
+          <tbody>
+            <tr>
+              <td style={headerCellStyle}>First CMAP</td>
+              <td>{flagged(abnormal.amplitude, `${firstAmplitude.toFixed(1)} mV`)}</td>
+              <td style={headerCellStyle}>Normal</td>
+              <td><code>{formatLimit(amplitudeLimit)}</code></td>
+            </tr>
+            <tr>
+              <td style={headerCellStyle}>Decrement (lowest of 2nd-5th)</td>
+              <td>{highFrequency ? <code>—</code> : flagged(abnormal.decrement, `${train.decrement.toFixed(0)}%`)}</td>
+              <td style={headerCellStyle}>Normal</td>
+              <td><code>&lt; {RNS_CRITERIA.decrement}% at 2-5 Hz</code></td>
+            </tr>
+            <tr>
+              <td style={headerCellStyle}>Increment (largest vs 1st)</td>
+              <td>{flagged(abnormal.increment, `${train.increment.toFixed(0)}%`)}</td>
+              <td style={headerCellStyle}>Abnormal</td>
+              <td><code>≥ {RNS_CRITERIA.increment}% (≥ {RNS_CRITERIA.incrementSuggestive}% suggestive)</code></td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      {/* Post-exercise protocol */}
+      <div className="card" style={{ marginBottom: '2rem' }}>
+        <div className="card-header" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <Timer size={20} color="var(--primary-500)" />
+          Post-Exercise Facilitation and Exhaustion
+        </div>
+        <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem', alignItems: 'center' }}>
+          <span style={{ ...headerCellStyle, fontSize: '0.875rem' }}>Maximal exercise:</span>
+          {EXERCISE_DURATIONS.map(seconds => (
+            <button
+              key={seconds}
+              className={`btn ${exerciseDuration === seconds ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={() => setExerciseDuration(seconds)}
+            >
+              {seconds} s
+            </button>
+          ))}
+        </div>
+        <div className="canvas-container">
+          <canvas ref={timelineCanvasRef} style={{ width: '100%', height: '240px', display: 'block' }} />
+        </div>
+        <table style={{ fontSize: '0.875rem', marginTop: '1rem' }}>
+          <thead>
+            <tr>
+              <th style={{ textAlign: 'left' }}>3 Hz Train</th>
+              {protocol.map(point => (
+                <th key={point.label} style={{ textAlign: 'left' }}>{point.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td style={headerCellStyle}>First CMAP</td>
+              {protocol.map(point => (
+                <td key={point.label}><code>{point.amplitude.toFixed(1)} mV</code></td>
+              ))}
+            </tr>
+            <tr>
+              <td style={headerCellStyle}>Change vs Rest</td>
+              {protocol.map(point => (
+                <td key={point.label}>
+                  {point.delay === null
+                    ? <code>—</code>
+                    : flagged(point.change >= RNS_CRITERIA.incrementSuggestive, `${point.change >= 0 ? '+' : ''}${point.change.toFixed(0)}%`)}
+                </td>
+              ))}
+            </tr>
+            <tr>
+              <td style={headerCellStyle}>Decrement</td>
+              {protocol.map(point => (
+                <td key={point.label}>{flagged(point.decrement > RNS_CRITERIA.decrement, `${point.decrement.toFixed(0)}%`)}</td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+        <p style={{ fontSize: '0.75rem', color: 'var(--text-tertiary)', margin: '0.5rem 0 0 0' }}>
+          10 s of exercise is enough to look for facilitation (Lambert-Eaton increment, repair of a
+          myasthenic decrement); 60 s is needed to bring out exhaustion at 2-4 minutes.
+        </p>
+      </div>
+
+      {/* Interpretation */}
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
+        gap: '2rem',
+      }}>
+        <div className="card">
+          <div className="card-header" style={{ borderColor: '#3b82f6' }}>
+            Findings
+          </div>
+          {findings.length === 0 ? (
+            <p style={{ fontSize: '0.875rem', margin: 0 }} className="text-success">
+              No decrement, no increment - normal neuromuscular transmission.
+            </p>
+          ) : (
+            <ul style={{ fontSize: '0.875rem', margin: 0, paddingLeft: '1.25rem', lineHeight: '1.6' }}>
+              {findings.map(finding => <li key={finding}>{finding}</li>)}
+            </ul>
+          )}
+        </div>
+
+        <div className="card">
+          <div className="card-header" style={{ borderColor: '#fbbf24' }}>
+            {PATHOLOGY_PATTERNS[condition].name}
+          </div>
+          <p style={{ fontSize: '0.875rem', margin: 0, lineHeight: '1.6' }}>
+            {PATHOLOGY_PATTERNS[condition].description}
+          </p>
+          {diagnosis && (
+            <ul style={{ fontSize: '0.875rem', margin: '0.5rem 0 0 0', paddingLeft: '1.25rem', lineHeight: '1.6' }}>
+              {diagnosis.ncvFindings.map(finding => <li key={finding}>{finding}</li>)}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RNSModule;
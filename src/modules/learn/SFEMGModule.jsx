@@ -0,0 +1,482 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Crosshair, Target } from 'lucide-react';
+import {
+  PATHOLOGY_PATTERNS,
+  SFEMG_NORMALS,
+  SFEMG_CRITERIA,
+} from '../../utils/constants';
+import { generateSingleFiberPotential } from '../../utils/waveformGen';
+import { simulatePair, surveyFiberCount } from '../../utils/singleFiber';
+import { NORMAL_JUNCTION } from '../../utils/neuromuscularJunction';
+import { createRandom, randomSeed } from '../../utils/random';
+
+const SWEEP_WINDOW = 4; // ms shown after the trigger
+const TRIGGER_TIME = 0.8; // ms - trigger potential position in the sweep
+const SWEEP_STEP = 0.01; // ms per drawn sample
+const ELECTRODES = {
+  singleFiber: { name: 'Single-fiber needle', duration: 0.8 },
+  concentric: { name: 'Concentric needle', duration: 1.2 },
+};
+const CONDITIONS = Object.keys(PATHOLOGY_PATTERNS).filter(key => PATHOLOGY_PATTERNS[key].rns);
+
+/**
+ * SFEMG Module - Single-fiber EMG jitter and blocking
+ * Each recorded pair is a run of consecutive discharges of two muscle fibers
+ * of one motor unit (utils/singleFiber), shown as superimposed sweeps
+ * triggered on the first potential. Twenty pairs make a study, judged on
+ * mean MCD, the fraction of pairs above the individual pair limit, blocking
+ * and fiber density.
+ */
+function SFEMGModule() {
+  const [muscle, setMuscle] = useState('edc');
+  const [electrode, setElectrode] = useState('singleFiber');
+  const [condition, setCondition] = useState('normal');
+  const [junction, setJunction] = useState(PATHOLOGY_PATTERNS.normal.rns);
+  const [fiberDensity, setFiberDensity] = useState(1.5);
+  const [pairs, setPairs] = useState([]);
+  const [selectedPair, setSelectedPair] = useState(null);
+
+  const sweepCanvasRef = useRef(null);
+  const summaryCanvasRef = useRef(null);
+
+  const normals = SFEMG_NORMALS[muscle];
+  const limits = normals[electrode];
+  const pair = selectedPair !== null ? pairs[selectedPair] : null;
+
+  // A new recording setup starts a new study
+  useEffect(() => {
+    setPairs([]);
+    setSelectedPair(null);
+  }, [electrode, junction, fiberDensity]);
+
+  const recordPair = () => {
+    const seed = randomSeed();
+    const random = createRandom(seed);
+    return {
+      seed,
+      ...simulatePair(junction, { electrode, discharges: SFEMG_CRITERIA.discharges, random }),
+      fibers: surveyFiberCount(fiberDensity, random),
+      amplitudes: [400 + random() * 600, 250 + random() * 450], // μV
+    };
+  };
+
+  const addPairs = (count) => {
+    const recorded = Array.from({ length: count }, () => recordPair());
+    const next = pairs.concat(recorded).slice(0, SFEMG_CRITERIA.pairs);
+    setPairs(next);
+    setSelectedPair(next.length - 1);
+  };
+
+  // Study summary
+  const measured = pairs.filter(p => p.mcd !== null);
+  const meanMCD = measured.length > 0 ? measured.reduce((sum, p) => sum + p.mcd, 0) / measured.length : null;
+  const outliers = measured.filter(p => p.mcd > limits.pairMCD).length;
+  const outlierPercent = pairs.length > 0 ? (outliers / pairs.length) * 100 : 0;
+  const blockingPairs = pairs.filter(p => p.blocking > 0).length;
+  const meanFiberDensity = pairs.length > 0 ? pairs.reduce((sum, p) => sum + p.fibers, 0) / pairs.length : null;
+  const densityLimit = electrode === 'singleFiber' && normals.fiberDensity ? normals.fiberDensity : null;
+
+  const abnormal = {
+    mean: meanMCD !== null && meanMCD > limits.meanMCD,
+    outliers: outlierPercent > SFEMG_CRITERIA.outlierFraction,
+    blocking: blockingPairs > 0,
+    fiberDensity: densityLimit !== null && meanFiberDensity !== null && meanFiberDensity > densityLimit.max,
+  };
+  const studyComplete = pairs.length >= SFEMG_CRITERIA.pairs;
+  const jitterAbnormal = abnormal.mean || abnormal.outliers || abnormal.blocking;
+
+  let interpretation = `Record ${SFEMG_CRITERIA.pairs - pairs.length} more pair${SFEMG_CRITERIA.pairs - pairs.length === 1 ? '' : 's'} to complete the study.`;
+  if (studyComplete && !jitterAbnormal) {
+    interpretation = 'Normal jitter without blocking - makes a disorder of neuromuscular transmission unlikely in this muscle.';
+  } else if (studyComplete) {
+    interpretation = 'Abnormal jitter' + (abnormal.blocking ? ' with blocking' : '')
+      + ' - impaired neuromuscular transmission. Not specific: also seen in myopathy and during reinnervation'
+      + (abnormal.fiberDensity ? ', which the raised fiber density points to.' : '.');
+  }
+
+  // Superimposed sweeps of the selected pair, triggered on the first potential
+  useEffect(() => {
+    const canvas = sweepCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    ctx.scale(dpr, dpr);
+
+    const width = rect.width;
+    const height = rect.height;
+
+    ctx.fillStyle = '#0f172a';
+    ctx.fillRect(0, 0, width, height);
+
+    const left = 20;
+    const plotWidth = width - 40;
+    const baseline = height * 0.55;
+    const toX = ms => left + (ms / SWEEP_WINDOW) * plotWidth;
+
+    // 0.5 ms grid
+    ctx.strokeStyle = '#1e293b';
+    ctx.lineWidth = 1;
+    for (let ms = 0; ms <= SWEEP_WINDOW; ms += 0.5) {
+      ctx.beginPath();
+      ctx.moveTo(toX(ms), 20);
+      ctx.lineTo(toX(ms), height - 20);
+      ctx.stroke();
+    }
+
+    ctx.fillStyle = '#94a3b8';
+    ctx.font = '12px var(--font-mono)';
+    ctx.textAlign = 'left';
+    if (!pair) {
+      ctx.fillText('Record a pair to see its discharges', left, 16);
+      return;
+    }
+
+    const duration = ELECTRODES[electrode].duration;
+    const maxAmplitude = Math.max(...pair.amplitudes);
+    const pxPerUv = (height * 0.4) / maxAmplitude;
+
+    ctx.strokeStyle = 'rgba(34, 211, 238, 0.35)';
+    ctx.lineWidth = 1;
+    pair.discharges.forEach(discharge => {
+      if (discharge.first === null) return; // No trigger - no sweep
+      const secondTime = discharge.second === null ? null : TRIGGER_TIME + pair.interval + (discharge.second - discharge.first);
+      ctx.beginPath();
+      for (let ms = 0; ms <= SWEEP_WINDOW; ms += SWEEP_STEP) {
+        let uV = generateSingleFiberPotential(ms - TRIGGER_TIME, { amplitude: pair.amplitudes[0], duration });
+        if (secondTime !== null) {
+          uV += generateSingleFiberPotential(ms - secondTime, { amplitude: pair.amplitudes[1], duration });
+        }
+        const y = baseline + uV * pxPerUv; // Negative up
+        if (ms === 0) {
+          ctx.moveTo(toX(ms), y);
+        } else {
+          ctx.lineTo(toX(ms), y);
+        }
+      }
+      ctx.stroke();
+    });
+
+    ctx.fillStyle = '#e2e8f0';
+    ctx.fillText(
+      `Pair ${selectedPair + 1} · IPI ${pair.interval.toFixed(2)} ms · MCD ${pair.mcd === null ? '—' : `${pair.mcd.toFixed(0)} μs`} · blocking ${pair.blocking.toFixed(0)}%`,
+      left,
+      16
+    );
+    ctx.textAlign = 'right';
+    ctx.fillStyle = '#94a3b8';
+    ctx.fillText('0.5 ms/div', left + plotWidth, height - 6);
+  }, [pair, selectedPair, electrode]);
+
+  // Study summary: MCD of every pair against the pair and mean limits
+  useEffect(() => {
+    const canvas = summaryCanvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    ctx.scale(dpr, dpr);
+
+    const width = rect.width;
+    const height = rect.height;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+
+    const left = 50;
+    const plotWidth = width - left - 20;
+    const top = 20;
+    const plotHeight = height - top - 40;
+    const yMax = Math.max(limits.pairMCD * 2, ...measured.map(p => p.mcd)) * 1.1;
+    const toX = n => left + ((n + 0.5) / SFEMG_CRITERIA.pairs) * plotWidth;
+    const toY = us => top + plotHeight - (us / yMax) * plotHeight;
+
+    ctx.strokeStyle = '#e2e8f0';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(left, top, plotWidth, plotHeight);
+
+    // Limits
+    [[limits.pairMCD, '#ef4444', 'Pair limit'], [limits.meanMCD, '#f59e0b', 'Mean limit']].forEach(([us, color, label]) => {
+      ctx.strokeStyle = color;
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(left, toY(us));
+      ctx.lineTo(left + plotWidth, toY(us));
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = color;
+      ctx.font = '10px var(--font-mono)';
+      ctx.textAlign = 'right';
+      ctx.fillText(`${label} ${us} μs`, left + plotWidth - 4, toY(us) - 4);
+    });
+
+    if (meanMCD !== null) {
+      ctx.strokeStyle = '#0891b2';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(left, toY(meanMCD));
+      ctx.lineTo(left + plotWidth, toY(meanMCD));
+      ctx.stroke();
+    }
+
+    pairs.forEach((p, n) => {
+      if (p.mcd === null) return;
+      ctx.fillStyle = p.mcd > limits.pairMCD ? '#ef4444' : '#0891b2';
+      ctx.beginPath();
+      ctx.arc(toX(n), toY(p.mcd), n === selectedPair ? 6 : 4, 0, Math.PI * 2);
+      ctx.fill();
+      if (p.blocking > 0) {
+        ctx.strokeStyle = '#0f172a';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+      }
+    });
+
+    ctx.fillStyle = '#94a3b8';
+    ctx.font = '10px var(--font-mono)';
+    ctx.textAlign = 'right';
+    for (let us = 0; us <= yMax; us += 50) {
+      ctx.fillText(`${us}`, left - 6, toY(us) + 3);
+    }
+    ctx.fillStyle = '#475569';
+    ctx.font = '11px var(--font-mono)';
+    ctx.textAlign = 'center';
+    ctx.fillText('Pair number (circled = blocking)', left + plotWidth / 2, height - 8);
+    ctx.textAlign = 'left';
+    ctx.fillText('MCD (μs)', 4, top + 10);
+  }, [pairs, measured, meanMCD, limits, selectedPair]);
+
+  const labelStyle = {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: '0.875rem',
+    fontWeight: '600',
+    marginBottom: '0.5rem',
+    color: 'var(--text-secondary)',
+  };
+  const selectLabelStyle = { ...labelStyle, display: 'block' };
+  const headerCellStyle = { fontWeight: '600', color: 'var(--text-secondary)' };
+
+  const flagged = (isAbnormal, text) => (
+    <span className={isAbnormal ? 'text-danger' : 'text-success'}>{text}</span>
+  );
+
+  return (
+    <div className="container" style={{ padding: '3rem 2rem', maxWidth: '1400px' }}>
+      <div style={{ marginBottom: '2rem' }}>
+        <h2 style={{ marginBottom: '0.5rem' }}>Single-Fiber EMG</h2>
+        <p style={{ color: 'var(--text-secondary)' }}>
+          Jitter, blocking and fiber density - the most sensitive test of neuromuscular transmission
+        </p>
+      </div>
+
+      {/* Controls */}
+      <div className="card" style={{ marginBottom: '2rem' }}>
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+          gap: '1.5rem',
+        }}>
+          <div>
+            <label style={selectLabelStyle}>Muscle</label>
+            <select value={muscle} onChange={(e) => setMuscle(e.target.value)}>
+              {Object.entries(SFEMG_NORMALS).map(([key, m]) => (
+                <option key={key} value={key}>{m.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label style={selectLabelStyle}>Electrode</label>
+            <select value={electrode} onChange={(e) => setElectrode(e.target.value)}>
+              {Object.entries(ELECTRODES).map(([key, e]) => (
+                <option key={key} value={key}>{e.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label style={selectLabelStyle}>Condition</label>
+            <select
+              value={condition}
+              onChange={(e) => {
+                setCondition(e.target.value);
+                setJunction(PATHOLOGY_PATTERNS[e.target.value].rns);
+              }}
+            >
+              {CONDITIONS.map(key => (
+                <option key={key} value={key}>{PATHOLOGY_PATTERNS[key].name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label style={labelStyle}>
+              <span>Safety Factor</span>
+              <span style={{ fontFamily: 'var(--font-mono)' }}>{junction.safetyFactor.toFixed(1)}</span>
+            </label>
+            <input
+              type="range"
+              min="1.0"
+              max={NORMAL_JUNCTION.safetyFactor}
+              step="0.1"
+              value={junction.safetyFactor}
+              onChange={(e) => setJunction({ ...junction, safetyFactor: parseFloat(e.target.value) })}
+              style={{ width: '100%' }}
+            />
+          </div>
+
+          <div>
+            <label style={labelStyle}>
+              <span>Fiber Density</span>
+              <span style={{ fontFamily: 'var(--font-mono)' }}>{fiberDensity.toFixed(1)}</span>
+            </label>
+            <input
+              type="range"
+              min="1.0"
+              max="4.0"
+              step="0.1"
+              value={fiberDensity}
+              onChange={(e) => setFiberDensity(parseFloat(e.target.value))}
+              style={{ width: '100%' }}
+            />
+          </div>
+        </div>
+        <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1.5rem', flexWrap: 'wrap' }}>
+          <button className="btn btn-primary" onClick={() => addPairs(1)} disabled={studyComplete}>
+            <Crosshair size={16} />
+            Record Pair
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={() => addPairs(SFEMG_CRITERIA.pairs - pairs.length)}
+            disabled={studyComplete}
+          >
+            Collect All {SFEMG_CRITERIA.pairs}
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={() => {
+              setPairs([]);
+              setSelectedPair(null);
+            }}
+            disabled={pairs.length === 0}
+          >
+            Reset
+          </button>
+        </div>
+        <p style={{ fontSize: '0.75rem', color: 'var(--text-tertiary)', margin: '1rem 0 0 0' }}>
+          The patient contracts gently while the needle is moved until two potentials of one motor unit
+          are time-locked; {SFEMG_CRITERIA.discharges} consecutive discharges are recorded per pair.
+          Raise the fiber density to model reinnervation.
+        </p>
+      </div>
+
+      {/* Selected pair */}
+      <div className="card" style={{ marginBottom: '2rem' }}>
+        <div className="card-header" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <Crosshair size={20} color="var(--primary-500)" />
+          Superimposed Discharges - {ELECTRODES[electrode].name}
+        </div>
+        <div className="canvas-container">
+          <canvas ref={sweepCanvasRef} style={{ width: '100%', height: '240px', display: 'block' }} />
+        </div>
+      </div>
+
+      {/* Study */}
+      <div className="card" style={{ marginBottom: '2rem' }}>
+        <div className="card-header" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <Target size={20} color="var(--primary-500)" />
+          Study - {normals.name} ({pairs.length}/{SFEMG_CRITERIA.pairs} pairs)
+        </div>
+        <div className="canvas-container">
+          <canvas ref={summaryCanvasRef} style={{ width: '100%', height: '220px', display: 'block' }} />
+        </div>
+        <table style={{ fontSize: '0.875rem', marginTop: '1rem' }}>
+          <tbody>
+            <tr>
+              <td style={headerCellStyle}>Mean MCD</td>
+              <td>{meanMCD === null ? <code>—</code> : flagged(abnormal.mean, `${meanMCD.toFixed(1)} μs`)}</td>
+              <td style={headerCellStyle}>Normal</td>
+              <td><code>≤ {limits.meanMCD} μs</code></td>
+            </tr>
+            <tr>
+              <td style={headerCellStyle}>Pairs above {limits.pairMCD} μs</td>
+              <td>{flagged(abnormal.outliers, `${outliers} (${outlierPercent.toFixed(0)}%)`)}</td>
+              <td style={headerCellStyle}>Normal</td>
+              <td><code>≤ {SFEMG_CRITERIA.outlierFraction}% of pairs</code></td>
+            </tr>
+            <tr>
+              <td style={headerCellStyle}>Pairs with blocking</td>
+              <td>{flagged(abnormal.blocking, `${blockingPairs}`)}</td>
+              <td style={headerCellStyle}>Normal</td>
+              <td><code>None</code></td>
+            </tr>
+            <tr>
+              <td style={headerCellStyle}>Fiber density</td>
+              <td>
+                {meanFiberDensity === null || densityLimit === null
+                  ? <code>—</code>
+                  : flagged(abnormal.fiberDensity, meanFiberDensity.toFixed(2))}
+              </td>
+              <td style={headerCellStyle}>Normal</td>
+              <td><code>{densityLimit ? densityLimit.normal : 'Single-fiber needle only'}</code></td>
+            </tr>
+          </tbody>
+        </table>
+        <div style={{
+          padding: '0.75rem',
+          marginTop: '1rem',
+          background: studyComplete && jitterAbnormal ? '#fef2f2' : '#f8fafc',
+          borderRadius: '6px',
+          fontSize: '0.875rem',
+        }}>
+          {interpretation}
+        </div>
+      </div>
+
+      {/* Pair list */}
+      {pairs.length > 0 && (
+        <div className="card">
+          <div className="card-header">Recorded Pairs</div>
+          <table style={{ fontSize: '0.875rem', width: '100%' }}>
+            <thead>
+              <tr>
+                <th style={{ textAlign: 'left' }}>Pair</th>
+                <th style={{ textAlign: 'left' }}>IPI</th>
+                <th style={{ textAlign: 'left' }}>MCD</th>
+                <th style={{ textAlign: 'left' }}>Blocking</th>
+                <th style={{ textAlign: 'left' }}>Fibers at Site</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pairs.map((p, n) => (
+                <tr
+                  key={`${p.seed}-${n}`}
+                  onClick={() => setSelectedPair(n)}
+                  style={{ cursor: 'pointer', background: n === selectedPair ? '#f0f9ff' : 'transparent' }}
+                >
+                  <td>{n + 1}</td>
+                  <td><code>{p.interval.toFixed(2)} ms</code></td>
+                  <td>{p.mcd === null ? <code>—</code> : flagged(p.mcd > limits.pairMCD, `${p.mcd.toFixed(0)} μs`)}</td>
+                  <td>{flagged(p.blocking > 0, `${p.blocking.toFixed(0)}%`)}</td>
+                  <td><code>{p.fibers}</code></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SFEMGModule;
@@ -0,0 +1,241 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { MoveHorizontal } from 'lucide-react';
+import { SIDE_TO_SIDE_CRITERIA } from '../../utils/constants';
+import { simulateStudy, chooseSweepSpeed, chooseSensitivity } from '../../utils/nerveConduction';
+import { findLandmarks, measureMarkers } from '../../utils/measurement';
+import { compareSides } from '../../utils/sideComparison';
+
+const SAMPLE_RATE = 20; // Samples per ms
+const SIMULATION_WINDOW = 50; // ms - the distal two sites
+const OTHER_SIDE = { left: 'right', right: 'left' };
+const SIDE_NAMES = { left: 'Left', right: 'Right' };
+const TRACE_COLORS = { left: '#7c3aed', right: '#0891b2' };
+const CONTRALATERAL_MODES = {
+  normal: 'Unaffected (unilateral disease)',
+  mirror: 'Same as this side (symmetric disease)',
+};
+
+/**
+ * Simulate and measure the distal two sites of one side
+ * Latency is the motor onset or sensory peak; velocity needs two sites.
+ */
+function simulateSide(nerveType, positions, { distalLatency, velocity, amplitude, fiberFraction, lesion }) {
+  const responses = simulateStudy(nerveType, {
+    distalDistance: positions[0],
+    distalLatency,
+    velocity,
+    positions,
+    amplitude,
+    fiberFraction,
+    lesion,
+  }, SIMULATION_WINDOW, SAMPLE_RATE).responses.map(({ trace, onset }) => ({
+    trace,
+    ...measureMarkers(trace, SAMPLE_RATE, findLandmarks(trace, SAMPLE_RATE, { endAt: 'phase', onset })),
+  }));
+
+  const [distal, proximal] = responses;
+  const conducted = proximal && distal.amplitude > 0 && proximal.amplitude > 0;
+  return {
+    distal,
+    latency: distal.amplitude > 0 ? (nerveType === 'motor' ? distal.onsetLatency : distal.peakLatency) : 'NR',
+    amplitude: distal.amplitude > 0 ? distal.amplitude : 'NR',
+    velocity: conducted ? (positions[1] - positions[0]) / (proximal.onsetLatency - distal.onsetLatency) : null,
+  };
+}
+
+/**
+ * Side-to-Side Comparison Panel - the patient as their own control
+ * The study on the selected side is repeated on the other side, either
+ * unaffected (unilateral disease) or the same (symmetric disease). The distal
+ * responses are superimposed and the asymmetry flagged against
+ * SIDE_TO_SIDE_CRITERIA - abnormal even when both sides are within limits.
+ */
+function SideComparisonPanel({ nerveType, nerveName, side, positions, study, normalStudy }) {
+  const [mode, setMode] = useState('normal');
+  const canvasRef = useRef(null);
+
+  const otherSide = OTHER_SIDE[side];
+  const units = nerveType === 'motor' ? 'mV' : 'μV';
+
+  const sides = useMemo(() => ({
+    [side]: simulateSide(nerveType, positions, study),
+    [otherSide]: simulateSide(nerveType, positions, mode === 'normal' ? normalStudy : study),
+  }), [nerveType, positions, study, normalStudy, mode, side]);
+
+  const comparison = compareSides(nerveType, sides.left, sides.right);
+
+  const msPerDiv = chooseSweepSpeed(Math.max(...['left', 'right'].map(s => sides[s].distal.onsetLatency + sides[s].distal.duration)) + 5);
+  const unitsPerDiv = chooseSensitivity(Math.max(sides.left.distal.amplitude, sides.right.distal.amplitude));
+
+  // Superimposed distal responses, negative up
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    ctx.scale(dpr, dpr);
+
+    const width = rect.width;
+    const height = rect.height;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+
+    const traceLeft = 20;
+    const traceWidth = width - traceLeft - 20;
+    const traceTop = 30;
+    const baseline = traceTop + (height - traceTop - 20) * 0.7;
+    const windowMs = msPerDiv * 10;
+    const pxPerUnit = (height - traceTop - 20) / (5 * unitsPerDiv); // 5 divisions
+    const toX = timeMs => traceLeft + (timeMs / windowMs) * traceWidth;
+
+    ctx.strokeStyle = '#e2e8f0';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 10; i++) {
+      ctx.beginPath();
+      ctx.moveTo(toX(i * msPerDiv), traceTop);
+      ctx.lineTo(toX(i * msPerDiv), height - 20);
+      ctx.stroke();
+    }
+    ctx.strokeStyle = '#cbd5e1';
+    ctx.beginPath();
+    ctx.moveTo(traceLeft, baseline);
+    ctx.lineTo(traceLeft + traceWidth, baseline);
+    ctx.stroke();
+
+    ['left', 'right'].forEach((name, row) => {
+      const { trace } = sides[name].distal;
+      ctx.strokeStyle = TRACE_COLORS[name];
+      ctx.lineWidth = 2;
+      ctx.setLineDash(name === side ? [] : [6, 3]);
+      ctx.beginPath();
+      const samples = Math.min(trace.length, windowMs * SAMPLE_RATE + 1);
+      for (let i = 0; i < samples; i++) {
+        const y = baseline + trace[i] * pxPerUnit;
+        if (i === 0) {
+          ctx.moveTo(toX(i / SAMPLE_RATE), y);
+        } else {
+          ctx.lineTo(toX(i / SAMPLE_RATE), y);
+        }
+      }
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      ctx.fillStyle = TRACE_COLORS[name];
+      ctx.font = '12px var(--font-display)';
+      ctx.textAlign = 'left';
+      ctx.fillText(`${SIDE_NAMES[name]}${name === side ? ' (this side)' : ''}`, traceLeft + row * (traceWidth / 3), 16);
+    });
+
+    ctx.fillStyle = '#475569';
+    ctx.font = '12px var(--font-mono)';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${msPerDiv} ms/div · ${unitsPerDiv} ${units}/div`, traceLeft + traceWidth, height - 4);
+  }, [sides, side, units, msPerDiv, unitsPerDiv]);
+
+  const headerCellStyle = { fontWeight: '600', color: 'var(--text-secondary)' };
+  const format = (value, digits, valueUnits) => {
+    if (value === 'NR') return 'NR';
+    return value === null ? '—' : `${value.toFixed(digits)} ${valueUnits}`;
+  };
+  const flag = result => {
+    if (!result) return <span style={{ color: 'var(--text-tertiary)' }}>—</span>;
+    return (
+      <span className={`badge ${result.abnormal ? 'badge-danger' : 'badge-success'}`}>
+        {result.abnormal ? 'Asymmetric' : 'Symmetric'}
+      </span>
+    );
+  };
+
+  const rows = [
+    {
+      label: nerveType === 'motor' ? 'Distal latency (onset)' : 'Peak latency',
+      values: ['left', 'right'].map(s => format(sides[s].latency, 2, 'ms')),
+      result: comparison.latency,
+      difference: comparison.latency && `${comparison.latency.difference.toFixed(2)} ms`,
+      limit: `≤ ${SIDE_TO_SIDE_CRITERIA.latencyDifference[nerveType]} ms`,
+    },
+    {
+      label: 'Amplitude',
+      values: ['left', 'right'].map(s => format(sides[s].amplitude, 1, units)),
+      result: comparison.amplitude,
+      difference: comparison.amplitude && `${comparison.amplitude.asymmetry}% (ratio ${comparison.amplitude.ratio.toFixed(2)})`,
+      limit: `≤ ${SIDE_TO_SIDE_CRITERIA.amplitudeAsymmetry[nerveType]}%`,
+    },
+    {
+      label: 'Conduction velocity',
+      values: ['left', 'right'].map(s => format(sides[s].velocity, 0, 'm/s')),
+      result: comparison.velocity,
+      difference: comparison.velocity && `${comparison.velocity.difference.toFixed(0)} m/s`,
+      limit: `≤ ${SIDE_TO_SIDE_CRITERIA.velocityDifference} m/s`,
+    },
+  ];
+
+  return (
+    <div className="card" style={{ marginBottom: '2rem', borderLeft: '4px solid #7c3aed' }}>
+      <div className="card-header" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <MoveHorizontal size={20} color="var(--primary-500)" />
+        Side-to-Side Comparison - {nerveName}
+      </div>
+
+      <p style={{ fontSize: '0.875rem', lineHeight: '1.6', margin: '0 0 1rem 0' }}>
+        The same nerve on the {otherSide} side is this patient's own control. In early or unilateral disease
+        an asymmetry may be the only abnormality, with both sides still inside the absolute limits.
+      </p>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.5rem', marginBottom: '1rem' }}>
+        <span style={{ fontSize: '0.875rem', color: 'var(--text-secondary)' }}>{SIDE_NAMES[otherSide]} side:</span>
+        {Object.entries(CONTRALATERAL_MODES).map(([key, label]) => (
+          <button
+            key={key}
+            className={`btn ${mode === key ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={() => setMode(key)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="canvas-container">
+        <canvas ref={canvasRef} style={{ width: '100%', height: '220px', display: 'block' }} />
+      </div>
+
+      <table style={{ fontSize: '0.875rem', marginTop: '1rem' }}>
+        <thead>
+          <tr>
+            <th style={{ textAlign: 'left' }}>Parameter</th>
+            <th style={{ textAlign: 'left', color: TRACE_COLORS.left }}>Left</th>
+            <th style={{ textAlign: 'left', color: TRACE_COLORS.right }}>Right</th>
+            <th style={{ textAlign: 'left' }}>Difference</th>
+            <th style={{ textAlign: 'left' }}>Normal</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.label}>
+              <td style={headerCellStyle}>{row.label}</td>
+              <td><code>{row.values[0]}</code></td>
+              <td><code>{row.values[1]}</code></td>
+              <td><code>{row.difference || '—'}</code></td>
+              <td><code>{row.limit}</code></td>
+              <td>{flag(row.result)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ fontSize: '0.75rem', color: 'var(--text-tertiary)', margin: '0.5rem 0 0 0' }}>
+        {comparison.reasons.length > 0
+          ? comparison.reasons.join('; ')
+          : 'No side-to-side asymmetry. Symmetric disease is judged by the absolute limits alone.'}
+      </p>
+    </div>
+  );
+}
+
+export default SideComparisonPanel;
@@ -0,0 +1,309 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Crosshair } from 'lucide-react';
+import { generateEMGPattern, measureMUAP } from '../../utils/waveformGen';
+import {
+  SENSITIVITIES,
+  captureTriggeredSweeps,
+  averageSweeps,
+  measureSweepVariability,
+} from '../../utils/oscilloscope';
+
+const CAPTURE_DURATION = 10000; // ms of signal searched for triggers
+const SAMPLE_RATE = 10; // Samples per ms
+const POST_TRIGGER_MS = 20;
+const MAX_SWEEPS = 40;
+const RASTER_ROWS = 20;
+const VARIABILITY_LIMIT = 10; // % - above this the unit is unstable
+
+/**
+ * Prepare a canvas for drawing and fill the background grid
+ * @returns {Object} ctx, width and height in CSS pixels
+ */
+function setupCanvas(canvas, divisionsX, divisionsY) {
+  const ctx = canvas.getContext('2d');
+  const dpr = window.devicePixelRatio || 1;
+
+  const rect = canvas.getBoundingClientRect();
+  canvas.width = rect.width * dpr;
+  canvas.height = rect.height * dpr;
+  ctx.scale(dpr, dpr);
+
+  const width = rect.width;
+  const height = rect.height;
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.strokeStyle = '#e2e8f0';
+  ctx.lineWidth = 1;
+  for (let i = 0; i <= divisionsX; i++) {
+    const x = (i / divisionsX) * width;
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, height);
+    ctx.stroke();
+  }
+  for (let i = 0; i <= divisionsY; i++) {
+    const y = (i / divisionsY) * height;
+    ctx.beginPath();
+    ctx.moveTo(0, y);
+    ctx.lineTo(width, y);
+    ctx.stroke();
+  }
+
+  return { ctx, width, height };
+}
+
+/**
+ * Draw one sweep as a polyline, clipped to the canvas
+ */
+function drawSweep(ctx, sweep, width, height, baseline, pxPerUv) {
+  ctx.beginPath();
+  for (let i = 0; i < sweep.length; i++) {
+    const x = (i / (sweep.length - 1)) * width;
+    const y = Math.min(height, Math.max(0, baseline - sweep[i] * pxPerUv));
+    if (i === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  }
+  ctx.stroke();
+}
+
+/**
+ * Trigger & Delay Line - capture repeated discharges of one MUAP
+ * Every crossing of the trigger level captures a sweep; the delay line keeps
+ * the signal before the crossing. Superimposed sweeps show stability (jiggle,
+ * blocking satellites in early reinnervation) and their average is the template.
+ */
+function TriggerCapture({ pattern, seed, effort, recruitment, grade, color = '#10b981' }) {
+  const [triggerLevel, setTriggerLevel] = useState(-300); // μV - MUAP main phase is negative
+  const [preTrigger, setPreTrigger] = useState(5); // ms
+  const [sensitivity, setSensitivity] = useState(500); // μV/div
+  const [view, setView] = useState('superimposed'); // 'superimposed' or 'raster'
+  const captureRef = useRef(null);
+  const templateRef = useRef(null);
+
+  const signal = useMemo(
+    () => generateEMGPattern(pattern, CAPTURE_DURATION, SAMPLE_RATE, { seed, effort, recruitment, grade }),
+    [pattern, seed, effort, recruitment, grade]
+  );
+
+  const sweeps = captureTriggeredSweeps(signal, SAMPLE_RATE, {
+    level: triggerLevel,
+    preTriggerMs: preTrigger,
+    postTriggerMs: POST_TRIGGER_MS,
+    maxSweeps: MAX_SWEEPS,
+  });
+  const template = averageSweeps(sweeps);
+  const measured = measureMUAP(template, SAMPLE_RATE);
+  const variability = measureSweepVariability(sweeps);
+  const windowMs = preTrigger + POST_TRIGGER_MS;
+
+  // Captured sweeps
+  useEffect(() => {
+    const canvas = captureRef.current;
+    if (!canvas) return;
+
+    const divisionsY = 8;
+    const { ctx, width, height } = setupCanvas(canvas, 10, divisionsY);
+    const pxPerUv = height / (divisionsY * sensitivity);
+    const triggerX = (preTrigger / windowMs) * width;
+
+    // Trigger point
+    ctx.strokeStyle = '#94a3b8';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(triggerX, 0);
+    ctx.lineTo(triggerX, height);
+    ctx.stroke();
+
+    if (view === 'superimposed') {
+      // Trigger level
+      const levelY = height / 2 - triggerLevel * pxPerUv;
+      ctx.beginPath();
+      ctx.moveTo(0, levelY);
+      ctx.lineTo(width, levelY);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      ctx.strokeStyle = `${color}55`;
+      ctx.lineWidth = 1.5;
+      sweeps.forEach(sweep => drawSweep(ctx, sweep, width, height, height / 2, pxPerUv));
+    } else {
+      ctx.setLineDash([]);
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1;
+      const rowHeight = height / RASTER_ROWS;
+      sweeps.slice(0, RASTER_ROWS).forEach((sweep, row) => {
+        drawSweep(ctx, sweep, width, height, (row + 0.5) * rowHeight, pxPerUv);
+      });
+    }
+
+    ctx.fillStyle = '#475569';
+    ctx.font = '12px var(--font-mono)';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${windowMs / 10} ms/div · ${sensitivity} μV/div`, width - 5, 15);
+  }, [signal, triggerLevel, preTrigger, sensitivity, view, color]);
+
+  // Averaged template
+  useEffect(() => {
+    const canvas = templateRef.current;
+    if (!canvas) return;
+
+    const divisionsY = 8;
+    const { ctx, width, height } = setupCanvas(canvas, 10, divisionsY);
+    const pxPerUv = height / (divisionsY * sensitivity);
+
+    if (template.length > 0) {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2.5;
+      drawSweep(ctx, template, width, height, height / 2, pxPerUv);
+    }
+
+    ctx.fillStyle = '#475569';
+    ctx.font = '12px var(--font-mono)';
+    ctx.textAlign = 'right';
+    ctx.fillText(`Average of ${sweeps.length}`, width - 5, 15);
+  }, [signal, triggerLevel, preTrigger, sensitivity, color]);
+
+  const labelStyle = {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: '0.875rem',
+    fontWeight: '600',
+    marginBottom: '0.25rem',
+    color: 'var(--text-secondary)',
+  };
+
+  return (
+    <div className="card" style={{ marginBottom: '2rem' }}>
+      <div className="card-header" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <Crosshair size={20} color="var(--primary-500)" />
+        Trigger &amp; Delay Line
+      </div>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+        gap: '1rem',
+        marginBottom: '1rem',
+      }}>
+        <div>
+          <label style={labelStyle}>
+            <span>Trigger Level</span>
+            <span style={{ fontFamily: 'var(--font-mono)' }}>{triggerLevel} μV</span>
+          </label>
+          <input
+            type="range"
+            min="-3000"
+            max="3000"
+            step="50"
+            value={triggerLevel}
+            onChange={(e) => setTriggerLevel(parseInt(e.target.value))}
+            style={{ width: '100%' }}
+          />
+        </div>
+        <div>
+          <label style={labelStyle}>
+            <span>Delay Line (pre-trigger)</span>
+            <span style={{ fontFamily: 'var(--font-mono)' }}>{preTrigger} ms</span>
+          </label>
+          <input
+            type="range"
+            min="0"
+            max="10"
+            step="1"
+            value={preTrigger}
+            onChange={(e) => setPreTrigger(parseInt(e.target.value))}
+            style={{ width: '100%' }}
+          />
+        </div>
+        <div>
+          <label style={labelStyle}>Sensitivity</label>
+          <select value={sensitivity} onChange={(e) => setSensitivity(parseInt(e.target.value))}>
+            {SENSITIVITIES.map(uv => (
+              <option key={uv} value={uv}>{uv >= 1000 ? `${uv / 1000} mV/div` : `${uv} μV/div`}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label style={labelStyle}>Display</label>
+          <select value={view} onChange={(e) => setView(e.target.value)}>
+            <option value="superimposed">Superimposed</option>
+            <option value="raster">Raster</option>
+          </select>
+        </div>
+      </div>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(350px, 1fr))',
+        gap: '2rem',
+      }}>
+        <div className="canvas-container">
+          <canvas
+            ref={captureRef}
+            style={{
+              width: '100%',
+              height: '300px',
+              display: 'block',
+            }}
+          />
+        </div>
+        <div>
+          <div className="canvas-container">
+            <canvas
+              ref={templateRef}
+              style={{
+                width: '100%',
+                height: '300px',
+                display: 'block',
+              }}
+            />
+          </div>
+        </div>
+      </div>
+
+      {sweeps.length === 0 ? (
+        <p style={{ fontSize: '0.875rem', color: 'var(--text-tertiary)', margin: '1rem 0 0 0' }}>
+          No discharges crossed the trigger level - lower it or increase effort.
+        </p>
+      ) : (
+        <table style={{ fontSize: '0.875rem', marginTop: '1rem' }}>
+          <tbody>
+            <tr>
+              <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Sweeps Captured</td>
+              <td><code>{sweeps.length}</code></td>
+              <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Sweep Variability</td>
+              <td>
+                <span className={variability > VARIABILITY_LIMIT ? 'text-danger' : 'text-success'}>
+                  {variability.toFixed(1)}% {variability > VARIABILITY_LIMIT ? '(unstable)' : '(stable)'}
+                </span>
+              </td>
+            </tr>
+            <tr>
+              <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Template Duration</td>
+              <td><code>{measured.duration.toFixed(1)} ms</code></td>
+              <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Amplitude (p-p)</td>
+              <td><code>{Math.round(measured.amplitude)} μV</code></td>
+            </tr>
+            <tr>
+              <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Phases</td>
+              <td>
+                <span className={measured.phases > 4 ? 'text-danger' : 'text-success'}>
+                  {measured.phases}
+                </span>
+              </td>
+              <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>Turns</td>
+              <td><code>{measured.turns}</code></td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default TriggerCapture;
@@ -1,10 +1,30 @@
 import React, { useState } from 'react';
 import { CheckCircle, XCircle, AlertCircle, FileText } from 'lucide-react';
+import { assessStudy, formatLimit } from '../../utils/referenceValues';
+import { getActiveProfile } from '../../utils/labProfiles';
+
+/**
+ * Flag a case's NCV finding against the patient's adjusted reference limits
+ * Nerves without reference values keep the case's own status.
+ */
+const assessFinding = (finding, patient) => {
+  const assessment = finding.key && assessStudy(finding.type, finding.key, {
+    latency: finding.latency,
+    amplitude: finding.amplitude,
+    velocity: finding.cv,
+  }, patient);
+  if (assessment) return assessment;
+
+  const flag = { abnormal: finding.status === 'abnormal', limit: null };
+  return { latency: flag, amplitude: flag, velocity: flag, abnormal: flag.abnormal, adjustments: [], warnings: [] };
+};
 
 /**
  * Case Studies Module
  * Interactive clinical cases with diagnosis quiz
  * Mimics NeuroReport AI structure for case presentation and analysis
+ * NCV values are flagged by the shared reference-value service for each
+ * case's patient (age, height, limb temperature, side).
  */
 function CaseStudies() {
   const [selectedCase, setSelectedCase] = useState(0);
@@ -15,6 +35,7 @@ function CaseStudies() {
     {
       id: 1,
       title: 'Case 1: Carpal Tunnel Syndrome',
+      patient: { age: 58, height: 163, temperature: 32.5, side: 'right' },
       presentation: {
         chiefComplaint: '58-year-old woman with numbness and tingling in both hands',
         history: 'Progressive symptoms over 6 months, worse at night, awakens her from sleep. Shakes hands to get relief. Works as a cashier.',
@@ -32,10 +53,10 @@ function CaseStudies() {
       },
       studyFindings: {
         ncv: [
-          { nerve: 'Median (motor)', site: 'Wrist-APB', latency: 5.8, amplitude: 6.2, cv: 48, status: 'abnormal' },
-          { nerve: 'Median (sensory)', site: 'Wrist-Digit 2', latency: 4.2, amplitude: 8, cv: 42, status: 'abnormal' },
-          { nerve: 'Ulnar (motor)', site: 'Wrist-ADM', latency: 2.8, amplitude: 9.5, cv: 54, status: 'normal' },
-          { nerve: 'Ulnar (sensory)', site: 'Wrist-Digit 5', latency: 2.6, amplitude: 18, cv: 52, status: 'normal' },
+          { nerve: 'Median (motor)', type: 'motor', key: 'median', site: 'Wrist-APB', latency: 5.8, amplitude: 6.2, cv: 48 },
+          { nerve: 'Median (sensory)', type: 'sensory', key: 'median', site: 'Wrist-Digit 2', latency: 4.2, amplitude: 8, cv: 42 },
+          { nerve: 'Ulnar (motor)', type: 'motor', key: 'ulnar', site: 'Wrist-ADM', latency: 2.8, amplitude: 9.5, cv: 54 },
+          { nerve: 'Ulnar (sensory)', type: 'sensory', key: 'ulnar', site: 'Wrist-Digit 5', latency: 2.6, amplitude: 18, cv: 52 },
         ],
         emg: [
           { muscle: 'APB', insertional: 'Normal', spontaneous: 'Fibs 2+', recruitment: 'Reduced', muap: 'Increased duration' },
@@ -65,6 +86,7 @@ function CaseStudies() {
     {
       id: 2,
       title: 'Case 2: C6 Radiculopathy',
+      patient: { age: 45, height: 180, temperature: 33, side: 'right' },
       presentation: {
         chiefComplaint: '45-year-old man with right arm pain and weakness',
         history: 'Acute onset neck pain 3 weeks ago after lifting heavy boxes. Pain radiates down lateral arm to thumb. Numbness in thumb and index finger.',
@@ -82,9 +104,9 @@ function CaseStudies() {
       },
       studyFindings: {
         ncv: [
-          { nerve: 'Median (motor)', site: 'Wrist-APB', latency: 3.2, amplitude: 8.5, cv: 56, status: 'normal' },
-          { nerve: 'Median (sensory)', site: 'Wrist-Digit 2', latency: 3.0, amplitude: 28, cv: 54, status: 'normal' },
-          { nerve: 'Radial (sensory)', site: 'Forearm-Thumb', latency: 2.4, amplitude: 22, cv: 55, status: 'normal' },
+          { nerve: 'Median (motor)', type: 'motor', key: 'median', site: 'Wrist-APB', latency: 3.2, amplitude: 8.5, cv: 56 },
+          { nerve: 'Median (sensory)', type: 'sensory', key: 'median', site: 'Wrist-Digit 2', latency: 3.0, amplitude: 28, cv: 54 },
+          { nerve: 'Radial (sensory)', type: 'sensory', key: 'radial', site: 'Forearm-Thumb', latency: 2.4, amplitude: 22, cv: 55 },
         ],
         emg: [
           { muscle: 'Biceps', insertional: 'Increased', spontaneous: 'Fibs 3+, PSWs 2+', recruitment: 'Reduced', muap: 'Normal duration' },
@@ -116,6 +138,7 @@ function CaseStudies() {
     {
       id: 3,
       title: 'Case 3: Axonal Polyneuropathy',
+      patient: { age: 62, height: 175, temperature: 32, side: 'right' },
       presentation: {
         chiefComplaint: '62-year-old diabetic man with numbness in feet',
         history: 'Progressive numbness and tingling in feet for 2 years. Started distally, now up to mid-calf. Burning sensation. No weakness. Type 2 diabetes for 15 years, HbA1c 8.5%.',
@@ -133,11 +156,11 @@ function CaseStudies() {
       },
       studyFindings: {
         ncv: [
-          { nerve: 'Peroneal (motor)', site: 'Ankle-EDB', latency: 4.8, amplitude: 1.2, cv: 42, status: 'abnormal' },
-          { nerve: 'Tibial (motor)', site: 'Ankle-AH', latency: 5.2, amplitude: 2.8, cv: 40, status: 'abnormal' },
-          { nerve: 'Sural (sensory)', site: 'Calf-Ankle', latency: 'NR', amplitude: 'NR', cv: 'NR', status: 'abnormal' },
-          { nerve: 'Superficial Peroneal (sensory)', site: 'Leg-Ankle', latency: 'NR', amplitude: 'NR', cv: 'NR', status: 'abnormal' },
-          { nerve: 'Median (motor)', site: 'Wrist-APB', latency: 3.6, amplitude: 7.2, cv: 52, status: 'normal' },
+          { nerve: 'Peroneal (motor)', type: 'motor', key: 'peroneal', site: 'Ankle-EDB', latency: 4.8, amplitude: 1.2, cv: 42 },
+          { nerve: 'Tibial (motor)', type: 'motor', key: 'tibial', site: 'Ankle-AH', latency: 5.2, amplitude: 2.8, cv: 40 },
+          { nerve: 'Sural (sensory)', type: 'sensory', key: 'sural', site: 'Calf-Ankle', latency: 'NR', amplitude: 'NR', cv: 'NR' },
+          { nerve: 'Superficial Peroneal (sensory)', type: 'sensory', key: 'superficialPeroneal', site: 'Leg-Ankle', latency: 'NR', amplitude: 'NR', cv: 'NR' },
+          { nerve: 'Median (motor)', type: 'motor', key: 'median', site: 'Wrist-APB', latency: 3.6, amplitude: 7.2, cv: 52 },
         ],
         emg: [
           { muscle: 'Tibialis Anterior', insertional: 'Normal', spontaneous: 'Fibs 1+', recruitment: 'Reduced', muap: 'Increased duration' },
@@ -167,6 +190,8 @@ function CaseStudies() {
   ];
 
   const currentCase = cases[selectedCase];
+  const assessments = currentCase.studyFindings.ncv.map(finding => assessFinding(finding, currentCase.patient));
+  const referenceNotes = [...new Set(assessments.flatMap(a => [...a.adjustments, ...a.warnings]))];
 
   const handleDiagnosisSubmit = () => {
     if (selectedDiagnosis) {
@@ -260,23 +285,30 @@ function CaseStudies() {
                 </tr>
               </thead>
               <tbody>
-                {currentCase.studyFindings.ncv.map((finding, i) => (
-                  <tr key={i}>
-                    <td style={{ fontWeight: '600' }}>{finding.nerve}</td>
-                    <td className={finding.status === 'abnormal' && finding.latency !== 'NR' ? 'text-danger' : ''}>
-                      {finding.latency === 'NR' ? 'NR' : `${finding.latency}ms`}
-                    </td>
-                    <td className={finding.status === 'abnormal' && finding.amplitude !== 'NR' ? 'text-danger' : ''}>
-                      {finding.amplitude === 'NR' ? 'NR' : `${finding.amplitude}`}
-                    </td>
-                    <td className={finding.status === 'abnormal' && finding.cv !== 'NR' ? 'text-danger' : ''}>
-                      {finding.cv === 'NR' ? 'NR' : `${finding.cv}m/s`}
-                    </td>
-                  </tr>
-                ))}
+                {currentCase.studyFindings.ncv.map((finding, i) => {
+                  const { latency, amplitude, velocity } = assessments[i];
+                  return (
+                    <tr key={i}>
+                      <td style={{ fontWeight: '600' }}>{finding.nerve}</td>
+                      <td className={latency.abnormal ? 'text-danger' : ''} title={latency.limit ? formatLimit(latency.limit) : undefined}>
+                        {finding.latency === 'NR' ? 'NR' : `${finding.latency}ms`}
+                      </td>
+                      <td className={amplitude.abnormal ? 'text-danger' : ''} title={amplitude.limit ? formatLimit(amplitude.limit) : undefined}>
+                        {finding.amplitude === 'NR' ? 'NR' : `${finding.amplitude}`}
+                      </td>
+                      <td className={velocity.abnormal ? 'text-danger' : ''} title={velocity.limit ? formatLimit(velocity.limit) : undefined}>
+                        {finding.cv === 'NR' ? 'NR' : `${finding.cv}m/s`}
+                      </td>
+                    </tr>
+                  );
+                })}
               </tbody>
             </table>
           </div>
+          <p style={{ fontSize: '0.75rem', color: 'var(--text-tertiary)', margin: '0.5rem 0 0 0' }}>
+            {getActiveProfile().name} limits for age {currentCase.patient.age}, {currentCase.patient.height} cm, limb {currentCase.patient.temperature}°C
+            {referenceNotes.length > 0 ? ` - ${referenceNotes.join('; ')}` : ' - no adjustment needed'}
+          </p>
         </div>
 
         {/* Study Findings - EMG */}
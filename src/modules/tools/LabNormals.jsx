@@ -0,0 +1,373 @@
+import React, { useState, useRef } from 'react';
+import { Settings, Download, Upload, Plus, Trash2, CheckCircle, AlertCircle } from 'lucide-react';
+import { MOTOR_NERVE_NORMALS, SENSORY_NERVE_NORMALS } from '../../utils/constants';
+import {
+  PROFILE_PARAMETERS,
+  listProfiles,
+  getActiveProfile,
+  setActiveProfile,
+  saveProfile,
+  deleteProfile,
+  profileLimit,
+  builtInProfile,
+  validateProfile,
+  profileToJSON,
+  profileToCSV,
+  parseProfileCSV,
+} from '../../utils/labProfiles';
+
+const NERVE_TYPES = [
+  { type: 'motor', label: 'Motor Nerves', catalog: MOTOR_NERVE_NORMALS },
+  { type: 'sensory', label: 'Sensory Nerves', catalog: SENSORY_NERVE_NORMALS },
+];
+
+/**
+ * Editable copy of a profile - every limit as text so inputs can be cleared;
+ * parameters a nerve is not measured for are left out
+ */
+const toDraft = profile => {
+  const normals = {};
+  NERVE_TYPES.forEach(({ type, catalog }) => {
+    normals[type] = {};
+    Object.keys(catalog).forEach(nerve => {
+      normals[type][nerve] = {};
+      Object.keys(PROFILE_PARAMETERS).forEach(parameter => {
+        const limit = profileLimit(profile, type, nerve, parameter);
+        if (limit !== null) normals[type][nerve][parameter] = String(limit);
+      });
+    });
+  });
+  return { name: profile.name, normals };
+};
+
+/**
+ * Draft back to profile data; blank cells are left out and fall back to the built-in limit
+ */
+const fromDraft = draft => {
+  const normals = {};
+  Object.entries(draft.normals).forEach(([type, nerves]) => {
+    normals[type] = {};
+    Object.entries(nerves).forEach(([nerve, parameters]) => {
+      normals[type][nerve] = {};
+      Object.entries(parameters).forEach(([parameter, text]) => {
+        if (text.trim() !== '') {
+          const value = Number(text);
+          normals[type][nerve][parameter] = Number.isNaN(value) ? text : value;
+        }
+      });
+    });
+  });
+  return { name: draft.name, normals };
+};
+
+/**
+ * Save text as a file download
+ */
+const downloadFile = (text, filename, type) => {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Lab Normals Module
+ * Named normal-value profiles for the lab and its affiliates: view and edit
+ * the limits per nerve and parameter, choose the active profile every
+ * abnormality check reads from, and exchange profiles as JSON or CSV.
+ */
+function LabNormals() {
+  const [profiles, setProfiles] = useState(() => listProfiles());
+  const [activeId, setActiveId] = useState(() => getActiveProfile().id);
+  const [selectedId, setSelectedId] = useState(() => getActiveProfile().id);
+  const [draft, setDraft] = useState(() => toDraft(getActiveProfile()));
+  const [errors, setErrors] = useState([]);
+  const [message, setMessage] = useState('');
+  const fileInputRef = useRef(null);
+
+  const selected = profiles.find(p => p.id === selectedId) || profiles[0];
+  const reference = builtInProfile();
+
+  const refresh = (nextSelectedId) => {
+    const next = listProfiles();
+    const profile = next.find(p => p.id === nextSelectedId) || next[0];
+    setProfiles(next);
+    setActiveId(getActiveProfile().id);
+    setSelectedId(profile.id);
+    setDraft(toDraft(profile));
+  };
+
+  const selectProfile = (id) => {
+    setErrors([]);
+    setMessage('');
+    refresh(id);
+  };
+
+  const activate = () => {
+    setActiveProfile(selected.id);
+    setMessage(`"${selected.name}" is now used for every abnormality check.`);
+    refresh(selected.id);
+  };
+
+  const duplicate = () => {
+    const copy = saveProfile({ name: `${selected.name.replace(' (built-in)', '')} copy`, normals: selected.normals });
+    setErrors([]);
+    setMessage(`Created "${copy.name}" - edit its limits below.`);
+    refresh(copy.id);
+  };
+
+  const remove = () => {
+    deleteProfile(selected.id);
+    setErrors([]);
+    setMessage(`Deleted "${selected.name}".`);
+    refresh(getActiveProfile().id);
+  };
+
+  const save = () => {
+    const { profile, errors: validationErrors } = validateProfile(fromDraft(draft));
+    setErrors(validationErrors);
+    if (!profile) {
+      setMessage('');
+      return;
+    }
+    saveProfile({ ...profile, id: selected.id });
+    setMessage(`Saved "${profile.name}".`);
+    refresh(selected.id);
+  };
+
+  const updateLimit = (type, nerve, parameter, text) => {
+    setDraft({
+      ...draft,
+      normals: {
+        ...draft.normals,
+        [type]: {
+          ...draft.normals[type],
+          [nerve]: { ...draft.normals[type][nerve], [parameter]: text },
+        },
+      },
+    });
+  };
+
+  const exportProfile = (format) => {
+    const filename = selected.name.replace(/[^\w-]+/g, '-');
+    if (format === 'json') {
+      downloadFile(profileToJSON(selected), `${filename}.json`, 'application/json');
+    } else {
+      downloadFile(profileToCSV(selected), `${filename}.csv`, 'text/csv');
+    }
+  };
+
+  const importProfile = async (file) => {
+    if (!file) return;
+    const text = await file.text();
+    let data = null;
+    let readErrors = [];
+
+    if (file.name.toLowerCase().endsWith('.csv')) {
+      ({ data, errors: readErrors } = parseProfileCSV(text, file.name.replace(/\.csv$/i, '')));
+    } else {
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        readErrors = [`Not valid JSON: ${error.message}`];
+      }
+    }
+
+    const { profile, errors: validationErrors } = data ? validateProfile(data) : { profile: null, errors: [] };
+    const allErrors = [...readErrors, ...validationErrors];
+    setErrors(allErrors.map(e => `${file.name} - ${e}`));
+    if (!profile || allErrors.length > 0) {
+      setMessage('');
+      return;
+    }
+
+    const names = profiles.map(p => p.name);
+    let name = profile.name;
+    for (let n = 2; names.includes(name); n++) name = `${profile.name} (${n})`;
+    const saved = saveProfile({ ...profile, name });
+    setMessage(`Imported "${saved.name}". Set it active to use it for abnormality checks.`);
+    refresh(saved.id);
+  };
+
+  const labelStyle = {
+    display: 'block',
+    fontSize: '0.875rem',
+    fontWeight: '600',
+    marginBottom: '0.5rem',
+    color: 'var(--text-secondary)',
+  };
+
+  return (
+    <div className="container" style={{ padding: '3rem 2rem', maxWidth: '1400px' }}>
+      <div style={{ marginBottom: '2rem' }}>
+        <h2 style={{ marginBottom: '0.5rem' }}>Laboratory Normal Values</h2>
+        <p style={{ color: 'var(--text-secondary)' }}>
+          Keep each lab's normative data as a named profile. The active profile sets the limits the
+          nerve conduction module, report builder and case studies flag against - before adjustment for age,
+          height and limb temperature.
+        </p>
+      </div>
+
+      {/* Profiles */}
+      <div className="card" style={{ marginBottom: '2rem' }}>
+        <div className="card-header" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <Settings size={20} color="var(--primary-500)" />
+          Profiles
+        </div>
+        <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', marginBottom: '1.5rem' }}>
+          {profiles.map(profile => (
+            <button
+              key={profile.id}
+              className={`btn ${profile.id === selected.id ? 'btn-primary' : 'btn-secondary'}`}
+              onClick={() => selectProfile(profile.id)}
+            >
+              {profile.name}
+              {profile.id === activeId && <span className="badge badge-success">Active</span>}
+            </button>
+          ))}
+        </div>
+        <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+          <button className="btn btn-primary" onClick={activate} disabled={selected.id === activeId}>
+            <CheckCircle size={18} />
+            Set Active
+          </button>
+          <button className="btn btn-secondary" onClick={duplicate}>
+            <Plus size={18} />
+            Duplicate
+          </button>
+          <button className="btn btn-secondary" onClick={() => exportProfile('json')}>
+            <Download size={18} />
+            Export JSON
+          </button>
+          <button className="btn btn-secondary" onClick={() => exportProfile('csv')}>
+            <Download size={18} />
+            Export CSV
+          </button>
+          <button className="btn btn-secondary" onClick={() => fileInputRef.current.click()}>
+            <Upload size={18} />
+            Import JSON/CSV
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,.csv,application/json,text/csv"
+            style={{ display: 'none' }}
+            onChange={(e) => {
+              importProfile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+          {!selected.builtIn && (
+            <button className="btn btn-danger" onClick={remove}>
+              <Trash2 size={18} />
+              Delete
+            </button>
+          )}
+        </div>
+        {message && (
+          <p className="text-success" style={{ fontSize: '0.875rem', margin: '1rem 0 0 0' }}>{message}</p>
+        )}
+        {errors.length > 0 && (
+          <div style={{ marginTop: '1rem', fontSize: '0.875rem' }}>
+            <div className="text-danger" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: '600' }}>
+              <AlertCircle size={18} />
+              {errors.length} problem{errors.length > 1 ? 's' : ''} - nothing was saved
+            </div>
+            <ul style={{ margin: '0.5rem 0 0 0', paddingLeft: '1.25rem' }}>
+              {errors.map(error => (
+                <li key={error}><code>{error}</code></li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      {/* Limits */}
+      <div className="card" style={{ marginBottom: '2rem' }}>
+        <div className="card-header">Limits - {selected.name}</div>
+        <div style={{ marginBottom: '1.5rem', maxWidth: '400px' }}>
+          <label style={labelStyle}>Profile Name</label>
+          <input
+            type="text"
+            value={draft.name}
+            disabled={selected.builtIn}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          />
+        </div>
+        {selected.builtIn && (
+          <p style={{ fontSize: '0.875rem', color: 'var(--text-secondary)', margin: '0 0 1rem 0' }}>
+            The built-in profile is read-only. Duplicate it to enter your lab's limits.
+          </p>
+        )}
+
+        {NERVE_TYPES.map(({ type, label, catalog }) => {
+          const parameters = Object.entries(PROFILE_PARAMETERS).filter(([, d]) => d.types.includes(type));
+          return (
+            <div key={type} style={{ overflowX: 'auto', marginBottom: '1.5rem' }}>
+              <div style={{ fontWeight: '600', marginBottom: '0.5rem' }}>{label}</div>
+              <table style={{ fontSize: '0.875rem' }}>
+                <thead>
+                  <tr>
+                    <th style={{ textAlign: 'left' }}>Nerve</th>
+                    {parameters.map(([parameter, definition]) => (
+                      <th key={parameter} style={{ textAlign: 'left' }}>
+                        {definition.label} ({definition.bound === 'max' ? '<' : '>'}{' '}
+                        {typeof definition.units === 'string' ? definition.units : definition.units[type]})
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.keys(catalog).map(nerve => (
+                    <tr key={nerve}>
+                      <td style={{ fontWeight: '600', color: 'var(--text-secondary)' }}>{catalog[nerve].name}</td>
+                      {parameters.map(([parameter]) => {
+                        const builtIn = profileLimit(reference, type, nerve, parameter);
+                        const text = draft.normals[type][nerve][parameter];
+                        if (text === undefined) {
+                          return <td key={parameter} style={{ color: 'var(--text-tertiary)' }}>—</td>;
+                        }
+                        const changed = text.trim() !== '' && Number(text) !== builtIn;
+                        return (
+                          <td key={parameter}>
+                            <input
+                              type="number"
+                              step="0.1"
+                              value={text}
+                              placeholder={String(builtIn)}
+                              disabled={selected.builtIn}
+                              onChange={(e) => updateLimit(type, nerve, parameter, e.target.value)}
+                              title={`Built-in: ${builtIn}`}
+                              style={{ maxWidth: '110px', fontWeight: changed ? '700' : 'normal', color: changed ? 'var(--primary-500)' : 'inherit' }}
+                            />
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          );
+        })}
+
+        {!selected.builtIn && (
+          <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+            <button className="btn btn-primary" onClick={save}>Save Changes</button>
+            <button className="btn btn-secondary" onClick={() => selectProfile(selected.id)}>Discard</button>
+            <span style={{ fontSize: '0.75rem', color: 'var(--text-tertiary)' }}>
+              Bold values differ from the built-in limits; blank cells use them.
+            </span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default LabNormals;
@@ -1,6 +1,58 @@
 import React, { useState } from 'react';
 import { FileText, Download, Printer, Plus, Trash2 } from 'lucide-react';
-import { MOTOR_NERVE_NORMALS, SENSORY_NERVE_NORMALS } from '../../utils/constants';
+import {
+  MOTOR_NERVE_NORMALS,
+  SENSORY_NERVE_NORMALS,
+  SPONTANEOUS_ACTIVITY_GRADES,
+  CTS_COMPARISON_STUDIES,
+  COMBINED_SENSORY_INDEX,
+  SIDE_TO_SIDE_CRITERIA,
+} from '../../utils/constants';
+import { STANDARD_PATIENT, assessStudy, formatLimit } from '../../utils/referenceValues';
+import { getActiveProfile } from '../../utils/labProfiles';
+import { assessComparison, combinedSensoryIndex } from '../../utils/comparisonStudies';
+import { compareSides } from '../../utils/sideComparison';
+
+const SIDE_NAMES = { right: 'Right', left: 'Left' };
+
+/**
+ * Catalog of nerves for a study type
+ */
+const nerveCatalog = type => (type === 'motor' ? MOTOR_NERVE_NORMALS : SENSORY_NERVE_NORMALS);
+
+/**
+ * Age in whole years on the study date, or null without a date of birth
+ */
+const ageOn = (dob, date) => {
+  if (!dob || !date) return null;
+  const [birth, study] = [new Date(dob), new Date(date)];
+  let age = study.getFullYear() - birth.getFullYear();
+  if (study.getMonth() < birth.getMonth() || (study.getMonth() === birth.getMonth() && study.getDate() < birth.getDate())) {
+    age--;
+  }
+  return age >= 0 ? age : null;
+};
+
+/**
+ * Left and right studies of the same nerve, compared side to side
+ * The first entry on each side is used; a nerve studied on one side only has no pair.
+ */
+const bilateralPairs = findings => {
+  const pairs = [];
+  findings.forEach(finding => {
+    let pair = pairs.find(p => p.type === finding.type && p.nerve === finding.nerve);
+    if (!pair) {
+      pair = { type: finding.type, nerve: finding.nerve };
+      pairs.push(pair);
+    }
+    if (!pair[finding.side]) pair[finding.side] = finding;
+  });
+
+  const values = finding => ({ latency: finding.latency, amplitude: finding.amplitude, velocity: finding.cv });
+  return pairs
+    .filter(pair => pair.left && pair.right)
+    .map(pair => ({ ...pair, comparison: compareSides(pair.type, values(pair.left), values(pair.right)) }));
+};
 
 /**
  * Report Builder Module
@@ -14,9 +66,12 @@ function ReportBuilder() {
     dob: '',
     date: new Date().toISOString().split('T')[0],
     indication: '',
+    height: '', // cm
+    temperature: '', // °C limb temperature
   });
 
   const [ncvFindings, setNcvFindings] = useState([]);
+  const [comparisonFindings, setComparisonFindings] = useState([]);
   const [emgFindings, setEmgFindings] = useState([]);
   const [interpretation, setInterpretation] = useState('');
   const [recommendations, setRecommendations] = useState('');
@@ -29,6 +84,7 @@ function ReportBuilder() {
         id: Date.now(),
         type: 'motor',
         nerve: 'median',
+        side: STANDARD_PATIENT.side,
         latency: '',
         amplitude: '',
         cv: '',
@@ -36,6 +92,19 @@ function ReportBuilder() {
     ]);
   };
 
+  // Add comparison study
+  const addComparisonFinding = () => {
+    setComparisonFindings([
+      ...comparisonFindings,
+      {
+        id: Date.now(),
+        study: 'palmar',
+        median: '',
+        comparator: '',
+      },
+    ]);
+  };
+
   // Add EMG finding
   const addEmgFinding = () => {
     setEmgFindings([
@@ -43,6 +112,7 @@ function ReportBuilder() {
       {
         id: Date.now(),
         muscle: '',
+        side: STANDARD_PATIENT.side,
         insertional: 'Normal',
         spontaneous: 'None',
         recruitment: 'Full',
@@ -58,6 +128,12 @@ function ReportBuilder() {
     ));
   };
 
+  const updateComparisonFinding = (id, field, value) => {
+    setComparisonFindings(comparisonFindings.map(f =>
+      f.id === id ? { ...f, [field]: value } : f
+    ));
+  };
+
   const updateEmgFinding = (id, field, value) => {
     setEmgFindings(emgFindings.map(f =>
       f.id === id ? { ...f, [field]: value } : f
@@ -69,33 +145,62 @@ function ReportBuilder() {
     setNcvFindings(ncvFindings.filter(f => f.id !== id));
   };
 
+  const deleteComparisonFinding = (id) => {
+    setComparisonFindings(comparisonFindings.filter(f => f.id !== id));
+  };
+
   const deleteEmgFinding = (id) => {
     setEmgFindings(emgFindings.filter(f => f.id !== id));
   };
 
-  // Check if value is abnormal
+  // Patient factors for the reference limits; blanks fall back to the standard adult
+  const age = ageOn(patientInfo.dob, patientInfo.date);
+  const patient = {
+    age: age ?? STANDARD_PATIENT.age,
+    height: parseFloat(patientInfo.height) || STANDARD_PATIENT.height,
+    temperature: patientInfo.temperature === '' ? null : parseFloat(patientInfo.temperature),
+  };
+
+  // Check each value against the patient's adjusted limits
   const checkAbnormal = (finding) => {
-    const normals = finding.type === 'motor'
-      ? MOTOR_NERVE_NORMALS[finding.nerve]
-      : SENSORY_NERVE_NORMALS[finding.nerve];
+    const assessment = assessStudy(finding.type, finding.nerve, {
+      latency: finding.latency,
+      amplitude: finding.amplitude,
+      velocity: finding.cv,
+    }, { ...patient, side: finding.side });
 
-    if (!normals || !finding.latency || !finding.amplitude || !finding.cv) {
-      return { latency: false, amplitude: false, cv: false };
+    if (!assessment) {
+      return { latency: false, amplitude: false, cv: false, notes: [] };
     }
 
-    const latency = parseFloat(finding.latency);
-    const amplitude = parseFloat(finding.amplitude);
-    const cv = parseFloat(finding.cv);
-
     return {
-      latency: finding.type === 'motor'
-        ? latency > normals.distalLatency.max
-        : latency > normals.peakLatency.max,
-      amplitude: amplitude < normals.amplitude.min,
-      cv: cv < normals.conductionVelocity.min,
+      latency: assessment.latency.abnormal,
+      amplitude: assessment.amplitude.abnormal,
+      cv: assessment.velocity.abnormal,
+      limits: assessment.limits,
+      notes: [...assessment.adjustments, ...assessment.warnings],
     };
   };
 
+  const profile = getActiveProfile();
+
+  // Median - comparator differences; the CSI needs the palmar, D4 and D1 studies
+  const comparisons = comparisonFindings.map(f => ({
+    ...f,
+    assessment: assessComparison(f.study, f.median, f.comparator),
+  }));
+  const sensoryIndex = combinedSensoryIndex(Object.fromEntries(COMBINED_SENSORY_INDEX.studies.map(key => {
+    const found = comparisons.find(c => c.study === key && c.assessment);
+    return [key, found ? found.assessment.difference : null];
+  })));
+
+  // The same nerve studied on both sides
+  const sidePairs = bilateralPairs(ncvFindings);
+  const formatPair = (pair, field, units) => `${pair.left[field] || 'N/A'} / ${pair.right[field] || 'N/A'}${units ? ` ${units}` : ''}`;
+
+  // Every adjustment applied anywhere in the study, for the report footnote
+  const referenceNotes = [...new Set(ncvFindings.flatMap(f => checkAbnormal(f).notes))];
+
   // Generate HTML report
   const generateReport = () => {
     const reportHTML = `
@@ -191,6 +296,10 @@ function ReportBuilder() {
       padding: 0.25rem 0.5rem;
       border-radius: 4px;
     }
+    .reference-notes {
+      font-size: 12px;
+      color: #64748b;
+    }
     .interpretation {
       background: #fef3c7;
       border-left: 4px solid #f59e0b;
@@ -251,6 +360,9 @@ function ReportBuilder() {
     <div class="patient-info-item"><strong>MRN:</strong> ${patientInfo.mrn || 'Not provided'}</div>
     <div class="patient-info-item"><strong>Date of Birth:</strong> ${patientInfo.dob || 'Not provided'}</div>
     <div class="patient-info-item"><strong>Study Date:</strong> ${patientInfo.date}</div>
+    <div class="patient-info-item"><strong>Age:</strong> ${age ?? 'Not provided'}</div>
+    <div class="patient-info-item"><strong>Height:</strong> ${patientInfo.height ? `${patientInfo.height} cm` : 'Not provided'}</div>
+    <div class="patient-info-item"><strong>Limb Temp:</strong> ${patientInfo.temperature ? `${patientInfo.temperature}°C` : 'Not recorded'}</div>
     <div class="patient-info-item" style="grid-column: 1 / -1;"><strong>Indication:</strong> ${patientInfo.indication || 'Not specified'}</div>
   </div>
 
@@ -260,6 +372,7 @@ function ReportBuilder() {
     <thead>
       <tr>
         <th>Nerve</th>
+        <th>Side</th>
         <th>Type</th>
         <th>Distal Latency (ms)</th>
         <th>Amplitude</th>
@@ -271,26 +384,105 @@ function ReportBuilder() {
         const abnormal = checkAbnormal(f);
         return `
         <tr>
-          <td><strong>${f.nerve.charAt(0).toUpperCase() + f.nerve.slice(1)}</strong></td>
+          <td><strong>${nerveCatalog(f.type)[f.nerve].name}</strong></td>
+          <td>${SIDE_NAMES[f.side]}</td>
           <td>${f.type === 'motor' ? 'Motor' : 'Sensory'}</td>
-          <td class="${abnormal.latency ? 'abnormal' : 'normal'}">${f.latency || 'N/A'}</td>
-          <td class="${abnormal.amplitude ? 'abnormal' : 'normal'}">
+          <td class="${abnormal.latency ? 'abnormal' : 'normal'}" title="${abnormal.limits?.latency ? formatLimit(abnormal.limits.latency) : ''}">${f.latency || 'N/A'}</td>
+          <td class="${abnormal.amplitude ? 'abnormal' : 'normal'}" title="${abnormal.limits?.amplitude ? formatLimit(abnormal.limits.amplitude) : ''}">
             ${f.amplitude || 'N/A'} ${f.type === 'motor' ? 'mV' : 'μV'}
           </td>
-          <td class="${abnormal.cv ? 'abnormal' : 'normal'}">${f.cv || 'N/A'}</td>
+          ${abnormal.limits?.velocity ? `
+          <td class="${abnormal.cv ? 'abnormal' : 'normal'}" title="${formatLimit(abnormal.limits.velocity)}">${f.cv || 'N/A'}</td>
+          ` : '<td>—</td>'}
         </tr>
         `;
       }).join('')}
     </tbody>
   </table>
+  <p class="reference-notes">
+    Reference values: ${profile.name}.
+    ${referenceNotes.length > 0 ? `Limits adjusted for this patient: ${referenceNotes.join('; ')}.` : ''}
+  </p>
   ` : '<p><em>No nerve conduction studies performed.</em></p>'}
 
+  ${sidePairs.length > 0 ? `
+  <h2>Side-to-Side Comparison</h2>
+  <table>
+    <thead>
+      <tr>
+        <th>Nerve</th>
+        <th>Latency L / R (ms)</th>
+        <th>Amplitude L / R</th>
+        <th>CV L / R (m/s)</th>
+        <th>Asymmetry</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${sidePairs.map(pair => {
+        const { latency, amplitude, velocity, reasons } = pair.comparison;
+        return `
+        <tr>
+          <td><strong>${nerveCatalog(pair.type)[pair.nerve].name}</strong> (${pair.type === 'motor' ? 'Motor' : 'Sensory'})</td>
+          <td class="${latency && latency.abnormal ? 'abnormal' : 'normal'}">${formatPair(pair, 'latency')}${latency ? ` (Δ ${latency.difference.toFixed(1)})` : ''}</td>
+          <td class="${amplitude && amplitude.abnormal ? 'abnormal' : 'normal'}">${formatPair(pair, 'amplitude', pair.type === 'motor' ? 'mV' : 'μV')}${amplitude ? ` (${amplitude.asymmetry}%)` : ''}</td>
+          <td class="${velocity && velocity.abnormal ? 'abnormal' : 'normal'}">${formatPair(pair, 'cv')}${velocity ? ` (Δ ${velocity.difference.toFixed(0)})` : ''}</td>
+          <td>${reasons.length > 0 ? reasons.join('; ') : 'None'}</td>
+        </tr>
+        `;
+      }).join('')}
+    </tbody>
+  </table>
+  <p class="reference-notes">
+    Asymmetric when the lower amplitude is more than ${SIDE_TO_SIDE_CRITERIA.amplitudeAsymmetry.motor}% (motor) or ${SIDE_TO_SIDE_CRITERIA.amplitudeAsymmetry.sensory}% (sensory) below the other side,
+    latencies differ by more than ${SIDE_TO_SIDE_CRITERIA.latencyDifference.motor} ms (motor) or ${SIDE_TO_SIDE_CRITERIA.latencyDifference.sensory} ms (sensory),
+    or velocities by more than ${SIDE_TO_SIDE_CRITERIA.velocityDifference} m/s.
+  </p>
+  ` : ''}
+
+  ${comparisons.length > 0 ? `
+  <h2>Comparison Studies</h2>
+  <table>
+    <thead>
+      <tr>
+        <th>Study</th>
+        <th>Median (ms)</th>
+        <th>Comparator (ms)</th>
+        <th>Difference (ms)</th>
+        <th>Normal</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${comparisons.map(c => {
+        const study = CTS_COMPARISON_STUDIES[c.study];
+        return `
+        <tr>
+          <td><strong>${study.name}</strong></td>
+          <td>${c.median || 'N/A'}</td>
+          <td>${study.comparator}: ${c.comparator || 'N/A'}</td>
+          <td class="${c.assessment && c.assessment.abnormal ? 'abnormal' : 'normal'}">${c.assessment ? c.assessment.difference.toFixed(1) : 'N/A'}</td>
+          <td>&lt; ${study.abnormalDifference}</td>
+        </tr>
+        `;
+      }).join('')}
+      ${sensoryIndex ? `
+      <tr>
+        <td><strong>Combined Sensory Index</strong></td>
+        <td colspan="2">Palmar + D4 + D1</td>
+        <td class="${sensoryIndex.abnormal ? 'abnormal' : 'normal'}">${sensoryIndex.value.toFixed(1)}</td>
+        <td>&lt; ${COMBINED_SENSORY_INDEX.abnormalSum}</td>
+      </tr>
+      ` : ''}
+    </tbody>
+  </table>
+  ` : ''}
+
   <h2>Needle Electromyography</h2>
   ${emgFindings.length > 0 ? `
   <table>
     <thead>
       <tr>
         <th>Muscle</th>
+        <th>Side</th>
         <th>Insertional Activity</th>
         <th>Spontaneous Activity</th>
         <th>Recruitment</th>
@@ -301,6 +493,7 @@ function ReportBuilder() {
       ${emgFindings.map(f => `
       <tr>
         <td><strong>${f.muscle}</strong></td>
+        <td>${SIDE_NAMES[f.side]}</td>
         <td>${f.insertional}</td>
         <td class="${f.spontaneous !== 'None' ? 'abnormal' : 'normal'}">${f.spontaneous}</td>
         <td class="${f.recruitment === 'Reduced' ? 'abnormal' : 'normal'}">${f.recruitment}</td>
@@ -462,6 +655,48 @@ function ReportBuilder() {
             />
           </div>
 
+          <div>
+            <label style={{
+              display: 'block',
+              fontSize: '0.875rem',
+              fontWeight: '600',
+              marginBottom: '0.5rem',
+              color: 'var(--text-secondary)',
+            }}>
+              Height (cm)
+            </label>
+            <input
+              type="number"
+              value={patientInfo.height}
+              onChange={(e) => setPatientInfo({ ...patientInfo, height: e.target.value })}
+              placeholder={String(STANDARD_PATIENT.height)}
+            />
+          </div>
+
+          <div>
+            <label style={{
+              display: 'block',
+              fontSize: '0.875rem',
+              fontWeight: '600',
+              marginBottom: '0.5rem',
+              color: 'var(--text-secondary)',
+            }}>
+              Limb Temperature (°C)
+            </label>
+            <input
+              type="number"
+              step="0.1"
+              value={patientInfo.temperature}
+              onChange={(e) => setPatientInfo({ ...patientInfo, temperature: e.target.value })}
+              placeholder="32.0"
+            />
+          </div>
+
+          <div style={{ gridColumn: '1 / -1', fontSize: '0.875rem', color: 'var(--text-secondary)' }}>
+            {profile.name} reference limits are adjusted for age {age ?? `${STANDARD_PATIENT.age} (no date of birth)`},
+            height {patient.height} cm and {patient.temperature === null ? 'an unrecorded' : `a ${patient.temperature}°C`} limb.
+          </div>
+
           <div style={{ gridColumn: '1 / -1' }}>
             <label style={{
               display: 'block',
@@ -512,7 +747,7 @@ function ReportBuilder() {
                   key={finding.id}
                   style={{
                     display: 'grid',
-                    gridTemplateColumns: 'auto 1fr 1fr 1fr 1fr 1fr auto',
+                    gridTemplateColumns: 'auto 1fr auto 1fr 1fr 1fr 1fr auto',
                     gap: '1rem',
                     alignItems: 'end',
                     padding: '1rem',
@@ -526,7 +761,12 @@ function ReportBuilder() {
                     </label>
                     <select
                       value={finding.type}
-                      onChange={(e) => updateNcvFinding(finding.id, 'type', e.target.value)}
+                      onChange={(e) => setNcvFindings(ncvFindings.map(f => (f.id === finding.id ? {
+                        ...f,
+                        type: e.target.value,
+                        // Keep the nerve when the other type has it (e.g. radial), else start from median
+                        nerve: nerveCatalog(e.target.value)[f.nerve] ? f.nerve : 'median',
+                      } : f)))}
                       style={{ padding: '0.5rem' }}
                     >
                       <option value="motor">Motor</option>
@@ -542,8 +782,22 @@ function ReportBuilder() {
                       value={finding.nerve}
                       onChange={(e) => updateNcvFinding(finding.id, 'nerve', e.target.value)}
                     >
-                      {Object.keys(finding.type === 'motor' ? MOTOR_NERVE_NORMALS : SENSORY_NERVE_NORMALS).map(n => (
-                        <option key={n} value={n}>{n.charAt(0).toUpperCase() + n.slice(1)}</option>
+                      {Object.keys(nerveCatalog(finding.type)).map(n => (
+                        <option key={n} value={n}>{nerveCatalog(finding.type)[n].name}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label style={{ fontSize: '0.75rem', display: 'block', marginBottom: '0.25rem' }}>
+                      Side
+                    </label>
+                    <select
+                      value={finding.side}
+                      onChange={(e) => updateNcvFinding(finding.id, 'side', e.target.value)}
+                    >
+                      {Object.entries(SIDE_NAMES).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
                       ))}
                     </select>
                   </div>
@@ -558,6 +812,7 @@ function ReportBuilder() {
                       value={finding.latency}
                       onChange={(e) => updateNcvFinding(finding.id, 'latency', e.target.value)}
                       style={{ color: abnormal.latency ? 'var(--danger)' : 'inherit' }}
+                      title={abnormal.limits?.latency ? `Limit ${formatLimit(abnormal.limits.latency)}` : undefined}
                     />
                   </div>
 
@@ -571,6 +826,7 @@ function ReportBuilder() {
                       value={finding.amplitude}
                       onChange={(e) => updateNcvFinding(finding.id, 'amplitude', e.target.value)}
                       style={{ color: abnormal.amplitude ? 'var(--danger)' : 'inherit' }}
+                      title={abnormal.limits?.amplitude ? `Limit ${formatLimit(abnormal.limits.amplitude)}` : undefined}
                     />
                   </div>
 
@@ -578,13 +834,19 @@ function ReportBuilder() {
                     <label style={{ fontSize: '0.75rem', display: 'block', marginBottom: '0.25rem' }}>
                       CV (m/s)
                     </label>
-                    <input
-                      type="number"
-                      step="0.1"
-                      value={finding.cv}
-                      onChange={(e) => updateNcvFinding(finding.id, 'cv', e.target.value)}
-                      style={{ color: abnormal.cv ? 'var(--danger)' : 'inherit' }}
-                    />
+                    {abnormal.limits?.velocity ? (
+                      <input
+                        type="number"
+                        step="0.1"
+                        value={finding.cv}
+                        onChange={(e) => updateNcvFinding(finding.id, 'cv', e.target.value)}
+                        style={{ color: abnormal.cv ? 'var(--danger)' : 'inherit' }}
+                        title={`Limit ${formatLimit(abnormal.limits.velocity)}`}
+                      />
+                    ) : (
+                      // Single-site nerves have no segment to measure a velocity over
+                      <span style={{ color: 'var(--text-tertiary)' }} title="Not measured for this nerve">—</span>
+                    )}
                   </div>
 
                   <div>
@@ -607,9 +869,205 @@ function ReportBuilder() {
                   >
                     <Trash2 size={18} />
                   </button>
+
+                  {abnormal.notes.length > 0 && (
+                    <div style={{ gridColumn: '1 / -1', fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+                      {abnormal.notes.join(' · ')}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {/* Side-to-Side Comparison (nerves studied on both sides) */}
+      {sidePairs.length > 0 && (
+        <div className="card" style={{ marginBottom: '2rem' }}>
+          <div className="card-header">Side-to-Side Comparison</div>
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ fontSize: '0.875rem' }}>
+              <thead>
+                <tr>
+                  <th style={{ textAlign: 'left' }}>Nerve</th>
+                  <th style={{ textAlign: 'left' }}>Latency L / R</th>
+                  <th style={{ textAlign: 'left' }}>Amplitude L / R</th>
+                  <th style={{ textAlign: 'left' }}>CV L / R</th>
+                  <th style={{ textAlign: 'left' }}>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sidePairs.map(pair => {
+                  const { latency, amplitude, velocity, abnormal, reasons } = pair.comparison;
+                  return (
+                    <tr key={`${pair.type}-${pair.nerve}`}>
+                      <td style={{ fontWeight: '600' }}>
+                        {nerveCatalog(pair.type)[pair.nerve].name} ({pair.type === 'motor' ? 'Motor' : 'Sensory'})
+                      </td>
+                      <td className={latency && latency.abnormal ? 'text-danger' : ''}>
+                        <code>{formatPair(pair, 'latency', 'ms')}</code>
+                        {latency && <div style={{ fontSize: '0.75rem' }}>Δ {latency.difference.toFixed(1)} ms</div>}
+                      </td>
+                      <td className={amplitude && amplitude.abnormal ? 'text-danger' : ''}>
+                        <code>{formatPair(pair, 'amplitude', pair.type === 'motor' ? 'mV' : 'μV')}</code>
+                        {amplitude && (
+                          <div style={{ fontSize: '0.75rem' }}>
+                            {amplitude.asymmetry}% asymmetry (ratio {amplitude.ratio.toFixed(2)})
+                          </div>
+                        )}
+                      </td>
+                      <td className={velocity && velocity.abnormal ? 'text-danger' : ''}>
+                        <code>{formatPair(pair, 'cv', 'm/s')}</code>
+                        {velocity && <div style={{ fontSize: '0.75rem' }}>Δ {velocity.difference.toFixed(0)} m/s</div>}
+                      </td>
+                      <td>
+                        <span className={`badge ${abnormal ? 'badge-danger' : 'badge-success'}`}>
+                          {abnormal ? 'Asymmetric' : 'Symmetric'}
+                        </span>
+                        {reasons.length > 0 && (
+                          <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', marginTop: '0.25rem' }}>
+                            {reasons.join('; ')}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <p style={{ fontSize: '0.75rem', color: 'var(--text-tertiary)', margin: '0.5rem 0 0 0' }}>
+            Asymmetric above {SIDE_TO_SIDE_CRITERIA.amplitudeAsymmetry.sensory}% SNAP or {SIDE_TO_SIDE_CRITERIA.amplitudeAsymmetry.motor}% CMAP
+            amplitude asymmetry, a latency difference over {SIDE_TO_SIDE_CRITERIA.latencyDifference.motor} ms (motor)
+            or {SIDE_TO_SIDE_CRITERIA.latencyDifference.sensory} ms (sensory), or a velocity difference over {SIDE_TO_SIDE_CRITERIA.velocityDifference} m/s.
+            Asymmetry can be the only abnormality in early or unilateral disease.
+          </p>
+        </div>
+      )}
+
+      {/* Comparison Studies */}
+      <div className="card" style={{ marginBottom: '2rem' }}>
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '1rem',
+        }}>
+          <div className="card-header" style={{ margin: 0, padding: 0, border: 'none' }}>
+            Comparison Studies (Carpal Tunnel)
+          </div>
+          <button className="btn btn-primary" onClick={addComparisonFinding} style={{ padding: '0.5rem 1rem' }}>
+            <Plus size={18} />
+            Add Comparison
+          </button>
+        </div>
+
+        {comparisons.length === 0 ? (
+          <p style={{ color: 'var(--text-tertiary)', textAlign: 'center', padding: '2rem' }}>
+            No comparison studies added. Palmar, D4 and D1 together give the Combined Sensory Index.
+          </p>
+        ) : (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+            {comparisons.map((finding) => {
+              const study = CTS_COMPARISON_STUDIES[finding.study];
+              return (
+                <div
+                  key={finding.id}
+                  style={{
+                    display: 'grid',
+                    gridTemplateColumns: '2fr 1fr 1fr 1fr 1fr auto',
+                    gap: '1rem',
+                    alignItems: 'end',
+                    padding: '1rem',
+                    background: 'var(--bg-tertiary)',
+                    borderRadius: 'var(--radius-md)',
+                  }}
+                >
+                  <div>
+                    <label style={{ fontSize: '0.75rem', display: 'block', marginBottom: '0.25rem' }}>
+                      Study
+                    </label>
+                    <select
+                      value={finding.study}
+                      onChange={(e) => updateComparisonFinding(finding.id, 'study', e.target.value)}
+                    >
+                      {Object.keys(CTS_COMPARISON_STUDIES).map(key => (
+                        <option key={key} value={key}>{CTS_COMPARISON_STUDIES[key].name}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label style={{ fontSize: '0.75rem', display: 'block', marginBottom: '0.25rem' }}>
+                      Median (ms)
+                    </label>
+                    <input
+                      type="number"
+                      step="0.1"
+                      value={finding.median}
+                      onChange={(e) => updateComparisonFinding(finding.id, 'median', e.target.value)}
+                    />
+                  </div>
+
+                  <div>
+                    <label style={{ fontSize: '0.75rem', display: 'block', marginBottom: '0.25rem' }}>
+                      {study.comparator} (ms)
+                    </label>
+                    <input
+                      type="number"
+                      step="0.1"
+                      value={finding.comparator}
+                      onChange={(e) => updateComparisonFinding(finding.id, 'comparator', e.target.value)}
+                    />
+                  </div>
+
+                  <div>
+                    <label style={{ fontSize: '0.75rem', display: 'block', marginBottom: '0.25rem' }}>
+                      Difference
+                    </label>
+                    <code style={{ color: finding.assessment && finding.assessment.abnormal ? 'var(--danger)' : 'inherit' }}>
+                      {finding.assessment ? `${finding.assessment.difference.toFixed(1)} ms` : '—'}
+                    </code>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-tertiary)' }}>
+                      Normal &lt; {study.abnormalDifference} ms
+                    </div>
+                  </div>
+
+                  <div>
+                    <label style={{ fontSize: '0.75rem', display: 'block', marginBottom: '0.25rem' }}>
+                      Status
+                    </label>
+                    {finding.assessment ? (
+                      <span className={`badge ${finding.assessment.abnormal ? 'badge-danger' : 'badge-success'}`}>
+                        {finding.assessment.abnormal ? 'Abnormal' : 'Normal'}
+                      </span>
+                    ) : (
+                      <span style={{ color: 'var(--text-tertiary)' }}>—</span>
+                    )}
+                  </div>
+
+                  <button
+                    className="btn btn-danger"
+                    onClick={() => deleteComparisonFinding(finding.id)}
+                    style={{ padding: '0.5rem' }}
+                  >
+                    <Trash2 size={18} />
+                  </button>
                 </div>
               );
             })}
+
+            {sensoryIndex && (
+              <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', padding: '0 1rem', fontSize: '0.875rem' }}>
+                <strong>Combined Sensory Index</strong>
+                <code>{sensoryIndex.value.toFixed(1)} ms</code>
+                <span style={{ color: 'var(--text-tertiary)' }}>Normal &lt; {COMBINED_SENSORY_INDEX.abnormalSum} ms</span>
+                <span className={`badge ${sensoryIndex.abnormal ? 'badge-danger' : 'badge-success'}`}>
+                  {sensoryIndex.abnormal ? 'Abnormal' : 'Normal'}
+                </span>
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -642,7 +1100,7 @@ function ReportBuilder() {
                 key={finding.id}
                 style={{
                   display: 'grid',
-                  gridTemplateColumns: '1.5fr 1fr 1fr 1fr 1fr auto',
+                  gridTemplateColumns: '1.5fr auto 1fr 1fr 1fr 1fr auto',
                   gap: '1rem',
                   alignItems: 'end',
                   padding: '1rem',
@@ -662,6 +1120,20 @@ function ReportBuilder() {
                   />
                 </div>
 
+                <div>
+                  <label style={{ fontSize: '0.75rem', display: 'block', marginBottom: '0.25rem' }}>
+                    Side
+                  </label>
+                  <select
+                    value={finding.side}
+                    onChange={(e) => updateEmgFinding(finding.id, 'side', e.target.value)}
+                  >
+                    {Object.entries(SIDE_NAMES).map(([key, label]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+
                 <div>
                   <label style={{ fontSize: '0.75rem', display: 'block', marginBottom: '0.25rem' }}>
                     Insertional
@@ -686,10 +1158,9 @@ function ReportBuilder() {
                     style={{ color: finding.spontaneous !== 'None' ? 'var(--danger)' : 'inherit' }}
                   >
                     <option value="None">None</option>
-                    <option value="Fibs 1+">Fibs 1+</option>
-                    <option value="Fibs 2+">Fibs 2+</option>
-                    <option value="Fibs 3+">Fibs 3+</option>
-                    <option value="Fibs 4+">Fibs 4+</option>
+                    {Object.keys(SPONTANEOUS_ACTIVITY_GRADES).map(grade => (
+                      <option key={grade} value={`Fibs ${grade}`}>Fibs {grade}</option>
+                    ))}
                     <option value="Fasc">Fasciculations</option>
                     <option value="CRD">CRD</option>
                   </select>
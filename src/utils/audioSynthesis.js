@@ -8,8 +8,18 @@
  * - Myotonic: Continuous tone with frequency sweep, "dive bomber"
  * - CRD: Regular rhythm machine-gun pattern
  * - Normal MUAP: Clean pops with voluntary recruitment
+ * - Myokymic: Grouped pops, "marching soldiers"
+ * - Neuromyotonic: High-pitched decrescendo "pinging"
+ * - End-plate noise: Filtered hiss, "seashell"
+ *
+ * Continuous patterns are placed on the AudioContext clock by a look-ahead
+ * scheduler, so rhythm comes from the physiological model, not timer jitter.
  */
 
+import { createRandom } from './random';
+import { createMotorUnitPool, getActiveUnits, nextInterspikeInterval } from './motorUnitPool';
+import { getSpontaneousGenerators } from './waveformGen';
+
 let audioContext = null;
 
 /**
@@ -22,21 +32,36 @@ function getAudioContext() {
   return audioContext;
 }
 
+/**
+ * Resolve where and when a sound plays
+ * Every play function takes a trailing `at` argument so the look-ahead
+ * scheduler can place it on the AudioContext clock and route it to a bus.
+ * @param {AudioContext} ctx - Audio context
+ * @param {Object} at - { when: context time in seconds, output: AudioNode }
+ * @returns {{now: number, output: AudioNode}} Start time and destination
+ */
+function resolveTarget(ctx, at = {}) {
+  return {
+    now: at.when ?? ctx.currentTime,
+    output: at.output || ctx.destination,
+  };
+}
+
 /**
  * Play Normal Motor Unit Action Potential
  * Clean, brief pop sound (8-15ms duration)
  * Dominant frequency: 50-150Hz
  */
-export function playNormalMUAP(volume = 0.3) {
+export function playNormalMUAP(volume = 0.3, at = {}) {
   const ctx = getAudioContext();
-  const now = ctx.currentTime;
+  const { now, output } = resolveTarget(ctx, at);
   
   // Oscillator for main tone
   const osc = ctx.createOscillator();
   const gainNode = ctx.createGain();
   
   osc.connect(gainNode);
-  gainNode.connect(ctx.destination);
+  gainNode.connect(output);
   
   // Frequency: 100Hz (typical MUAP dominant frequency)
   osc.frequency.value = 100;
@@ -56,10 +81,12 @@ export function playNormalMUAP(volume = 0.3) {
  * Play Fibrillation Potential
  * Short, crisp click (1-5ms)
  * "Rain on tin roof" sound - very brief transient
+ * @param {number} volume - Output gain
+ * @param {function(): number} random - Noise source (pass a seeded generator for reproducible clicks)
  */
-export function playFibrillation(volume = 0.25) {
+export function playFibrillation(volume = 0.25, random = Math.random, at = {}) {
   const ctx = getAudioContext();
-  const now = ctx.currentTime;
+  const { now, output } = resolveTarget(ctx, at);
   
   // Use noise burst for authentic click sound
   const bufferSize = ctx.sampleRate * 0.005; // 5ms
@@ -70,7 +97,7 @@ export function playFibrillation(volume = 0.25) {
   for (let i = 0; i < bufferSize; i++) {
     const t = i / bufferSize;
     const envelope = t < 0.2 ? t / 0.2 : Math.exp(-(t - 0.2) * 10);
-    data[i] = (Math.random() * 2 - 1) * envelope;
+    data[i] = (random() * 2 - 1) * envelope;
   }
   
   const source = ctx.createBufferSource();
@@ -78,7 +105,7 @@ export function playFibrillation(volume = 0.25) {
   
   source.buffer = buffer;
   source.connect(gainNode);
-  gainNode.connect(ctx.destination);
+  gainNode.connect(output);
   
   gainNode.gain.value = volume;
   
@@ -90,15 +117,15 @@ export function playFibrillation(volume = 0.25) {
  * Sounds like normal MUAP but irregular timing
  * "Popcorn popping" - intermittent pops
  */
-export function playFasciculation(volume = 0.3) {
+export function playFasciculation(volume = 0.3, at = {}) {
   const ctx = getAudioContext();
-  const now = ctx.currentTime;
+  const { now, output } = resolveTarget(ctx, at);
   
   const osc = ctx.createOscillator();
   const gainNode = ctx.createGain();
   
   osc.connect(gainNode);
-  gainNode.connect(ctx.destination);
+  gainNode.connect(output);
   
   // Slightly lower frequency than normal MUAP
   osc.frequency.value = 80;
@@ -120,15 +147,15 @@ export function playFasciculation(volume = 0.3) {
  * "Dive bomber" sound - characteristic of myotonia
  * Duration: 400-600ms
  */
-export function playMyotonicDischarge(volume = 0.2, duration = 0.5) {
+export function playMyotonicDischarge(volume = 0.2, duration = 0.5, at = {}) {
   const ctx = getAudioContext();
-  const now = ctx.currentTime;
+  const { now, output } = resolveTarget(ctx, at);
   
   const osc = ctx.createOscillator();
   const gainNode = ctx.createGain();
   
   osc.connect(gainNode);
-  gainNode.connect(ctx.destination);
+  gainNode.connect(output);
   
   // Frequency sweep: 1500Hz → 200Hz (dive bomber effect)
   osc.frequency.setValueAtTime(1500, now);
@@ -158,13 +185,15 @@ export function playMyotonicDischarge(volume = 0.2, duration = 0.5) {
  * Play Complex Repetitive Discharge
  * Regular, rhythmic bursts - "machine gun"
  * Frequency: 20-50Hz typical
+ * @param {number} volume - Output gain
+ * @param {function(): number} random - Source for spikes-per-burst (seeded for reproducible bursts)
  */
-export function playComplexRepetitiveDischarge(volume = 0.25) {
+export function playComplexRepetitiveDischarge(volume = 0.25, random = Math.random, at = {}) {
   const ctx = getAudioContext();
-  const now = ctx.currentTime;
+  const { now, output } = resolveTarget(ctx, at);
   
   // Create burst of 3-5 rapid clicks
-  const numSpikes = 3 + Math.floor(Math.random() * 3); // 3-5 spikes
+  const numSpikes = 3 + Math.floor(random() * 3); // 3-5 spikes
   const spikeInterval = 0.015; // 15ms between spikes (66Hz within burst)
   
   for (let i = 0; i < numSpikes; i++) {
@@ -174,7 +203,7 @@ export function playComplexRepetitiveDischarge(volume = 0.25) {
     const gainNode = ctx.createGain();
     
     osc.connect(gainNode);
-    gainNode.connect(ctx.destination);
+    gainNode.connect(output);
     
     // Square wave for "mechanical" sound
     osc.type = 'square';
@@ -195,15 +224,15 @@ export function playComplexRepetitiveDischarge(volume = 0.25) {
  * Play Positive Sharp Wave
  * Similar to fibrillation but slightly different acoustic quality
  */
-export function playPositiveSharpWave(volume = 0.25) {
+export function playPositiveSharpWave(volume = 0.25, at = {}) {
   const ctx = getAudioContext();
-  const now = ctx.currentTime;
+  const { now, output } = resolveTarget(ctx, at);
   
   const osc = ctx.createOscillator();
   const gainNode = ctx.createGain();
   
   osc.connect(gainNode);
-  gainNode.connect(ctx.destination);
+  gainNode.connect(output);
   
   // Higher frequency transient
   osc.frequency.setValueAtTime(400, now);
@@ -218,67 +247,437 @@ export function playPositiveSharpWave(volume = 0.25) {
   osc.stop(now + 0.020);
 }
 
+/**
+ * Play a generated EMG trace through the "EMG speaker"
+ * Upsamples the waveformGen sample buffer to the audio rate and band-limits it
+ * (high-pass 20Hz, low-pass below the source Nyquist) so every drawn discharge
+ * is heard exactly when and how it appears on screen.
+ * @param {Float32Array} data - Samples in μV (from generateEMGPattern)
+ * @param {number} sampleRate - Samples per millisecond of data
+ * @param {Object} options - Playback options
+ * @param {number} [options.volume=0.3] - Output gain
+ * @param {number} [options.fullScale=2000] - μV mapped to full output; fixed so larger potentials sound louder
+ * @param {boolean} [options.loop=true] - Repeat the trace
+ * @returns {Object} Control object with stop(), getPositionMs(), getElapsedMs() and durationMs
+ */
+export function playWaveform(data, sampleRate = 10, options = {}) {
+  const { volume = 0.3, fullScale = 2000, loop = true } = options;
+  const ctx = getAudioContext();
+  if (ctx.state === 'suspended') ctx.resume();
+
+  const durationMs = data.length / sampleRate;
+  const length = Math.max(1, Math.floor((durationMs / 1000) * ctx.sampleRate));
+  const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+  const output = buffer.getChannelData(0);
+
+  // Linear interpolation up to the audio rate; tanh soft-clips like an overdriven speaker
+  const step = (sampleRate * 1000) / ctx.sampleRate;
+  for (let i = 0; i < length; i++) {
+    const position = i * step;
+    const i0 = Math.min(Math.floor(position), data.length - 1);
+    const i1 = Math.min(i0 + 1, data.length - 1);
+    const value = data[i0] + (data[i1] - data[i0]) * (position - i0);
+    output[i] = Math.tanh(value / fullScale);
+  }
+
+  const source = ctx.createBufferSource();
+  const highpass = ctx.createBiquadFilter();
+  const lowpass = ctx.createBiquadFilter();
+  const gainNode = ctx.createGain();
+
+  source.buffer = buffer;
+  source.loop = loop;
+
+  highpass.type = 'highpass';
+  highpass.frequency.value = 20;
+  lowpass.type = 'lowpass';
+  lowpass.frequency.value = Math.min(10000, sampleRate * 1000 * 0.45); // Remove interpolation images
+
+  source.connect(highpass);
+  highpass.connect(lowpass);
+  lowpass.connect(gainNode);
+  gainNode.connect(ctx.destination);
+
+  gainNode.gain.value = volume;
+
+  const startTime = ctx.currentTime + 0.05;
+  source.start(startTime);
+
+  const getElapsedMs = () => Math.max(0, (ctx.currentTime - startTime) * 1000);
+
+  return {
+    durationMs,
+    getPositionMs: () => {
+      const elapsed = getElapsedMs();
+      return loop ? elapsed % durationMs : Math.min(elapsed, durationMs);
+    },
+    getElapsedMs,
+    stop: () => {
+      source.stop();
+      source.disconnect();
+    },
+  };
+}
+
+/**
+ * Schedule a single MUAP-like pop
+ * @param {AudioContext} ctx - Audio context
+ * @param {AudioNode} output - Destination node
+ * @param {number} startTime - Context time to start (seconds)
+ * @param {number} volume - Peak gain
+ * @param {number} frequency - Dominant frequency (Hz)
+ * @param {number} duration - Pop length (seconds)
+ */
+function schedulePop(ctx, output, startTime, volume, frequency = 100, duration = 0.015) {
+  const osc = ctx.createOscillator();
+  const gainNode = ctx.createGain();
+
+  osc.connect(gainNode);
+  gainNode.connect(output);
+
+  osc.frequency.value = frequency;
+  osc.type = 'sine';
+
+  gainNode.gain.setValueAtTime(0, startTime);
+  gainNode.gain.linearRampToValueAtTime(volume, startTime + 0.002);
+  gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + duration);
+
+  osc.start(startTime);
+  osc.stop(startTime + duration);
+}
+
+/**
+ * Play Myokymic Burst
+ * Group of identical pops - "marching soldiers"
+ */
+export function playMyokymicBurst(volume = 0.3, spikes = 5, intraBurstRate = 40, at = {}) {
+  const ctx = getAudioContext();
+  const { now, output } = resolveTarget(ctx, at);
+
+  for (let k = 0; k < spikes; k++) {
+    schedulePop(ctx, output, now + k / intraBurstRate, volume);
+  }
+}
+
+/**
+ * Play Neuromyotonic Discharge
+ * 250Hz → 150Hz with decrementing amplitude - "pinging"
+ */
+export function playNeuromyotonicDischarge(volume = 0.2, duration = 0.3, at = {}) {
+  const ctx = getAudioContext();
+  const { now, output } = resolveTarget(ctx, at);
+
+  const osc = ctx.createOscillator();
+  const gainNode = ctx.createGain();
+
+  osc.connect(gainNode);
+  gainNode.connect(output);
+
+  // Square wave: spike train with strong harmonics gives the metallic ping
+  osc.type = 'square';
+  osc.frequency.setValueAtTime(250, now);
+  osc.frequency.linearRampToValueAtTime(150, now + duration);
+
+  gainNode.gain.setValueAtTime(0, now);
+  gainNode.gain.linearRampToValueAtTime(volume, now + 0.005);
+  gainNode.gain.exponentialRampToValueAtTime(0.001, now + duration); // Decrementing
+
+  osc.start(now);
+  osc.stop(now + duration);
+}
+
+/**
+ * Play Cramp Discharge
+ * Several units at 40-75Hz - abrupt onset, sustained, abrupt stop
+ */
+export function playCrampDischarge(volume = 0.2, duration = 1.5, at = {}) {
+  const ctx = getAudioContext();
+  const { now, output } = resolveTarget(ctx, at);
+
+  [45, 58, 72].forEach(frequency => {
+    const osc = ctx.createOscillator();
+    const gainNode = ctx.createGain();
+
+    osc.connect(gainNode);
+    gainNode.connect(output);
+
+    osc.type = 'sawtooth';
+    osc.frequency.value = frequency;
+
+    // Abrupt on and off - no ramps beyond click suppression
+    gainNode.gain.setValueAtTime(0, now);
+    gainNode.gain.linearRampToValueAtTime(volume / 3, now + 0.005);
+    gainNode.gain.setValueAtTime(volume / 3, now + duration - 0.005);
+    gainNode.gain.linearRampToValueAtTime(0, now + duration);
+
+    osc.start(now);
+    osc.stop(now + duration);
+  });
+}
+
+/**
+ * Play End-Plate Noise
+ * Band-passed noise - "seashell" roar
+ */
+export function playEndPlateNoise(volume = 0.15, duration = 1.0, random = Math.random, at = {}) {
+  const ctx = getAudioContext();
+  const { now, output } = resolveTarget(ctx, at);
+
+  const bufferSize = Math.floor(ctx.sampleRate * duration);
+  const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < bufferSize; i++) {
+    data[i] = random() * 2 - 1;
+  }
+
+  const source = ctx.createBufferSource();
+  const filter = ctx.createBiquadFilter();
+  const gainNode = ctx.createGain();
+
+  source.buffer = buffer;
+  filter.type = 'bandpass';
+  filter.frequency.value = 1500;
+  filter.Q.value = 0.7;
+
+  source.connect(filter);
+  filter.connect(gainNode);
+  gainNode.connect(output);
+
+  gainNode.gain.value = volume;
+
+  source.start(now);
+}
+
+/**
+ * Play End-Plate Spike
+ * Brief, slightly duller click than a fibrillation - "sputtering fat"
+ */
+export function playEndPlateSpike(volume = 0.25, random = Math.random, at = {}) {
+  const ctx = getAudioContext();
+  const { now, output } = resolveTarget(ctx, at);
+
+  const bufferSize = Math.floor(ctx.sampleRate * 0.004); // 4ms
+  const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+
+  for (let i = 0; i < bufferSize; i++) {
+    const t = i / bufferSize;
+    const envelope = Math.exp(-t * 6);
+    data[i] = (random() * 2 - 1) * envelope;
+  }
+
+  const source = ctx.createBufferSource();
+  const filter = ctx.createBiquadFilter();
+  const gainNode = ctx.createGain();
+
+  source.buffer = buffer;
+  filter.type = 'lowpass';
+  filter.frequency.value = 3000;
+
+  source.connect(filter);
+  filter.connect(gainNode);
+  gainNode.connect(output);
+
+  gainNode.gain.value = volume;
+
+  source.start(now);
+}
+
+/**
+ * Play Doublet / Multiplet
+ * The same pop repeated 2-3 times in quick succession
+ */
+export function playMultiplet(volume = 0.3, count = 2, intervalMs = 10, at = {}) {
+  const ctx = getAudioContext();
+  const { now, output } = resolveTarget(ctx, at);
+
+  for (let k = 0; k < count; k++) {
+    schedulePop(ctx, output, now + (k * intervalMs) / 1000, volume);
+  }
+}
+
+/**
+ * Play Tremor Burst
+ * Cluster of pops from several units within ~80ms
+ */
+export function playTremorBurst(volume = 0.25, random = Math.random, at = {}) {
+  const ctx = getAudioContext();
+  const { now, output } = resolveTarget(ctx, at);
+  const count = 4 + Math.floor(random() * 5);
+
+  for (let k = 0; k < count; k++) {
+    schedulePop(ctx, output, now + random() * 0.08, volume * (0.5 + random() * 0.5), 80 + random() * 60);
+  }
+}
+
+const SCHEDULER_INTERVAL_MS = 25; // How often the scheduler wakes up
+const LOOKAHEAD_SEC = 0.1; // How far ahead of the audio clock events are placed
+const START_DELAY_SEC = 0.05; // Headroom so the first events are not late
+
+/**
+ * A repeating sound source on the audio clock
+ * @param {number} firstDelay - Seconds after the start time of the first event
+ * @param {function(Object): void} play - Plays one event at { when, output }
+ * @param {function(): number} interval - Seconds until the following event
+ */
+function createVoice(firstDelay, play, interval) {
+  return { offset: firstDelay, play, interval };
+}
+
+/**
+ * Voices for a pattern - each models one generator's own timing
+ * All irregularity comes from the random draws here, never from timer jitter.
+ * `random` sets the voices up; where there are several, each then draws from
+ * its own voiceRandom(index), so the order the scheduler refills them in
+ * cannot change which draw lands on which voice.
+ */
+function createPatternVoices(patternType, volume, options, random, voiceRandom) {
+  switch (patternType) {
+    case 'normal': {
+      // Voluntary recruitment: every active motor unit fires at its own rate
+      const pool = createMotorUnitPool(options.recruitment, { seed: options.seed });
+      return getActiveUnits(pool, options.effort ?? 30).map(({ unit, rate }, index) => {
+        const own = voiceRandom(index);
+        return createVoice(
+          random() / rate,
+          // Larger units sound louder
+          at => playNormalMUAP(volume * Math.min(1, unit.amplitude / 2000), at),
+          () => nextInterspikeInterval(rate, own) / 1000
+        );
+      });
+    }
+
+    case 'psw':
+    case 'mixed':
+      // Graded spontaneous activity: every denervated fiber fires its own regular train
+      return getSpontaneousGenerators(patternType, options.grade, random).map(({ type, rate }, index) => {
+        const isi = 1 / rate;
+        const own = voiceRandom(index);
+        return createVoice(
+          random() * isi,
+          at => (type === 'psw' ? playPositiveSharpWave(volume, at) : playFibrillation(volume, own, at)),
+          () => isi * (0.97 + own() * 0.06)
+        );
+      });
+
+    case 'fibrillation':
+      // Fibrillations at irregular 5-15Hz
+      return [createVoice(0, at => playFibrillation(volume, random, at), () => 0.07 + random() * 0.13)];
+
+    case 'fasciculation':
+      // Fasciculations every 0.5-3 seconds
+      return [createVoice(0, at => playFasciculation(volume, at), () => 0.5 + random() * 2.5)];
+
+    case 'myotonic':
+      // One complete dive bomber after another
+      return [createVoice(0, at => playMyotonicDischarge(volume, 0.5, at), () => 0.6)];
+
+    case 'crd': {
+      // Identical bursts every 300ms - a CRD is time-locked, so the spike count is drawn once
+      const burstShape = random();
+      return [createVoice(0, at => playComplexRepetitiveDischarge(volume, () => burstShape, at), () => 0.3)];
+    }
+
+    case 'myokymic':
+      // Bursts of 3-8 spikes every 300-700ms
+      return [createVoice(
+        0,
+        at => playMyokymicBurst(volume, 3 + Math.floor(random() * 6), 40, at),
+        () => 0.3 + random() * 0.4
+      )];
+
+    case 'neuromyotonic':
+      return [createVoice(0, at => playNeuromyotonicDischarge(volume * 0.7, 0.3, at), () => 0.6 + random() * 0.6)];
+
+    case 'cramp':
+      // 1.5s cramp, then a short pause
+      return [createVoice(0, at => playCrampDischarge(volume * 0.7, 1.5, at), () => 2.5)];
+
+    case 'endPlateNoise':
+      // Back-to-back 1s noise buffers for a continuous hiss
+      return [createVoice(0, at => playEndPlateNoise(volume * 0.5, 1.0, random, at), () => 1.0)];
+
+    case 'endPlateSpike':
+      // Irregular: exponential intervals, mean ~40ms
+      return [createVoice(0, at => playEndPlateSpike(volume, random, at), () => 0.005 - Math.log(1 - random()) * 0.035)];
+
+    case 'multiplet':
+      return [createVoice(
+        0,
+        at => playMultiplet(volume, 2 + Math.floor(random() * 2), 5 + random() * 10, at),
+        () => 0.3 + random() * 0.5
+      )];
+
+    case 'tremor':
+      // Bursts at ~5Hz
+      return [createVoice(0, at => playTremorBurst(volume, random, at), () => 0.2 * (0.9 + random() * 0.2))];
+
+    default:
+      return [];
+  }
+}
+
 /**
  * Play continuous EMG pattern
+ * Look-ahead scheduler: a coarse timer wakes every 25ms and places every event
+ * due in the next 100ms on the AudioContext clock, so firing rates are exact
+ * regardless of timer jitter. Events missed while the tab was throttled are
+ * skipped rather than played in a bunch.
  * @param {string} patternType - Type of EMG pattern
- * @param {number} duration - Duration in seconds
- * @param {boolean} loop - Whether to loop the pattern
- * @returns {Object} Control object with stop() method
+ * @param {number} duration - Duration in seconds (0 = until stopped)
+ * @param {number} volume - Output gain
+ * @param {Object} options - Playback options
+ * @param {number} [options.seed] - Seed for a reproducible firing schedule
+ * @param {number} [options.effort] - Voluntary effort 0-100% ('normal' pattern)
+ * @param {string} [options.recruitment] - Recruitment mode from RECRUITMENT_MODES
+ * @param {string} [options.grade] - Spontaneous activity grade 1+ to 4+ ('psw', 'mixed')
+ * @returns {Object} Control object with stop() and getElapsedMs() (audio clock, for display sync)
  */
-export function playContinuousPattern(patternType, duration = 5, volume = 0.3) {
-  let isPlaying = true;
-  let timeoutIds = [];
-  
-  function playPattern() {
-    if (!isPlaying) return;
-    
-    switch (patternType) {
-      case 'normal':
-        // Normal MUAPs at ~15Hz
-        playNormalMUAP(volume);
-        timeoutIds.push(setTimeout(playPattern, 50 + Math.random() * 100));
-        break;
-        
-      case 'fibrillation':
-        // Fibrillations at irregular 5-15Hz
-        playFibrillation(volume);
-        timeoutIds.push(setTimeout(playPattern, 70 + Math.random() * 130));
-        break;
-        
-      case 'fasciculation':
-        // Fasciculations every 0.5-3 seconds
-        playFasciculation(volume);
-        timeoutIds.push(setTimeout(playPattern, 500 + Math.random() * 2500));
-        break;
-        
-      case 'myotonic':
-        // Play one complete dive bomber
-        playMyotonicDischarge(volume, 0.5);
-        timeoutIds.push(setTimeout(playPattern, 600));
-        break;
-        
-      case 'crd':
-        // CRD bursts at 40Hz (25ms intervals)
-        playComplexRepetitiveDischarge(volume);
-        timeoutIds.push(setTimeout(playPattern, 300)); // Burst every 300ms
-        break;
+export function playContinuousPattern(patternType, duration = 5, volume = 0.3, options = {}) {
+  const ctx = getAudioContext();
+  if (ctx.state === 'suspended') ctx.resume();
+
+  const random = createRandom(options.seed);
+  // An unseeded pattern stays on Math.random throughout
+  const voiceRandom = index => (random === Math.random ? Math.random : createRandom(Number(options.seed) + 1 + index));
+  const master = ctx.createGain();
+  master.connect(ctx.destination);
+
+  const startTime = ctx.currentTime + START_DELAY_SEC;
+  const endTime = duration > 0 ? startTime + duration : Infinity;
+  const voices = createPatternVoices(patternType, volume, options, random, voiceRandom).map(voice => ({
+    ...voice,
+    nextTime: startTime + voice.offset,
+  }));
+
+  function schedule() {
+    const horizon = Math.min(ctx.currentTime + LOOKAHEAD_SEC, endTime);
+
+    voices.forEach(voice => {
+      while (voice.nextTime < ctx.currentTime) {
+        voice.nextTime += voice.interval();
+      }
+      while (voice.nextTime < horizon) {
+        voice.play({ when: voice.nextTime, output: master });
+        voice.nextTime += voice.interval();
+      }
+    });
+
+    if (horizon >= endTime) {
+      clearInterval(intervalId);
     }
   }
-  
-  playPattern();
-  
-  // Auto-stop after duration
-  if (duration > 0) {
-    timeoutIds.push(setTimeout(() => {
-      isPlaying = false;
-      timeoutIds.forEach(id => clearTimeout(id));
-    }, duration * 1000));
-  }
-  
+
+  const intervalId = setInterval(schedule, SCHEDULER_INTERVAL_MS);
+  schedule();
+
   return {
+    getElapsedMs: () => Math.max(0, (ctx.currentTime - startTime) * 1000),
     stop: () => {
-      isPlaying = false;
-      timeoutIds.forEach(id => clearTimeout(id));
+      clearInterval(intervalId);
+      // Silence events already placed in the look-ahead window
+      master.gain.setValueAtTime(0, ctx.currentTime);
+      master.disconnect();
     },
   };
 }
@@ -318,6 +717,60 @@ export function getAudioCharacteristics(patternType) {
       timing: 'Regular bursts at 20-50Hz',
       clinicalNote: 'Chronic denervation/reinnervation',
     },
+    psw: {
+      soundDescription: 'Dull pops / thuds - lower pitched than fibrillations',
+      frequency: '400Hz → 100Hz transient',
+      timing: 'Regular 0.5-15Hz trains',
+      clinicalNote: 'Active denervation marker',
+    },
+    mixed: {
+      soundDescription: 'Rain on tin roof mixed with dull pops',
+      frequency: 'Brief clicks and longer thuds',
+      timing: 'Regular trains - more trains at higher grades',
+      clinicalNote: 'Grade 1+ to 4+ by density of trains',
+    },
+    myokymic: {
+      soundDescription: 'Marching soldiers - rhythmic groups of pops',
+      frequency: 'MUAP pops, 20-150Hz within burst',
+      timing: 'Bursts recur at 0.1-10Hz',
+      clinicalNote: 'Radiation plexopathy, facial myokymia',
+    },
+    neuromyotonic: {
+      soundDescription: 'Pinging - high-pitched decrescendo',
+      frequency: '150-250Hz spike train',
+      timing: 'Bursts of a few hundred ms',
+      clinicalNote: 'Isaacs syndrome (peripheral nerve hyperexcitability)',
+    },
+    cramp: {
+      soundDescription: 'Sudden loud buzz that stops abruptly',
+      frequency: '40-75Hz units, many at once',
+      timing: 'Seconds, abrupt onset and offset',
+      clinicalNote: 'Usually benign; also electrolyte or neurogenic disorders',
+    },
+    endPlateNoise: {
+      soundDescription: 'Seashell - continuous low hiss',
+      frequency: 'Broadband, band-limited noise',
+      timing: 'Continuous',
+      clinicalNote: 'Normal end-plate activity',
+    },
+    endPlateSpike: {
+      soundDescription: 'Sputtering fat in a frying pan',
+      frequency: 'Brief clicks (3-4ms)',
+      timing: 'Irregular 5-50Hz',
+      clinicalNote: 'Normal - irregular, unlike fibrillations',
+    },
+    multiplet: {
+      soundDescription: 'Double or triple pops',
+      frequency: 'Similar to normal MUAP',
+      timing: 'Spikes 2-20ms apart, groups irregular',
+      clinicalNote: 'Hyperexcitability - hypocalcemia, tetany',
+    },
+    tremor: {
+      soundDescription: 'Rhythmic grouped bursts',
+      frequency: 'Several units per burst',
+      timing: 'Bursts at 4-8Hz',
+      clinicalNote: 'Tremor - not a primary neuromuscular finding',
+    },
   };
   
   return characteristics[patternType] || characteristics.normal;
@@ -330,6 +783,14 @@ export default {
   playMyotonicDischarge,
   playComplexRepetitiveDischarge,
   playPositiveSharpWave,
+  playMyokymicBurst,
+  playNeuromyotonicDischarge,
+  playCrampDischarge,
+  playEndPlateNoise,
+  playEndPlateSpike,
+  playMultiplet,
+  playTremorBurst,
   playContinuousPattern,
+  playWaveform,
   getAudioCharacteristics,
 };
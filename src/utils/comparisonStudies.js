@@ -0,0 +1,81 @@
+/**
+ * Comparison Studies - Median Against a Neighbour Across the Wrist
+ * Mild carpal tunnel syndrome adds only a few tenths of a millisecond to
+ * the median latency. Comparing it with the ulnar or radial nerve over the
+ * same distance to the same recording site removes everything the two nerves
+ * share - age, temperature, hand size, a polyneuropathy - and leaves the
+ * difference the carpal tunnel makes.
+ * - Palmar mixed, ring finger (D4) and thumb (D1): peak latency differences
+ * - Lumbrical-interossei: onset latency difference, preserved when the
+ *   median SNAPs are absent in severe CTS
+ * - Combined Sensory Index: palmar + D4 + D1 differences
+ *
+ * References:
+ * - Preston & Shapiro: Electromyography and Neuromuscular Disorders (chapter 17)
+ * - Robinson, Micklesen & Strakowski (1998): Combined Sensory Index
+ */
+
+import { CTS_COMPARISON_STUDIES, COMBINED_SENSORY_INDEX, PATHOLOGY_PATTERNS } from './constants';
+
+/**
+ * Expected median and comparator responses for a pattern
+ * Generic factors (distalLatency, sensoryAmplitude, motorAmplitude) apply to
+ * both nerves; the median adds the pattern's wristDelay and takes its
+ * nerve-specific amplitude factor.
+ * @param {string} studyKey - CTS_COMPARISON_STUDIES key
+ * @param {string} pattern - PATHOLOGY_PATTERNS key
+ * @returns {Object} { median, comparator } each { latency (ms), amplitude (μV, or mV for motor) }
+ */
+export function expectedComparison(studyKey, pattern) {
+  const study = CTS_COMPARISON_STUDIES[studyKey];
+  const patternData = PATHOLOGY_PATTERNS[pattern];
+  const type = study.nerveType === 'motor' ? 'Motor' : 'Sensory';
+  const latency = study.latency * (patternData.distalLatency ?? 1);
+  const amplitudeFactor = patternData[`${study.nerveType}Amplitude`] ?? 1;
+
+  return {
+    median: {
+      latency: latency + (patternData.wristDelay || 0),
+      amplitude: study.amplitude.median * (patternData[`median${type}Amplitude`] ?? amplitudeFactor),
+    },
+    comparator: {
+      latency,
+      amplitude: study.amplitude.comparator * amplitudeFactor,
+    },
+  };
+}
+
+/**
+ * Median minus comparator latency against the study's normal difference
+ * @param {string} studyKey - CTS_COMPARISON_STUDIES key
+ * @param {number|string} medianLatency - ms
+ * @param {number|string} comparatorLatency - ms
+ * @returns {Object|null} { difference (ms, to 0.01), abnormal }; null unless both latencies are numbers
+ */
+export function assessComparison(studyKey, medianLatency, comparatorLatency) {
+  const median = parseFloat(medianLatency);
+  const comparator = parseFloat(comparatorLatency);
+  if (Number.isNaN(median) || Number.isNaN(comparator)) return null;
+
+  const difference = Math.round((median - comparator) * 100) / 100;
+  return { difference, abnormal: difference >= CTS_COMPARISON_STUDIES[studyKey].abnormalDifference };
+}
+
+/**
+ * Combined Sensory Index from the three sensory differences
+ * @param {Object} differences - { palmar, ringFinger, thumb } in ms (missing or null when not done)
+ * @returns {Object|null} { value (ms), abnormal }; null until all three are known
+ */
+export function combinedSensoryIndex(differences) {
+  const values = COMBINED_SENSORY_INDEX.studies.map(key => differences[key]);
+  if (values.some(value => typeof value !== 'number')) return null;
+
+  const value = Math.round(values.reduce((sum, d) => sum + d, 0) * 100) / 100;
+  return { value, abnormal: value >= COMBINED_SENSORY_INDEX.abnormalSum };
+}
+
+export default {
+  expectedComparison,
+  assessComparison,
+  combinedSensoryIndex,
+};
@@ -11,66 +11,268 @@
 /**
  * Normal Motor Nerve Conduction Values
  * Values vary by age - these are for adults 20-60 years
+ * stimulationSites run distal to proximal; each distance (mm) is from the
+ * previous site, the first from the recording electrode. threshold is the
+ * current (mA, 0.2 ms pulse) that fires the first axons - deep sites need more.
+ * limb ('upper' | 'lower') selects the LIMB_TEMPERATURE the limits assume;
+ * cranial and trunk nerves have none. Nerves studied from a single site have
+ * no conductionVelocity, and only the routine F-wave nerves have F-wave values.
+ * coStimulation is the adjacent nerve strong currents spread to: its threshold
+ * (mA), the size of its volume-conducted response relative to the CMAP and its
+ * latency shift (ms).
  */
 export const MOTOR_NERVE_NORMALS = {
   median: {
     name: 'Median (motor)',
+    limb: 'upper',
+    stimulationSites: [
+      { name: 'Wrist', distance: 70, threshold: 6, coStimulation: { nerve: 'Ulnar', threshold: 18, amplitude: 0.4, latency: -0.5 } },
+      { name: 'Elbow', distance: 230, threshold: 8 },
+      { name: 'Axilla', distance: 200, threshold: 10, coStimulation: { nerve: 'Ulnar', threshold: 20, amplitude: 0.4, latency: 0 } },
+    ],
     distalLatency: { normal: '< 4.4 ms', min: 3.0, max: 4.4 },
     amplitude: { normal: '> 4 mV', min: 4.0, typical: 8.0 },
     conductionVelocity: { normal: '> 49 m/s', min: 49, typical: 56 },
     fWaveLatency: { normal: '< 31 ms', max: 31 },
+    fWavePersistence: { normal: '> 50%', min: 50 }, // % of stimuli with an F-wave
+    fWaveChronodispersion: { normal: '< 5 ms', max: 5 }, // Latest minus earliest F latency
+    fWavePathLength: 650, // mm, distal stimulation site to spinal cord at 170 cm height
   },
   ulnar: {
     name: 'Ulnar (motor)',
+    limb: 'upper',
+    stimulationSites: [
+      { name: 'Wrist', distance: 70, threshold: 6, coStimulation: { nerve: 'Median', threshold: 18, amplitude: 0.3, latency: -0.3 } },
+      { name: 'Below elbow', distance: 200, threshold: 8 },
+      { name: 'Above elbow', distance: 100, threshold: 10 },
+      { name: 'Axilla', distance: 150, threshold: 10, coStimulation: { nerve: 'Median', threshold: 20, amplitude: 0.3, latency: 0 } },
+      { name: "Erb's point", distance: 180, threshold: 25, coStimulation: { nerve: 'Median', threshold: 40, amplitude: 0.5, latency: 0 } },
+    ],
     distalLatency: { normal: '< 3.3 ms', min: 2.0, max: 3.3 },
     amplitude: { normal: '> 6 mV', min: 6.0, typical: 10.0 },
     conductionVelocity: { normal: '> 49 m/s', min: 49, typical: 56 },
     fWaveLatency: { normal: '< 32 ms', max: 32 },
+    fWavePersistence: { normal: '> 50%', min: 50 }, // % of stimuli with an F-wave
+    fWaveChronodispersion: { normal: '< 5 ms', max: 5 }, // Latest minus earliest F latency
+    fWavePathLength: 650, // mm, distal stimulation site to spinal cord at 170 cm height
   },
   peroneal: {
     name: 'Peroneal (motor)',
+    limb: 'lower',
+    stimulationSites: [
+      { name: 'Ankle', distance: 90, threshold: 8 },
+      { name: 'Below fibular head', distance: 300, threshold: 10 },
+      { name: 'Popliteal fossa', distance: 100, threshold: 15, coStimulation: { nerve: 'Tibial', threshold: 30, amplitude: 0.3, latency: 0 } },
+    ],
     distalLatency: { normal: '< 6.5 ms', min: 3.5, max: 6.5 },
     amplitude: { normal: '> 2 mV', min: 2.0, typical: 5.0 },
     conductionVelocity: { normal: '> 41 m/s', min: 41, typical: 48 },
     fWaveLatency: { normal: '< 56 ms', max: 56 },
+    fWavePersistence: { normal: 'Often low - > 20%', min: 20 }, // % of stimuli with an F-wave
+    fWaveChronodispersion: { normal: '< 10 ms', max: 10 }, // Latest minus earliest F latency
+    fWavePathLength: 1100, // mm, distal stimulation site to spinal cord at 170 cm height
   },
   tibial: {
     name: 'Tibial (motor)',
+    limb: 'lower',
+    stimulationSites: [
+      { name: 'Ankle', distance: 90, threshold: 10 },
+      { name: 'Popliteal fossa', distance: 400, threshold: 20, coStimulation: { nerve: 'Peroneal', threshold: 35, amplitude: 0.2, latency: 0 } },
+    ],
     distalLatency: { normal: '< 5.8 ms', min: 3.0, max: 5.8 },
     amplitude: { normal: '> 4 mV', min: 4.0, typical: 8.0 },
     conductionVelocity: { normal: '> 41 m/s', min: 41, typical: 46 },
     fWaveLatency: { normal: '< 58 ms', max: 58 },
+    fWavePersistence: { normal: '> 50%', min: 50 }, // % of stimuli with an F-wave
+    fWaveChronodispersion: { normal: '< 10 ms', max: 10 }, // Latest minus earliest F latency
+    fWavePathLength: 1100, // mm, distal stimulation site to spinal cord at 170 cm height
+  },
+  radial: {
+    name: 'Radial (motor)',
+    limb: 'upper',
+    stimulationSites: [
+      { name: 'Forearm', distance: 60, threshold: 8 },
+      { name: 'Elbow', distance: 180, threshold: 10 },
+      { name: 'Spiral groove', distance: 120, threshold: 20 },
+    ],
+    distalLatency: { normal: '< 2.9 ms', min: 1.8, max: 2.9 },
+    amplitude: { normal: '> 2 mV', min: 2.0, typical: 5.0 },
+    conductionVelocity: { normal: '> 49 m/s', min: 49, typical: 60 },
+  },
+  musculocutaneous: {
+    name: 'Musculocutaneous (motor)',
+    limb: 'upper',
+    stimulationSites: [
+      { name: "Erb's point", distance: 240, threshold: 25 },
+    ],
+    distalLatency: { normal: '< 5.7 ms', min: 3.3, max: 5.7 },
+    amplitude: { normal: '> 3.5 mV', min: 3.5, typical: 8.0 },
+    conductionVelocity: null,
+  },
+  axillary: {
+    name: 'Axillary (motor)',
+    limb: 'upper',
+    stimulationSites: [
+      { name: "Erb's point", distance: 180, threshold: 25 },
+    ],
+    distalLatency: { normal: '< 4.9 ms', min: 2.8, max: 4.9 },
+    amplitude: { normal: '> 3.5 mV', min: 3.5, typical: 9.0 },
+    conductionVelocity: null,
+  },
+  femoral: {
+    name: 'Femoral (motor)',
+    limb: 'lower',
+    stimulationSites: [
+      { name: 'Inguinal ligament', distance: 300, threshold: 20 },
+    ],
+    distalLatency: { normal: '< 7.0 ms', min: 4.0, max: 7.0 },
+    amplitude: { normal: '> 2 mV', min: 2.0, typical: 6.0 },
+    conductionVelocity: null,
+  },
+  facial: {
+    name: 'Facial (motor)',
+    limb: null,
+    stimulationSites: [
+      { name: 'Stylomastoid foramen', distance: 100, threshold: 10 },
+    ],
+    distalLatency: { normal: '< 4.2 ms', min: 2.5, max: 4.2 },
+    amplitude: { normal: '> 1 mV', min: 1.0, typical: 2.5 },
+    conductionVelocity: null,
+  },
+  phrenic: {
+    name: 'Phrenic (motor)',
+    limb: null,
+    stimulationSites: [
+      { name: 'Neck (posterior to SCM)', distance: 200, threshold: 15 },
+    ],
+    distalLatency: { normal: '< 8.0 ms', min: 5.5, max: 8.0 },
+    amplitude: { normal: '> 0.3 mV', min: 0.3, typical: 0.6 },
+    conductionVelocity: null,
   },
 };
 
 /**
  * Normal Sensory Nerve Conduction Values
+ * Antidromic studies (the plantar nerves orthodromic, recorded at the
+ * ankle); stimulationSites as for motor nerves. Single-site velocities are
+ * distance over onset latency.
  */
 export const SENSORY_NERVE_NORMALS = {
   median: {
     name: 'Median (sensory)',
+    limb: 'upper',
+    stimulationSites: [
+      { name: 'Wrist', distance: 140, threshold: 4 },
+      { name: 'Elbow', distance: 230, threshold: 8 },
+    ],
     peakLatency: { normal: '< 3.5 ms', min: 2.0, max: 3.5 },
     amplitude: { normal: '> 15 μV', min: 15, typical: 30 },
     conductionVelocity: { normal: '> 50 m/s', min: 50, typical: 56 },
   },
   ulnar: {
     name: 'Ulnar (sensory)',
+    limb: 'upper',
+    stimulationSites: [
+      { name: 'Wrist', distance: 140, threshold: 4 },
+      { name: 'Below elbow', distance: 200, threshold: 8 },
+      { name: 'Above elbow', distance: 100, threshold: 8 },
+    ],
     peakLatency: { normal: '< 3.1 ms', min: 2.0, max: 3.1 },
     amplitude: { normal: '> 10 μV', min: 10, typical: 20 },
     conductionVelocity: { normal: '> 50 m/s', min: 50, typical: 56 },
   },
   radial: {
     name: 'Radial (sensory)',
+    limb: 'upper',
+    stimulationSites: [
+      { name: 'Forearm', distance: 100, threshold: 4 },
+      { name: 'Elbow', distance: 150, threshold: 8 },
+    ],
     peakLatency: { normal: '< 2.8 ms', min: 1.8, max: 2.8 },
     amplitude: { normal: '> 15 μV', min: 15, typical: 25 },
     conductionVelocity: { normal: '> 50 m/s', min: 50, typical: 58 },
   },
   sural: {
     name: 'Sural (sensory)',
+    limb: 'lower',
+    stimulationSites: [
+      { name: 'Calf', distance: 140, threshold: 6 },
+      { name: 'Mid-calf', distance: 100, threshold: 8 },
+    ],
     peakLatency: { normal: '< 4.4 ms', min: 2.5, max: 4.4 },
     amplitude: { normal: '> 6 μV', min: 6, typical: 15 },
     conductionVelocity: { normal: '> 40 m/s', min: 40, typical: 46 },
   },
+  superficialPeroneal: {
+    name: 'Superficial Peroneal (sensory)',
+    limb: 'lower',
+    stimulationSites: [
+      { name: 'Lateral leg', distance: 120, threshold: 6 },
+    ],
+    peakLatency: { normal: '< 4.4 ms', min: 2.5, max: 4.4 },
+    amplitude: { normal: '> 6 μV', min: 6, typical: 12 },
+    conductionVelocity: { normal: '> 40 m/s', min: 40, typical: 48 },
+  },
+  saphenous: {
+    name: 'Saphenous (sensory)',
+    limb: 'lower',
+    stimulationSites: [
+      { name: 'Medial leg', distance: 140, threshold: 8 },
+    ],
+    peakLatency: { normal: '< 4.4 ms', min: 2.5, max: 4.4 },
+    amplitude: { normal: '> 4 μV', min: 4, typical: 9 },
+    conductionVelocity: { normal: '> 40 m/s', min: 40, typical: 46 },
+  },
+  lateralAntebrachialCutaneous: {
+    name: 'Lateral Antebrachial Cutaneous (sensory)',
+    limb: 'upper',
+    stimulationSites: [
+      { name: 'Elbow (lateral to biceps tendon)', distance: 120, threshold: 6 },
+    ],
+    peakLatency: { normal: '< 3.0 ms', min: 1.8, max: 3.0 },
+    amplitude: { normal: '> 10 μV', min: 10, typical: 20 },
+    conductionVelocity: { normal: '> 55 m/s', min: 55, typical: 62 },
+  },
+  medialAntebrachialCutaneous: {
+    name: 'Medial Antebrachial Cutaneous (sensory)',
+    limb: 'upper',
+    stimulationSites: [
+      { name: 'Elbow (medial)', distance: 120, threshold: 6 },
+    ],
+    peakLatency: { normal: '< 3.2 ms', min: 1.8, max: 3.2 },
+    amplitude: { normal: '> 5 μV', min: 5, typical: 12 },
+    conductionVelocity: { normal: '> 50 m/s', min: 50, typical: 58 },
+  },
+  medialPlantar: {
+    name: 'Medial Plantar (sensory)',
+    limb: 'lower',
+    stimulationSites: [
+      { name: 'Medial sole', distance: 140, threshold: 10 },
+    ],
+    peakLatency: { normal: '< 3.7 ms', min: 2.5, max: 3.7 },
+    amplitude: { normal: '> 3 μV', min: 3, typical: 10 },
+    conductionVelocity: { normal: '> 40 m/s', min: 40, typical: 48 },
+  },
+  lateralPlantar: {
+    name: 'Lateral Plantar (sensory)',
+    limb: 'lower',
+    stimulationSites: [
+      { name: 'Lateral sole', distance: 140, threshold: 10 },
+    ],
+    peakLatency: { normal: '< 3.7 ms', min: 2.5, max: 3.7 },
+    amplitude: { normal: '> 2 μV', min: 2, typical: 6 },
+    conductionVelocity: { normal: '> 40 m/s', min: 40, typical: 46 },
+  },
+  dorsalUlnarCutaneous: {
+    name: 'Dorsal Ulnar Cutaneous (sensory)',
+    limb: 'upper',
+    stimulationSites: [
+      { name: 'Distal forearm', distance: 100, threshold: 6 },
+    ],
+    peakLatency: { normal: '< 2.5 ms', min: 1.6, max: 2.5 },
+    amplitude: { normal: '> 8 μV', min: 8, typical: 20 },
+    conductionVelocity: { normal: '> 50 m/s', min: 50, typical: 56 },
+  },
 };
 
 /**
@@ -84,6 +286,7 @@ export const PATHOLOGY_PATTERNS = {
     sensoryAmplitude: 1.0,
     sensoryCV: 1.0,
     distalLatency: 1.0,
+    rns: { safetyFactor: 4, release: 1 }, // Junction for RNS and SFEMG; patterns without one are normal
     description: 'All parameters within normal limits',
   },
   axonal: {
@@ -93,6 +296,10 @@ export const PATHOLOGY_PATTERNS = {
     sensoryAmplitude: 0.3,
     sensoryCV: 0.95,
     distalLatency: 1.0,
+    rationale: {
+      amplitude: 'Fewer surviving axons contribute to the response - amplitude falls in proportion to axon loss.',
+      velocity: 'Loss of the largest, fastest axons slows conduction slightly - never below 75% of the lower limit.',
+    },
     description: 'Reduced amplitudes, preserved conduction velocities - axonal loss',
   },
   demyelinating: {
@@ -102,15 +309,27 @@ export const PATHOLOGY_PATTERNS = {
     sensoryAmplitude: 0.7,
     sensoryCV: 0.65,
     distalLatency: 1.5, // Prolonged latencies
+    segmental: { site: 'diffuse', blocked: 0.1, slowed: 0.6, slowing: 0.5 }, // Uneven slowing disperses the CMAP
+    rationale: {
+      amplitude: 'Axons survive, but uneven slowing disperses their potentials and some are blocked - amplitude falls modestly.',
+      velocity: 'Loss of myelin slows saltatory conduction - velocity below 75% of the lower limit.',
+      latency: 'The distal segment is demyelinated too - the latency is markedly prolonged.',
+    },
     description: 'Slowed conduction velocities, prolonged latencies, temporal dispersion',
   },
   conductionBlock: {
     name: 'Conduction Block',
-    motorAmplitude: 0.4, // >50% drop in amplitude proximal to distal
+    motorAmplitude: 1.0, // Distal CMAP preserved - the drop comes from the segmental block
     motorCV: 0.75,
     sensoryAmplitude: 0.8,
     sensoryCV: 0.85,
     distalLatency: 1.2,
+    segmental: { site: 'segment', blocked: 0.6, slowed: 0.1, slowing: 0.2 }, // Focal, between the first two sites
+    rationale: {
+      amplitude: 'Sensory fibers share the inflammatory demyelination - mildly reduced SNAPs.',
+      velocity: 'Demyelination outside the block slows conduction moderately.',
+      latency: 'Distal demyelination prolongs the latency mildly.',
+    },
     description: '>50% amplitude drop between stimulation sites without temporal dispersion',
   },
   carpalTunnel: {
@@ -118,9 +337,318 @@ export const PATHOLOGY_PATTERNS = {
     medianMotorDistalLatency: 1.5, // Prolonged median motor latency
     medianSensoryAmplitude: 0.4, // Reduced median sensory amplitude
     medianSensoryLatency: 1.6, // Prolonged median sensory latency
+    wristDelay: 1.2, // ms added across the carpal tunnel in the comparison studies - every one abnormal
     ulnarNormal: true,
+    rationale: {
+      amplitude: 'Sensory fibers in the tunnel are compressed first - the median SNAP falls before the CMAP.',
+      latency: 'Focal demyelination under the transverse carpal ligament slows only the wrist-to-hand segment.',
+    },
     description: 'Median neuropathy at wrist - prolonged latencies, reduced amplitudes',
   },
+  mildCarpalTunnel: {
+    name: 'Mild Carpal Tunnel Syndrome',
+    medianMotorDistalLatency: 1.05, // Still within normal limits
+    medianSensoryLatency: 1.1, // Still within normal limits
+    wristDelay: 0.4, // Palmar difference and CSI abnormal, D4 and D1 borderline
+    ulnarNormal: true,
+    rationale: {
+      latency: 'The slowing across the wrist is a few tenths of a millisecond - within the absolute limits, but not within the normal difference from the ulnar and radial nerves over the same distance.',
+    },
+    description: 'Median slowing at the wrist too small for absolute limits - comparison studies and the Combined Sensory Index expose it',
+  },
+  myastheniaGravis: {
+    name: 'Myasthenia Gravis',
+    motorAmplitude: 1.0, // Resting CMAPs normal
+    motorCV: 1.0,
+    sensoryAmplitude: 1.0,
+    sensoryCV: 1.0,
+    distalLatency: 1.0,
+    rns: { safetyFactor: 1.6, release: 1 }, // Postsynaptic: fewer acetylcholine receptors
+    description: 'Normal routine studies; >10% decrement on 3 Hz stimulation, repaired after exercise',
+  },
+  lambertEaton: {
+    name: 'Lambert-Eaton Myasthenic Syndrome',
+    motorAmplitude: 0.3, // Low resting CMAPs - transmission failure, not axon loss
+    motorCV: 1.0,
+    sensoryAmplitude: 1.0,
+    sensoryCV: 1.0,
+    distalLatency: 1.0,
+    rns: { safetyFactor: 4, release: 0.2 }, // Presynaptic: antibodies to voltage-gated calcium channels
+    rationale: {
+      amplitude: 'Axons are intact, but too little acetylcholine is released for many muscle fibers to fire at rest.',
+    },
+    description: 'Low CMAPs with >100% increment after brief exercise or 20-50 Hz stimulation',
+  },
+  martinGruber: {
+    name: 'Martin-Gruber Anastomosis',
+    motorAmplitude: 1.0,
+    motorCV: 1.0,
+    sensoryAmplitude: 1.0,
+    sensoryCV: 1.0,
+    distalLatency: 1.0,
+    anomaly: { // Keyed by the motor nerve whose study shows it
+      // Crossing fibers leave the median nerve in the forearm for ulnar-innervated hand muscles
+      median: {
+        fraction: 0.35, // Share of the recorded CMAP carried by the anomalous fibers
+        present: 'proximal', // Excited only from sites above the junction ('distal': only below)
+        junction: 'segment', // Midway between the first two sites ('hand': beyond the distal site)
+        volumeConducted: true, // Positive first - adductor pollicis and first dorsal interosseous, recorded over APB
+        route: 'ulnar', // Nerve whose distal segment the fibers reach the muscle through
+        stimulation: { name: 'Ulnar at wrist (recording APB)', at: 'distal' }, // Excites the anomalous fibers alone, level with the first or second site
+        explanation: [ // Guided reading, step by step
+          'The elbow CMAP is larger than the wrist CMAP - impossible in a single nerve, where dispersion only makes proximal responses smaller.',
+          'It starts with a small positive dip: elbow stimulation also excites crossing fibers that reach ulnar-innervated thenar muscles, recorded from a distance.',
+          'Stimulating the ulnar nerve at the wrist while recording over APB reproduces the dip - the crossing fibers end in the ulnar nerve.',
+          'The crossing fibers reach the hand through the faster ulnar nerve, so the elbow onset is early and the forearm velocity spuriously fast - far more so with carpal tunnel syndrome, whose slowing they bypass.',
+        ],
+      },
+      // The same fibers seen from the ulnar side: present at the wrist, absent at the elbow
+      ulnar: {
+        fraction: 0.4,
+        present: 'distal',
+        junction: 'segment',
+        volumeConducted: false,
+        stimulation: { name: 'Median at elbow (recording ADM)', at: 'proximal' },
+        explanation: [
+          'The below-elbow CMAP is much smaller than the wrist CMAP, mimicking a forearm conduction block.',
+          'The drop lies between wrist and below elbow and the duration does not increase - a true block at the elbow would lie across the elbow segment.',
+          'Stimulating the median nerve at the elbow while recording over ADM gives a response that makes up the difference.',
+          'Wrist ≈ below elbow + median elbow: an anastomosis, not a lesion.',
+        ],
+      },
+    },
+    description: 'Median-to-ulnar crossover in the forearm (~15-30% of people): larger proximal median CMAP with an initial positive dip, ulnar wrist-to-forearm drop',
+  },
+  richeCannieu: {
+    name: 'Riche-Cannieu Anastomosis',
+    motorAmplitude: 1.0,
+    motorCV: 1.0,
+    sensoryAmplitude: 1.0,
+    sensoryCV: 1.0,
+    distalLatency: 1.0,
+    anomaly: {
+      // Deep ulnar to recurrent median branch in the palm: part of the thenar eminence is ulnar-supplied
+      median: {
+        fraction: 0.4,
+        present: 'distal',
+        junction: 'hand',
+        volumeConducted: false,
+        stimulation: { name: 'Ulnar at wrist (recording APB)', at: 'distal' },
+        explanation: [
+          'The median CMAP is low at every site by the same amount, with normal latency and velocity - it looks like median axonal loss.',
+          'Stimulating the ulnar nerve at the wrist while recording over APB gives a negative-onset response: ulnar fibers supply part of APB itself.',
+          'In a complete median nerve lesion thenar muscles are spared; needle EMG of APB shows ulnar-innervated units.',
+        ],
+      },
+    },
+    description: 'Ulnar-to-median communication in the palm: ulnar fibers supply thenar muscles, lowering the median CMAP at every site',
+  },
+  accessoryPeroneal: {
+    name: 'Accessory Deep Peroneal Nerve',
+    motorAmplitude: 1.0,
+    motorCV: 1.0,
+    sensoryAmplitude: 1.0,
+    sensoryCV: 1.0,
+    distalLatency: 1.0,
+    anomaly: {
+      // Branch of the superficial peroneal nerve passing behind the lateral malleolus to lateral EDB
+      peroneal: {
+        fraction: 0.35,
+        present: 'proximal',
+        junction: 'segment',
+        volumeConducted: false,
+        route: 'peroneal',
+        stimulation: { name: 'Behind lateral malleolus', at: 'distal' },
+        explanation: [
+          'The CMAPs from below the fibular head and the popliteal fossa are larger than the ankle CMAP - impossible in a single nerve.',
+          'The ankle site excites only the deep peroneal nerve; the knee sites also excite an accessory branch of the superficial peroneal nerve to lateral EDB.',
+          'Stimulating behind the lateral malleolus gives a response that makes up the difference: ankle + lateral malleolus ≈ knee.',
+        ],
+      },
+    },
+    description: 'Accessory branch to EDB behind the lateral malleolus (~20% of people): knee CMAP larger than ankle CMAP',
+  },
+};
+
+/**
+ * Repetitive Nerve Stimulation Criteria
+ * Decrement: lowest of the 2nd-5th responses against the 1st, 3 Hz train.
+ * Increment: largest response after brief exercise or high-frequency stimulation
+ * against the rested response.
+ * References: AANEM practice parameter for RNS; Oh et al. (2005) on the 60% LEMS increment
+ */
+export const RNS_CRITERIA = {
+  decrement: 10, // % - larger decrements are abnormal
+  increment: 100, // % - diagnostic of a presynaptic disorder
+  incrementSuggestive: 60, // % - suggestive, more sensitive
+  postExerciseTimes: [0, 60, 120, 180, 240, 300], // s - trains after exercise (facilitation, then exhaustion)
+};
+
+/**
+ * Single-Fiber EMG Jitter Normal Values (voluntary activation)
+ * Jitter is the mean consecutive difference (MCD, μs) of the interpotential
+ * interval of a pair of muscle fibers from one motor unit. A study of 20 pairs
+ * is abnormal when the mean MCD exceeds its limit or more than 10% of pairs
+ * exceed the individual pair limit; blocking is always abnormal. Concentric
+ * needles record "apparent" single fiber potentials and have lower limits.
+ * Fiber density (single-fiber electrode only) is the mean number of fibers
+ * recorded per site; reinnervation raises it.
+ * References: Stålberg et al. (2016) jitter reference values; Gilchrist (1992) AAEM SFEMG
+ * reference values; Stålberg & Trontelj: Single Fiber Electromyography
+ */
+export const SFEMG_NORMALS = {
+  edc: {
+    name: 'Extensor digitorum communis',
+    singleFiber: { meanMCD: 34, pairMCD: 55 },
+    concentric: { meanMCD: 31, pairMCD: 45 },
+    fiberDensity: { normal: '< 1.9', max: 1.9 },
+  },
+  frontalis: {
+    name: 'Frontalis',
+    singleFiber: { meanMCD: 34, pairMCD: 49 },
+    concentric: { meanMCD: 24, pairMCD: 38 },
+  },
+  orbicularisOculi: {
+    name: 'Orbicularis oculi',
+    singleFiber: { meanMCD: 39, pairMCD: 55 },
+    concentric: { meanMCD: 28, pairMCD: 40 },
+  },
+};
+
+export const SFEMG_CRITERIA = {
+  pairs: 20, // Pairs in a study
+  outlierFraction: 10, // % of pairs allowed above the individual pair limit
+  discharges: 50, // Consecutive discharges per pair
+};
+
+/**
+ * Internal Comparison Studies for Carpal Tunnel Syndrome
+ * The median nerve and a neighbour are stimulated over the same distance and
+ * recorded at the same site, so age, temperature and hand size cancel out and
+ * slowing across the wrist too small for absolute limits stands out. Sensory
+ * and mixed studies compare peak latencies, lumbrical-interossei compares
+ * onset latencies. Each median − comparator difference at or above
+ * abnormalDifference (ms) is abnormal; latency is the typical comparator
+ * latency and amplitudes the typical median and comparator responses.
+ * References: Preston & Shapiro (chapter 17); Robinson et al. (1998) CSI
+ */
+export const CTS_COMPARISON_STUDIES = {
+  palmar: {
+    name: 'Palmar mixed (median–ulnar)',
+    nerveType: 'sensory',
+    comparator: 'Ulnar',
+    stimulation: 'Palm',
+    recording: 'Wrist',
+    distance: 80, // mm
+    latency: 2.0,
+    amplitude: { median: 60, comparator: 20 }, // μV - mixed nerve
+    abnormalDifference: 0.4,
+  },
+  ringFinger: {
+    name: 'Ring finger D4 (median–ulnar)',
+    nerveType: 'sensory',
+    comparator: 'Ulnar',
+    stimulation: 'Wrist',
+    recording: 'Ring finger',
+    distance: 140,
+    latency: 3.0,
+    amplitude: { median: 20, comparator: 15 },
+    abnormalDifference: 0.5,
+  },
+  thumb: {
+    name: 'Thumb D1 (median–radial)',
+    nerveType: 'sensory',
+    comparator: 'Radial',
+    stimulation: 'Wrist (median) / forearm (radial)',
+    recording: 'Thumb',
+    distance: 100,
+    latency: 2.3,
+    amplitude: { median: 25, comparator: 20 },
+    abnormalDifference: 0.5,
+  },
+  lumbricalInterossei: {
+    name: 'Lumbrical–interossei (median–ulnar)',
+    nerveType: 'motor',
+    comparator: 'Ulnar',
+    stimulation: 'Wrist',
+    recording: 'Palm, lateral to 3rd metacarpal',
+    distance: 90,
+    latency: 3.0,
+    amplitude: { median: 2.5, comparator: 6.0 }, // mV - second lumbrical, interossei
+    abnormalDifference: 0.5,
+  },
+};
+
+/**
+ * Combined Sensory Index (CSI)
+ * Sum of the palmar, ring-finger and thumb differences - more sensitive and
+ * specific for mild CTS than any one of them.
+ */
+export const COMBINED_SENSORY_INDEX = {
+  studies: ['palmar', 'ringFinger', 'thumb'],
+  abnormalSum: 1.0, // ms - at or above is abnormal
+};
+
+/**
+ * Side-to-Side Comparison Criteria
+ * The same nerve on the other side is the patient's own control, so an
+ * asymmetry can be abnormal while both sides are within the absolute limits.
+ * Amplitude asymmetry is the lower side's shortfall from the higher, in %;
+ * latency and velocity differences are absolute.
+ * References: Preston & Shapiro (chapter 8); Dumitru (side-to-side variation)
+ */
+export const SIDE_TO_SIDE_CRITERIA = {
+  amplitudeAsymmetry: { motor: 50, sensory: 50 }, // % - above is abnormal
+  latencyDifference: { motor: 0.7, sensory: 0.5 }, // ms - above is abnormal
+  velocityDifference: 10, // m/s - above is abnormal
+};
+
+/**
+ * Partial Conduction Block Criteria
+ * Proximal vs distal CMAP (negative-peak amplitude, area and duration).
+ * A drop with little change in duration is block; a longer proximal CMAP means
+ * temporal dispersion, and phase cancellation alone can then explain the drop.
+ * Reference: AAEM consensus criteria for partial conduction block (Olney, 2003)
+ */
+export const CONDUCTION_BLOCK_CRITERIA = {
+  amplitudeDrop: 50, // % - amplitude or area drop beyond this suggests block
+  durationIncrease: 30, // % - duration increase beyond this is abnormal temporal dispersion
+  minDistalAmplitude: 1, // mV - smaller distal CMAPs are too small to assess
+};
+
+/**
+ * Inching Criteria
+ * Short-segment stimulation in 1-2 cm steps across a suspected focal lesion.
+ * Normal steps take 0.16-0.21 ms/cm; an abrupt latency or amplitude change
+ * localizes the lesion to that step.
+ * References: Kimura (1979) median inching; Campbell et al. (1992) ulnar inching
+ */
+export const INCHING_CRITERIA = {
+  steps: [10, 20], // mm
+  latencyPerCm: 0.4, // ms/cm - slower steps are focal slowing
+  amplitudeDrop: 20, // % between adjacent steps - larger drops are focal block
+};
+
+/**
+ * H-Reflex Normal Values
+ * Tibial nerve stimulated at the popliteal fossa, recording soleus. Latency is
+ * compared with a limit predicted from leg length and age (predictHReflexLatency);
+ * in S1 radiculopathy the side-to-side comparison is the most sensitive measure.
+ * References: Braddom & Johnson (1974); AAEM H-reflex guidelines (Fisher, 2002)
+ */
+export const H_REFLEX_NORMALS = {
+  tibial: {
+    name: 'Tibial H-reflex (soleus)',
+    stimulation: 'Popliteal fossa',
+    recording: 'Soleus',
+    distalDistance: 200, // mm, stimulation site to recording electrode
+    pathLength: 600, // mm, stimulation site to the S1 cord segment at 170 cm height
+    legLengthRatio: 0.23, // Medial malleolus to popliteal crease, as a fraction of height
+    latency: { normal: '< 34 ms (170 cm, age 40)', sd: 1.4 }, // ms, SD about the predicted latency
+    sideDifference: { normal: '< 1.5 ms', max: 1.5 },
+    amplitudeRatio: { normal: '> 50% of the other side', min: 50 }, // Smaller side as % of the larger
+    hmRatio: { normal: '< 0.7', max: 0.7 }, // Hmax / Mmax - higher suggests upper motor neuron disinhibition
+  },
 };
 
 /**
@@ -175,6 +703,33 @@ export const EMG_PATTERNS = {
   },
 };
 
+/**
+ * Spontaneous Activity Grading (fibrillations / positive sharp waves)
+ * generators = number of independently firing denervated fibers simulated
+ */
+export const SPONTANEOUS_ACTIVITY_GRADES = {
+  '1+': {
+    label: '1+',
+    description: 'Persistent single trains of potentials in at least 2 areas',
+    generators: 1,
+  },
+  '2+': {
+    label: '2+',
+    description: 'Moderate number of potentials in 3 or more areas',
+    generators: 3,
+  },
+  '3+': {
+    label: '3+',
+    description: 'Many potentials in all areas',
+    generators: 7,
+  },
+  '4+': {
+    label: '4+',
+    description: 'Full interference pattern of potentials - baseline obscured',
+    generators: 16,
+  },
+};
+
 /**
  * Common Diagnoses with Expected Findings
  */
@@ -256,6 +811,35 @@ export const CLINICAL_DIAGNOSES = {
     ],
     awaji: 'Fasciculations equivalent to fibrillations for diagnosis (Awaji criteria)',
   },
+  myastheniaGravis: {
+    name: 'Myasthenia Gravis',
+    ncvFindings: [
+      'Normal motor and sensory conduction studies',
+      'Decrement >10% on 3 Hz repetitive stimulation (maximal by the 4th-5th response)',
+      'Post-exercise facilitation repairs the decrement; exhaustion worsens it at 2-4 minutes',
+    ],
+    emgFindings: [
+      'Unstable (varying) MUAPs from intermittent blocking',
+      'Increased jitter and blocking on single-fiber EMG',
+      'No fibrillations except in severe, longstanding disease',
+    ],
+    distribution: 'Ocular, bulbar and proximal limb weakness - test a weak or proximal muscle',
+    treatment: 'Pyridostigmine, immunosuppression, thymectomy',
+  },
+  lambertEaton: {
+    name: 'Lambert-Eaton Myasthenic Syndrome',
+    ncvFindings: [
+      'Low resting CMAP amplitudes in several nerves, normal sensory studies',
+      'Decrement on 3 Hz stimulation',
+      'Increment >100% after 10 s of exercise or 20-50 Hz stimulation (>60% suggestive)',
+    ],
+    emgFindings: [
+      'Unstable MUAPs',
+      'Increased jitter that improves with higher firing rates',
+    ],
+    causes: 'Paraneoplastic (small cell lung cancer) in about half; autoimmune otherwise',
+    treatment: '3,4-diaminopyridine, treat the underlying tumor',
+  },
 };
 
 /**
@@ -278,6 +862,86 @@ export function adjustForAge(value, age, parameterType) {
   return value;
 }
 
+/**
+ * Expected Study Values for a Pattern
+ * Normal values for the nerve, adjusted for age, scaled by the pattern's
+ * factors. A nerve-specific factor (medianSensoryAmplitude) overrides the
+ * generic one (sensoryAmplitude) and missing factors are 1; the pattern's
+ * rationale gives the reason for each change. Typical latencies are the
+ * middle of the normal range.
+ * @param {string} pattern - PATHOLOGY_PATTERNS key
+ * @param {string} nerveType - 'motor' or 'sensory'
+ * @param {string} nerve - Key of MOTOR_NERVE_NORMALS or SENSORY_NERVE_NORMALS
+ * @param {number} age - Years
+ * @returns {Object} distalLatency (ms - onset for motor, peak for sensory), velocity (m/s,
+ *   null for nerves without velocity normals), amplitude (mV or μV), fiberFraction (amplitude relative to the young-adult typical)
+ *   and changes [{ parameter, label, normal, expected, units, reason }] for every
+ *   parameter that differs from normal, age included
+ */
+export function expectedStudyValues(pattern, nerveType, nerve, age) {
+  const normals = (nerveType === 'motor' ? MOTOR_NERVE_NORMALS : SENSORY_NERVE_NORMALS)[nerve];
+  const patternData = PATHOLOGY_PATTERNS[pattern];
+  const type = nerveType === 'motor' ? 'Motor' : 'Sensory';
+  const factor = (specific, generic) => patternData[`${nerve}${type}${specific}`] ?? patternData[generic] ?? 1;
+  const latencies = nerveType === 'motor' ? normals.distalLatency : normals.peakLatency;
+  const units = nerveType === 'motor' ? 'mV' : 'μV';
+
+  const normal = {
+    distalLatency: (latencies.min + latencies.max) / 2,
+    velocity: normals.conductionVelocity ? normals.conductionVelocity.typical : null,
+    amplitude: normals.amplitude.typical,
+  };
+  const aged = {
+    ...normal,
+    velocity: normal.velocity === null ? null : adjustForAge(normal.velocity, age, 'cv'),
+    amplitude: adjustForAge(normal.amplitude, age, 'amplitude'),
+  };
+  const expected = {
+    distalLatency: aged.distalLatency * factor(nerveType === 'motor' ? 'DistalLatency' : 'Latency', 'distalLatency'),
+    velocity: aged.velocity === null ? null : aged.velocity * factor('CV', `${nerveType}CV`),
+    amplitude: aged.amplitude * factor('Amplitude', `${nerveType}Amplitude`),
+  };
+
+  const parameters = [
+    { parameter: 'latency', key: 'distalLatency', label: nerveType === 'motor' ? 'Distal latency' : 'Peak latency', units: 'ms' },
+    { parameter: 'velocity', key: 'velocity', label: 'Conduction velocity', units: 'm/s' },
+    { parameter: 'amplitude', key: 'amplitude', label: 'Amplitude', units },
+  ];
+  const rationale = patternData.rationale || {};
+  const changes = [];
+  parameters.forEach(({ parameter, key, label, units: parameterUnits }) => {
+    if (normal[key] === null) return;
+    if (Math.abs(aged[key] - normal[key]) > 0.01) {
+      changes.push({
+        parameter,
+        label: `${label} (age ${age})`,
+        normal: normal[key],
+        expected: aged[key],
+        units: parameterUnits,
+        reason: parameter === 'velocity'
+          ? 'Normal ageing: velocity falls ~1.5 m/s per decade after 60.'
+          : 'Normal ageing: amplitude falls ~10% per decade after 60.',
+      });
+    }
+    if (Math.abs(expected[key] - aged[key]) > 0.01) {
+      changes.push({
+        parameter,
+        label,
+        normal: aged[key],
+        expected: expected[key],
+        units: parameterUnits,
+        reason: rationale[parameter] || patternData.description,
+      });
+    }
+  });
+
+  return {
+    ...expected,
+    fiberFraction: expected.amplitude / normal.amplitude,
+    changes,
+  };
+}
+
 /**
  * Temperature Adjustments
  * Conduction velocity changes ~2 m/s per °C
@@ -288,9 +952,29 @@ export function adjustForTemperature(cv, measuredTemp, standardTemp = 34) {
   return cv + (tempDiff * 2); // 2 m/s per degree
 }
 
+/**
+ * Minimum Limb Temperatures
+ * Skin temperature (°C) at which the normal values above apply. Cooler limbs
+ * conduct more slowly: warm and repeat, or widen the limits.
+ */
+export const LIMB_TEMPERATURE = {
+  upper: { min: 32, site: 'dorsum of the hand' },
+  lower: { min: 30, site: 'dorsum of the foot' },
+};
+
+/**
+ * Temperature Adjustment for Latencies
+ * Distal and peak latencies lengthen ~0.2 ms per °C of cooling
+ */
+export function adjustLatencyForTemperature(latency, measuredTemp, standardTemp = 34) {
+  const tempDiff = standardTemp - measuredTemp;
+  return latency - (tempDiff * 0.2); // 0.2 ms per degree
+}
+
 /**
  * Height/Distance Adjustments for Latencies
  * F-wave latencies vary with limb length
+ * fWaveLatency maxima above are for a 170 cm adult
  */
 export function adjustLatencyForHeight(latency, height, nerve) {
   // This is approximate - clinical labs use more detailed formulas
@@ -298,13 +982,40 @@ export function adjustLatencyForHeight(latency, height, nerve) {
   return latency * heightFactor;
 }
 
+/**
+ * Predicted H-Reflex Latency
+ * Braddom & Johnson: 9.14 + 0.46 × leg length (cm) + 0.1 × age, SD 1.4 ms.
+ * Leg length is estimated from height; the upper limit is predicted + 2 SD.
+ * @returns {Object} { predicted, limit } in ms
+ */
+export function predictHReflexLatency(age, height, nerve = 'tibial') {
+  const normals = H_REFLEX_NORMALS[nerve];
+  const legLength = height * normals.legLengthRatio;
+  const predicted = 9.14 + 0.46 * legLength + 0.1 * age;
+  return { predicted, limit: predicted + 2 * normals.latency.sd };
+}
+
 export default {
   MOTOR_NERVE_NORMALS,
   SENSORY_NERVE_NORMALS,
   PATHOLOGY_PATTERNS,
+  CTS_COMPARISON_STUDIES,
+  COMBINED_SENSORY_INDEX,
+  SIDE_TO_SIDE_CRITERIA,
+  CONDUCTION_BLOCK_CRITERIA,
+  INCHING_CRITERIA,
+  H_REFLEX_NORMALS,
+  RNS_CRITERIA,
+  SFEMG_NORMALS,
+  SFEMG_CRITERIA,
   EMG_PATTERNS,
+  SPONTANEOUS_ACTIVITY_GRADES,
   CLINICAL_DIAGNOSES,
   adjustForAge,
+  expectedStudyValues,
+  LIMB_TEMPERATURE,
   adjustForTemperature,
+  adjustLatencyForTemperature,
   adjustLatencyForHeight,
+  predictHReflexLatency,
 };
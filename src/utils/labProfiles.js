@@ -0,0 +1,332 @@
+/**
+ * Laboratory Normal-Value Profiles
+ * Each lab publishes its own limits. A profile holds one limit per nerve and
+ * parameter - the upper limit of distal/peak latency and F-wave latency, the
+ * lower limit of amplitude and conduction velocity - and the active profile is
+ * what referenceValues adjusts for the patient, so every abnormality check
+ * reads from it. Nerves or parameters a profile leaves out fall back to the
+ * built-in limits (MOTOR_NERVE_NORMALS / SENSORY_NERVE_NORMALS).
+ *
+ * Profiles persist in localStorage and move between labs as JSON
+ * ({ format, version, name, normals: { motor: { median: { latency, ... } } } })
+ * or CSV (one row per nerve: type,nerve,latency,amplitude,velocity,fWaveLatency).
+ */
+
+import { MOTOR_NERVE_NORMALS, SENSORY_NERVE_NORMALS } from './constants';
+
+export const PROFILE_FORMAT = 'emg-ncv-lab-profile';
+export const PROFILE_VERSION = 1;
+export const BUILT_IN_PROFILE_ID = 'built-in';
+
+const STORAGE_KEY = 'emg-ncv-lab-profiles';
+const NAME_LENGTH = 60;
+
+/**
+ * Editable limits: the bound each is, the nerve types that have it, the
+ * plausible range a file value must fall in and where the built-in value lives
+ * (null for a nerve that does not have the parameter)
+ */
+export const PROFILE_PARAMETERS = {
+  latency: {
+    label: 'Latency', bound: 'max', units: 'ms', types: ['motor', 'sensory'], range: [0.5, 20],
+    builtIn: (normals, type) => (type === 'motor' ? normals.distalLatency : normals.peakLatency).max,
+  },
+  amplitude: {
+    label: 'Amplitude', bound: 'min', units: { motor: 'mV', sensory: 'μV' }, types: ['motor', 'sensory'], range: [0.1, 200],
+    builtIn: normals => normals.amplitude.min,
+  },
+  velocity: {
+    label: 'Conduction velocity', bound: 'min', units: 'm/s', types: ['motor', 'sensory'], range: [10, 100],
+    builtIn: normals => (normals.conductionVelocity ? normals.conductionVelocity.min : null),
+  },
+  fWaveLatency: {
+    label: 'F-wave latency', bound: 'max', units: 'ms', types: ['motor'], range: [10, 100],
+    builtIn: normals => (normals.fWaveLatency ? normals.fWaveLatency.max : null),
+  },
+};
+
+const CSV_COLUMNS = ['type', 'nerve', ...Object.keys(PROFILE_PARAMETERS)];
+
+const catalog = type => (type === 'motor' ? MOTOR_NERVE_NORMALS : SENSORY_NERVE_NORMALS);
+
+/**
+ * Built-in limits as a complete profile
+ */
+export function builtInProfile() {
+  const normals = {};
+  ['motor', 'sensory'].forEach(type => {
+    normals[type] = {};
+    Object.entries(catalog(type)).forEach(([nerve, nerveNormals]) => {
+      normals[type][nerve] = {};
+      Object.entries(PROFILE_PARAMETERS).forEach(([parameter, definition]) => {
+        const value = definition.types.includes(type) ? definition.builtIn(nerveNormals, type) : null;
+        if (value !== null) normals[type][nerve][parameter] = value;
+      });
+    });
+  });
+  return { id: BUILT_IN_PROFILE_ID, name: 'AANEM adult (built-in)', builtIn: true, normals };
+}
+
+let store = null; // { profiles, activeId } - loaded on first use
+
+const readStorage = () => {
+  try {
+    const saved = typeof localStorage === 'undefined' ? null : localStorage.getItem(STORAGE_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.error('Could not read lab profiles:', error);
+    return null;
+  }
+};
+
+const writeStorage = () => {
+  try {
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        profiles: store.profiles.filter(p => !p.builtIn),
+        activeId: store.activeId,
+      }));
+    }
+  } catch (error) {
+    console.error('Could not save lab profiles:', error);
+  }
+};
+
+const getStore = () => {
+  if (!store) {
+    const saved = readStorage();
+    const profiles = [builtInProfile(), ...((saved && Array.isArray(saved.profiles)) ? saved.profiles : [])];
+    const activeId = saved && profiles.some(p => p.id === saved.activeId) ? saved.activeId : BUILT_IN_PROFILE_ID;
+    store = { profiles, activeId };
+  }
+  return store;
+};
+
+/**
+ * All profiles, the built-in one first
+ */
+export function listProfiles() {
+  return getStore().profiles;
+}
+
+/**
+ * The profile abnormality checks read from
+ */
+export function getActiveProfile() {
+  const { profiles, activeId } = getStore();
+  return profiles.find(p => p.id === activeId) || profiles[0];
+}
+
+export function setActiveProfile(id) {
+  const current = getStore();
+  if (!current.profiles.some(p => p.id === id)) return;
+  store = { ...current, activeId: id };
+  writeStorage();
+}
+
+/**
+ * Add or replace a profile; the built-in profile cannot be changed
+ * @param {Object} profile - { id?, name, normals }
+ * @returns {Object} The saved profile (with an id)
+ */
+export function saveProfile(profile) {
+  const current = getStore();
+  if (profile.id === BUILT_IN_PROFILE_ID) return current.profiles[0];
+
+  const saved = { ...profile, id: profile.id || `lab-${Date.now().toString(36)}`, builtIn: false };
+  const exists = current.profiles.some(p => p.id === saved.id);
+  store = {
+    ...current,
+    profiles: exists
+      ? current.profiles.map(p => (p.id === saved.id ? saved : p))
+      : [...current.profiles, saved],
+  };
+  writeStorage();
+  return saved;
+}
+
+/**
+ * Remove a profile; the active profile falls back to the built-in one
+ */
+export function deleteProfile(id) {
+  const current = getStore();
+  if (id === BUILT_IN_PROFILE_ID) return;
+  store = {
+    profiles: current.profiles.filter(p => p.id !== id),
+    activeId: current.activeId === id ? BUILT_IN_PROFILE_ID : current.activeId,
+  };
+  writeStorage();
+}
+
+/**
+ * A profile's limit for one nerve and parameter, or the built-in limit it leaves out
+ * Parameters the nerve does not have (e.g. velocity from a single site) stay null.
+ * @param {Object} profile - From listProfiles / getActiveProfile
+ * @param {string} nerveType - 'motor' or 'sensory'
+ * @param {string} nerve - Catalog key
+ * @param {string} parameter - PROFILE_PARAMETERS key
+ * @returns {number|null} null when the nerve has no such parameter
+ */
+export function profileLimit(profile, nerveType, nerve, parameter) {
+  const normals = catalog(nerveType)[nerve];
+  const definition = PROFILE_PARAMETERS[parameter];
+  const builtIn = normals && definition.types.includes(nerveType) ? definition.builtIn(normals, nerveType) : null;
+  const value = profile.normals?.[nerveType]?.[nerve]?.[parameter];
+  return builtIn !== null && typeof value === 'number' ? value : builtIn;
+}
+
+/**
+ * Check imported profile data against the schema
+ * Unknown nerve types, nerves and parameters, non-numeric and implausible
+ * values are errors; the profile is only returned when there are none.
+ * @param {Object} data - Parsed JSON or CSV
+ * @returns {Object} { profile: { name, normals } | null, errors: [strings] }
+ */
+export function validateProfile(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { profile: null, errors: ['File does not contain a profile object'] };
+  }
+  if (data.format !== undefined && data.format !== PROFILE_FORMAT) {
+    errors.push(`format: expected "${PROFILE_FORMAT}", found "${data.format}"`);
+  }
+  if (data.version !== undefined && data.version > PROFILE_VERSION) {
+    errors.push(`version: ${data.version} is newer than this application supports (${PROFILE_VERSION})`);
+  }
+  if (typeof data.name !== 'string' || data.name.trim() === '') {
+    errors.push('name: required');
+  } else if (data.name.length > NAME_LENGTH) {
+    errors.push(`name: longer than ${NAME_LENGTH} characters`);
+  }
+  if (!data.normals || typeof data.normals !== 'object' || Array.isArray(data.normals)) {
+    errors.push('normals: required, an object of motor and sensory nerves');
+    return { profile: null, errors };
+  }
+
+  const normals = {};
+  let limits = 0;
+  Object.entries(data.normals).forEach(([type, nerves]) => {
+    if (type !== 'motor' && type !== 'sensory') {
+      errors.push(`normals.${type}: unknown nerve type (motor or sensory)`);
+      return;
+    }
+    normals[type] = {};
+    Object.entries(nerves || {}).forEach(([nerve, parameters]) => {
+      const path = `normals.${type}.${nerve}`;
+      if (!catalog(type)[nerve]) {
+        errors.push(`${path}: unknown ${type} nerve`);
+        return;
+      }
+      normals[type][nerve] = {};
+      Object.entries(parameters || {}).forEach(([parameter, value]) => {
+        const definition = PROFILE_PARAMETERS[parameter];
+        if (!definition || !definition.types.includes(type)) {
+          errors.push(`${path}.${parameter}: unknown parameter for a ${type} nerve`);
+          return;
+        }
+        if (definition.builtIn(catalog(type)[nerve], type) === null) {
+          errors.push(`${path}.${parameter}: not measured for this nerve`);
+          return;
+        }
+        const [low, high] = definition.range;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < low || value > high) {
+          errors.push(`${path}.${parameter}: must be a number from ${low} to ${high}`);
+          return;
+        }
+        normals[type][nerve][parameter] = value;
+        limits++;
+      });
+    });
+  });
+  if (errors.length === 0 && limits === 0) {
+    errors.push('normals: no limits found');
+  }
+
+  return errors.length > 0
+    ? { profile: null, errors }
+    : { profile: { name: data.name.trim(), normals }, errors };
+}
+
+/**
+ * Serialize a profile for export
+ */
+export function profileToJSON(profile) {
+  return JSON.stringify({
+    format: PROFILE_FORMAT,
+    version: PROFILE_VERSION,
+    name: profile.name,
+    normals: profile.normals,
+  }, null, 2);
+}
+
+/**
+ * One row per nerve; parameters a nerve type lacks are left blank
+ */
+export function profileToCSV(profile) {
+  const rows = [CSV_COLUMNS.join(',')];
+  ['motor', 'sensory'].forEach(type => {
+    Object.keys(catalog(type)).forEach(nerve => {
+      const values = Object.keys(PROFILE_PARAMETERS).map(parameter => {
+        const limit = profileLimit(profile, type, nerve, parameter);
+        return limit === null ? '' : limit;
+      });
+      rows.push([type, nerve, ...values].join(','));
+    });
+  });
+  return `${rows.join('\n')}\n`;
+}
+
+/**
+ * Parse exported CSV into profile data for validateProfile
+ * Cells are kept as text when they are not numbers so validation can report them.
+ * @param {string} text - File contents
+ * @param {string} name - Profile name (the file name)
+ * @returns {Object} { data, errors } - errors for rows that cannot be read at all
+ */
+export function parseProfileCSV(text, name) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '');
+  if (lines.length === 0) return { data: null, errors: ['File is empty'] };
+
+  const header = lines[0].split(',').map(cell => cell.trim());
+  const missing = ['type', 'nerve'].filter(column => !header.includes(column));
+  if (missing.length > 0) {
+    return { data: null, errors: [`Header: missing column${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`] };
+  }
+
+  const errors = [];
+  const normals = {};
+  lines.slice(1).forEach((line, index) => {
+    const cells = line.split(',').map(cell => cell.trim());
+    if (cells.length !== header.length) {
+      errors.push(`Row ${index + 2}: ${cells.length} cells, header has ${header.length}`);
+      return;
+    }
+    const row = Object.fromEntries(header.map((column, i) => [column, cells[i]]));
+    const nerve = {};
+    header.filter(column => column !== 'type' && column !== 'nerve' && row[column] !== '').forEach(column => {
+      const value = Number(row[column]);
+      nerve[column] = Number.isNaN(value) ? row[column] : value;
+    });
+    normals[row.type] = { ...normals[row.type], [row.nerve]: nerve };
+  });
+
+  return { data: { name, normals }, errors };
+}
+
+export default {
+  PROFILE_FORMAT,
+  PROFILE_VERSION,
+  BUILT_IN_PROFILE_ID,
+  PROFILE_PARAMETERS,
+  builtInProfile,
+  listProfiles,
+  getActiveProfile,
+  setActiveProfile,
+  saveProfile,
+  deleteProfile,
+  profileLimit,
+  validateProfile,
+  profileToJSON,
+  profileToCSV,
+  parseProfileCSV,
+};
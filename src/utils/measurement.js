@@ -0,0 +1,138 @@
+/**
+ * Waveform Measurement & Marker Scoring
+ * Onset, peak, end and baseline markers as an electrodiagnostician places them,
+ * the measurements derived from them, and ground-truth landmarks taken from
+ * noise-free generator output so learners' markers can be graded.
+ *
+ * Conventions:
+ * - onset/peak/end are times in ms from the start of the trace
+ * - baseline is a signal level in trace units (μV or mV)
+ * - amplitude is baseline-to-peak; peak-to-peak is taken from onset to the end of
+ *   the trace so a CMAP's positive phase counts even when end marks the negative phase
+ * - area is the peak-polarity area between onset and end
+ */
+
+export const MARKERS = {
+  onset: { name: 'Onset', color: '#10b981' },
+  peak: { name: 'Peak', color: '#ef4444' },
+  end: { name: 'End', color: '#8b5cf6' },
+  baseline: { name: 'Baseline', color: '#f59e0b' },
+};
+
+/**
+ * Sample at a time in ms (nearest sample, clamped to the trace)
+ */
+function sampleAtMs(samples, sampleRate, timeMs) {
+  const index = Math.round(timeMs * sampleRate);
+  return samples[Math.min(samples.length - 1, Math.max(0, index))];
+}
+
+/**
+ * Ground-truth landmarks of a noise-free waveform
+ * @param {Float32Array|number[]} samples - Generator output, baseline 0
+ * @param {number} sampleRate - Samples per ms
+ * @param {Object} options - Landmark options
+ * @param {number} [options.threshold=0.02] - Departure from baseline, fraction of peak-to-peak
+ * @param {string} [options.endAt='return'] - 'return' = final return to baseline (MUAP duration),
+ *   'phase' = end of the main phase (CMAP/SNAP negative-peak duration)
+ * @param {number} [options.onset] - Known onset from the generator, overrides detection
+ * @returns {Object} { onset, peak, end, baseline } markers
+ */
+export function findLandmarks(samples, sampleRate, options = {}) {
+  const { threshold = 0.02, endAt = 'return' } = options;
+
+  let min = 0;
+  let max = 0;
+  let peakIndex = 0;
+  for (let i = 0; i < samples.length; i++) {
+    min = Math.min(min, samples[i]);
+    max = Math.max(max, samples[i]);
+    if (Math.abs(samples[i]) > Math.abs(samples[peakIndex])) peakIndex = i;
+  }
+  const limit = (max - min) * threshold;
+
+  let onsetIndex = 0;
+  while (onsetIndex < peakIndex && Math.abs(samples[onsetIndex]) <= limit) onsetIndex++;
+
+  let endIndex = peakIndex;
+  if (endAt === 'phase') {
+    const polarity = Math.sign(samples[peakIndex]);
+    while (endIndex < samples.length - 1 && samples[endIndex] * polarity > 0) endIndex++;
+  } else {
+    endIndex = samples.length - 1;
+    while (endIndex > peakIndex && Math.abs(samples[endIndex]) <= limit) endIndex--;
+  }
+
+  return {
+    onset: options.onset ?? onsetIndex / sampleRate,
+    peak: peakIndex / sampleRate,
+    end: endIndex / sampleRate,
+    baseline: 0,
+  };
+}
+
+/**
+ * Measurements from marker positions
+ * @param {Float32Array|number[]} samples - Waveform
+ * @param {number} sampleRate - Samples per ms
+ * @param {Object} markers - { onset, peak, end, baseline }
+ * @param {number} [stimulusMs=0] - Stimulus time; latencies are measured from it
+ * @returns {Object} onsetLatency, peakLatency, duration (ms), amplitude, peakToPeak, area (units·ms)
+ */
+export function measureMarkers(samples, sampleRate, markers, stimulusMs = 0) {
+  const { onset, peak, end, baseline } = markers;
+  const start = Math.max(0, Math.round(Math.min(onset, end) * sampleRate));
+  const stop = Math.min(samples.length - 1, Math.round(Math.max(onset, end) * sampleRate));
+
+  const peakValue = sampleAtMs(samples, sampleRate, peak) - baseline;
+  const polarity = Math.sign(peakValue) || 1;
+
+  let area = 0;
+  for (let i = start; i <= stop; i++) {
+    area += Math.max(0, (samples[i] - baseline) * polarity) / sampleRate;
+  }
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = start; i < samples.length; i++) {
+    min = Math.min(min, samples[i]);
+    max = Math.max(max, samples[i]);
+  }
+
+  return {
+    onsetLatency: onset - stimulusMs,
+    peakLatency: peak - stimulusMs,
+    duration: Math.abs(end - onset),
+    amplitude: Math.abs(peakValue),
+    peakToPeak: start < samples.length ? max - min : 0,
+    area,
+  };
+}
+
+/**
+ * Grade placed markers against ground truth
+ * Full credit within tolerance, half credit within twice the tolerance.
+ * @param {Object} placed - Learner's { onset, peak, end, baseline }
+ * @param {Object} truth - Landmarks from findLandmarks
+ * @param {Object} tolerance - { time: ms, baseline: trace units }
+ * @returns {Object} { results: { marker: { error, credit } }, score: 0-100 }
+ */
+export function scoreMarkers(placed, truth, tolerance) {
+  const results = {};
+  Object.keys(MARKERS).forEach(marker => {
+    const error = placed[marker] - truth[marker];
+    const limit = marker === 'baseline' ? tolerance.baseline : tolerance.time;
+    const credit = Math.abs(error) <= limit ? 1 : Math.abs(error) <= 2 * limit ? 0.5 : 0;
+    results[marker] = { error, credit };
+  });
+
+  const total = Object.values(results).reduce((sum, r) => sum + r.credit, 0);
+  return { results, score: Math.round((total / Object.keys(MARKERS).length) * 100) };
+}
+
+export default {
+  MARKERS,
+  findLandmarks,
+  measureMarkers,
+  scoreMarkers,
+};
@@ -0,0 +1,192 @@
+/**
+ * Motor Unit Pool & Voluntary Recruitment Model
+ * Simulates the motor units within the pickup area of a concentric needle
+ * during graded voluntary effort (0-100% of maximum).
+ *
+ * Physiology:
+ * - Size principle (Henneman): small, low-threshold units are recruited first
+ * - Onset firing rate ~5Hz, rate coding increases firing with effort
+ * - Normal recruitment ratio (fastest rate / number of units) < 5
+ * - Neurogenic: few surviving, large units that fire fast before the next is recruited
+ * - Early reinnervation: few surviving units, not yet enlarged, unstable from immature sprouts
+ * - Myopathic: small, short units recruited early (many units at low effort)
+ *
+ * References:
+ * - Fuglevand, Winter & Patla (1993): Models of recruitment and rate coding
+ * - Preston & Shapiro: Electromyography and Neuromuscular Disorders (4th ed)
+ */
+
+import { createRandom, randomNormal } from './random';
+
+/**
+ * Recruitment modes
+ * emgPattern links each mode to its description in EMG_PATTERNS (constants.js)
+ * morphology selects the unit shape from MUAP_MORPHOLOGIES (waveformGen.js)
+ */
+export const RECRUITMENT_MODES = {
+  normal: {
+    name: 'Normal',
+    emgPattern: 'normal',
+    morphology: 'normal',
+    survivingFraction: 1.0,
+    amplitudeScale: 1.0,
+    durationScale: 1.0,
+    thresholdScale: 1.0,
+    maxRate: 30, // Hz
+  },
+  neurogenic: {
+    name: 'Neurogenic',
+    emgPattern: 'chronicDenervation',
+    morphology: 'chronicReinnervation',
+    survivingFraction: 0.25, // Loss of motor neurons/axons - every 4th unit survives
+    amplitudeScale: 3.0, // Collateral sprouting enlarges surviving units
+    durationScale: 1.6,
+    thresholdScale: 1.0,
+    maxRate: 50, // Surviving units are driven hard
+  },
+  earlyReinnervation: {
+    name: 'Early Reinnervation',
+    emgPattern: 'denervation',
+    morphology: 'earlyReinnervation',
+    survivingFraction: 0.25,
+    amplitudeScale: 1.0, // Immature sprouts - not yet enlarged
+    durationScale: 1.3,
+    thresholdScale: 1.0,
+    maxRate: 50,
+  },
+  myopathic: {
+    name: 'Myopathic',
+    emgPattern: 'myopathy',
+    morphology: 'myopathic',
+    survivingFraction: 1.0, // Units survive but lose fibers
+    amplitudeScale: 0.3,
+    durationScale: 0.6,
+    thresholdScale: 0.3, // Weak units - more must be recruited for any force
+    maxRate: 30,
+  },
+};
+
+const UNITS_IN_PICKUP = 20; // Units contributing to a needle recording
+const FIRST_THRESHOLD = 3; // % effort at which the first unit is recruited
+const LAST_THRESHOLD = 80; // % effort at which the last unit is recruited
+const ONSET_RATE = 5; // Hz - firing rate at recruitment
+const RATE_GAIN = 1.2; // Hz per % effort above threshold
+const NEUROGENIC_RECRUITMENT_FREQUENCY = 20; // Hz - first unit faster than this before the second = reduced recruitment
+const ISI_VARIABILITY = 0.12; // Coefficient of variation of interspike intervals
+
+/**
+ * Create the pool of motor units seen by the needle
+ * @param {string} mode - Recruitment mode (normal, neurogenic, earlyReinnervation, myopathic)
+ * @param {Object} options - Pool options
+ * @param {number} [options.seed] - Seed for reproducible unit properties
+ * @returns {Object} Pool with mode, unit morphology and units sorted by recruitment threshold
+ */
+export function createMotorUnitPool(mode = 'normal', options = {}) {
+  const config = RECRUITMENT_MODES[mode] || RECRUITMENT_MODES.normal;
+  const random = createRandom(options.seed);
+  const survivorSpacing = Math.round(1 / config.survivingFraction);
+  const units = [];
+
+  for (let i = 0; i < UNITS_IN_PICKUP; i++) {
+    const rank = i / (UNITS_IN_PICKUP - 1); // 0 = smallest, 1 = largest
+
+    // Size principle: threshold, amplitude and duration all increase with rank
+    const threshold = (FIRST_THRESHOLD + rank * (LAST_THRESHOLD - FIRST_THRESHOLD)) * config.thresholdScale;
+    const amplitude = 800 * (0.5 + 1.5 * rank) * config.amplitudeScale * (0.85 + random() * 0.3); // μV
+    const duration = (10 + 4 * rank) * config.durationScale * (0.9 + random() * 0.2); // ms
+
+    // Surviving units are evenly spaced so the recruitment gap is predictable for teaching
+    if (i % survivorSpacing === 0) {
+      units.push({ id: i, threshold, amplitude, duration, maxRate: config.maxRate });
+    }
+  }
+
+  return { mode, morphology: config.morphology, units };
+}
+
+/**
+ * Firing rate of a unit at a given effort (rate coding)
+ * @param {Object} unit - Motor unit from createMotorUnitPool
+ * @param {number} effort - Voluntary effort, 0-100%
+ * @returns {number} Firing rate in Hz (0 if not recruited)
+ */
+export function getFiringRate(unit, effort) {
+  if (effort < unit.threshold) return 0;
+  return Math.min(unit.maxRate, ONSET_RATE + RATE_GAIN * (effort - unit.threshold));
+}
+
+/**
+ * Units recruited at a given effort
+ * @returns {Array<{unit: Object, rate: number}>} Active units with their firing rates
+ */
+export function getActiveUnits(pool, effort) {
+  return pool.units
+    .map(unit => ({ unit, rate: getFiringRate(unit, effort) }))
+    .filter(active => active.rate > 0);
+}
+
+/**
+ * Draw the next interspike interval for a unit firing at a mean rate
+ * @param {number} rate - Mean firing rate in Hz
+ * @param {function(): number} random - Uniform generator
+ * @returns {number} Interval in ms
+ */
+export function nextInterspikeInterval(rate, random = Math.random) {
+  const meanIsi = 1000 / rate;
+  return Math.max(meanIsi * 0.5, meanIsi * (1 + ISI_VARIABILITY * randomNormal(random)));
+}
+
+/**
+ * Discharge times for every active unit over a window
+ * @param {Object} pool - Pool from createMotorUnitPool
+ * @param {number} effort - Voluntary effort, 0-100%
+ * @param {number} durationMs - Window length
+ * @param {function(): number} random - Uniform generator
+ * @returns {Array<{unit: Object, timeMs: number}>} Discharges sorted by time
+ */
+export function generateDischargeTimes(pool, effort, durationMs, random = Math.random) {
+  const discharges = [];
+
+  getActiveUnits(pool, effort).forEach(({ unit, rate }) => {
+    // Random starting phase so units are not synchronized
+    let timeMs = random() * (1000 / rate);
+    while (timeMs < durationMs) {
+      discharges.push({ unit, timeMs });
+      timeMs += nextInterspikeInterval(rate, random);
+    }
+  });
+
+  return discharges.sort((a, b) => a.timeMs - b.timeMs);
+}
+
+/**
+ * Recruitment summary for UI display
+ * Recruitment frequency = firing rate of the first unit when the second is recruited
+ * (~10Hz normally, >20Hz with reduced/neurogenic recruitment)
+ * @returns {Object} Active unit count, fastest firing rate, recruitment ratio and frequency
+ */
+export function getRecruitmentSummary(pool, effort) {
+  const active = getActiveUnits(pool, effort);
+  const fastestRate = active.reduce((max, a) => Math.max(max, a.rate), 0);
+  const [first, second] = pool.units;
+  const recruitmentFrequency = second ? getFiringRate(first, second.threshold) : first.maxRate;
+
+  return {
+    activeUnits: active.length,
+    totalUnits: pool.units.length,
+    fastestRate,
+    recruitmentRatio: active.length > 0 ? fastestRate / active.length : 0,
+    recruitmentFrequency,
+    reducedRecruitment: recruitmentFrequency > NEUROGENIC_RECRUITMENT_FREQUENCY,
+  };
+}
+
+export default {
+  RECRUITMENT_MODES,
+  createMotorUnitPool,
+  getFiringRate,
+  getActiveUnits,
+  nextInterspikeInterval,
+  generateDischargeTimes,
+  getRecruitmentSummary,
+};
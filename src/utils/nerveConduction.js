@@ -0,0 +1,625 @@
+/**
+ * Nerve Conduction Waveform Synthesis
+ * CMAPs and SNAPs are summed from a population of fibers, each with its own
+ * conduction velocity. A fiber's unit potential arrives at
+ *   residual latency + Σ (segment distance / fiber velocity)
+ * so latency, amplitude, duration and area follow from the physics:
+ * - Onset latency is the arrival of the fastest fibers
+ * - Longer conduction distance spreads the arrivals (temporal dispersion), so
+ *   proximal responses are longer and, through phase cancellation, smaller -
+ *   much more so for the brief sensory fiber potentials than for motor units
+ * - Fiber loss lowers amplitude and area without changing latency
+ * - Segmental pathology acts only on paths through the lesion: blocked fibers
+ *   drop out (amplitude and area fall without dispersion) and a slowed subset
+ *   arrives late (duration increases and phase cancellation lowers amplitude)
+ *
+ * Traces are in mV (motor) or μV (sensory) on a true ms time base with the
+ * stimulus at 0 ms. The main phase is negative (displayed negative-up).
+ *
+ * References:
+ * - Dorfman (1984): The distribution of conduction velocities
+ * - Kimura: Electrodiagnosis in Diseases of Nerve and Muscle (phase cancellation)
+ * - Rhee et al. (1990): Computer simulation of conduction block and temporal dispersion
+ */
+
+import { CONDUCTION_BLOCK_CRITERIA } from './constants';
+
+export const FIBER_POPULATIONS = {
+  motor: {
+    fibers: 120, // Motor units supplying a typical hand or foot muscle
+    velocitySpread: 0.2, // Slowest fibers conduct 20% slower than the fastest
+    unitDuration: 6, // ms - surface-recorded motor unit potential
+    positiveRatio: 0.4, // Positive phase relative to the negative peak
+    residualLatency: 1.0, // ms - terminal slowing + neuromuscular transmission
+    units: 'mV',
+  },
+  sensory: {
+    fibers: 300,
+    velocitySpread: 0.2,
+    unitDuration: 1.2, // ms - single fiber potential under ring electrodes
+    positiveRatio: 0.6,
+    residualLatency: 0,
+    units: 'μV',
+  },
+};
+
+const SWEEP_SPEEDS = [1, 2, 3, 5, 10]; // ms/div
+const SENSITIVITIES = [0.5, 1, 2, 5, 10, 20, 50]; // units/div
+const MIN_CONDUCTION_TIME = 0.3; // ms - keeps the distal velocity finite for very short latencies
+const PEAK_ITERATIONS = 3; // Refinements when solving for a target peak latency
+const GOLDEN_RATIO = 0.6180339887; // Low-discrepancy spacing for fiber subsets
+const BLOCKED_OFFSET = 0;
+const SLOWED_OFFSET = 0.5; // Blocked and slowed subsets overlap only by chance
+const SLOWING_SPACING = 0.4142135624; // Spreads slowing across the slowed subset, independent of the subset spacing
+const MORPHOLOGY_SPACING = 0.7548776662; // Spreads F-wave unit shapes, independent of the other subsets
+const ANOMALY_OFFSET = 0.25; // Anomalously routed fibers overlap the lesion subsets only by chance
+const ANOMALY_DIP = 0.3; // Positive dip of a nearby anomalously innervated muscle, relative to its negative phase
+const TURNAROUND_TIME = 1.0; // ms - anterior horn cell re-excitation before the F-wave returns
+const BACKFIRE_PROBABILITY = 0.02; // Chance that a motor neuron backfires after one stimulus
+const IA_VELOCITY = 65; // m/s - Ia afferents conduct faster than the fastest motor axons
+const CENTRAL_DELAY = 1.5; // ms - monosynaptic Ia to motor neuron transmission
+const IA_THRESHOLD = 0.1; // Intensity (fraction of supramaximal) at which the first Ia afferents fire
+const IA_SATURATION = 0.4; // Intensity at which every Ia afferent fires
+const MOTOR_THRESHOLD = 0.35; // Intensity at which the fastest motor axons fire; the slowest need 1
+const REFLEX_POOL = 0.6; // Fraction of the motor neuron pool a full Ia volley can discharge
+const CHRONAXIE = 0.2; // ms - strength-duration time constant of large myelinated axons
+const REFERENCE_DURATION = 0.2; // ms - pulse width that site thresholds are given for
+const RECRUITMENT_RANGE = 1.5; // The slowest axons need (1 + range) × the current of the fastest
+const SUPRAMAXIMAL_MARGIN = 1.2; // Supramaximal = 20% above the current that recruits every axon
+const VOLUME_CONDUCTION_LEAD = 1.5; // ms - leading positive phase of a volume-conducted response
+const ARTIFACT_GAIN = { motor: 0.05, sensory: 50 }; // Trace units per μC of stimulus charge
+const ARTIFACT_DECAY = 0.2; // ms - artifact decay time constant for a weak stimulus
+const ARTIFACT_DECAY_PER_CHARGE = 0.02; // ms per μC - strong stimuli polarize the skin and decay slowly
+
+/**
+ * Smooth unimodal bump that is exactly zero before t = 0 and peaks at 1
+ */
+function bump(t, peakTime, sharpness) {
+  if (t <= 0) return 0;
+  const x = t / peakTime;
+  return Math.pow(x, sharpness) * Math.exp(sharpness * (1 - x));
+}
+
+/**
+ * Potential of one fiber (motor unit or sensory fiber), t ms after it arrives
+ */
+function unitPotential(t, population) {
+  const d = population.unitDuration;
+  return -bump(t, d * 0.25, 2) + population.positiveRatio * bump(t, d * 0.6, 4);
+}
+
+/**
+ * Fibers of a nerve, fastest last
+ * Relative speeds follow a bell-shaped distribution between (1 - spread) and 1.
+ * Faster axons innervate larger motor units, so they carry more weight.
+ * @param {string} nerveType - 'motor' or 'sensory'
+ * @param {Object} options - Population options
+ * @param {number} [options.fraction=1] - Surviving fraction of fibers (axon loss)
+ * @param {number} [options.velocitySpread] - Overrides the population's spread
+ * @returns {Array<{relativeSpeed: number, weight: number}>} Fibers
+ */
+export function createFiberPopulation(nerveType, options = {}) {
+  const population = FIBER_POPULATIONS[nerveType] || FIBER_POPULATIONS.motor;
+  const { fraction = 1, velocitySpread = population.velocitySpread } = options;
+  const total = population.fibers;
+
+  // Logistic approximation of the normal quantile - deterministic, no sampling noise
+  const quantile = q => 0.5513 * Math.log(q / (1 - q));
+  const zMax = quantile((total - 0.5) / total);
+
+  const fibers = [];
+  for (let i = 0; i < total; i++) {
+    // Survivors are spread evenly across the velocity distribution
+    if (Math.floor((i + 1) * fraction) === Math.floor(i * fraction)) continue;
+
+    const z = quantile((i + 0.5) / total);
+    const rank = (z + zMax) / (2 * zMax); // 0 = slowest, 1 = fastest
+    fibers.push({
+      relativeSpeed: 1 - velocitySpread * (1 - rank),
+      weight: 0.6 + 0.8 * rank,
+    });
+  }
+  return fibers;
+}
+
+/**
+ * Whether a fiber belongs to a subset holding the given fraction of the population
+ * Golden-ratio spacing spreads the subset evenly across the velocity distribution.
+ */
+function inSubset(index, fraction, offset) {
+  return (index * GOLDEN_RATIO + offset) % 1 < fraction;
+}
+
+/**
+ * Arrival time of one fiber at the recording site, or null if it is blocked
+ */
+function arrivalTime(index, relativeSpeed, segments, population) {
+  let time = population.residualLatency;
+  for (const { distance, velocity, blocked = 0, slowed = 0, slowing = 0 } of segments) {
+    if (inSubset(index, blocked, BLOCKED_OFFSET)) return null;
+    // Demyelination slows fibers unevenly: from half to the full slowing
+    const spread = ((index + 1) * SLOWING_SPACING) % 1;
+    const reduction = inSubset(index, slowed, SLOWED_OFFSET) ? slowing * (0.5 + 0.5 * spread) : 0;
+    const speed = relativeSpeed * (1 - reduction);
+    time += distance / (velocity * speed); // mm / (m/s) = ms
+  }
+  return time;
+}
+
+/**
+ * Sum the fiber potentials for one stimulation site
+ * @param {string} nerveType - 'motor' or 'sensory'
+ * @param {Array} fibers - From createFiberPopulation
+ * @param {Array<Object>} segments - Conduction path from the stimulus to the recording site
+ * @param {number} segments[].distance - mm
+ * @param {number} segments[].velocity - m/s of the fastest fibers
+ * @param {number} [segments[].blocked=0] - Fraction of fibers blocked in the segment
+ * @param {number} [segments[].slowed=0] - Fraction of fibers slowed in the segment
+ * @param {number} [segments[].slowing=0] - Greatest velocity reduction among the slowed fibers (0-1);
+ *   reductions are spread evenly between half of it and all of it
+ * @param {number} windowMs - Trace length
+ * @param {number} sampleRate - Samples per ms
+ * @returns {Float32Array} Unscaled trace
+ */
+export function synthesizeResponse(nerveType, fibers, segments, windowMs, sampleRate = 20) {
+  const population = FIBER_POPULATIONS[nerveType] || FIBER_POPULATIONS.motor;
+  const data = new Float32Array(Math.floor(windowMs * sampleRate));
+  const extent = population.unitDuration * 2.5;
+
+  fibers.forEach(({ relativeSpeed, weight }, index) => {
+    const arrival = arrivalTime(index, relativeSpeed, segments, population);
+    if (arrival === null) return;
+    const first = Math.ceil(arrival * sampleRate);
+    const last = Math.min(data.length - 1, Math.floor((arrival + extent) * sampleRate));
+    for (let i = first; i <= last; i++) {
+      data[i] += weight * unitPotential(i / sampleRate - arrival, population);
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Time and value of the negative peak
+ */
+function findNegativePeak(data, sampleRate) {
+  let index = 0;
+  for (let i = 1; i < data.length; i++) {
+    if (data[i] < data[index]) index = i;
+  }
+  return { timeMs: index / sampleRate, value: data[index] };
+}
+
+/**
+ * Current needed at a pulse width relative to the reference width (Lapicque strength-duration curve)
+ */
+function strengthDuration(duration) {
+  return (1 + CHRONAXIE / duration) / (1 + CHRONAXIE / REFERENCE_DURATION);
+}
+
+/**
+ * Current that recruits every axon at a site
+ * @param {number} threshold - mA at 0.2 ms that fires the first (fastest) axons
+ * @param {number} duration - Pulse width (ms)
+ * @returns {Object} { maximal, supramaximal } in mA
+ */
+export function stimulusLevels(threshold, duration) {
+  const maximal = threshold * strengthDuration(duration) * (1 + RECRUITMENT_RANGE);
+  return { maximal, supramaximal: maximal * SUPRAMAXIMAL_MARGIN };
+}
+
+/**
+ * Fibers a stimulus recruits at a site
+ * The largest (fastest) axons have the lowest threshold; unrecruited fibers keep
+ * their place in the population (so lesion subsets stay put) with zero weight.
+ */
+function recruitFibers(fibers, threshold, { intensity, duration }) {
+  const effective = intensity / strengthDuration(duration);
+  let recruited = 0;
+  const result = fibers.map((fiber, index) => {
+    const rank = fibers.length > 1 ? index / (fibers.length - 1) : 1;
+    if (effective >= threshold * (1 + RECRUITMENT_RANGE * (1 - rank))) {
+      recruited++;
+      return fiber;
+    }
+    return { ...fiber, weight: 0 };
+  });
+  return { fibers: result, recruited: fibers.length > 0 ? recruited / fibers.length : 0 };
+}
+
+/**
+ * Stimulus artifact: a square pulse for the stimulus duration, then an exponential tail
+ */
+function stimulusArtifact(nerveType, { intensity, duration }, windowMs, sampleRate) {
+  const charge = intensity * duration; // mA × ms = μC
+  const peak = (ARTIFACT_GAIN[nerveType] || ARTIFACT_GAIN.motor) * charge;
+  const decay = ARTIFACT_DECAY + ARTIFACT_DECAY_PER_CHARGE * charge;
+  const data = new Float32Array(Math.floor(windowMs * sampleRate));
+  for (let i = 0; i < data.length; i++) {
+    const t = i / sampleRate;
+    data[i] = t <= duration ? peak : peak * Math.exp(-(t - duration) / decay);
+  }
+  return data;
+}
+
+/**
+ * Conduction path from a stimulation site to the recording electrode
+ * The nerve is cut where the velocity changes (the end of the distal segment)
+ * and at the borders of a focal lesion; pieces inside the lesion carry its pathology.
+ */
+function conductionPath(position, distalDistance, distalVelocity, velocity, lesion) {
+  const focal = lesion && lesion.site === 'focal';
+  const bounds = [0, position, distalDistance];
+  if (focal) bounds.push(lesion.position - lesion.length / 2, lesion.position + lesion.length / 2);
+  const cuts = [...new Set(bounds.map(b => Math.min(position, Math.max(0, b))))].sort((a, b) => a - b);
+
+  const path = [];
+  for (let i = 1; i < cuts.length; i++) {
+    const middle = (cuts[i - 1] + cuts[i]) / 2;
+    const inLesion = lesion && (lesion.site === 'diffuse' || (focal && Math.abs(middle - lesion.position) < lesion.length / 2));
+    path.push({
+      ...(inLesion && { blocked: lesion.blocked, slowed: lesion.slowed, slowing: lesion.slowing }),
+      distance: cuts[i] - cuts[i - 1],
+      velocity: middle < distalDistance ? distalVelocity : velocity,
+    });
+  }
+  return path;
+}
+
+/**
+ * Volume-conducted form of a response recorded away from its muscle: positive
+ * first, the response less a copy `lead` samples earlier (scaled by `dip`),
+ * delayed by `shift` samples
+ */
+function positiveFirst(data, shift, lead, dip = 1) {
+  const at = k => (k >= 0 && k < data.length ? data[k] : 0);
+  return data.map((v, j) => at(j - shift) - dip * at(j - shift + lead));
+}
+
+/**
+ * Fiber population, distal velocity and amplitude scale for a study
+ * The fastest-fiber velocity of the distal segment is solved from the distal
+ * latency, and the scale makes an intact nerve give the requested amplitude.
+ */
+function calibrate(nerveType, study, windowMs, sampleRate) {
+  const population = FIBER_POPULATIONS[nerveType] || FIBER_POPULATIONS.motor;
+  const { distalDistance, distalLatency, amplitude, fiberFraction = 1 } = study;
+  const intact = createFiberPopulation(nerveType);
+  const fibers = createFiberPopulation(nerveType, { fraction: fiberFraction });
+
+  let conductionTime = Math.max(MIN_CONDUCTION_TIME, distalLatency - population.residualLatency);
+  if (nerveType === 'sensory') {
+    // Peak latencies: start from the unit's own time-to-peak and refine against the summed response
+    conductionTime = Math.max(MIN_CONDUCTION_TIME, conductionTime - population.unitDuration * 0.25);
+    for (let i = 0; i < PEAK_ITERATIONS; i++) {
+      const segments = [{ distance: distalDistance, velocity: distalDistance / conductionTime }];
+      const peak = findNegativePeak(synthesizeResponse(nerveType, intact, segments, windowMs, sampleRate), sampleRate);
+      conductionTime = Math.max(MIN_CONDUCTION_TIME, conductionTime + distalLatency - peak.timeMs);
+    }
+  }
+  const distalVelocity = distalDistance / conductionTime;
+
+  const reference = findNegativePeak(
+    synthesizeResponse(nerveType, intact, [{ distance: distalDistance, velocity: distalVelocity }], windowMs, sampleRate),
+    sampleRate
+  );
+  const scale = reference.value < 0 ? amplitude / -reference.value : 0;
+
+  return { population, fibers, distalVelocity, scale };
+}
+
+/**
+ * Simulate stimulation at any number of sites along a nerve
+ * The distal segment's fastest-fiber velocity is solved from the requested
+ * distal latency - onset latency for motor studies, peak latency for sensory
+ * studies - and everything else comes out of the fiber population.
+ * Without a stimulus every site is stimulated supramaximally with no artifact.
+ * With one, each site recruits only the axons the current reaches, strong
+ * currents spread to an adjacent nerve (whose volume-conducted response is
+ * positive first) and the artifact grows with the stimulus charge.
+ * @param {string} nerveType - 'motor' or 'sensory'
+ * @param {Object} study - Study parameters
+ * @param {number} study.distalDistance - Distal stimulation site to recording electrode (mm)
+ * @param {number} study.distalLatency - ms, for stimulation at distalDistance
+ * @param {number} study.velocity - Fastest-fiber velocity proximal to the distal site (m/s)
+ * @param {number[]} study.positions - Stimulation sites, mm from the recording electrode
+ * @param {number} study.amplitude - Distal amplitude with every fiber intact (mV or μV)
+ * @param {number} [study.fiberFraction=1] - Surviving fraction of fibers
+ * @param {Object} [study.lesion] - Segmental pathology { site, position, length, blocked, slowed, slowing };
+ *   site is 'focal' (centred at position mm from the recording electrode, length mm long) or 'diffuse'
+ * @param {Object} [study.stimulus] - { intensity (mA), duration (ms) }
+ * @param {Array<Object>} [study.sites] - Per position: threshold (mA at 0.2 ms) and optional
+ *   coStimulation { nerve, threshold, amplitude (fraction of the CMAP at full spread), latency (ms shift) }
+ * @param {Function} [study.transmission] - (fiber, index) => fraction of the unit's muscle fibers
+ *   that respond (neuromuscular transmission, 0-1); every muscle fiber responds by default
+ * @param {Object} [study.anomaly] - Anomalous innervation { fraction, present, position, volumeConducted,
+ *   distalLatency }: a fraction of the CMAP carried by fibers that join the nerve at position (mm from
+ *   the recording electrode) and are excited only from sites above it (present 'proximal' - an extra
+ *   response reaching the muscle by another route, whose distal segment conducts with distalLatency),
+ *   or a subset of the nerve's own fibers that leave it there and are excited only from sites below
+ *   it (present 'distal'). A site with `anomalous: true` excites the anomalous fibers alone.
+ * @param {number} windowMs - Trace length
+ * @param {number} sampleRate - Samples per ms
+ * @returns {Object} responses per position and the solved distal velocity. Each response has
+ *   trace (nerve response plus any co-stimulated response), onset (null when no fiber arrives),
+ *   artifact (trace or null), recruited (fraction of axons) and spread (co-stimulation, 0-1)
+ */
+export function simulateStudy(nerveType, study, windowMs, sampleRate = 20) {
+  const { distalDistance, velocity, positions, lesion, stimulus, sites = [], transmission, anomaly } = study;
+  const { population, fibers, distalVelocity, scale } = calibrate(nerveType, study, windowMs, sampleRate);
+  const artifact = stimulus ? stimulusArtifact(nerveType, stimulus, windowMs, sampleRate) : null;
+  const intact = stimulus || anomaly ? createFiberPopulation(nerveType) : null;
+  const lead = Math.round(VOLUME_CONDUCTION_LEAD * sampleRate);
+
+  const responses = positions.map((position, i) => {
+    const path = conductionPath(position, distalDistance, distalVelocity, velocity, lesion);
+    const site = sites[i];
+    const { fibers: recruitedFibers, recruited } = stimulus && site
+      ? recruitFibers(fibers, site.threshold, stimulus)
+      : { fibers, recruited: 1 };
+    let stimulated = transmission
+      ? recruitedFibers.map((fiber, index) => ({ ...fiber, weight: fiber.weight * transmission(fiber, index) }))
+      : recruitedFibers;
+
+    // Anomalous fibers: which of the nerve's own fibers this site excites, and whether
+    // it also excites fibers that reach the muscle by another route
+    const anomalous = Boolean(site && site.anomalous);
+    let extra = false;
+    if (anomaly && anomaly.present === 'distal') {
+      const excited = index => (inSubset(index, anomaly.fraction, ANOMALY_OFFSET)
+        ? anomalous || position <= anomaly.position
+        : !anomalous);
+      stimulated = stimulated.map((fiber, index) => (excited(index) ? fiber : { ...fiber, weight: 0 }));
+    } else if (anomaly && anomaly.present === 'proximal') {
+      extra = anomalous || position > anomaly.position;
+      if (anomalous) stimulated = stimulated.map(fiber => ({ ...fiber, weight: 0 }));
+    }
+
+    // Onset is the first fiber through the lesion, which need not be the fastest
+    let onset = stimulated.reduce((first, { relativeSpeed, weight }, index) => {
+      const arrival = weight > 0 ? arrivalTime(index, relativeSpeed, path, population) : null;
+      return arrival !== null && (first === null || arrival < first) ? arrival : first;
+    }, null);
+    const trace = synthesizeResponse(nerveType, stimulated, path, windowMs, sampleRate).map(v => v * scale);
+
+    if (extra) {
+      const routeVelocity = distalDistance / Math.max(MIN_CONDUCTION_TIME, anomaly.distalLatency - population.residualLatency);
+      const route = conductionPath(position, distalDistance, routeVelocity, velocity, null);
+      let response = synthesizeResponse(nerveType, intact, route, windowMs, sampleRate);
+      if (anomaly.volumeConducted) response = positiveFirst(response, lead, lead, ANOMALY_DIP);
+      for (let j = 0; j < trace.length; j++) {
+        trace[j] += response[j] * scale * anomaly.fraction * recruited;
+      }
+      const arrival = arrivalTime(0, 1, route, population);
+      onset = onset === null ? arrival : Math.min(onset, arrival);
+    }
+
+    // Current spreading to the adjacent nerve: its muscles' response is volume conducted
+    let spread = 0;
+    const co = stimulus && site && site.coStimulation;
+    if (co) {
+      const effective = stimulus.intensity / strengthDuration(stimulus.duration);
+      spread = Math.min(1, Math.max(0, (effective - co.threshold) / (co.threshold * RECRUITMENT_RANGE)));
+    }
+    if (spread > 0) {
+      const adjacent = synthesizeResponse(nerveType, intact, conductionPath(position, distalDistance, distalVelocity, velocity, null), windowMs, sampleRate);
+      // Recorded from a distance the response is positive first: the CMAP less an earlier copy
+      const volumeConducted = positiveFirst(adjacent, Math.round(co.latency * sampleRate), lead);
+      for (let j = 0; j < trace.length; j++) {
+        trace[j] += volumeConducted[j] * scale * co.amplitude * spread;
+      }
+    }
+
+    return { trace, onset, artifact, recruited, spread };
+  });
+
+  return { responses, distalVelocity };
+}
+
+/**
+ * Peak-to-peak amplitude of a trace
+ */
+function peakToPeak(data) {
+  let min = 0;
+  let max = 0;
+  data.forEach(v => {
+    min = Math.min(min, v);
+    max = Math.max(max, v);
+  });
+  return max - min;
+}
+
+/**
+ * Simulate F-waves from a train of supramaximal stimuli at the distal site
+ * Each stimulus makes a few random motor neurons backfire. A backfiring unit's
+ * potential returns after conducting to the spinal cord and back:
+ *   F latency = 2 × (time from the cord) - (time from the stimulus) + turnaround
+ * so every response has its own latency (the units' velocities differ) and
+ * morphology (a different handful of units). Blocked fibers cannot carry an
+ * F-wave, and slowed fibers are slowed twice.
+ * @param {Object} study - Motor study as for simulateStudy (distalDistance, distalLatency,
+ *   velocity, amplitude, fiberFraction, lesion)
+ * @param {Object} options - F-wave options
+ * @param {number} options.pathLength - Distal stimulation site to the spinal cord (mm)
+ * @param {number} [options.stimuli=20] - Stimuli in the train
+ * @param {number} [options.backfireProbability] - Per motor neuron, per stimulus
+ * @param {Function} [options.random=Math.random] - Random source
+ * @param {number} windowMs - Trace length
+ * @param {number} sampleRate - Samples per ms
+ * @returns {Array<Object>} Per stimulus: trace (M response + F-wave, mV), latency (ms, null
+ *   when no unit backfired), amplitude (F-wave peak-to-peak, mV) and units (backfiring count)
+ */
+export function simulateFWaves(study, options, windowMs, sampleRate = 20) {
+  const { distalDistance, velocity, lesion } = study;
+  const { pathLength, stimuli = 20, backfireProbability = BACKFIRE_PROBABILITY, random = Math.random } = options;
+  const { population, fibers, distalVelocity, scale } = calibrate('motor', study, windowMs, sampleRate);
+
+  const stimulusPath = conductionPath(distalDistance, distalDistance, distalVelocity, velocity, lesion);
+  const cordPath = conductionPath(distalDistance + pathLength, distalDistance, distalVelocity, velocity, lesion);
+  const mResponse = synthesizeResponse('motor', fibers, stimulusPath, windowMs, sampleRate).map(v => v * scale);
+  const extent = population.unitDuration * 2.5;
+
+  const responses = [];
+  for (let stimulus = 0; stimulus < stimuli; stimulus++) {
+    const fWave = new Float32Array(mResponse.length);
+    let latency = null;
+    let units = 0;
+
+    fibers.forEach(({ relativeSpeed, weight }, index) => {
+      if (random() >= backfireProbability) return;
+      const fromStimulus = arrivalTime(index, relativeSpeed, stimulusPath, population);
+      const fromCord = arrivalTime(index, relativeSpeed, cordPath, population);
+      if (fromStimulus === null || fromCord === null) return;
+
+      // Each unit keeps its own shape: broader units have a smaller positive phase
+      const shape = 0.8 + 0.5 * (((index + 1) * MORPHOLOGY_SPACING) % 1);
+      const unit = { ...population, unitDuration: population.unitDuration * shape, positiveRatio: population.positiveRatio * (2 - shape) };
+      const arrival = 2 * fromCord - fromStimulus + TURNAROUND_TIME;
+      const first = Math.ceil(arrival * sampleRate);
+      const last = Math.min(fWave.length - 1, Math.floor((arrival + extent * shape) * sampleRate));
+      for (let i = first; i <= last; i++) {
+        fWave[i] += weight * scale * unitPotential(i / sampleRate - arrival, unit);
+      }
+      latency = latency === null ? arrival : Math.min(latency, arrival);
+      units++;
+    });
+
+    responses.push({
+      trace: mResponse.map((v, i) => v + fWave[i]),
+      latency,
+      amplitude: peakToPeak(fWave),
+      units,
+    });
+  }
+  return responses;
+}
+
+/**
+ * Simulate the H-reflex and M wave for one stimulus intensity
+ * Ia afferents have the lowest threshold, so at low intensity the Ia volley
+ * reaches the cord and discharges motor neurons - smallest (slowest) first -
+ * before any motor axon is stimulated directly. Raising the intensity recruits
+ * motor axons - largest (fastest) first - into the M wave, and their antidromic
+ * volleys collide with the reflex volley, so the H wave peaks and then declines
+ * until only the M wave is left at supramaximal intensity.
+ *   H latency = afferent time to the cord + central delay + motor time from the cord
+ * @param {Object} study - Study parameters
+ * @param {number} study.distalDistance - Stimulation site to recording electrode (mm)
+ * @param {number} study.pathLength - Stimulation site to the spinal cord (mm)
+ * @param {number} study.velocity - Fastest motor fiber velocity (m/s)
+ * @param {number} study.amplitude - Mmax with every fiber intact (mV)
+ * @param {number} [study.fiberFraction=1] - Surviving fraction of motor fibers
+ * @param {number} [study.rootBlock=0] - Fraction of the reflex volley lost at the root (0-1)
+ * @param {number} [study.rootDelay=0] - Extra conduction time through the root (ms)
+ * @param {number} intensity - Stimulus intensity as a fraction of supramaximal (0-1)
+ * @param {number} windowMs - Trace length
+ * @param {number} sampleRate - Samples per ms
+ * @returns {Object} trace (M + H, mV), mAmplitude and hAmplitude (peak-to-peak, mV),
+ *   mLatency and hLatency (ms, null when the wave is absent)
+ */
+export function simulateHReflex(study, intensity, windowMs, sampleRate = 20) {
+  const { distalDistance, pathLength, velocity, rootBlock = 0, rootDelay = 0 } = study;
+  const population = FIBER_POPULATIONS.motor;
+  const { fibers, scale } = calibrate('motor', {
+    ...study,
+    distalLatency: population.residualLatency + distalDistance / velocity,
+  }, windowMs, sampleRate);
+
+  // Fibers are fastest last: rank 0 is the slowest, 1 the fastest
+  const rank = index => (fibers.length > 1 ? index / (fibers.length - 1) : 1);
+  const stimulated = index => intensity >= MOTOR_THRESHOLD + (1 - MOTOR_THRESHOLD) * (1 - rank(index));
+  const volley = Math.min(1, Math.max(0, (intensity - IA_THRESHOLD) / (IA_SATURATION - IA_THRESHOLD))) * (1 - rootBlock);
+  const discharged = index => rank(index) < volley * REFLEX_POOL;
+
+  const mFibers = fibers.filter((fiber, index) => stimulated(index));
+  const hFibers = fibers.filter((fiber, index) => discharged(index) && !stimulated(index));
+  const centralTime = pathLength / IA_VELOCITY + CENTRAL_DELAY + rootDelay;
+
+  const mWave = synthesizeResponse('motor', mFibers, [{ distance: distalDistance, velocity }], windowMs, sampleRate);
+  const reflex = synthesizeResponse('motor', hFibers, [{ distance: pathLength + distalDistance, velocity }], windowMs, sampleRate);
+  const shift = Math.round(centralTime * sampleRate);
+  const hWave = reflex.map((v, i) => (i >= shift ? reflex[i - shift] : 0));
+
+  const latency = (group, distance, delay) => (group.length > 0
+    ? delay + population.residualLatency + distance / (velocity * Math.max(...group.map(f => f.relativeSpeed)))
+    : null);
+
+  return {
+    trace: mWave.map((v, i) => (v + hWave[i]) * scale),
+    mAmplitude: peakToPeak(mWave) * scale,
+    hAmplitude: peakToPeak(hWave) * scale,
+    mLatency: latency(mFibers, distalDistance, 0),
+    hLatency: latency(hFibers, pathLength + distalDistance, centralTime),
+  };
+}
+
+/**
+ * Compare the proximal with the distal response against partial conduction block
+ * criteria (CONDUCTION_BLOCK_CRITERIA). The criteria apply to motor studies only -
+ * phase cancellation normally shrinks proximal SNAPs by far more than 50%.
+ * @param {Object} distal - measureMarkers result for distal stimulation
+ * @param {Object} proximal - measureMarkers result for proximal stimulation
+ * @param {string} nerveType - 'motor' or 'sensory'
+ * @returns {Object} amplitudeDrop, areaDrop, durationIncrease (%, null without a proximal
+ *   response) and a finding { label, severity: 'normal'|'block'|'dispersion'|'info' }
+ */
+export function assessConductionBlock(distal, proximal, nerveType) {
+  const { amplitudeDrop: dropLimit, durationIncrease: durationLimit, minDistalAmplitude } = CONDUCTION_BLOCK_CRITERIA;
+  const change = (from, to) => (from > 0 ? ((to - from) / from) * 100 : 0);
+
+  const amplitudeDrop = -change(distal.amplitude, proximal.amplitude);
+  const areaDrop = -change(distal.area, proximal.area);
+  const durationIncrease = proximal.amplitude > 0 ? change(distal.duration, proximal.duration) : null;
+  const dropped = amplitudeDrop > dropLimit || areaDrop > dropLimit;
+  const dispersed = durationIncrease !== null && durationIncrease > durationLimit;
+
+  let finding;
+  if (nerveType !== 'motor') {
+    finding = { label: 'Block criteria apply to motor studies only', severity: 'info' };
+  } else if (distal.amplitude < minDistalAmplitude) {
+    finding = { label: `Distal CMAP below ${minDistalAmplitude} mV - too small to assess`, severity: 'info' };
+  } else if (durationIncrease === null) {
+    finding = { label: 'Complete conduction block', severity: 'block' };
+  } else if (dropped && dispersed) {
+    finding = { label: 'Temporal dispersion - drop may be phase cancellation', severity: 'dispersion' };
+  } else if (dispersed) {
+    finding = { label: 'Abnormal temporal dispersion', severity: 'dispersion' };
+  } else if (dropped) {
+    finding = { label: 'Partial conduction block', severity: 'block' };
+  } else {
+    finding = { label: 'No conduction block', severity: 'normal' };
+  }
+
+  return { amplitudeDrop, areaDrop, durationIncrease, finding };
+}
+
+/**
+ * Slowest standard sweep speed that still shows the response
+ * @param {number} lastEventMs - Latest time that must be on screen
+ * @returns {number} ms/div for a 10-division screen
+ */
+export function chooseSweepSpeed(lastEventMs) {
+  return SWEEP_SPEEDS.find(ms => ms * 10 >= lastEventMs) || SWEEP_SPEEDS[SWEEP_SPEEDS.length - 1];
+}
+
+/**
+ * Sensitivity that keeps the negative peak within three divisions
+ * @param {number} amplitude - Peak amplitude in trace units
+ * @returns {number} Units per division
+ */
+export function chooseSensitivity(amplitude) {
+  return SENSITIVITIES.find(s => s * 3 >= amplitude) || SENSITIVITIES[SENSITIVITIES.length - 1];
+}
+
+export default {
+  FIBER_POPULATIONS,
+  createFiberPopulation,
+  synthesizeResponse,
+  simulateStudy,
+  stimulusLevels,
+  simulateFWaves,
+  simulateHReflex,
+  assessConductionBlock,
+  chooseSweepSpeed,
+  chooseSensitivity,
+};
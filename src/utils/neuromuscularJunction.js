@@ -0,0 +1,123 @@
+/**
+ * Neuromuscular Transmission and Repetitive Nerve Stimulation
+ * Each impulse releases a fraction of the readily releasable transmitter store.
+ * A muscle fiber responds when its end-plate potential - release times its
+ * safety factor - reaches threshold, so the CMAP of every stimulus in a train
+ * is synthesized from the motor units (utils/nerveConduction) weighted by the
+ * fraction of their muscle fibers that still respond.
+ * - The store runs down over the first 4-5 stimuli and is refilled between
+ *   them, so release falls and then plateaus (the 3 Hz decrement is largest at
+ *   the 4th-5th response). A normal safety factor hides this; a low one
+ *   (myasthenia gravis) does not.
+ * - Residual calcium facilitates release and speeds refilling at high rates,
+ *   so a low release probability (Lambert-Eaton) recovers with 20-50 Hz trains
+ *   or brief exercise - the increment.
+ * - After exercise, post-tetanic potentiation fades within about a minute
+ *   while the depleted reserve recovers over minutes: facilitation first,
+ *   then post-activation exhaustion at 2-4 minutes.
+ *
+ * References:
+ * - Elmqvist & Quastel (1965): transmitter release and depletion at the human end-plate
+ * - Desmedt (1973): post-tetanic potentiation and exhaustion in myasthenia
+ * - Wood & Slater (2001): safety factor at the neuromuscular junction
+ */
+
+import { simulateStudy } from './nerveConduction';
+
+export const NORMAL_JUNCTION = { safetyFactor: 4, release: 1 };
+
+const BASE_RELEASE = 0.2; // Fraction of the store one impulse releases at a normal junction
+const MAX_RELEASE = 0.9;
+const REFILL_TIME = 0.8; // s - store refilling time constant at rest
+const MOBILIZATION = 10; // Refilling speed-up per unit of residual calcium
+const FACILITATION = { increment: 0.15, decay: 0.05 }; // Per impulse; s
+const AUGMENTATION = { increment: 0.01, decay: 5 }; // Per impulse; s
+const POTENTIATION = { gain: 2, buildUp: 10, decay: 40 }; // Post-tetanic: full after 10 s of exercise; s
+const EXHAUSTION = { depth: 0.4, buildUp: 60, decay: 300 }; // Reserve deficit: full after 60 s of exercise; s
+const SAFETY_FACTOR_SPREAD = 0.25; // Log-normal spread across a motor unit's muscle fibers
+const UNIT_SPREAD = 0.3; // Motor units' mean safety factors vary by ±15%
+const UNIT_SPACING = 0.7548776662; // Low-discrepancy spacing of unit safety factors
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+ */
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Simulate a train of supramaximal stimuli
+ * @param {Object} junction - { safetyFactor, release } (PATHOLOGY_PATTERNS rns)
+ * @param {Object} train - Train parameters
+ * @param {number} train.frequency - Hz
+ * @param {number} train.stimuli - Stimuli in the train
+ * @param {number} [train.exercise=0] - Seconds of maximal exercise before the train (0 = rested)
+ * @param {number} [train.delay=0] - Seconds from the end of exercise to the train
+ * @param {Object} study - Motor study as for simulateStudy (distalDistance, distalLatency,
+ *   velocity, amplitude, fiberFraction)
+ * @param {number} windowMs - Trace length of each response
+ * @param {number} sampleRate - Samples per ms
+ * @returns {Object} responses [{ trace, amplitude (negative peak), quanta (release relative
+ *   to a rested normal junction) }], decrement (%, lowest of the 2nd-5th against the 1st)
+ *   and increment (%, largest against the 1st)
+ */
+export function simulateTrain(junction, train, study, windowMs, sampleRate = 20) {
+  const { safetyFactor, release } = junction;
+  const { frequency, stimuli, exercise = 0, delay = 0 } = train;
+  const interval = 1 / frequency;
+
+  const potentiation = POTENTIATION.gain * Math.min(1, exercise / POTENTIATION.buildUp) * Math.exp(-delay / POTENTIATION.decay);
+  const reserve = 1 - EXHAUSTION.depth * Math.min(1, exercise / EXHAUSTION.buildUp) * Math.exp(-delay / EXHAUSTION.decay);
+
+  let store = reserve;
+  let facilitation = 0;
+  let augmentation = 0;
+  const responses = [];
+
+  for (let n = 0; n < stimuli; n++) {
+    const probability = Math.min(MAX_RELEASE, BASE_RELEASE * release * (1 + facilitation + augmentation + potentiation));
+    const quanta = (probability * store) / BASE_RELEASE;
+
+    // Fraction of each unit's muscle fibers whose end-plate potential reaches threshold
+    const transmission = (fiber, index) => {
+      const unitSafety = safetyFactor * (1 - UNIT_SPREAD / 2 + UNIT_SPREAD * (((index + 1) * UNIT_SPACING) % 1));
+      return normalCdf(Math.log(unitSafety * quanta) / SAFETY_FACTOR_SPREAD);
+    };
+    const [{ trace }] = simulateStudy('motor', {
+      ...study,
+      positions: [study.distalDistance],
+      transmission,
+    }, windowMs, sampleRate).responses;
+    responses.push({ trace, amplitude: -Math.min(0, ...trace), quanta });
+
+    // The impulse empties part of the store and leaves residual calcium behind
+    store -= probability * store;
+    facilitation += FACILITATION.increment;
+    augmentation += AUGMENTATION.increment;
+
+    facilitation *= Math.exp(-interval / FACILITATION.decay);
+    augmentation *= Math.exp(-interval / AUGMENTATION.decay);
+
+    // Calcium still present at the next impulse speeds refilling - only at high rates
+    const refill = 1 - Math.exp(-(interval * (1 + MOBILIZATION * (facilitation + augmentation))) / REFILL_TIME);
+    store += (reserve - store) * refill;
+  }
+
+  const first = responses[0].amplitude;
+  const change = amplitude => (first > 0 ? ((amplitude - first) / first) * 100 : 0);
+  const early = responses.slice(1, 5).map(r => r.amplitude);
+
+  return {
+    responses,
+    decrement: early.length > 0 ? Math.max(0, -change(Math.min(...early))) : 0,
+    increment: Math.max(0, change(Math.max(...responses.map(r => r.amplitude)))),
+  };
+}
+
+export default {
+  NORMAL_JUNCTION,
+  simulateTrain,
+};
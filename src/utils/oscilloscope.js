@@ -0,0 +1,279 @@
+/**
+ * EMG Oscilloscope Rendering
+ * Draws a trace the way an EMG machine does: fixed sweep speed (ms/div) and
+ * sensitivity (μV/div), so a 100μV fibrillation looks small next to a 2mV
+ * reinnervated MUAP instead of both being autoscaled to full height.
+ *
+ * Display modes:
+ * - Sweep: free-running beam writes left to right over the previous sweep
+ * - Scroll: newest signal enters at the right edge
+ * - Raster: successive sweeps stacked top to bottom
+ *
+ * Traces longer than the data wrap around, matching the looped speaker output.
+ *
+ * Trigger / delay line: each crossing of a trigger level captures one sweep,
+ * with a pre-trigger delay so the MUAP onset is not cut off. Superimposing
+ * the sweeps shows stability; averaging them gives the unit's template.
+ */
+
+export const SWEEP_SPEEDS = [10, 20, 50, 100, 200]; // ms/div
+export const SENSITIVITIES = [50, 100, 200, 500, 1000]; // μV/div
+
+export const DISPLAY_MODES = {
+  sweep: { name: 'Sweep' },
+  scroll: { name: 'Scroll' },
+  raster: { name: 'Raster' },
+};
+
+export const HORIZONTAL_DIVISIONS = 10;
+export const VERTICAL_DIVISIONS = 8;
+const RASTER_ROWS = 8;
+const ERASE_GAP = 0.02; // Fraction of the screen blanked ahead of the sweep beam
+
+/**
+ * Sample at a time, wrapping around the end of the trace
+ */
+function sampleAt(data, index) {
+  const length = data.length;
+  return data[((index % length) + length) % length];
+}
+
+/**
+ * Draw a stretch of signal between two x positions
+ * Each pixel column spans min to max of its samples so brief spikes survive
+ * at slow sweep speeds.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Float32Array} data - Samples in μV
+ * @param {number} sampleRate - Samples per ms
+ * @param {Object} segment - { startMs, endMs, x0, x1, baseline, pxPerUv, top, bottom }
+ */
+function drawSegment(ctx, data, sampleRate, segment) {
+  const { startMs, endMs, x0, x1, baseline, pxPerUv, top, bottom } = segment;
+  if (x1 - x0 < 1 || endMs <= startMs) return;
+
+  const msPerPx = (endMs - startMs) / (x1 - x0);
+  const clampY = y => Math.min(bottom, Math.max(top, y));
+
+  ctx.beginPath();
+  for (let x = x0; x < x1; x++) {
+    const i0 = Math.floor((startMs + (x - x0) * msPerPx) * sampleRate);
+    const i1 = Math.max(i0 + 1, Math.floor((startMs + (x + 1 - x0) * msPerPx) * sampleRate));
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = i0; i < i1; i++) {
+      const value = sampleAt(data, i);
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    }
+
+    const yMax = clampY(baseline - max * pxPerUv);
+    const yMin = clampY(baseline - min * pxPerUv);
+    if (x === x0) {
+      ctx.moveTo(x, yMax);
+    } else {
+      ctx.lineTo(x, yMax);
+    }
+    ctx.lineTo(x, yMin);
+  }
+  ctx.stroke();
+}
+
+/**
+ * Draw the grid, trace and scale labels
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (already scaled for devicePixelRatio)
+ * @param {number} width - Canvas width in CSS pixels
+ * @param {number} height - Canvas height in CSS pixels
+ * @param {Float32Array} data - Samples in μV
+ * @param {number} sampleRate - Samples per ms
+ * @param {Object} view - Display settings
+ * @param {string} view.mode - 'sweep', 'scroll' or 'raster'
+ * @param {number} view.msPerDiv - Sweep speed
+ * @param {number} view.uvPerDiv - Sensitivity
+ * @param {?number} view.elapsedMs - Time since playback started; null draws a static screen
+ * @param {string} [view.color] - Trace color
+ */
+export function drawScope(ctx, width, height, data, sampleRate, view) {
+  const { mode, msPerDiv, uvPerDiv, elapsedMs = null, color = '#0891b2' } = view;
+  const windowMs = msPerDiv * HORIZONTAL_DIVISIONS;
+  const pxPerUv = height / (VERTICAL_DIVISIONS * uvPerDiv);
+  const playing = elapsedMs !== null;
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+
+  // Grid
+  ctx.strokeStyle = '#e2e8f0';
+  ctx.lineWidth = 1;
+  for (let i = 0; i <= HORIZONTAL_DIVISIONS; i++) {
+    const x = (i / HORIZONTAL_DIVISIONS) * width;
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, height);
+    ctx.stroke();
+  }
+  for (let i = 0; i <= VERTICAL_DIVISIONS; i++) {
+    const y = (i / VERTICAL_DIVISIONS) * height;
+    ctx.beginPath();
+    ctx.moveTo(0, y);
+    ctx.lineTo(width, y);
+    ctx.stroke();
+  }
+
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1.5;
+
+  if (mode === 'raster') {
+    // Each row is one sweep; rows share the sensitivity so large potentials overlap neighbors
+    const rowHeight = height / RASTER_ROWS;
+    const sweep = playing ? Math.floor(elapsedMs / windowMs) : RASTER_ROWS - 1;
+    const firstSweep = sweep - (sweep % RASTER_ROWS);
+
+    for (let row = 0; row <= sweep - firstSweep; row++) {
+      const startMs = (firstSweep + row) * windowMs;
+      const endMs = playing && row === sweep - firstSweep ? elapsedMs : startMs + windowMs;
+      drawSegment(ctx, data, sampleRate, {
+        startMs,
+        endMs,
+        x0: 0,
+        x1: ((endMs - startMs) / windowMs) * width,
+        baseline: (row + 0.5) * rowHeight,
+        pxPerUv,
+        top: 0,
+        bottom: height,
+      });
+    }
+  } else {
+    const segment = { baseline: height / 2, pxPerUv, top: 0, bottom: height };
+
+    if (!playing) {
+      drawSegment(ctx, data, sampleRate, { ...segment, startMs: 0, endMs: windowMs, x0: 0, x1: width });
+    } else if (mode === 'scroll') {
+      // Nothing has been recorded before playback started
+      const startMs = Math.max(0, elapsedMs - windowMs);
+      drawSegment(ctx, data, sampleRate, {
+        ...segment,
+        startMs,
+        endMs: elapsedMs,
+        x0: width - ((elapsedMs - startMs) / windowMs) * width,
+        x1: width,
+      });
+    } else {
+      // Free-running sweep: new signal left of the beam, previous sweep to the right
+      const sweepStart = Math.floor(elapsedMs / windowMs) * windowMs;
+      const beamX = ((elapsedMs - sweepStart) / windowMs) * width;
+      drawSegment(ctx, data, sampleRate, { ...segment, startMs: sweepStart, endMs: elapsedMs, x0: 0, x1: beamX });
+
+      if (sweepStart > 0) {
+        const gapX = Math.min(width, beamX + ERASE_GAP * width);
+        drawSegment(ctx, data, sampleRate, {
+          ...segment,
+          startMs: sweepStart - windowMs + (gapX / width) * windowMs,
+          endMs: sweepStart,
+          x0: gapX,
+          x1: width,
+        });
+      }
+    }
+  }
+
+  // Scale labels
+  ctx.fillStyle = '#475569';
+  ctx.font = '12px var(--font-mono)';
+  ctx.textAlign = 'right';
+  ctx.fillText(`${msPerDiv} ms/div · ${uvPerDiv} μV/div`, width - 5, 15);
+
+  if (mode !== 'raster') {
+    ctx.textAlign = 'left';
+    for (let i = 0; i < HORIZONTAL_DIVISIONS; i += 2) {
+      const x = (i / HORIZONTAL_DIVISIONS) * width;
+      ctx.fillText(`${i * msPerDiv}ms`, x + 3, height - 5);
+    }
+  }
+}
+
+/**
+ * Capture a sweep at every crossing of the trigger level
+ * A positive level triggers on rising signal, a negative level on falling signal.
+ * Crossings during a capture are ignored (hold-off) so one discharge gives one sweep.
+ * @param {Float32Array} data - Samples in μV
+ * @param {number} sampleRate - Samples per ms
+ * @param {Object} options - Trigger settings
+ * @param {number} options.level - Trigger level in μV (signed)
+ * @param {number} [options.preTriggerMs=5] - Delay line: signal kept before the crossing
+ * @param {number} [options.postTriggerMs=20] - Signal kept after the crossing
+ * @param {number} [options.maxSweeps=40] - Stop after this many captures
+ * @returns {Float32Array[]} Sweeps, each (preTriggerMs + postTriggerMs) * sampleRate samples
+ */
+export function captureTriggeredSweeps(data, sampleRate, options) {
+  const { level, preTriggerMs = 5, postTriggerMs = 20, maxSweeps = 40 } = options;
+  const pre = Math.round(preTriggerMs * sampleRate);
+  const post = Math.round(postTriggerMs * sampleRate);
+  const sweeps = [];
+
+  for (let i = Math.max(1, pre); i < data.length - post && sweeps.length < maxSweeps; i++) {
+    const crossed = level >= 0
+      ? data[i - 1] < level && data[i] >= level
+      : data[i - 1] > level && data[i] <= level;
+    if (crossed) {
+      sweeps.push(data.slice(i - pre, i + post));
+      i += post; // Hold-off
+    }
+  }
+
+  return sweeps;
+}
+
+/**
+ * Average captured sweeps into a template
+ * Time-locked activity survives averaging; unrelated units and jiggle cancel out.
+ * @param {Float32Array[]} sweeps - Equal-length sweeps
+ * @returns {Float32Array} Averaged template (empty when there are no sweeps)
+ */
+export function averageSweeps(sweeps) {
+  if (sweeps.length === 0) return new Float32Array(0);
+
+  const template = new Float32Array(sweeps[0].length);
+  sweeps.forEach(sweep => {
+    for (let i = 0; i < template.length; i++) {
+      template[i] += sweep[i] / sweeps.length;
+    }
+  });
+  return template;
+}
+
+/**
+ * Sweep-to-sweep variability (jiggle)
+ * Coefficient of variation of the captured sweeps' peak-to-peak amplitude.
+ * A stable unit stays under ~10%; the immature sprouts of early reinnervation
+ * vary far more. Several different units passing the trigger also raise it.
+ * @param {Float32Array[]} sweeps - Captured sweeps
+ * @returns {number} Variability in %
+ */
+export function measureSweepVariability(sweeps) {
+  if (sweeps.length < 2) return 0;
+
+  const amplitudes = sweeps.map(sweep => {
+    let min = 0;
+    let max = 0;
+    for (let i = 0; i < sweep.length; i++) {
+      min = Math.min(min, sweep[i]);
+      max = Math.max(max, sweep[i]);
+    }
+    return max - min;
+  });
+  const mean = amplitudes.reduce((sum, a) => sum + a, 0) / amplitudes.length;
+  const variance = amplitudes.reduce((sum, a) => sum + (a - mean) ** 2, 0) / (amplitudes.length - 1);
+  return mean > 0 ? (Math.sqrt(variance) / mean) * 100 : 0;
+}
+
+export default {
+  SWEEP_SPEEDS,
+  SENSITIVITIES,
+  DISPLAY_MODES,
+  HORIZONTAL_DIVISIONS,
+  VERTICAL_DIVISIONS,
+  drawScope,
+  captureTriggeredSweeps,
+  averageSweeps,
+  measureSweepVariability,
+};
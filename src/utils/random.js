@@ -0,0 +1,54 @@
+/**
+ * Seedable Pseudo-Random Number Generation
+ * Lets a waveform or audio timeline be reproduced exactly from a seed,
+ * e.g. "fibrillation trace #42" renders identically on every machine.
+ *
+ * Algorithm: mulberry32 - small, fast, 32-bit state, good enough for teaching
+ * simulations (not for cryptography).
+ */
+
+/**
+ * Create a random number generator
+ * @param {number} [seed] - Integer seed; omit for non-reproducible Math.random
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ */
+export function createRandom(seed) {
+  if (seed === undefined || seed === null || Number.isNaN(Number(seed))) {
+    return Math.random;
+  }
+
+  let state = Number(seed) >>> 0;
+
+  return function random() {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw from a standard normal distribution (Box-Muller)
+ * @param {function(): number} random - Uniform generator from createRandom
+ * @returns {number} Sample with mean 0, standard deviation 1
+ */
+export function randomNormal(random = Math.random) {
+  const u = 1 - random(); // (0, 1] - avoids log(0)
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Pick a fresh seed for a new, shareable trace number
+ * @returns {number} Integer seed between 1 and 9999
+ */
+export function randomSeed() {
+  return 1 + Math.floor(Math.random() * 9999);
+}
+
+export default {
+  createRandom,
+  randomNormal,
+  randomSeed,
+};
@@ -0,0 +1,187 @@
+/**
+ * Reference Values - Normal Limits Adjusted for the Patient
+ * The active lab profile's limits (utils/labProfiles) are for a 20-60 year
+ * old, 170 cm adult with a warm limb. This service turns them into the limits that apply to one
+ * patient and records every adjustment, so each module flags a value against
+ * the same limit and can say why that limit differs from the table:
+ * - Age: velocity and amplitude limits fall after 60 (adjustForAge)
+ * - Limb temperature: below the limb's minimum (LIMB_TEMPERATURE) the velocity
+ *   limit falls ~2 m/s and the latency limit rises ~0.2 ms per °C
+ * - Height: F-wave latency limits scale with limb length (adjustLatencyForHeight)
+ * - Side: carried through to the result; the limits themselves do not differ
+ * A parameter the nerve is not measured for (velocity from a single site,
+ * F-waves outside the routine nerves) has a null limit and is not assessed.
+ *
+ * References:
+ * - Preston & Shapiro: Electromyography and Neuromuscular Disorders (chapter 8, physiologic variables)
+ * - Dumitru: Electrodiagnostic Medicine (temperature and age effects)
+ */
+
+import {
+  MOTOR_NERVE_NORMALS,
+  SENSORY_NERVE_NORMALS,
+  LIMB_TEMPERATURE,
+  adjustForAge,
+  adjustForTemperature,
+  adjustLatencyForTemperature,
+  adjustLatencyForHeight,
+} from './constants';
+import { getActiveProfile, profileLimit } from './labProfiles';
+
+/**
+ * Patient the unadjusted normal values describe; temperature null means not measured
+ */
+export const STANDARD_PATIENT = {
+  age: 40, // years
+  height: 170, // cm
+  temperature: null, // °C limb skin temperature
+  side: 'right',
+};
+
+const REFERENCE_HEIGHT = 170; // cm - height the fWaveLatency maxima are for
+
+/**
+ * Adjusted normal limits for one nerve study
+ * @param {string} nerveType - 'motor' or 'sensory'
+ * @param {string} nerve - Key of MOTOR_NERVE_NORMALS or SENSORY_NERVE_NORMALS
+ * @param {Object} [patient] - { age, height, temperature, side }; missing fields take STANDARD_PATIENT
+ * @param {Object} [profile] - Lab profile; defaults to the active one
+ * @returns {Object|null} profile { id, name }, side, latency { max }, amplitude { min },
+ *   velocity { min } (or null), fWaveLatency { max } (or null) - each with the
+ *   profile limit (standard), units and adjustments [{ source, text }] - plus
+ *   warnings [strings]; null for an unknown nerve
+ */
+export function referenceLimits(nerveType, nerve, patient = {}, profile = getActiveProfile()) {
+  const normals = (nerveType === 'motor' ? MOTOR_NERVE_NORMALS : SENSORY_NERVE_NORMALS)[nerve];
+  if (!normals) return null;
+
+  const { age, height, temperature, side } = { ...STANDARD_PATIENT, ...patient };
+  const limb = LIMB_TEMPERATURE[normals.limb];
+  const limit = (parameter, bound, units) => {
+    const value = profileLimit(profile, nerveType, nerve, parameter);
+    return value === null ? null : { [bound]: value, standard: value, units, adjustments: [] };
+  };
+
+  const latency = limit('latency', 'max', 'ms');
+  const amplitude = limit('amplitude', 'min', nerveType === 'motor' ? 'mV' : 'μV');
+  const velocity = limit('velocity', 'min', 'm/s');
+  const fWaveLatency = limit('fWaveLatency', 'max', 'ms');
+  const warnings = [];
+
+  if (age >= 60) {
+    if (velocity) {
+      velocity.min = adjustForAge(velocity.min, age, 'cv');
+      velocity.adjustments.push({
+        source: 'age',
+        text: `Age ${age}: velocity limit −${(velocity.standard - velocity.min).toFixed(1)} m/s (1.5 m/s per decade over 60)`,
+      });
+    }
+    amplitude.min = adjustForAge(amplitude.min, age, 'amplitude');
+    amplitude.adjustments.push({
+      source: 'age',
+      text: `Age ${age}: amplitude limit −${Math.round((1 - amplitude.min / amplitude.standard) * 100)}% (10% per decade over 60)`,
+    });
+  }
+
+  // The helpers correct a measured value to the standard temperature; run from
+  // the standard to the measured temperature they give the limit a cool limb expects
+  if (limb && temperature !== null && temperature !== undefined && temperature < limb.min) {
+    const cooling = limb.min - temperature;
+    if (velocity) {
+      velocity.min = adjustForTemperature(velocity.min, limb.min, temperature);
+      velocity.adjustments.push({
+        source: 'temperature',
+        text: `Limb ${temperature.toFixed(1)}°C: velocity limit −${(cooling * 2).toFixed(1)} m/s (2 m/s per °C below ${limb.min}°C)`,
+      });
+    }
+    latency.max = adjustLatencyForTemperature(latency.max, limb.min, temperature);
+    latency.adjustments.push({
+      source: 'temperature',
+      text: `Limb ${temperature.toFixed(1)}°C: latency limit +${(cooling * 0.2).toFixed(1)} ms (0.2 ms per °C below ${limb.min}°C)`,
+    });
+    warnings.push(
+      `${normals.limb === 'upper' ? 'Hand' : 'Foot'} temperature ${temperature.toFixed(1)}°C is below ${limb.min}°C (${limb.site}) - `
+      + 'warming and repeating is preferred to corrected limits; cooling also raises amplitudes.'
+    );
+  }
+
+  if (fWaveLatency && height !== REFERENCE_HEIGHT) {
+    fWaveLatency.max = adjustLatencyForHeight(fWaveLatency.max, height, nerve);
+    fWaveLatency.adjustments.push({
+      source: 'height',
+      text: `Height ${height} cm: F-wave limit ${height > REFERENCE_HEIGHT ? '+' : '−'}${Math.abs(fWaveLatency.max - fWaveLatency.standard).toFixed(1)} ms (scaled from ${REFERENCE_HEIGHT} cm)`,
+    });
+  }
+
+  return { profile: { id: profile.id, name: profile.name }, side, latency, amplitude, velocity, fWaveLatency, warnings };
+}
+
+/**
+ * Flag measured values against the patient's adjusted limits
+ * 'NR' (no response) is abnormal; blank values are not assessed.
+ * @param {string} nerveType - 'motor' or 'sensory'
+ * @param {string} nerve - Key of MOTOR_NERVE_NORMALS or SENSORY_NERVE_NORMALS
+ * @param {Object} values - { latency, amplitude, velocity } as numbers, numeric strings or 'NR'
+ * @param {Object} [patient] - As for referenceLimits
+ * @param {Object} [profile] - Lab profile; defaults to the active one
+ * @returns {Object|null} latency, amplitude and velocity { value, limit, abnormal, reason },
+ *   abnormal (any parameter), adjustments (texts of adjustments that moved an assessed
+ *   limit), warnings and limits; null for an unknown nerve
+ */
+export function assessStudy(nerveType, nerve, values, patient = {}, profile = getActiveProfile()) {
+  const limits = referenceLimits(nerveType, nerve, patient, profile);
+  if (!limits) return null;
+
+  const assess = (raw, limit, direction) => {
+    if (!limit) {
+      return { value: null, limit, abnormal: false, reason: null };
+    }
+    if (raw === 'NR') {
+      return { value: null, limit, abnormal: true, reason: 'No response' };
+    }
+    const value = parseFloat(raw);
+    if (Number.isNaN(value)) {
+      return { value: null, limit, abnormal: false, reason: null };
+    }
+    const bound = direction === 'max' ? limit.max : limit.min;
+    const abnormal = direction === 'max' ? value > bound : value < bound;
+    const sign = direction === 'max' ? '>' : '<';
+    return {
+      value,
+      limit,
+      abnormal,
+      reason: abnormal ? `${value} ${sign} ${Number(bound.toFixed(1))} ${limit.units}` : null,
+    };
+  };
+
+  const result = {
+    latency: assess(values.latency, limits.latency, 'max'),
+    amplitude: assess(values.amplitude, limits.amplitude, 'min'),
+    velocity: assess(values.velocity, limits.velocity, 'min'),
+  };
+  const assessed = [result.latency, result.amplitude, result.velocity].filter(r => r.value !== null);
+
+  return {
+    ...result,
+    abnormal: result.latency.abnormal || result.amplitude.abnormal || result.velocity.abnormal,
+    adjustments: assessed.flatMap(r => r.limit.adjustments.map(a => a.text)),
+    warnings: limits.warnings,
+    limits,
+  };
+}
+
+/**
+ * Format a limit for display, e.g. '< 4.4 ms' or '> 44.6 m/s'
+ * @param {Object} limit - A latency, amplitude, velocity or fWaveLatency limit from referenceLimits
+ */
+export function formatLimit(limit) {
+  if (limit.max !== undefined) return `< ${Number(limit.max.toFixed(1))} ${limit.units}`;
+  return `> ${Number(limit.min.toFixed(1))} ${limit.units}`;
+}
+
+export default {
+  STANDARD_PATIENT,
+  referenceLimits,
+  assessStudy,
+  formatLimit,
+};
@@ -0,0 +1,83 @@
+/**
+ * Side Comparison - The Same Nerve on Both Sides
+ * In early or unilateral disease an asymmetry may be the only abnormality:
+ * a SNAP half the size of its partner is suspicious even when both are above
+ * the absolute limit. Each parameter is compared against SIDE_TO_SIDE_CRITERIA:
+ * - Amplitude: lower / higher side ratio and the lower side's shortfall (%)
+ * - Latency: absolute difference (ms) and which side is longer
+ * - Velocity: absolute difference (m/s) and which side is slower
+ * 'NR' (no response) against a response is a complete amplitude asymmetry.
+ *
+ * References:
+ * - Preston & Shapiro: Electromyography and Neuromuscular Disorders (chapter 8)
+ */
+
+import { SIDE_TO_SIDE_CRITERIA } from './constants';
+
+const SIDE_NAMES = { left: 'Left', right: 'Right' };
+
+/**
+ * Parse a value as entered: a number, 'NR' (kept as 'NR') or null when blank
+ */
+const parseValue = raw => {
+  if (raw === 'NR') return 'NR';
+  const value = parseFloat(raw);
+  return Number.isNaN(value) ? null : value;
+};
+
+/**
+ * Compare one nerve study on the left and right
+ * @param {string} nerveType - 'motor' or 'sensory'
+ * @param {Object} left - { latency, amplitude, velocity } as numbers, numeric strings or 'NR'
+ * @param {Object} right - As left
+ * @returns {Object} amplitude { ratio, asymmetry (%), lower, abnormal },
+ *   latency { difference (ms), longer, abnormal }, velocity { difference (m/s), slower, abnormal }
+ *   - each null when either side is blank - plus abnormal (any parameter) and reasons [strings]
+ */
+export function compareSides(nerveType, left, right) {
+  const reasons = [];
+  const [l, r] = [left, right].map(values => ({
+    latency: parseValue(values.latency),
+    amplitude: parseValue(values.amplitude),
+    velocity: parseValue(values.velocity),
+  }));
+
+  let amplitude = null;
+  if (l.amplitude !== null && r.amplitude !== null) {
+    const [leftAmplitude, rightAmplitude] = [l.amplitude, r.amplitude].map(a => (a === 'NR' ? 0 : a));
+    const higher = Math.max(leftAmplitude, rightAmplitude);
+    const ratio = higher > 0 ? Math.min(leftAmplitude, rightAmplitude) / higher : 1;
+    const asymmetry = Math.round((1 - ratio) * 100);
+    const lower = leftAmplitude === rightAmplitude ? null : leftAmplitude < rightAmplitude ? 'left' : 'right';
+    const abnormal = asymmetry > SIDE_TO_SIDE_CRITERIA.amplitudeAsymmetry[nerveType];
+    amplitude = { ratio, asymmetry, lower, abnormal };
+    if (abnormal) {
+      reasons.push(`${SIDE_NAMES[lower]} amplitude ${asymmetry}% lower (> ${SIDE_TO_SIDE_CRITERIA.amplitudeAsymmetry[nerveType]}%)`);
+    }
+  }
+
+  // Latency and velocity need a response on both sides; worse(a, b) is true when a is the worse value
+  const difference = (parameter, threshold, units, worseKey, worse) => {
+    if (typeof l[parameter] !== 'number' || typeof r[parameter] !== 'number') return null;
+    const value = Math.round(Math.abs(l[parameter] - r[parameter]) * 100) / 100;
+    const side = l[parameter] === r[parameter] ? null : worse(l[parameter], r[parameter]) ? 'left' : 'right';
+    const abnormal = value > threshold;
+    if (abnormal) reasons.push(`${SIDE_NAMES[side]} ${parameter} ${value.toFixed(1)} ${units} ${worseKey} (> ${threshold} ${units})`);
+    return { difference: value, [worseKey]: side, abnormal };
+  };
+
+  const latency = difference('latency', SIDE_TO_SIDE_CRITERIA.latencyDifference[nerveType], 'ms', 'longer', (a, b) => a > b);
+  const velocity = difference('velocity', SIDE_TO_SIDE_CRITERIA.velocityDifference, 'm/s', 'slower', (a, b) => a < b);
+
+  return {
+    amplitude,
+    latency,
+    velocity,
+    abnormal: [amplitude, latency, velocity].some(result => result && result.abnormal),
+    reasons,
+  };
+}
+
+export default {
+  compareSides,
+};
@@ -0,0 +1,129 @@
+/**
+ * Single-Fiber EMG - Jitter, Blocking and Fiber Density
+ * Two muscle fibers of one motor unit fire at slightly different times after
+ * each nerve impulse because each end-plate potential (EPP) takes a variable
+ * time to reach threshold. The variability of the interpotential interval
+ * (IPI) between them is the jitter, quantified as the mean consecutive
+ * difference (MCD) of successive IPIs.
+ * - The EPP rises exponentially, so the time to threshold is
+ *   τ·ln(EPP / (EPP - 1)): with a normal safety factor the curve is flat and
+ *   release fluctuations barely move it; near threshold it is steep and jitter
+ *   grows, and an EPP below threshold blocks the potential altogether.
+ * - Sustained voluntary firing (~10 Hz) facilitates release, recovering part
+ *   of a low release probability (Lambert-Eaton) but not a lost safety factor
+ *   (myasthenia gravis).
+ * - A concentric needle records "apparent" single-fiber potentials - the sum
+ *   of a few nearby fibers - whose jitter is partly averaged away.
+ *
+ * References:
+ * - Stålberg & Trontelj: Single Fiber Electromyography
+ * - Sanders & Stålberg (1996): AAEM minimonograph #25 - single-fiber electromyography
+ * - Stålberg et al. (2016): reference values for jitter recorded by concentric needle electrodes
+ */
+
+import { randomNormal } from './random';
+
+const EPP_RISE_TIME = 0.3; // ms - end-plate potential rise time constant
+const RELEASE_NOISE = 0.11; // Coefficient of variation of release from impulse to impulse
+const CONDUCTION_JITTER = 0.004; // ms - axonal and muscle fiber conduction variability
+const FIBER_SPREAD = 0.2; // Log-normal spread of safety factors across a unit's fibers
+const VOLUNTARY_FACILITATION = 0.5; // Fraction of a release deficit recovered by voluntary firing
+const CONCENTRIC_COMPONENTS = 2; // Fibers summed into one apparent single-fiber potential
+const INTERVAL_RANGE = [0.3, 2]; // ms - interpotential interval of a pair
+
+/**
+ * Draw from a Poisson distribution (Knuth)
+ * @param {number} mean - Expected count
+ * @param {function(): number} random - Uniform generator from createRandom
+ */
+function randomPoisson(mean, random) {
+  const limit = Math.exp(-mean);
+  let count = 0;
+  let product = random();
+  while (product > limit) {
+    count++;
+    product *= random();
+  }
+  return count;
+}
+
+/**
+ * Time from nerve impulse to muscle fiber discharge beyond the fixed delays
+ * @param {number} margin - Fiber's EPP relative to threshold at this impulse
+ * @param {function(): number} random - Uniform generator
+ * @returns {number|null} Delay in ms, or null when the EPP fails to reach threshold
+ */
+function fiberDelay(margin, random) {
+  const epp = margin * (1 + RELEASE_NOISE * randomNormal(random));
+  if (epp <= 1) return null;
+  return EPP_RISE_TIME * Math.log(epp / (epp - 1)) + CONDUCTION_JITTER * randomNormal(random);
+}
+
+/**
+ * Simulate a pair of single-fiber potentials over consecutive discharges
+ * @param {Object} junction - { safetyFactor, release } (PATHOLOGY_PATTERNS rns)
+ * @param {Object} [options]
+ * @param {string} [options.electrode='singleFiber'] - 'singleFiber' | 'concentric'
+ * @param {number} [options.discharges=50] - Consecutive discharges recorded
+ * @param {function(): number} [options.random=Math.random] - Uniform generator
+ * @returns {Object} interval (ms, mean IPI), discharges [{ first, second } - ms after the
+ *   expected discharge time, null when blocked], mcd (μs, over consecutive discharges
+ *   where both fired; null if fewer than two) and blocking (% of discharges with a
+ *   component missing)
+ */
+export function simulatePair(junction, options = {}) {
+  const { electrode = 'singleFiber', discharges = 50, random = Math.random } = options;
+  const release = junction.release + Math.max(0, 1 - junction.release) * VOLUNTARY_FACILITATION;
+  const components = electrode === 'concentric' ? CONCENTRIC_COMPONENTS : 1;
+
+  // Each fiber of the pair has its own safety factor around the unit's
+  const margins = [0, 1].map(() => Array.from({ length: components }, () => (
+    junction.safetyFactor * release * Math.exp(FIBER_SPREAD * randomNormal(random))
+  )));
+  const interval = INTERVAL_RANGE[0] + random() * (INTERVAL_RANGE[1] - INTERVAL_RANGE[0]);
+
+  // An apparent potential is dominated by its largest (first) fiber: it blocks with
+  // that fiber and otherwise peaks at the mean delay of the fibers that fired
+  const discharge = fibers => {
+    const delays = fibers.map(margin => fiberDelay(margin, random));
+    if (delays[0] === null) return null;
+    const fired = delays.filter(d => d !== null);
+    return fired.reduce((sum, d) => sum + d, 0) / fired.length;
+  };
+
+  const trains = [];
+  for (let n = 0; n < discharges; n++) {
+    trains.push({ first: discharge(margins[0]), second: discharge(margins[1]) });
+  }
+
+  const differences = [];
+  for (let n = 1; n < trains.length; n++) {
+    const [previous, current] = [trains[n - 1], trains[n]];
+    if ([previous.first, previous.second, current.first, current.second].includes(null)) continue;
+    differences.push(Math.abs((current.second - current.first) - (previous.second - previous.first)));
+  }
+  const blocked = trains.filter(d => d.first === null || d.second === null).length;
+
+  return {
+    interval,
+    discharges: trains,
+    mcd: differences.length > 0 ? (differences.reduce((sum, d) => sum + d, 0) / differences.length) * 1000 : null,
+    blocking: (blocked / discharges) * 100,
+  };
+}
+
+/**
+ * Count the single-fiber potentials within the electrode's uptake area at one site
+ * The recording site is chosen on one fiber, so at least one is always present.
+ * @param {number} fiberDensity - Expected fibers per site (normal ~1.5, higher after reinnervation)
+ * @param {function(): number} [random=Math.random] - Uniform generator
+ * @returns {number} Fibers counted at the site
+ */
+export function surveyFiberCount(fiberDensity, random = Math.random) {
+  return 1 + randomPoisson(Math.max(0, fiberDensity - 1), random);
+}
+
+export default {
+  simulatePair,
+  surveyFiberCount,
+};
@@ -10,35 +10,241 @@
  * - Fasciculation: looks like normal MUAP but fires spontaneously
  * - Myotonic: high-frequency 20-150Hz, waxing-waning amplitude
  * - Complex Repetitive Discharge (CRD): 5-100Hz regular bursts
+ * - Myokymic: grouped MUAP bursts, "marching soldiers"
+ * - Neuromyotonic: 150-250Hz decrementing discharges
+ * - Cramp: involuntary MUAPs at 40-75Hz, abrupt onset/offset
+ * - End-plate noise (MEPPs) and end-plate spikes: needle in the end-plate zone
  */
 
+import { createRandom } from './random';
+import { createMotorUnitPool, generateDischargeTimes } from './motorUnitPool';
+import { SPONTANEOUS_ACTIVITY_GRADES } from './constants';
+
+/**
+ * MUAP Morphology Presets
+ * duration (ms), amplitude (μV), phases (baseline crossings + 1), turns (extra
+ * serrations on the main spike), riseTime (ms, onset of main spike to negative peak),
+ * satellite (late linked component), jiggle (discharge-to-discharge instability, 0-1)
+ */
+export const MUAP_MORPHOLOGIES = {
+  normal: {
+    name: 'Normal',
+    duration: 12,
+    amplitude: 800,
+    phases: 3,
+    turns: 0,
+    riseTime: 3,
+    satellite: null,
+    jiggle: 0,
+  },
+  chronicReinnervation: {
+    name: 'Chronic Reinnervation (large polyphasic)',
+    duration: 20,
+    amplitude: 3000,
+    phases: 6,
+    turns: 2,
+    riseTime: 2,
+    satellite: null,
+    jiggle: 0.05,
+  },
+  earlyReinnervation: {
+    name: 'Early Reinnervation (unstable, satellite)',
+    duration: 16,
+    amplitude: 700,
+    phases: 6,
+    turns: 3,
+    riseTime: 1.5,
+    satellite: { delay: 24, amplitude: 150, duration: 2 },
+    jiggle: 0.3,
+  },
+  myopathic: {
+    name: 'Myopathic (short, small, polyphasic)',
+    duration: 6,
+    amplitude: 300,
+    phases: 5,
+    turns: 2,
+    riseTime: 0.6,
+    satellite: { delay: 12, amplitude: 60, duration: 1.5 },
+    jiggle: 0.1,
+  },
+};
+
+/**
+ * Parametric Motor Unit Action Potential
+ * Phases alternate polarity starting positive; phase 2 is the main negative spike.
+ * @param {number} timeMs - Time since MUAP onset
+ * @param {Object} params - Morphology (see MUAP_MORPHOLOGIES); missing fields use normal
+ * @returns {number} Amplitude in μV
+ */
+export function generateMUAP(timeMs, params = {}) {
+  const { duration, amplitude, phases, turns, riseTime, satellite } = {
+    ...MUAP_MORPHOLOGIES.normal,
+    ...params,
+  };
+
+  let value = 0;
+
+  // Late satellite (linked) potential - time-locked, separated from the main MUAP
+  if (satellite) {
+    const satT = (timeMs - satellite.delay) / satellite.duration;
+    if (satT >= 0 && satT <= 1) {
+      value += satT < 0.4
+        ? satellite.amplitude * 0.5 * Math.sin(satT * Math.PI / 0.4)
+        : -satellite.amplitude * Math.sin((satT - 0.4) * Math.PI / 0.6);
+    }
+  }
+
+  if (timeMs < 0 || timeMs > duration) return value;
+
+  // Phase widths as fractions of duration: short initial positive, dominant main
+  // spike, remaining phases share what is left
+  const numPhases = Math.max(2, Math.round(phases));
+  const firstWidth = 0.15;
+  const mainWidth = numPhases === 2 ? 0.85 : numPhases === 3 ? 0.5 : 0.3;
+  const restWidth = numPhases > 2 ? (1 - firstWidth - mainWidth) / (numPhases - 2) : 0;
+
+  const t = timeMs / duration;
+
+  if (t < firstWidth) {
+    // Initial small positive deflection
+    return value + amplitude * 0.2 * Math.sin(t * Math.PI / firstWidth);
+  }
+
+  if (t < firstWidth + mainWidth || numPhases === 2) {
+    // Main negative spike, skewed so the peak falls at riseTime
+    const localT = (t - firstWidth) / mainWidth;
+    const peak = Math.min(0.5, Math.max(0.05, riseTime / (mainWidth * duration)));
+    let shape = localT < peak
+      ? Math.sin((Math.PI / 2) * (localT / peak))
+      : Math.cos((Math.PI / 2) * ((localT - peak) / (1 - peak)));
+
+    // Turns: serrations that change direction without crossing baseline
+    if (turns > 0) {
+      shape += 0.15 * Math.sin(Math.PI * (turns + 1) * localT) * Math.sin(Math.PI * localT);
+    }
+
+    return value - amplitude * shape;
+  }
+
+  // Later phases: alternating polarity after the negative main spike, decaying, so every
+  // phase crosses baseline; the final phase is a slow low tail - positive for odd phase
+  // counts, negative for even ones
+  const k = 2 + Math.min(numPhases - 3, Math.floor((t - firstWidth - mainWidth) / restWidth));
+  const localT = (t - firstWidth - mainWidth - (k - 2) * restWidth) / restWidth;
+  const weight = k === numPhases - 1 ? 0.15 : Math.pow(0.7, k - 1);
+  const polarity = k % 2 === 0 ? 1 : -1;
+
+  return value + polarity * amplitude * weight * Math.sin(Math.min(1, localT) * Math.PI);
+}
+
+/**
+ * Time window a MUAP occupies, including any satellite
+ * @param {Object} params - Morphology
+ * @returns {number} Extent in ms
+ */
+export function getMUAPExtent(params = {}) {
+  const { duration, satellite } = { ...MUAP_MORPHOLOGIES.normal, ...params };
+  return satellite ? Math.max(duration, satellite.delay + satellite.duration) : duration;
+}
+
+/**
+ * Apply discharge-to-discharge instability ("jiggle")
+ * Unstable units vary in amplitude and shape; satellites shift and may block.
+ * @param {Object} params - Morphology
+ * @param {function(): number} random - Uniform generator
+ * @returns {Object} Morphology for a single discharge
+ */
+export function varyMUAP(params = {}, random = Math.random) {
+  const base = { ...MUAP_MORPHOLOGIES.normal, ...params };
+  if (!base.jiggle) return base;
+
+  const vary = (value, spread) => value * (1 + (random() * 2 - 1) * spread);
+  const satellite = base.satellite && random() > base.jiggle * 0.5
+    ? { ...base.satellite, delay: vary(base.satellite.delay, base.jiggle * 0.1) }
+    : null;
+
+  return {
+    ...base,
+    amplitude: vary(base.amplitude, base.jiggle),
+    riseTime: vary(base.riseTime, base.jiggle * 0.5),
+    turns: base.turns + (random() < base.jiggle ? 1 : 0),
+    satellite,
+  };
+}
+
 /**
  * Normal Motor Unit Action Potential (MUAP)
  * Duration: 8-15ms
  * Amplitude: 200-2000μV (varies by muscle)
  * Shape: Triphasic (initial small positive, main negative, terminal positive)
+ * @param {number} timeMs - Time since MUAP onset
+ * @param {Object} params - Optional overrides of the normal morphology
  */
-export function generateNormalMUAP(timeMs, phase = 0) {
-  const duration = 12; // ms - typical MUAP duration
-  const amplitude = 800; // μV
-  
-  if (timeMs < 0 || timeMs > duration) return 0;
-  
-  // Triphasic waveform: small positive, large negative, small positive
-  const t = timeMs / duration;
-  
-  if (t < 0.15) {
-    // Initial small positive deflection
-    return amplitude * 0.2 * Math.sin(t * Math.PI / 0.15);
-  } else if (t < 0.65) {
-    // Main negative spike
-    const localT = (t - 0.15) / 0.5;
-    return -amplitude * Math.sin(localT * Math.PI);
-  } else {
-    // Terminal positive deflection
-    const localT = (t - 0.65) / 0.35;
-    return amplitude * 0.15 * Math.sin(localT * Math.PI);
+export function generateNormalMUAP(timeMs, params = {}) {
+  return generateMUAP(timeMs, { ...MUAP_MORPHOLOGIES.normal, ...params });
+}
+
+/**
+ * Measure a sampled MUAP the way an electromyographer would
+ * @param {Float32Array|number[]} samples - MUAP waveform in μV
+ * @param {number} sampleRate - Samples per millisecond
+ * @returns {Object} duration (ms), amplitude (peak-to-peak μV), phases, turns
+ */
+export function measureMUAP(samples, sampleRate = 10) {
+  let min = 0;
+  let max = 0;
+  for (let i = 0; i < samples.length; i++) {
+    min = Math.min(min, samples[i]);
+    max = Math.max(max, samples[i]);
+  }
+  const amplitude = max - min;
+  const threshold = amplitude * 0.02; // Departure from baseline
+
+  let onset = -1;
+  let end = -1;
+  for (let i = 0; i < samples.length; i++) {
+    if (Math.abs(samples[i]) > threshold) {
+      if (onset < 0) onset = i;
+      end = i;
+    }
+  }
+  if (onset < 0) return { duration: 0, amplitude: 0, phases: 0, turns: 0 };
+
+  // Phases = baseline crossings + 1
+  let phases = 1;
+  let lastSign = 0;
+  for (let i = onset; i <= end; i++) {
+    if (Math.abs(samples[i]) <= threshold) continue;
+    const sign = Math.sign(samples[i]);
+    if (lastSign !== 0 && sign !== lastSign) phases++;
+    lastSign = sign;
   }
+
+  // Turns = direction changes of at least 25μV
+  let turns = 0;
+  let direction = 0;
+  let extreme = samples[onset];
+  for (let i = onset + 1; i <= end; i++) {
+    const delta = samples[i] - extreme;
+    if (direction >= 0 && delta > 0) {
+      extreme = samples[i];
+      direction = 1;
+    } else if (direction <= 0 && delta < 0) {
+      extreme = samples[i];
+      direction = -1;
+    } else if (Math.abs(delta) >= 25) {
+      turns++;
+      extreme = samples[i];
+      direction = -direction;
+    }
+  }
+
+  return {
+    duration: (end - onset) / sampleRate,
+    amplitude,
+    phases,
+    turns,
+  };
 }
 
 /**
@@ -66,6 +272,30 @@ export function generateFibrillation(timeMs) {
   }
 }
 
+/**
+ * Single Muscle Fiber Action Potential (voluntary, recorded for jitter)
+ * Duration: ~1ms with a single-fiber electrode, broader with a concentric needle
+ * Amplitude: >200μV to be accepted for jitter; rise time <300μs
+ * Shape: Small initial positivity, steep negative spike, slower positive return
+ * @param {number} timeMs - Time since potential onset
+ * @param {Object} params - { amplitude (μV, negative peak), duration (ms) }
+ */
+export function generateSingleFiberPotential(timeMs, params = {}) {
+  const { amplitude = 500, duration = 1 } = params;
+
+  if (timeMs < 0 || timeMs > duration) return 0;
+
+  const t = timeMs / duration;
+
+  if (t < 0.15) {
+    return amplitude * 0.2 * Math.sin(t * Math.PI / 0.15);
+  } else if (t < 0.45) {
+    return -amplitude * Math.sin((t - 0.15) * Math.PI / 0.3);
+  } else {
+    return amplitude * 0.35 * Math.sin((t - 0.45) * Math.PI / 0.55);
+  }
+}
+
 /**
  * Fasciculation Potential
  * Looks like normal MUAP but fires spontaneously
@@ -169,36 +399,190 @@ export function generatePositiveSharpWave(timeMs) {
   }
 }
 
+/**
+ * Myokymic Discharge
+ * Bursts of the same MUAP: 2-10 spikes at 20-150Hz within the burst
+ * Bursts recur semi-rhythmically at 0.1-10Hz
+ * Sound: "Marching soldiers"
+ */
+export function generateMyokymicBurst(timeMs, spikes = 5, intraBurstRate = 40) {
+  const interval = 1000 / intraBurstRate;
+  let value = 0;
+  for (let k = 0; k < spikes; k++) {
+    value += generateNormalMUAP(timeMs - k * interval);
+  }
+  return value;
+}
+
+/**
+ * Neuromyotonic Discharge
+ * Frequency: 150-250Hz, slowing slightly through the discharge
+ * Amplitude: Decrements as the discharge continues
+ * Sound: "Pinging" - high-pitched, decrescendo
+ */
+export function generateNeuromyotonicDischarge(timeMs, totalDuration = 300, startRate = 250, endRate = 150) {
+  if (timeMs < 0 || timeMs > totalDuration) return 0;
+
+  // Integrate the linearly falling rate to find the current spike and time since it fired
+  const rate = startRate - (startRate - endRate) * (timeMs / totalDuration);
+  const cycles = (startRate * timeMs - (startRate - endRate) * timeMs * timeMs / (2 * totalDuration)) / 1000;
+  const timeSinceSpike = (cycles - Math.floor(cycles)) * (1000 / rate);
+
+  const amplitude = 1000 * Math.exp(-2 * timeMs / totalDuration); // Decrementing
+  return generateMUAP(timeSinceSpike, { duration: 3.5, amplitude, phases: 3, riseTime: 0.6 });
+}
+
+/**
+ * Cramp Discharge
+ * Many MUAPs firing involuntarily at 40-75Hz, abrupt onset and cessation
+ * Appears as a full interference pattern
+ * @param {Array<{rate: number, phase: number, amplitude: number}>} units - Firing units
+ */
+export function generateCrampDischarge(timeMs, units = []) {
+  let value = 0;
+  units.forEach(({ rate, phase, amplitude }) => {
+    const period = 1000 / rate;
+    const timeInPeriod = ((timeMs + phase * period) % period + period) % period;
+    value += generateNormalMUAP(timeInPeriod, { amplitude });
+  });
+  return value;
+}
+
+/**
+ * End-Plate Noise (miniature end-plate potential)
+ * Duration: 0.5-2ms, Amplitude: 10-50μV, monophasic negative
+ * Fires constantly and irregularly - normal finding near the end-plate
+ * Sound: "Seashell" hiss
+ */
+export function generateEndPlateNoise(timeMs, amplitude = 25) {
+  if (timeMs < 0 || timeMs > 2) return 0;
+  const tau = 0.25; // ms - alpha-function rise/decay
+  return -amplitude * (timeMs / tau) * Math.exp(1 - timeMs / tau);
+}
+
+/**
+ * End-Plate Spike
+ * Duration: 3-4ms, Amplitude: 100-200μV
+ * Shape: Biphasic with initial NEGATIVE deflection (unlike fibrillations)
+ * Firing: Irregular 5-50Hz
+ * Sound: "Sputtering fat in a frying pan"
+ */
+export function generateEndPlateSpike(timeMs) {
+  const duration = 3.5; // ms
+  const amplitude = 150; // μV
+
+  if (timeMs < 0 || timeMs > duration) return 0;
+
+  const t = timeMs / duration;
+  if (t < 0.4) {
+    return -amplitude * Math.sin(t * Math.PI / 0.4);
+  }
+  return amplitude * 0.5 * Math.sin((t - 0.4) * Math.PI / 0.6);
+}
+
+/**
+ * Doublet / Multiplet
+ * The same MUAP firing 2-3 times in quick succession (2-20ms apart)
+ * Seen in hypocalcemia, hyperventilation, motor neuron disease
+ */
+export function generateMultiplet(timeMs, count = 2, intervalMs = 10) {
+  let value = 0;
+  for (let k = 0; k < count; k++) {
+    value += generateNormalMUAP(timeMs - k * intervalMs);
+  }
+  return value;
+}
+
+/**
+ * Tremor Burst
+ * Grouped MUAP discharges at the tremor frequency (4-8Hz), 50-100ms per burst
+ * @param {Array<{offset: number, amplitude: number}>} discharges - MUAPs within the burst
+ */
+export function generateTremorBurst(timeMs, discharges = []) {
+  let value = 0;
+  discharges.forEach(({ offset, amplitude }) => {
+    value += generateNormalMUAP(timeMs - offset, { amplitude });
+  });
+  return value;
+}
+
+/**
+ * Add one waveform into a sample buffer
+ * @param {Float32Array} data - Sample buffer
+ * @param {number} startMs - Onset time
+ * @param {number} extentMs - Time the waveform occupies
+ * @param {number} sampleRate - Samples per millisecond
+ * @param {function(number): number} generate - Waveform of time since onset
+ */
+function addWaveform(data, startMs, extentMs, sampleRate, generate) {
+  const start = Math.floor(startMs * sampleRate);
+  for (let j = 0; j < extentMs * sampleRate && start + j < data.length; j++) {
+    if (start + j >= 0) data[start + j] += generate(j / sampleRate);
+  }
+}
+
+/**
+ * Denervated fibers generating spontaneous activity at a given grade
+ * Each fiber fires regularly (fibrillations are regular, unlike fasciculations)
+ * @param {string} patternType - 'fibrillation', 'psw' or 'mixed' (fibs + PSWs)
+ * @param {string} grade - Grade key from SPONTANEOUS_ACTIVITY_GRADES (1+ to 4+)
+ * @param {function(): number} random - Uniform generator
+ * @returns {Array<{type: string, rate: number}>} One entry per firing fiber
+ */
+export function getSpontaneousGenerators(patternType, grade = '2+', random = Math.random) {
+  const count = (SPONTANEOUS_ACTIVITY_GRADES[grade] || SPONTANEOUS_ACTIVITY_GRADES['2+']).generators;
+  const generators = [];
+
+  for (let i = 0; i < count; i++) {
+    // Mixed: alternate fibrillations and PSWs; a single train gets one of each
+    const type = patternType === 'mixed' ? (i % 2 === 0 ? 'fibrillation' : 'psw') : patternType;
+    generators.push({ type, rate: 2 + random() * 13 }); // 2-15Hz
+  }
+  if (patternType === 'mixed' && count === 1) {
+    generators.push({ type: 'psw', rate: 2 + random() * 13 });
+  }
+
+  return generators;
+}
+
 /**
  * Generate complete EMG pattern for visualization
  * @param {string} patternType - Type of EMG pattern to generate
  * @param {number} durationMs - Total duration in milliseconds
  * @param {number} sampleRate - Samples per millisecond
+ * @param {Object} options - Generation options
+ * @param {number} [options.seed] - Seed for reproducible traces (same seed = same samples)
+ * @param {number} [options.effort] - Voluntary effort 0-100% ('normal' pattern)
+ * @param {string} [options.recruitment] - Recruitment mode from RECRUITMENT_MODES
+ * @param {string} [options.grade] - Spontaneous activity grade 1+ to 4+ ('psw', 'mixed')
  * @returns {Float32Array} Waveform data
  */
-export function generateEMGPattern(patternType, durationMs, sampleRate = 10) {
+export function generateEMGPattern(patternType, durationMs, sampleRate = 10, options = {}) {
   const numSamples = Math.floor(durationMs * sampleRate);
   const data = new Float32Array(numSamples);
+  const random = createRandom(options.seed);
   
   switch (patternType) {
-    case 'normal':
-      // Normal MUAPs firing at ~10-20Hz
-      for (let i = 0; i < numSamples; i++) {
-        const timeMs = i / sampleRate;
-        // Random MUAP firings
-        if (Math.random() < 0.015) { // ~15 MUAPs per second
-          const muapDuration = 12;
-          for (let j = 0; j < muapDuration * sampleRate && i + j < numSamples; j++) {
-            data[i + j] += generateNormalMUAP(j / sampleRate);
-          }
+    case 'normal': {
+      // Voluntary activation of the motor unit pool (size principle + rate coding)
+      const pool = createMotorUnitPool(options.recruitment, { seed: options.seed });
+      const discharges = generateDischargeTimes(pool, options.effort ?? 30, durationMs, random);
+      const morphology = MUAP_MORPHOLOGIES[pool.morphology] || MUAP_MORPHOLOGIES.normal;
+      discharges.forEach(({ unit, timeMs }) => {
+        const start = Math.floor(timeMs * sampleRate);
+        const muap = varyMUAP({ ...morphology, amplitude: unit.amplitude, duration: unit.duration }, random);
+        const extent = getMUAPExtent(muap);
+        for (let j = 0; j < extent * sampleRate && start + j < numSamples; j++) {
+          data[start + j] += generateMUAP(j / sampleRate, muap);
         }
-      }
+      });
       break;
+    }
       
     case 'fibrillation':
       // Irregular fibrillations at 2-20Hz
       for (let i = 0; i < numSamples; i++) {
-        if (Math.random() < 0.008) { // Average ~8 per second
+        if (random() < 0.008) { // Average ~8 per second
           const fibDuration = 2;
           for (let j = 0; j < fibDuration * sampleRate && i + j < numSamples; j++) {
             data[i + j] += generateFibrillation(j / sampleRate);
@@ -210,7 +594,7 @@ export function generateEMGPattern(patternType, durationMs, sampleRate = 10) {
     case 'fasciculation':
       // Occasional fasciculations (1-2 per second)
       for (let i = 0; i < numSamples; i++) {
-        if (Math.random() < 0.0015) { // ~1.5 per second
+        if (random() < 0.0015) { // ~1.5 per second
           const fascDuration = 12;
           for (let j = 0; j < fascDuration * sampleRate && i + j < numSamples; j++) {
             data[i + j] += generateFasciculation(j / sampleRate);
@@ -219,6 +603,26 @@ export function generateEMGPattern(patternType, durationMs, sampleRate = 10) {
       }
       break;
       
+    case 'psw':
+    case 'mixed': {
+      // Regularly firing denervated fibers; density set by grade
+      const shapes = {
+        fibrillation: { generate: generateFibrillation, duration: 2 },
+        psw: { generate: generatePositiveSharpWave, duration: 20 },
+      };
+      getSpontaneousGenerators(patternType, options.grade, random).forEach(({ type, rate }) => {
+        const { generate, duration } = shapes[type];
+        const isi = 1000 / rate;
+        for (let timeMs = random() * isi; timeMs < durationMs; timeMs += isi * (0.97 + random() * 0.06)) {
+          const start = Math.floor(timeMs * sampleRate);
+          for (let j = 0; j < duration * sampleRate && start + j < numSamples; j++) {
+            data[start + j] += generate(j / sampleRate);
+          }
+        }
+      });
+      break;
+    }
+      
     case 'myotonic':
       // Continuous myotonic discharge
       for (let i = 0; i < numSamples; i++) {
@@ -235,10 +639,78 @@ export function generateEMGPattern(patternType, durationMs, sampleRate = 10) {
       }
       break;
       
+    case 'myokymic':
+      // Bursts of 3-8 spikes recurring every 300-700ms
+      for (let timeMs = random() * 300; timeMs < durationMs; timeMs += 300 + random() * 400) {
+        const spikes = 3 + Math.floor(random() * 6);
+        addWaveform(data, timeMs, spikes * 25 + 12, sampleRate, t => generateMyokymicBurst(t, spikes, 40));
+      }
+      break;
+
+    case 'neuromyotonic':
+      // 300ms decrementing discharges separated by brief pauses
+      for (let timeMs = random() * 200; timeMs < durationMs; timeMs += 600 + random() * 600) {
+        addWaveform(data, timeMs, 300, sampleRate, t => generateNeuromyotonicDischarge(t, 300));
+      }
+      break;
+
+    case 'cramp': {
+      // Abrupt onset, then 8 units firing at 40-75Hz through the rest of the window
+      const onsetMs = durationMs * 0.15;
+      const units = [];
+      for (let k = 0; k < 8; k++) {
+        units.push({ rate: 40 + random() * 35, phase: random(), amplitude: 400 + random() * 1200 });
+      }
+      addWaveform(data, onsetMs, durationMs - onsetMs, sampleRate, t => generateCrampDischarge(t, units));
+      break;
+    }
+
+    case 'endPlateNoise':
+      // Dense, irregular MEPPs (~300/s) on a noisy baseline
+      for (let i = 0; i < numSamples; i++) {
+        data[i] += (random() - 0.5) * 8;
+        if (random() < 0.03) {
+          const amplitude = 10 + random() * 40;
+          addWaveform(data, i / sampleRate, 2, sampleRate, t => generateEndPlateNoise(t, amplitude));
+        }
+      }
+      break;
+
+    case 'endPlateSpike':
+      // Irregular (exponential intervals, mean ~40ms) initially negative spikes over end-plate noise
+      for (let i = 0; i < numSamples; i++) {
+        data[i] += (random() - 0.5) * 8;
+      }
+      for (let timeMs = random() * 40; timeMs < durationMs; timeMs += 5 - Math.log(1 - random()) * 35) {
+        addWaveform(data, timeMs, 3.5, sampleRate, generateEndPlateSpike);
+      }
+      break;
+
+    case 'multiplet':
+      // Doublets and triplets recurring irregularly
+      for (let timeMs = random() * 300; timeMs < durationMs; timeMs += 300 + random() * 500) {
+        const count = 2 + Math.floor(random() * 2);
+        const intervalMs = 5 + random() * 10;
+        addWaveform(data, timeMs, count * intervalMs + 12, sampleRate, t => generateMultiplet(t, count, intervalMs));
+      }
+      break;
+
+    case 'tremor':
+      // Bursts at ~5Hz, each 4-8 MUAP discharges spread over 80ms
+      for (let timeMs = random() * 200; timeMs < durationMs; timeMs += 200 * (0.9 + random() * 0.2)) {
+        const discharges = [];
+        const count = 4 + Math.floor(random() * 5);
+        for (let k = 0; k < count; k++) {
+          discharges.push({ offset: random() * 80, amplitude: 400 + random() * 800 });
+        }
+        addWaveform(data, timeMs, 95, sampleRate, t => generateTremorBurst(t, discharges));
+      }
+      break;
+      
     default:
       // Baseline noise
       for (let i = 0; i < numSamples; i++) {
-        data[i] = (Math.random() - 0.5) * 10; // 10μV baseline noise
+        data[i] = (random() - 0.5) * 10; // 10μV baseline noise
       }
   }
   
@@ -290,6 +762,78 @@ export function getPatternMetadata(patternType) {
       sound: 'Machine gun / jackhammer',
       clinical: 'Chronic denervation, various myopathies, rare normal',
     },
+    psw: {
+      name: 'Positive Sharp Wave',
+      duration: '10-30ms',
+      amplitude: '50-1000μV',
+      firing: 'Regular 0.5-15Hz',
+      sound: 'Dull pops / thuds',
+      clinical: 'Active denervation - same significance as fibrillations, often seen with them',
+    },
+    mixed: {
+      name: 'Fibrillations + Positive Sharp Waves',
+      duration: '1-5ms (fibs), 10-30ms (PSWs)',
+      amplitude: '50-1000μV',
+      firing: 'Regular trains, density by grade',
+      sound: 'Rain on roof with dull pops',
+      clinical: 'Graded 1+ to 4+ by density - grade reflects extent of ongoing denervation',
+    },
+    myokymic: {
+      name: 'Myokymic Discharge',
+      duration: 'Bursts of 2-10 MUAPs',
+      amplitude: 'MUAP-like (200-2000μV)',
+      firing: '20-150Hz within burst, bursts at 0.1-10Hz',
+      sound: 'Marching soldiers',
+      clinical: 'Radiation plexopathy, MS/brainstem lesions (facial), GBS, CIDP',
+    },
+    neuromyotonic: {
+      name: 'Neuromyotonic Discharge',
+      duration: 'Bursts of hundreds of ms',
+      amplitude: 'Decrementing',
+      firing: '150-250Hz',
+      sound: 'Pinging / high-pitched decrescendo',
+      clinical: 'Isaacs syndrome (VGKC-complex antibodies), chronic neuropathies',
+    },
+    cramp: {
+      name: 'Cramp Discharge',
+      duration: 'Seconds to minutes',
+      amplitude: 'MUAP-like, many units',
+      firing: '40-75Hz, abrupt onset and offset',
+      sound: 'Sudden loud interference pattern',
+      clinical: 'Benign cramps, dehydration, electrolyte disturbance, chronic neurogenic disorders',
+    },
+    endPlateNoise: {
+      name: 'End-Plate Noise (MEPPs)',
+      duration: '0.5-2ms',
+      amplitude: '10-50μV, monophasic negative',
+      firing: 'Continuous, irregular',
+      sound: 'Seashell held to the ear',
+      clinical: 'Normal - needle near the motor end-plate (patient often reports deep pain)',
+    },
+    endPlateSpike: {
+      name: 'End-Plate Spike',
+      duration: '3-4ms',
+      amplitude: '100-200μV, initial negative',
+      firing: 'Irregular 5-50Hz',
+      sound: 'Sputtering fat in a frying pan',
+      clinical: 'Normal - do not mistake for fibrillations (which begin positive and fire regularly)',
+    },
+    multiplet: {
+      name: 'Doublets / Multiplets',
+      duration: 'MUAP repeated 2-3 times',
+      amplitude: 'MUAP-like',
+      firing: '2-20ms between spikes',
+      sound: 'Double / triple pops',
+      clinical: 'Hypocalcemia, hyperventilation, motor neuron disease, tetany',
+    },
+    tremor: {
+      name: 'Tremor Bursts',
+      duration: '50-100ms bursts',
+      amplitude: 'MUAP-like, several units',
+      firing: 'Bursts at 4-8Hz',
+      sound: 'Rhythmic grouped bursts',
+      clinical: 'Essential tremor, Parkinson disease - voluntary units grouped by the tremor',
+    },
   };
   
   return metadata[patternType] || metadata.normal;